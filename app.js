@@ -0,0 +1,1790 @@
+import 'dotenv/config';
+import express from 'express';
+import crypto from 'crypto';
+import multer from 'multer';
+import avRoutes from "./av/avRoutes.js";
+import { loadAvListStatus } from "./av/status.js";
+import "dotenv/config";
+import { getCompletedAt, clearCompleted } from "./ausbuchLogStore.js";
+import journalRoutes from "./journal/journalRoutes.js";
+import outboxRoutes from "./outbox/outboxRoutes.js";
+import { cancelOpenOutbox, enqueueOutbox } from "./outbox/store.js";
+import { waitForRunningOutbox } from "./outbox/worker.js";
+import { getTaskBackend } from "./tasks/index.js";
+import { normalizeProject, normalizeDrawing } from "./normalize.js";
+import { scanQuery } from "./signing.js";
+import { labelFooterText } from "./labels/pdf.js";
+import { runLabelJob, renderLabelJobPdf, renderLayoutPreviewPdf, jobLabels } from "./labels/jobs.js";
+import { DEFAULT_LAYOUT_ID, validateLayout } from "./labels/layout.js";
+import { parsePalletMeta, formatMeta } from "./labels/meta.js";
+import { listLayouts, getLayout, getLayoutOrDefault, saveLayout, deleteLayout } from "./labels/layoutStore.js";
+import { getLabelJob, listLabelJobs } from "./labels/jobStore.js";
+import { getRevokedTaskIds, revokeQr, unrevokeQr, listRevocations } from "./labels/revocations.js";
+import { collectBatchRows, MAX_COUNT_PER_DRAWING, MAX_PALLETS_PER_BATCH } from "./labels/batch.js";
+import { parsePackingList, applyMapping } from "./packlist/parse.js";
+import { getImportMapping, saveImportMapping } from "./packlist/store.js";
+import printRoutes from "./print/printRoutes.js";
+import { listPrinters, getPrinter, DPMM_VALUES } from "./print/store.js";
+import { submitPrintJob } from "./print/jobs.js";
+import { renderLabelsZpl } from "./print/zpl.js";
+import authRoutes from "./auth/authRoutes.js";
+import { authenticate, hasRole } from "./auth/middleware.js";
+import driverRoutes from "./drivers/driverRoutes.js";
+import dashboardRoutes from "./dashboard/dashboardRoutes.js";
+import webhookRoutes from "./webhooks/webhookRoutes.js";
+import scannerRoutes from "./scanner/scannerRoutes.js";
+import { identifyDriver } from "./drivers/identify.js";
+import palletApiRoutes from "./pallets/apiRoutes.js";
+import {
+  outboxHandlers,
+  isPalletError,
+  logScanEvent,
+  verifyPalletToken,
+  viewPallet,
+  bookPallet,
+  cancelScan,
+} from "./pallets/service.js";
+import { i18n, translator } from "./i18n/index.js";
+import { listSites, defaultSite, getSite, siteBaseUrl } from "./sites/index.js";
+import { html } from "./views/html.js";
+import { page } from "./views/layout.js";
+import {
+  closeButton,
+  languageSwitch,
+  errorList,
+  formatDateTime,
+  alreadyBookedBox,
+  bookedBox,
+  notLoadedBox,
+} from "./views/partials.js";
+
+// Env-Prüfung beim Start: siehe index.js (app.js ist ohne Serverstart importierbar, z. B. für Tests).
+// Todoist-Projekt, BASE_URL und Logo kommen je Standort aus sites/index.js.
+
+// TRUST_PROXY (optional): hinter einem Reverse-Proxy, z. B. "1" (ein Proxy), "loopback" oder IP-Liste –
+// dann ist req.ip die Client-IP aus X-Forwarded-For (PIN-Sperre der Fahrer, Scan-Journal)
+function trustProxySetting(value = '') {
+  const v = value.trim();
+  if (!v || v === 'false') return false;
+  if (v === 'true') return true;
+  return /^\d+$/.test(v) ? Number(v) : v;
+}
+
+const app = express();
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+app.use(express.urlencoded({ extended: true }));
+// Rohdaten für die Signaturprüfung der Todoist-Webhooks aufheben
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    if (req.url.startsWith('/webhooks/')) req.rawBody = buf;
+  },
+}));
+
+/* =========================
+   Anmeldung & Rollen (siehe auth/)
+   ========================= */
+
+// Sprache (req.locale, req.t) vor allem anderen – auch Login- und Fehlerseiten kennen sie
+app.use(i18n());
+// Sitzung oder Basic Auth gegen die Benutzertabelle, außer explizit freigegebene Routen
+app.use(authenticate());
+app.use(identifyDriver());
+app.use(authRoutes);
+app.use(driverRoutes);
+app.use(avRoutes);
+app.use(journalRoutes);
+app.use(outboxRoutes);
+app.use(printRoutes);
+app.use(dashboardRoutes);
+app.use(webhookRoutes);
+app.use(scannerRoutes);
+app.use(palletApiRoutes);
+
+/* =========================
+   Task-Backend (Todoist oder lokal, siehe tasks/)
+   ========================= */
+
+// Paletten-Aufgaben landen im Todoist-Projekt des gewählten Standorts
+function palletTaskCreator(site) {
+  return (content, labelNames = [], description = '') => getTaskBackend().createTask({
+    content,
+    labels: labelNames,
+    projectId: site.projectId,
+    description,
+  });
+}
+
+/* =========================
+   Scan-Ablauf (siehe pallets/service.js – dieselbe Logik wie /api/v1)
+   ========================= */
+
+export { outboxHandlers };
+
+// Gemeinsamer Rahmen der Fahrer-Seiten (Scan, Ergebnis, Fehler) in der Sprache des Geräts
+function scanPage(req, title, body, options = {}) {
+  return page(title, html`${body}${languageSwitch(req)}`, { kind: 'mobile', lang: req.locale, ...options });
+}
+
+function qrBlockedPage(req, title, text) {
+  return scanPage(req, title, html`
+    ${notLoadedBox(title, text, '', req.t)}
+    ${closeButton(req.t)}
+  `, { tone: 'error' });
+}
+
+// Aufgabe wurde in Todoist gelöscht (oder QR-Code gehört zu einem anderen System)
+function taskMissingPage(req, taskId) {
+  const { t } = req;
+  return scanPage(req, t('missing.pageTitle'), html`
+    ${notLoadedBox(t('missing.title'), t('errors.pallet_not_found'),
+      html`<p class="small">${t('missing.taskId')}: ${taskId}</p>`, t)}
+    ${closeButton(t)}
+  `, { tone: 'error' });
+}
+
+const driverLoginUrl = (req) => `/driver?next=${encodeURIComponent(req.originalUrl)}`;
+
+function driverRequiredPage(req) {
+  const { t } = req;
+  return scanPage(req, t('driverRequired.title'), html`
+    <h1>🚚 ${t('driverRequired.title')}</h1>
+    <p>${t('driverRequired.text')}</p>
+    <p><b>${t('driverRequired.notBooked')}</b></p>
+    <a class="button" href="${driverLoginUrl(req)}">${t('driverRequired.pin')}</a>
+    <p class="small">${t('driverRequired.badge')}</p>
+  `, { tone: 'error' });
+}
+
+function alreadyBookedPage(req, taskId, completedAt) {
+  const canUndo = hasRole(req.account, ['logistics']);
+  return scanPage(req, req.t('already.pageTitle'), alreadyBookedBox({ taskId, completedAt, canUndo }, req.t));
+}
+
+function driverHint(req, scan) {
+  const { t } = req;
+  if (req.driver) {
+    return html`<p class="hint">${t.html('scan.driver', { name: req.driver.name })} · <a href="/driver">${t('scan.notYou')}</a></p>`;
+  }
+  if (scan.unidentified) {
+    return html`<p class="warn">${t('scan.unidentified')} <a href="${driverLoginUrl(req)}">${t('scan.login')}</a></p>`;
+  }
+  return '';
+}
+
+function bookedPage(req, result) {
+  const { t } = req;
+  if (!result.label) {
+    return scanPage(req, t('booked.pageTitle'), html`
+      ${bookedBox({ synced: result.synced, text: t('booked.taskDone') }, t)}
+      <p>${t.html('booked.noLabel')}</p>
+      ${closeButton(t)}
+    `, { width: 720 });
+  }
+  if (!result.remaining?.length) {
+    return scanPage(req, t('booked.pageTitle'), html`
+      ${bookedBox({ synced: result.synced }, t)}
+      ${result.remaining && html`<p><b>${t('booked.allLoaded')}</b></p>`}
+      ${closeButton(t)}
+    `, { width: 720 });
+  }
+
+  // Todoist: 4 höchste -> Anzeige als "Prio 1"
+  return scanPage(req, t('booked.pageTitle'), html`
+    ${bookedBox({ synced: result.synced }, t)}
+    <h2>${t('booked.remaining')}</h2>
+    <div class="small">${t('booked.sorting')}</div>
+    <table>${result.remaining.map((r) => html`
+      <tr><td style="width:90px;"><b>${t('common.prio', { n: 5 - (r.priority || 1) })}</b></td><td>${r.content}</td></tr>
+    `)}</table>
+    ${closeButton(t)}
+  `, { width: 720, align: 'left' });
+}
+
+// Fehler aus dem Scan-Ablauf als Seite; unbekannte Fehler gehen an den Aufrufer zurück
+function sendScanError(req, res, e) {
+  if (!isPalletError(e)) throw e;
+  const { t } = req;
+  switch (e.code) {
+    case 'qr_expired':
+      return res.status(403).type('html').send(qrBlockedPage(req, t('expired.title'), t('errors.qr_expired')));
+    case 'qr_revoked':
+      return res.status(403).type('html').send(qrBlockedPage(req, t('revoked.title'),
+        e.extra.reason ? t('revoked.reason', { reason: e.extra.reason }) : t('errors.qr_revoked')));
+    case 'pallet_not_found':
+      return res.status(404).type('html').send(taskMissingPage(req, req.params.taskId));
+    case 'driver_required':
+      return res.status(403).type('html').send(driverRequiredPage(req));
+    case 'already_booked':
+      return res.type('html').send(alreadyBookedPage(req, req.params.taskId, e.extra.completedAt));
+    default:
+      return res.status(e.status).send(t(`errors.${e.code}`));
+  }
+}
+
+// k/e/sig aus dem Scan-Link für das Bestätigungsformular übernehmen
+function scanTokenQuery(query) {
+  const params = new URLSearchParams();
+  for (const key of ['k', 'e', 'sig']) {
+    if (typeof query[key] === 'string') params.set(key, query[key]);
+  }
+  return params.toString();
+}
+
+/* =========================
+   Healthcheck (öffentlich)
+   ========================= */
+
+app.get('/health', (_req, res) => {
+  res.send('OK');
+});
+
+/* =========================
+   /complete Endpoint (öffentlich, bucht ohne Rückfrage)
+   ========================= */
+
+app.get('/complete/:taskId', async (req, res) => {
+  const { t } = req;
+  try {
+    await verifyPalletToken(req, req.params.taskId, req.query);
+    const result = await bookPallet(req, req.params.taskId, { via: 'complete' });
+    res.type('html').send(scanPage(req, t('booked.pageTitle'), html`
+      ${bookedBox({ synced: result.synced }, t)}
+      ${closeButton(t)}
+      <p class="small" style="margin-top:14px;">${t('complete.fallback')}</p>
+    `));
+  } catch (err) {
+    try {
+      return sendScanError(req, res, err);
+    } catch {
+      console.error('Complete-Fehler:', err?.response?.data || err.message);
+      res.status(500).send(t('errors.complete'));
+    }
+  }
+});
+
+/* =========================
+   /scan: Palette ansehen und bestätigen (öffentlich)
+   ========================= */
+
+app.get('/scan/:taskId', async (req, res) => {
+  const { t } = req;
+  try {
+    const { taskId } = req.params;
+    await verifyPalletToken(req, taskId, req.query);
+    const scan = await viewPallet(req, taskId);
+
+    if (scan.status === 'loaded') {
+      return res.type('html').send(alreadyBookedPage(req, taskId, scan.completedAt));
+    }
+    // Projekt verlangt angemeldete Fahrer → erst anmelden, dann zurück zur Palette
+    if (scan.driverRequired) {
+      return res.redirect(driverLoginUrl(req));
+    }
+
+    const meta = scan.meta ? formatMeta(scan.meta, t) : null;
+    const metaRows = meta ? [
+      [t('scan.weight'), meta.weight && `${meta.weight} kg`],
+      [t('scan.dimensions'), meta.dimensions],
+      [t('scan.parts'), meta.parts],
+      [t('scan.destination'), meta.destination],
+    ].filter(([, v]) => v) : [];
+    const details = scan.pallet;
+
+    return res.type('html').send(scanPage(req, t('scan.title'), html`
+      <h1>${t('scan.title')}</h1>
+      ${details ? html`
+        <div class="pallet">
+          <div class="project">${details.project}</div>
+          <div class="drawing">${details.drawing}</div>
+          <div class="fraction">${t('scan.pallet', { index: details.index, count: details.count })}</div>
+        </div>` : scan.content && html`<p class="pallet">${scan.content}</p>`}
+      ${scan.label && html`<p>${t('scan.commission')}: <b>${scan.label}</b>${scan.openCount !== null
+        && html` · ${t.html('scan.openCount', { count: scan.openCount })}`}</p>`}
+      ${scan.todoistChecked && html`<p class="warn">${t('scan.todoistChecked')}</p>`}
+      ${!scan.todoistAvailable && html`<p class="warn">${t('scan.todoistDown')}</p>`}
+      ${metaRows.length > 0 && html`<table class="meta">${metaRows.map(([k, v]) => html`<tr><th>${k}</th><td>${v}</td></tr>`)}</table>`}
+      ${driverHint(req, scan)}
+      <p class="hint">${t('scan.checkHint')}</p>
+      <form method="POST" action="/scan/${encodeURIComponent(taskId)}?${scanTokenQuery(req.query)}">
+        <button class="yes" type="submit" name="answer" value="yes">${t('scan.yes')}</button>
+        <button type="submit" name="answer" value="no">${t('scan.no')}</button>
+      </form>
+    `, { width: 420, align: 'left' }));
+  } catch (err) {
+    try {
+      return sendScanError(req, res, err);
+    } catch {
+      console.error('Scan-Fehler:', err?.response?.data || err.message);
+      res.status(500).send(t('errors.scan'));
+    }
+  }
+});
+
+app.post('/scan/:taskId', async (req, res) => {
+  const { t } = req;
+  try {
+    const { taskId } = req.params;
+    const { answer } = req.body;
+    await verifyPalletToken(req, taskId, req.query);
+
+    if (answer === 'yes') {
+      return res.type('html').send(bookedPage(req, await bookPallet(req, taskId, { via: 'scan' })));
+    }
+
+    // answer === 'no' oder alles andere:
+    await cancelScan(req, taskId, answer ?? null);
+    return res.type('html').send(scanPage(req, t('scan.cancelledTitle'), html`
+      <h2>${t('scan.cancelled')}</h2>
+    `));
+  } catch (err) {
+    try {
+      return sendScanError(req, res, err);
+    } catch {
+      console.error('Scan-POST Fehler:', err?.response?.data || err.message);
+      res.status(500).send(t('errors.scanAnswer'));
+    }
+  }
+});
+
+
+/* =========================
+   Ausbuchung stornieren (Rolle Logistik)
+   ========================= */
+
+function undoPage(title, body) {
+  return page(title, body, { width: 520 });
+}
+
+app.get('/admin/undo/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const completedAtIso = await getCompletedAt(taskId);
+
+    if (!completedAtIso) {
+      return res.type('html').send(undoPage('Stornieren', html`
+        <h1>ℹ️ Nicht ausgebucht</h1>
+        <p>Palette <b>${taskId}</b> ist aktuell nicht ausgebucht – nichts zu stornieren.</p>
+      `));
+    }
+
+    return res.type('html').send(undoPage('Ausbuchung stornieren', html`
+      <h1>↩️ Ausbuchung stornieren</h1>
+      <p>Palette <b>${taskId}</b> wurde am <b>${formatDateTime(completedAtIso)}</b> ausgebucht.</p>
+      <p>Die Todoist-Aufgabe wird wieder geöffnet und die Ausbuchung entfernt.</p>
+      <form method="POST" action="/admin/undo/${encodeURIComponent(taskId)}">
+        <label>Grund (Pflicht):
+          <textarea required name="reason" maxlength="500" placeholder="z. B. falsche Palette gescannt"></textarea>
+        </label>
+        <button class="danger" type="submit">Ausbuchung stornieren</button>
+      </form>
+    `));
+  } catch (err) {
+    console.error('Undo-Fehler:', err.message);
+    res.status(500).send('Fehler beim Laden der Storno-Seite.');
+  }
+});
+
+app.post('/admin/undo/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const reason = String(req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).send('Bitte einen Grund für das Storno angeben.');
+    }
+
+    const completedAtIso = await getCompletedAt(taskId);
+    if (!completedAtIso) {
+      return res.status(409).type('html').send(undoPage('Stornieren', html`
+        <h1>ℹ️ Nicht ausgebucht</h1>
+        <p>Palette <b>${taskId}</b> ist aktuell nicht ausgebucht – nichts zu stornieren.</p>
+      `));
+    }
+
+    // 1) Erst den noch wartenden Todoist-Close verwerfen bzw. einen laufenden abwarten –
+    //    sonst schließt der Worker die Aufgabe nach dem Wiederöffnen erneut
+    await cancelOpenOutbox(taskId, 'close');
+    await waitForRunningOutbox(taskId, 'close');
+
+    // 2) Todoist wieder öffnen – schlägt das fehl, bleibt die Ausbuchung bestehen (Close wieder einstellen)
+    try {
+      await getTaskBackend().reopenTask(taskId);
+    } catch (e) {
+      console.error('Todoist reopenTask Fehler:', e?.response?.data || e.message);
+      await enqueueOutbox(taskId, 'close');
+      return res.status(502).type('html').send(undoPage('Fehler', html`
+        <h1>⚠️ Storno fehlgeschlagen</h1>
+        <p>Die Aufgabe konnte in Todoist nicht wieder geöffnet werden. Die Ausbuchung bleibt bestehen.</p>
+      `));
+    }
+
+    // 3) Ausbuchung entfernen + im Journal festhalten, wer und warum
+    await clearCompleted(taskId);
+    await logScanEvent(req, 'reverted', taskId, {
+      details: { reason, previousCompletedAt: new Date(completedAtIso).toISOString() },
+    });
+
+    return res.type('html').send(undoPage('Storniert', html`
+      <h1>✅ Ausbuchung storniert</h1>
+      <p>Palette <b>${taskId}</b> ist wieder offen und kann erneut gescannt werden.</p>
+      <p><a href="/admin/scan-log?taskId=${encodeURIComponent(taskId)}">Verlauf im Scan-Journal</a></p>
+    `));
+  } catch (err) {
+    console.error('Undo-POST Fehler:', err?.response?.data || err.message);
+    res.status(500).send('Fehler beim Stornieren der Ausbuchung.');
+  }
+});
+
+/* =========================
+   Formular (Rolle Packer)
+   ========================= */
+
+app.get('/', async (req, res) => {
+  let layouts, printers;
+  try {
+    [layouts, printers] = await Promise.all([listLayouts(), listPrinters({ enabledOnly: true })]);
+  } catch (e) {
+    console.error('Layouts laden Fehler:', e.message);
+    return res.status(500).send('Fehler beim Laden des Formulars.');
+  }
+  const { t } = req;
+  const site = siteFromQuery(req);
+  res.type('html').send(page(t('labels.title'), html`
+    ${userBar(req.account, t)}
+    <h1>${t('labels.title')}</h1>
+    <form method="POST" action="/make-labels" target="_blank">
+      ${idempotencyField()}
+      ${siteSelect(site, t)}
+      <label>${t('labels.project')}:
+        <input required name="project" type="text" placeholder="${t('labels.example', { value: 'BEFR0124' })}" />
+      </label>
+      <label>${t('labels.drawing')}:
+        <input required name="drawing" type="text" placeholder="${t('labels.example', { value: 'BL22' })}" />
+      </label>
+      <label>${t('labels.count')}:
+        <input required name="count" type="number" min="1" max="50" value="1" />
+      </label>
+      ${packerField(req.account, t)}
+      ${palletMetaFields(t)}
+      <label><input type="checkbox" id="perPalletToggle" /> ${t('labels.perPallet')}</label>
+      <div id="perPallet" hidden></div>
+      ${layoutSelect(layouts, siteLayoutId(site, layouts), t)}
+      ${qrExpiryField(t)}
+      ${printerSelect(printers, t('labels.pdf'), t, site.printer)}
+      <button type="submit">${t('labels.submit')}</button>
+    </form>
+    <p class="hint">${t.html('labels.hint')}</p>
+    ${idempotencyScript}
+    ${perPalletScript(t)}
+    <p class="hint">${[
+      ['/batch', 'nav.batch'], ['/import', 'nav.import'], ['/labels/jobs', 'nav.jobs'], ['/labels/layouts', 'nav.layouts'],
+      ['/admin/printers', 'nav.printers'], ['/av', 'nav.av'], ['/dashboard', 'nav.dashboard'], ['/admin/scan-log', 'nav.scanLog'],
+      ['/admin/sync', 'nav.sync'], ['/admin/drivers', 'nav.drivers'], ['/admin/users', 'nav.users'],
+    ].map(([href, key], i) => html`${i > 0 && ' · '}<a href="${href}">${t(key)}</a>`)}</p>
+    ${languageSwitch(req)}
+  `, { bodyClass: 'labels-form', lang: req.locale }));
+});
+
+/* =========================
+   PDF + Tasks erzeugen (geschützt)
+   ========================= */
+
+/* =========================
+   Angemeldeter Benutzer
+   ========================= */
+
+// Packer-Kürzel kommt vom Benutzerkonto; Freitext nur für Konten ohne Kürzel
+function packerFrom(req) {
+  return req.account?.initials || (req.body.packer || '').trim();
+}
+
+// t: Übersetzer (nur das Label-Formular / ist mehrsprachig, sonst Deutsch)
+function packerField(account, t = translator()) {
+  if (account?.initials) {
+    return html`
+      <label>${t('labels.packer')}:
+        <input name="packer" type="text" value="${account.initials}" readonly />
+      </label>`;
+  }
+  return html`
+    <label>${t('labels.packerOptional')}:
+      <input name="packer" type="text" placeholder="mm" maxlength="8" />
+    </label>`;
+}
+
+function userBar(account, t = translator()) {
+  if (!account) return '';
+  return html`
+    <form method="POST" action="/logout" style="float:right; font-size:.9rem;">
+      👤 ${account.displayName} (${account.username})
+      <button type="submit" style="margin:0 0 0 .5rem; padding:.2rem .6rem; font-size:.9rem;">${t('common.logout')}</button>
+    </form>`;
+}
+
+/* =========================
+   Paletten-Daten (Gewicht, Maße, Teile, Ziel)
+   ========================= */
+
+// Felder für die Standardwerte aller Paletten eines Auftrags
+function palletMetaFields(t = translator()) {
+  return html`
+    <fieldset>
+      <legend>${t('labels.meta')}</legend>
+      <label>${t('labels.weight')}:
+        <input name="weight" type="text" inputmode="decimal" class="small" placeholder="412,5" />
+      </label>
+      <label>${t('labels.dimensions')}:
+        <input name="length" type="number" min="1" class="small" placeholder="120" /> ×
+        <input name="width" type="number" min="1" class="small" placeholder="80" /> ×
+        <input name="height" type="number" min="1" class="small" placeholder="100" />
+      </label>
+      <label>${t('labels.parts')}:
+        <input name="parts" type="number" min="1" class="small" />
+      </label>
+      <label>${t('labels.destination')}:
+        <input name="destination" type="text" maxlength="120" />
+      </label>
+    </fieldset>
+  `;
+}
+
+// Tabelle je Palette (leere Felder = Standardwerte von oben); Spaltentitel kommen über data-columns
+function perPalletScript(t = translator()) {
+  return html`
+    <script data-columns="${t('labels.perPalletColumns')}">
+      (() => {
+        const toggle = document.getElementById('perPalletToggle');
+        const box = document.getElementById('perPallet');
+        const count = document.querySelector('input[name="count"]');
+        const [palletTitle, ...titles] = document.currentScript.dataset.columns.split(',');
+        const fields = ['weight', 'length', 'width', 'height', 'parts', 'destination'].map((name, i) => [name, titles[i]]);
+
+        function render() {
+          box.hidden = !toggle.checked;
+          if (!toggle.checked) { box.innerHTML = ''; return; }
+          const n = Math.min(Math.max(parseInt(count.value, 10) || 1, 1), 50);
+          const old = {};
+          box.querySelectorAll('input').forEach((i) => { old[i.name] = i.value; });
+          let html = '<table><tr><th>' + palletTitle + '</th>' + fields.map((f) => '<th>' + f[1] + '</th>').join('') + '</tr>';
+          for (let i = 0; i < n; i++) {
+            html += '<tr><td>' + (i + 1) + '/' + n + '</td>' + fields.map((f) => {
+              const name = 'pallet' + (i + 1) + '_' + f[0];
+              return '<td><input class="small" name="' + name + '" /></td>';
+            }).join('') + '</tr>';
+          }
+          box.innerHTML = html + '</table>';
+          box.querySelectorAll('input').forEach((i) => { if (old[i.name]) i.value = old[i.name]; });
+        }
+        toggle.addEventListener('change', render);
+        count.addEventListener('input', () => { if (toggle.checked) render(); });
+      })();
+    </script>
+  `;
+}
+
+// Werte je Palette aus pallet<N>_<feld> (flache Namen: qs würde pallets[i] bei Lücken verschieben)
+function parsePerPalletMeta(body, count) {
+  const fields = ['weight', 'length', 'width', 'height', 'parts', 'destination'];
+  const palletMeta = [];
+  const errors = [];
+  for (let i = 0; i < count; i++) {
+    const input = Object.fromEntries(fields.map((f) => [f, body[`pallet${i + 1}_${f}`]]));
+    const { meta, errors: e } = parsePalletMeta(input);
+    palletMeta.push(meta);
+    errors.push(...e.map((msg) => `Palette ${i + 1}: ${msg}`));
+  }
+  return { palletMeta, errors };
+}
+
+// Zeile "412 kg · 120 × 80 × 100 cm · 24 Teile · Ziel: …" für Seiten (t: Sprache der Seite)
+function metaLine(meta, t = translator()) {
+  const f = formatMeta(meta, t);
+  return [f.summary, f.destination && t('meta.destination', { destination: f.destination })].filter(Boolean).join(' · ');
+}
+
+// Standort eines Auftrags; ältere Aufträge ohne Standort (oder entfernter Standort) → Standard
+function jobSite(job) {
+  return getSite(job?.siteId) || defaultSite();
+}
+
+// QR-Ziel einer Palette (BASE_URL des Standorts, mit Ablauf, falls für den Auftrag gesetzt)
+function scanUrlFor(taskId, job = null) {
+  const base = siteBaseUrl(jobSite(job));
+  return `${base}/scan/${taskId}?${scanQuery(taskId, { expiresAt: job?.qrExpiresAt })}`;
+}
+
+// Idempotency-Key aus Header oder Formular; ohne Key wird nicht dedupliziert
+function idempotencyKeyFrom(req) {
+  const key = String(req.get('Idempotency-Key') || req.body.idempotencyKey || '').trim();
+  return key ? key.slice(0, 200) : crypto.randomUUID();
+}
+
+// Hidden-Feld für Formulare, die Labels erzeugen. Nach jedem Absenden setzt das
+// Script einen neuen Key – Neuladen des Ergebnis-Tabs schickt weiter den alten.
+function idempotencyField() {
+  return html`<input type="hidden" name="idempotencyKey" value="${crypto.randomUUID()}" />`;
+}
+
+const idempotencyScript = html`
+  <script>
+    document.querySelectorAll('input[name="idempotencyKey"]').forEach((input) => {
+      input.form.addEventListener('submit', () => {
+        setTimeout(() => {
+          input.value = (window.crypto && crypto.randomUUID)
+            ? crypto.randomUUID()
+            : Date.now() + '-' + Math.random().toString(16).slice(2);
+        }, 0);
+      });
+    });
+  </script>
+`;
+
+function jobPdfFilename(job, suffix = '') {
+  const projects = [...new Set(job.pallets.map((p) => p.project))];
+  const name = projects.length === 1 ? projects[0] : 'Import';
+  const ts = new Date(job.createdAt).toISOString().replace(/[:.]/g, '-');
+  return `Labels_${name}${suffix}_${ts}.pdf`.replace(/[^\w.\-]/g, '_');
+}
+
+async function runPalletJob(req, source, rows, layout, qrExpiresOn = null, site = defaultSite()) {
+  return runLabelJob(
+    { idempotencyKey: idempotencyKeyFrom(req), source, createdBy: req.user || null, layoutId: layout.id, qrExpiresOn, siteId: site.id, rows },
+    { createTask: palletTaskCreator(site) }
+  );
+}
+
+// Gewählter Standort (Feld "site"), ohne Angabe der Standard; unbekannte ID → null
+function siteFrom(req) {
+  return getSite(String(req.body.site || '').trim());
+}
+
+// Standort zur Vorauswahl im Formular (?site=…), unbekannt → Standard
+function siteFromQuery(req) {
+  return getSite(String(req.query.site || '').trim()) || defaultSite();
+}
+
+// Layout-Vorgabe des Standorts, falls es das Layout (noch) gibt
+function siteLayoutId(site, layouts) {
+  return layouts.some((l) => l.id === site.layout) ? site.layout : DEFAULT_LAYOUT_ID;
+}
+
+// Auswahl nur bei mehreren Standorten. Beim Wechsel übernimmt das Script Layout und
+// Drucker des Standorts, sofern das Formular sie anbietet.
+function siteSelect(selected = defaultSite(), t = translator()) {
+  const sites = listSites();
+  if (sites.length < 2) return '';
+  return html`<label>${t('labels.site')}:
+    <select name="site">${sites.map((s) =>
+      html`<option value="${s.id}" data-layout="${s.layout}" data-printer="${s.printer}"${s.id === selected.id && ' selected'}>${s.name}</option>`
+    )}</select>
+  </label>
+  <script>
+    document.querySelectorAll('select[name="site"]').forEach((select) => {
+      const apply = (name, value) => {
+        const target = select.form.elements[name];
+        if (value && target && [...target.options].some((o) => o.value === value)) target.value = value;
+      };
+      select.addEventListener('change', () => {
+        const { layout, printer } = select.selectedOptions[0].dataset;
+        apply('layout', layout);
+        apply('printer', printer);
+      });
+    });
+  </script>`;
+}
+
+// Feld "qrExpires" (YYYY-MM-DD, optional): QR-Codes gelten bis Ende dieses Tages
+function qrExpiresFrom(req) {
+  const raw = String(req.body.qrExpires || '').trim();
+  if (!raw) return { date: null };
+  const today = new Intl.DateTimeFormat('sv-SE', { timeZone: 'Europe/Berlin' }).format(new Date());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || Number.isNaN(Date.parse(raw))) {
+    return { error: 'QR-Ablaufdatum ungültig.' };
+  }
+  if (raw < today) return { error: 'QR-Ablaufdatum liegt in der Vergangenheit.' };
+  return { date: raw };
+}
+
+function qrExpiryField(t = translator()) {
+  return html`<label>${t('labels.qrExpires')}:
+    <input name="qrExpires" type="date" />
+  </label>`;
+}
+
+// Gewähltes Layout (Feld "layout"), ohne Angabe der Standard; unbekannte ID → null
+async function layoutFrom(req) {
+  const id = String(req.body.layout || '').trim();
+  return getLayout(id || DEFAULT_LAYOUT_ID);
+}
+
+function layoutSelect(layouts, selected = DEFAULT_LAYOUT_ID, t = translator()) {
+  return html`<label>${t('labels.layout')}:
+    <select name="layout">${layouts.map((l) =>
+      html`<option value="${l.id}"${l.id === selected && ' selected'}>${l.name}</option>`
+    )}</select>
+  </label>`;
+}
+
+// emptyText: Auswahl ohne Drucker (z. B. "PDF herunterladen"), null = Drucker Pflicht
+function printerSelect(printers, emptyText = null, t = translator(), selected = null) {
+  if (printers.length === 0) return '';
+  return html`<label>${t('labels.output')}:
+    <select name="printer">${emptyText && html`<option value="">${emptyText}</option>`}${printers.map((p) =>
+      html`<option value="${p.id}"${p.id === selected && ' selected'}>🖨️ ${p.name}</option>`
+    )}</select>
+  </label>`;
+}
+
+// Gewählter Drucker (Feld "printer"); ohne Angabe undefined, unbekannt/inaktiv → null
+async function printerFrom(req) {
+  const id = String(req.body.printer || '').trim();
+  if (!id) return undefined;
+  const printer = await getPrinter(id);
+  return printer && printer.enabled ? printer : null;
+}
+
+// ZPL an den Drucker: ausdrücklich gewähltes Layout > Layout des Druckers > Layout des Auftrags
+async function printLabelJob(req, job, printer, { layout = null, positions = null } = {}) {
+  const labels = jobLabels(job, { scanUrlFor, positions });
+  const zpl = renderLabelsZpl(
+    layout || (await getLayoutOrDefault(printer.layoutId || job.layoutId)),
+    labels,
+    { dpmm: printer.dpmm }
+  );
+  return submitPrintJob({ printer, labelJobId: job.id, zpl, labelCount: labels.length, createdBy: req.user || null });
+}
+
+function printResultPage(printJob, job) {
+  const ok = printJob.status === 'done';
+  return page(ok ? 'Gedruckt' : 'Druck fehlgeschlagen', html`
+    <h1>${ok ? '✅' : '⚠️'} ${printJob.labelCount} Labels ${ok ? 'an' : 'konnten nicht an'} ${printJob.printerName} ${ok ? 'gesendet' : 'gesendet werden'}</h1>
+    ${!ok && html`<p class="error">${printJob.lastError}</p>
+      <p>Die Aufgaben sind angelegt. Erneut senden unter <a href="/admin/print-jobs?highlight=${printJob.id}">Druckaufträge</a>.</p>`}
+    <p><a href="/labels/jobs/${job.id}">Auftrag ansehen</a> · <a href="/labels/jobs/${job.id}/pdf">PDF herunterladen</a></p>
+  `);
+}
+
+// PDF eines Auftrags im gespeicherten (oder ausdrücklich gewählten) Layout
+async function jobPdf(job, { layout = null, positions = null } = {}) {
+  return renderLabelJobPdf(job, {
+    layout: layout || (await getLayoutOrDefault(job.layoutId)),
+    scanUrlFor,
+    logoPath: jobSite(job).logoPath,
+    positions,
+  });
+}
+
+app.post('/make-labels', async (req, res) => {
+  try {
+    const rawProject = (req.body.project || '').trim();
+    const rawDrawing = (req.body.drawing || '').trim();
+    const rawCount = String(req.body.count ?? '').trim();
+    const count = /^\d+$/.test(rawCount) ? parseInt(rawCount, 10) : NaN;
+    const packer = packerFrom(req);
+
+    // NEU: Projekt & Zeichnung normalisieren
+    const project = normalizeProject(rawProject);
+    const drawing = normalizeDrawing(rawDrawing);
+
+    if (!project || !drawing || !Number.isFinite(count)) {
+      return res.status(400).send('Bitte Projekt, Zeichnung und Anzahl korrekt angeben.');
+    }
+    // Wie beim Sammelauftrag: 1 bis MAX_COUNT_PER_DRAWING Paletten je Zeichnung
+    if (count < 1 || count > MAX_COUNT_PER_DRAWING) {
+      return res.status(400).send(`Anzahl muss 1–${MAX_COUNT_PER_DRAWING} sein.`);
+    }
+
+    const site = siteFrom(req);
+    if (!site) return res.status(400).send('Unbekannter Standort.');
+    const layout = await layoutFrom(req);
+    if (!layout) return res.status(400).send('Unbekanntes Label-Layout.');
+    const qrExpires = qrExpiresFrom(req);
+    if (qrExpires.error) return res.status(400).send(qrExpires.error);
+    const printer = await printerFrom(req);
+    if (printer === null) return res.status(400).send('Unbekannter oder inaktiver Drucker.');
+
+    const { meta, errors: metaErrors } = parsePalletMeta(req.body);
+    const { palletMeta, errors: palletErrors } = parsePerPalletMeta(req.body, count);
+    if (metaErrors.length || palletErrors.length) {
+      return res.status(400).send(`Paletten-Daten ungültig: ${[...metaErrors, ...palletErrors].join('; ')}`);
+    }
+
+    // Idempotent: Doppelklick / Neuladen erzeugt keine zweiten Tasks
+    const { job } = await runPalletJob(req, 'single', [{ project, drawing, count, packer, meta, palletMeta }], layout, qrExpires.date, site);
+
+    // Direktdruck per ZPL statt PDF
+    if (printer) {
+      const printJob = await printLabelJob(req, job, printer);
+      return res.status(printJob.status === 'done' ? 200 : 502).type('html').send(printResultPage(printJob, job));
+    }
+
+    const pdf = await jobPdf(job);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${jobPdfFilename(job, `_${drawing}`)}"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('make-labels Fehler:', e?.response?.data || e.message);
+if (!res.headersSent) {
+  res.status(500).send('Fehler beim Erzeugen der Labels. Details in der Server-Konsole.');
+} else {
+  try { res.end(); } catch (_) {}
+}
+  }
+});
+
+/* =========================
+   Batch: mehrere Zeichnungen eines Projekts in einem PDF (geschützt)
+   ========================= */
+
+app.get('/batch', async (req, res) => {
+  let layouts;
+  try {
+    layouts = await listLayouts();
+  } catch (e) {
+    console.error('Layouts laden Fehler:', e.message);
+    return res.status(500).send('Fehler beim Laden des Formulars.');
+  }
+  const rows = Array.from({ length: 8 }, () => html`
+    <tr>
+      <td><input name="drawings" type="text" placeholder="z. B. BL07 Tür" /></td>
+      <td><input name="counts" type="number" min="1" max="${MAX_COUNT_PER_DRAWING}" class="small" /></td>
+    </tr>
+  `);
+
+  const site = siteFromQuery(req);
+  res.type('html').send(page('Batch: Paletten-Labels', html`
+    <h1>Batch: mehrere Zeichnungen</h1>
+    <form method="POST" action="/make-labels/batch">
+      ${idempotencyField()}
+      ${siteSelect(site)}
+      <label>Projekt:
+        <input required name="project" type="text" placeholder="z. B. BEFR0124" />
+      </label>
+      ${packerField(req.account)}
+      ${palletMetaFields()}
+      ${layoutSelect(layouts, siteLayoutId(site, layouts))}
+      ${qrExpiryField()}
+
+      <table id="rows">
+        <thead><tr><th>Zeichnung</th><th>Anzahl</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <button type="button" id="addRow">+ Zeile</button>
+
+      <label>… oder Liste einfügen (eine Zeichnung pro Zeile, z. B. <code>BL07 Tür; 3</code>):
+        <textarea name="list" placeholder="BL07 Tür; 3&#10;BL08; 2"></textarea>
+      </label>
+
+      <button type="submit">Labels erzeugen</button>
+    </form>
+    <p class="hint">
+      Alle Labels landen in einem PDF, nummeriert je Zeichnung (Palette 1/x …).<br>
+      Gleiche Zeichnungen werden zusammengefasst.
+    </p>
+    <script>
+      document.getElementById('addRow').addEventListener('click', () => {
+        const body = document.querySelector('#rows tbody');
+        body.appendChild(body.rows[0].cloneNode(true));
+        body.lastElementChild.querySelectorAll('input').forEach((i) => { i.value = ''; });
+      });
+    </script>
+  `));
+});
+
+app.post('/make-labels/batch', async (req, res) => {
+  try {
+    const rawProject = (req.body.project || '').trim();
+    const packer = packerFrom(req);
+    const project = normalizeProject(rawProject);
+    const { rows, total, errors } = collectBatchRows(req.body);
+
+    if (!project) {
+      errors.unshift({ source: 'Projekt', text: rawProject, message: 'Projekt fehlt' });
+    }
+    const site = siteFrom(req);
+    if (!site) {
+      errors.push({ source: 'Standort', text: String(req.body.site), message: 'Unbekannter Standort' });
+    }
+    const layout = await layoutFrom(req);
+    if (!layout) {
+      errors.push({ source: 'Layout', text: String(req.body.layout), message: 'Unbekanntes Label-Layout' });
+    }
+    const { meta, errors: metaErrors } = parsePalletMeta(req.body);
+    for (const message of metaErrors) {
+      errors.push({ source: 'Paletten-Daten', text: '', message });
+    }
+    const qrExpires = qrExpiresFrom(req);
+    if (qrExpires.error) {
+      errors.push({ source: 'QR gültig bis', text: String(req.body.qrExpires), message: qrExpires.error });
+    }
+
+    if (errors.length > 0) {
+      const list = errors.map((e) =>
+        html`<tr><td>${e.source}</td><td>${e.text}</td><td class="error">${e.message}</td></tr>`
+      );
+      return res.status(400).type('html').send(page('Batch: Fehler', html`
+        <h1>⚠️ Bitte Eingaben prüfen</h1>
+        <p>Es wurden keine Aufgaben angelegt.</p>
+        <table><thead><tr><th>Wo</th><th>Eingabe</th><th>Problem</th></tr></thead><tbody>${list}</tbody></table>
+        <a class="btn" href="javascript:history.back()">Zurück</a>
+      `));
+    }
+
+    const { job, created } = await runPalletJob(req, 'batch', rows.map((r) => ({ ...r, project, packer, meta })), layout, qrExpires.date, site);
+
+    const summaryRows = rows.map((r) => html`
+      <tr>
+        <td>${r.rawDrawing}</td>
+        <td><b>${r.drawing}</b></td>
+        <td>${r.count}</td>
+      </tr>
+    `);
+
+    return res.type('html').send(page('Batch: Labels erzeugt', html`
+      <h1>✅ ${total} Labels für ${project} erzeugt</h1>
+      ${!created && html`<p class="hint">Dieser Auftrag wurde bereits erzeugt – es wurden keine neuen Aufgaben angelegt.</p>`}
+      <a class="btn" href="/labels/jobs/${job.id}/pdf">PDF herunterladen</a>
+      <table>
+        <thead><tr><th>Eingabe</th><th>Zeichnung</th><th>Paletten</th></tr></thead>
+        <tbody>${summaryRows}</tbody>
+        <tfoot><tr><th colspan="2">Summe</th><th>${total}</th></tr></tfoot>
+      </table>
+      <p class="hint">Je Palette wurde eine Todoist-Aufgabe mit Label <b>${project}</b> angelegt.
+      Nachdruck jederzeit unter <a href="/labels/jobs/${job.id}">Auftrag ansehen</a>.</p>
+      <p><a href="/batch">Neuer Batch</a></p>
+    `));
+  } catch (e) {
+    console.error('make-labels-batch Fehler:', e?.response?.data || e.message);
+    res.status(500).send('Fehler beim Erzeugen der Labels. Details in der Server-Konsole.');
+  }
+});
+
+/* =========================
+   Label-Aufträge + Nachdruck (geschützt)
+   ========================= */
+
+const SOURCE_TEXT = { single: 'Formular', batch: 'Batch', import: 'Import' };
+
+app.get('/labels/jobs', async (req, res) => {
+  try {
+    const project = normalizeProject(String(req.query.project || '').trim()) || undefined;
+    const jobs = await listLabelJobs({ project });
+    const rows = jobs.map((j) => html`
+      <tr>
+        <td><a href="/labels/jobs/${j.id}">${formatDateTime(j.createdAt, { timeStyle: 'short' })}</a></td>
+        <td>${SOURCE_TEXT[j.source] || j.source}</td>
+        <td>${j.projects.join(', ')}</td>
+        <td>${j.drawings.slice(0, 5).join('; ')}${j.drawings.length > 5 && ' …'}</td>
+        <td>${j.pallets}</td>
+        <td>${j.createdBy}</td>
+      </tr>
+    `);
+
+    res.type('html').send(page('Label-Aufträge', html`
+      <h1>Label-Aufträge / Nachdruck</h1>
+      <form method="GET">
+        <label>Projekt:
+          <input name="project" type="text" value="${project}" placeholder="z. B. BEFR0124" />
+        </label>
+        <button type="submit">Suchen</button>
+      </form>
+      <table>
+        <thead><tr><th>Erstellt</th><th>Quelle</th><th>Projekt</th><th>Zeichnungen</th><th>Paletten</th><th>Von</th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="6">Keine Aufträge gefunden.</td></tr>`}</tbody>
+      </table>
+    `));
+  } catch (e) {
+    console.error('Label-Aufträge Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden der Label-Aufträge.');
+  }
+});
+
+app.get('/labels/jobs/:id', async (req, res) => {
+  try {
+    const job = await getLabelJob(req.params.id);
+    if (!job) return res.status(404).send('Auftrag nicht gefunden.');
+    const [layouts, printers, revoked] = await Promise.all([
+      listLayouts(),
+      listPrinters({ enabledOnly: true }),
+      getRevokedTaskIds(job.pallets.map((p) => p.taskId)),
+    ]);
+    const palletOptions = job.pallets.filter((p) => p.taskId).map((p) =>
+      html`<option value="${p.position}">${p.drawing} – ${p.index}/${p.count}</option>`
+    );
+    const canRevoke = hasRole(req.account, ['logistics']);
+
+    const rows = job.pallets.map((p) => html`
+      <tr>
+        <td>${p.project}</td>
+        <td>${p.drawing}</td>
+        <td>${p.index}/${p.count}</td>
+        <td>${metaLine(p.meta) || html`<span class="muted">–</span>`}</td>
+        <td>${p.taskId || '–'}${revoked.has(p.taskId) && html` <span class="error">QR gesperrt</span>`}</td>
+        <td>
+          ${p.taskId && html`<a href="/labels/jobs/${job.id}/pdf?pallet=${p.position}">Nachdruck</a>`}
+          ${p.taskId && canRevoke && html`
+            <form class="inline" method="POST" action="/labels/jobs/${job.id}/${revoked.has(p.taskId) ? 'unrevoke' : 'revoke'}">
+              <input type="hidden" name="pallet" value="${p.position}" />
+              <button type="submit">${revoked.has(p.taskId) ? 'Entsperren' : 'QR sperren'}</button>
+            </form>`}
+        </td>
+      </tr>
+    `);
+    const expiresText = job.qrExpiresAt
+      ? `QR-Codes gültig bis ${formatDateTime(job.qrExpiresAt, { timeStyle: 'short' })}`
+      : 'QR-Codes ohne Ablauf';
+
+    res.type('html').send(page('Label-Auftrag', html`
+      <h1>Label-Auftrag (${SOURCE_TEXT[job.source] || job.source})</h1>
+      <p>${labelFooterText(new Date(job.createdAt), job.createdBy)} · ${job.pallets.length} Paletten · ${expiresText}
+        ${listSites().length > 1 && html`· Standort ${jobSite(job).name}`}
+        ${job.status !== 'done' && html`<br><span class="error">Unvollständig – Formular erneut absenden, um fehlende Aufgaben anzulegen.</span>`}</p>
+      <a class="btn" href="/labels/jobs/${job.id}/pdf">Alle Labels nachdrucken</a>
+      <form method="GET" action="/labels/jobs/${job.id}/pdf">
+        ${layoutSelect(layouts, job.layoutId)}
+        <button type="submit">In anderem Layout nachdrucken</button>
+      </form>
+      ${printers.length > 0 && html`
+        <form method="POST" action="/labels/jobs/${job.id}/print">
+          ${printerSelect(printers)}
+          <label>Labels:
+            <select name="pallet"><option value="">alle</option>${palletOptions}</select>
+          </label>
+          <button type="submit">Direkt drucken (ZPL)</button>
+        </form>`}
+      <table>
+        <thead><tr><th>Projekt</th><th>Zeichnung</th><th>Palette</th><th>Daten</th><th>Task-ID</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="hint">Nachdruck erzeugt keine neuen Todoist-Aufgaben – der QR-Code bleibt gleich.</p>
+      ${canRevoke && html`
+        <form method="POST" action="/labels/jobs/${job.id}/revoke">
+          <label>Grund (optional): <input name="reason" type="text" maxlength="200" /></label>
+          <button type="submit">Alle QR-Codes des Auftrags sperren</button>
+        </form>`}
+      <p><a href="/labels/jobs">Alle Aufträge</a> · <a href="/admin/qr-revocations">Gesperrte QR-Codes</a></p>
+    `));
+  } catch (e) {
+    console.error('Label-Auftrag Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden des Auftrags.');
+  }
+});
+
+/* =========================
+   QR-Codes sperren (Rolle Logistik)
+   ========================= */
+
+// Eine Palette (Feld "pallet") oder alle Paletten des Auftrags
+function jobTaskIds(job, pallet) {
+  const position = String(pallet ?? '') !== '' ? parseInt(pallet, 10) : null;
+  return job.pallets
+    .filter((p) => p.taskId && (position === null || p.position === position))
+    .map((p) => p.taskId);
+}
+
+app.post('/labels/jobs/:id/revoke', async (req, res) => {
+  try {
+    const job = await getLabelJob(req.params.id);
+    if (!job) return res.status(404).send('Auftrag nicht gefunden.');
+    const taskIds = jobTaskIds(job, req.body.pallet);
+    if (taskIds.length === 0) return res.status(404).send('Palette nicht gefunden.');
+
+    const reason = String(req.body.reason || '').trim().slice(0, 200) || null;
+    await revokeQr(taskIds, { reason, revokedBy: req.user || null });
+    res.redirect(`/labels/jobs/${job.id}`);
+  } catch (e) {
+    console.error('QR sperren Fehler:', e.message);
+    res.status(500).send('Fehler beim Sperren.');
+  }
+});
+
+app.post('/labels/jobs/:id/unrevoke', async (req, res) => {
+  try {
+    const job = await getLabelJob(req.params.id);
+    if (!job) return res.status(404).send('Auftrag nicht gefunden.');
+    for (const taskId of jobTaskIds(job, req.body.pallet)) {
+      await unrevokeQr(taskId);
+    }
+    res.redirect(`/labels/jobs/${job.id}`);
+  } catch (e) {
+    console.error('QR entsperren Fehler:', e.message);
+    res.status(500).send('Fehler beim Entsperren.');
+  }
+});
+
+app.get('/admin/qr-revocations', async (_req, res) => {
+  try {
+    const list = await listRevocations();
+    const rows = list.map((r) => html`
+      <tr>
+        <td>${r.project ? `${r.project} – ${r.drawing} – ${r.index}/${r.count}` : html`<span class="muted">unbekannt</span>`}</td>
+        <td>${r.taskId}</td>
+        <td>${r.reason}</td>
+        <td>${formatDateTime(r.revokedAt, { timeStyle: 'short' })}<div class="muted">${r.revokedBy}</div></td>
+        <td>${r.jobId && html`<a href="/labels/jobs/${r.jobId}">Auftrag</a>`}</td>
+      </tr>
+    `);
+
+    res.type('html').send(page('Gesperrte QR-Codes', html`
+      <h1>⛔ Gesperrte QR-Codes</h1>
+      <p class="hint">Gesperrte Labels lassen sich nicht mehr ausbuchen. Entsperren im jeweiligen Auftrag.</p>
+      <table>
+        <thead><tr><th>Palette</th><th>Task-ID</th><th>Grund</th><th>Gesperrt</th><th></th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="5">Keine gesperrten QR-Codes.</td></tr>`}</tbody>
+      </table>
+      <p><a href="/labels/jobs">Label-Aufträge</a></p>
+    `));
+  } catch (e) {
+    console.error('Sperrliste Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden der Sperrliste.');
+  }
+});
+
+app.get('/labels/jobs/:id/pdf', async (req, res) => {
+  try {
+    const job = await getLabelJob(req.params.id);
+    if (!job) return res.status(404).send('Auftrag nicht gefunden.');
+
+    const pallet = req.query.pallet !== undefined ? parseInt(req.query.pallet, 10) : null;
+    if (pallet !== null && !job.pallets.some((p) => p.position === pallet && p.taskId)) {
+      return res.status(404).send('Palette nicht gefunden.');
+    }
+
+    // Nachdruck im Layout des Auftrags – oder ausdrücklich in einem anderen (?layout=…)
+    let layout = null;
+    if (req.query.layout) {
+      layout = await getLayout(String(req.query.layout));
+      if (!layout) return res.status(400).send('Unbekanntes Label-Layout.');
+    }
+
+    const pdf = await jobPdf(job, { layout, positions: pallet !== null ? [pallet] : null });
+
+    const suffix = pallet !== null ? `_Palette-${pallet + 1}` : '';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${jobPdfFilename(job, suffix)}"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('Nachdruck Fehler:', e.message);
+    res.status(500).send('Fehler beim Erzeugen des Nachdrucks.');
+  }
+});
+
+// Druck an Etikettendrucker (ZPL), optional nur eine Palette / anderes Layout
+app.post('/labels/jobs/:id/print', async (req, res) => {
+  try {
+    const job = await getLabelJob(req.params.id);
+    if (!job) return res.status(404).send('Auftrag nicht gefunden.');
+
+    const printer = await printerFrom(req);
+    if (!printer) return res.status(400).send('Bitte einen aktiven Drucker wählen.');
+
+    const pallet = String(req.body.pallet ?? '') !== '' ? parseInt(req.body.pallet, 10) : null;
+    if (pallet !== null && !job.pallets.some((p) => p.position === pallet && p.taskId)) {
+      return res.status(404).send('Palette nicht gefunden.');
+    }
+
+    let layout = null;
+    if (req.body.layout) {
+      layout = await getLayout(String(req.body.layout));
+      if (!layout) return res.status(400).send('Unbekanntes Label-Layout.');
+    }
+
+    const printJob = await printLabelJob(req, job, printer, {
+      layout,
+      positions: pallet !== null ? [pallet] : null,
+    });
+    res.status(printJob.status === 'done' ? 200 : 502).type('html').send(printResultPage(printJob, job));
+  } catch (e) {
+    console.error('Druck Fehler:', e.message);
+    res.status(500).send('Fehler beim Drucken.');
+  }
+});
+
+// ZPL als Datei (z. B. für Drucker ohne Netzwerk oder zum Prüfen)
+app.get('/labels/jobs/:id/zpl', async (req, res) => {
+  try {
+    const job = await getLabelJob(req.params.id);
+    if (!job) return res.status(404).send('Auftrag nicht gefunden.');
+
+    const layout = req.query.layout ? await getLayout(String(req.query.layout)) : await getLayoutOrDefault(job.layoutId);
+    if (!layout) return res.status(400).send('Unbekanntes Label-Layout.');
+    const dpmm = DPMM_VALUES.includes(parseInt(req.query.dpmm, 10)) ? parseInt(req.query.dpmm, 10) : 8;
+    const zpl = renderLabelsZpl(layout, jobLabels(job, { scanUrlFor }), { dpmm });
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${jobPdfFilename(job).replace(/\.pdf$/, '.zpl')}"`);
+    res.send(zpl);
+  } catch (e) {
+    console.error('ZPL Fehler:', e.message);
+    res.status(500).send('Fehler beim Erzeugen der ZPL-Datei.');
+  }
+});
+
+/* =========================
+   Label-Layouts + Vorschau (geschützt)
+   ========================= */
+
+// Layout-JSON aus dem Formular; Syntaxfehler als Validierungsfehler zurückgeben
+function parseLayoutJson(text) {
+  try {
+    return { def: JSON.parse(String(text || '')) };
+  } catch (e) {
+    return { errors: [`Kein gültiges JSON: ${e.message}`] };
+  }
+}
+
+function sendPdf(res, pdf, filename, disposition = 'attachment') {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename.replace(/[^\w.\-]/g, '_')}"`);
+  res.send(pdf);
+}
+
+function layoutEditor(json, errors = []) {
+  return html`
+    ${errorList(errors)}
+    <form method="POST" action="/labels/layouts">
+      <textarea class="layout" name="definition">${json}</textarea><br>
+      <button type="submit">Speichern</button>
+      <button type="submit" formaction="/labels/layouts/preview" formtarget="_blank">Vorschau (PDF)</button>
+    </form>
+    <p class="hint">Maße in mm. Elemente: <code>rect</code>, <code>text</code> (Platzhalter wie
+      <code>{project}</code>, <code>{drawing}</code>, <code>{fraction}</code>, <code>{footer}</code>,
+      <code>{weight}</code>, <code>{dimensions}</code>, <code>{parts}</code>, <code>{destination}</code>,
+      <code>{meta}</code>), <code>qr</code>, <code>logo</code>.
+      Mehrere Labels je Seite über <code>grid</code>.</p>
+  `;
+}
+
+app.get('/labels/layouts', async (_req, res) => {
+  try {
+    const layouts = await listLayouts();
+    const rows = layouts.map((l) => html`
+      <tr>
+        <td><a href="/labels/layouts/${encodeURIComponent(l.id)}">${l.name}</a></td>
+        <td><code>${l.id}</code></td>
+        <td>${l.page.width} × ${l.page.height} mm${l.grid && ` · ${l.grid.cols * l.grid.rows} je Seite`}</td>
+        <td>${l.builtin ? 'mitgeliefert' : 'eigenes'}${l.id === DEFAULT_LAYOUT_ID && ' (Standard)'}</td>
+        <td><a href="/labels/layouts/${encodeURIComponent(l.id)}/preview" target="_blank">Vorschau</a></td>
+      </tr>
+    `);
+
+    res.type('html').send(page('Label-Layouts', html`
+      <h1>Label-Layouts</h1>
+      <table>
+        <thead><tr><th>Name</th><th>ID</th><th>Format</th><th>Art</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="hint">Eigene Layouts: ein mitgeliefertes öffnen, JSON anpassen, neue <code>id</code> vergeben und speichern.</p>
+      <p><a href="/">Zurück zum Formular</a></p>
+    `));
+  } catch (e) {
+    console.error('Layouts Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden der Layouts.');
+  }
+});
+
+app.get('/labels/layouts/:id', async (req, res) => {
+  try {
+    const layout = await getLayout(req.params.id);
+    if (!layout) return res.status(404).send('Layout nicht gefunden.');
+    const { builtin, ...definition } = layout;
+
+    res.type('html').send(page(`Layout: ${layout.name}`, html`
+      <h1>Layout: ${layout.name}</h1>
+      <p>
+        <a href="/labels/layouts/${encodeURIComponent(layout.id)}/preview" target="_blank">Vorschau (PDF)</a>
+        ${builtin && html`<span class="muted">· mitgeliefert – Änderungen unter neuer ID speichern</span>`}
+      </p>
+      ${layoutEditor(JSON.stringify(definition, null, 2))}
+      ${!builtin && html`
+        <form method="POST" action="/labels/layouts/${encodeURIComponent(layout.id)}/delete">
+          <button type="submit">Layout löschen</button>
+        </form>`}
+      <p><a href="/labels/layouts">Alle Layouts</a></p>
+    `));
+  } catch (e) {
+    console.error('Layout-Seite Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden des Layouts.');
+  }
+});
+
+app.post('/labels/layouts', async (req, res) => {
+  try {
+    const parsed = parseLayoutJson(req.body.definition);
+    const { errors, layout } = parsed.errors ? parsed : await saveLayout(parsed.def, req.user || null);
+
+    if (errors) {
+      return res.status(400).type('html').send(page('Layout: Fehler', html`
+        <h1>⚠️ Layout nicht gespeichert</h1>
+        ${layoutEditor(req.body.definition, errors)}
+        <p><a href="/labels/layouts">Alle Layouts</a></p>
+      `));
+    }
+    res.redirect(`/labels/layouts/${encodeURIComponent(layout.id)}`);
+  } catch (e) {
+    console.error('Layout speichern Fehler:', e.message);
+    res.status(500).send('Fehler beim Speichern des Layouts.');
+  }
+});
+
+app.post('/labels/layouts/:id/delete', async (req, res) => {
+  try {
+    await deleteLayout(req.params.id);
+    res.redirect('/labels/layouts');
+  } catch (e) {
+    console.error('Layout löschen Fehler:', e.message);
+    res.status(500).send('Fehler beim Löschen des Layouts.');
+  }
+});
+
+// Vorschau: Muster-PDF mit Beispieldaten – legt keine Aufgaben an
+app.get('/labels/layouts/:id/preview', async (req, res) => {
+  try {
+    const layout = await getLayout(req.params.id);
+    if (!layout) return res.status(404).send('Layout nicht gefunden.');
+
+    const pdf = await renderLayoutPreviewPdf(layout, { baseUrl: siteBaseUrl(defaultSite()), logoPath: defaultSite().logoPath });
+    sendPdf(res, pdf, `Vorschau_${layout.id}.pdf`, 'inline');
+  } catch (e) {
+    console.error('Layout-Vorschau Fehler:', e.message);
+    res.status(500).send('Fehler beim Erzeugen der Vorschau.');
+  }
+});
+
+// Vorschau eines noch nicht gespeicherten Layouts (aus dem Editor)
+app.post('/labels/layouts/preview', async (req, res) => {
+  try {
+    const parsed = parseLayoutJson(req.body.definition);
+    const errors = parsed.errors || validateLayout(parsed.def);
+    if (errors.length > 0) {
+      return res.status(400).type('text').send(`Layout ungültig:\n${errors.join('\n')}`);
+    }
+
+    const pdf = await renderLayoutPreviewPdf(parsed.def, { baseUrl: siteBaseUrl(defaultSite()), logoPath: defaultSite().logoPath });
+    sendPdf(res, pdf, `Vorschau_${parsed.def.id}.pdf`, 'inline');
+  } catch (e) {
+    console.error('Layout-Vorschau Fehler:', e.message);
+    res.status(500).send('Fehler beim Erzeugen der Vorschau.');
+  }
+});
+
+/* =========================
+   Import: Packlisten (CSV/XLSX) aus dem ERP (geschützt)
+   ========================= */
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Rohwert → normalisiert, hervorgehoben wenn sich etwas ändert
+function diffCell(raw, normalized) {
+  if (!normalized) return html`<span class="error">${raw || '–'}</span>`;
+  if (raw === normalized) return normalized;
+  return html`<span class="muted">"${raw}"</span> → <b>${normalized}</b>`;
+}
+
+app.get('/import', async (_req, res) => {
+  try {
+    const mapping = await getImportMapping();
+    res.type('html').send(page('Packliste importieren', html`
+      <h1>Packliste importieren</h1>
+      <form method="POST" action="/import/preview" enctype="multipart/form-data">
+        <label>Datei (CSV oder XLSX):
+          <input required name="file" type="file" accept=".csv,.txt,.xlsx" />
+        </label>
+        <button type="submit">Vorschau</button>
+      </form>
+      <p class="hint">
+        Erwartete Spalten: <b>${mapping.project}</b>, <b>${mapping.drawing}</b>,
+        <b>${mapping.count}</b>, optional <b>${mapping.packer}</b>
+        (<a href="/import/mapping">Zuordnung ändern</a>).
+      </p>
+    `));
+  } catch (e) {
+    console.error('Import-Seite Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden der Import-Seite.');
+  }
+});
+
+app.post('/import/preview', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).send('Bitte eine Datei auswählen.');
+
+    const mapping = await getImportMapping();
+    const layouts = await listLayouts();
+    const site = defaultSite();
+    const table = await parsePackingList(req.file.buffer, req.file.originalname);
+    const { rows, missingColumns } = applyMapping(table, mapping);
+
+    if (missingColumns.length > 0) {
+      return res.status(400).type('html').send(page('Import: Spalten fehlen', html`
+        <h1>⚠️ Spalten nicht gefunden</h1>
+        <p>Fehlend: ${missingColumns.map((c, i) => html`${i > 0 && ', '}<b>${c}</b>`)}</p>
+        <p>In der Datei gefunden: ${table.headers.join(', ') || '–'}</p>
+        <p><a href="/import/mapping">Spaltenzuordnung anpassen</a> · <a href="/import">Zurück</a></p>
+      `));
+    }
+
+    const valid = rows.filter((r) => r.errors.length === 0);
+    const total = valid.reduce((sum, r) => sum + r.count, 0);
+
+    const tableRows = rows.map((r) => html`
+      <tr>
+        <td>${r.rowNumber}</td>
+        <td>${diffCell(r.rawProject, r.project)}</td>
+        <td>${diffCell(r.rawDrawing, r.drawing)}</td>
+        <td>${r.rawCount}</td>
+        <td>${r.packer}</td>
+        <td>${r.errors.length ? html`<span class="error">${r.errors.join(', ')}</span>` : '✅'}</td>
+      </tr>
+    `);
+
+    const payload = valid.map((r) => ({
+      rawProject: r.rawProject,
+      rawDrawing: r.rawDrawing,
+      rawCount: r.rawCount,
+      packer: r.packer,
+    }));
+
+    res.type('html').send(page('Import: Vorschau', html`
+      <h1>Vorschau: ${req.file.originalname}</h1>
+      <p>${valid.length} von ${rows.length} Zeilen gültig · ${total} Paletten</p>
+      <table>
+        <thead><tr><th>Zeile</th><th>Projekt</th><th>Zeichnung</th><th>Anzahl</th><th>Packer</th><th>Status</th></tr></thead>
+        <tbody>${tableRows.length ? tableRows : html`<tr><td colspan="6">Keine Datenzeilen gefunden.</td></tr>`}</tbody>
+      </table>
+      ${total > MAX_PALLETS_PER_BATCH
+        ? html`<p class="error">Maximal ${MAX_PALLETS_PER_BATCH} Paletten pro Import – bitte Datei aufteilen.</p>`
+        : valid.length > 0 && html`
+          <form method="POST" action="/import/generate">
+            ${idempotencyField()}
+            <input type="hidden" name="rows" value="${JSON.stringify(payload)}" />
+            ${siteSelect(site)}
+            ${layoutSelect(layouts, siteLayoutId(site, layouts))}
+            ${qrExpiryField()}
+            <button type="submit">${total} Labels + Aufgaben erzeugen</button>
+            ${valid.length < rows.length && html`<span class="hint">Fehlerhafte Zeilen werden übersprungen.</span>`}
+          </form>`}
+      <p><a href="/import">Andere Datei</a></p>
+    `));
+  } catch (e) {
+    console.error('Import-Vorschau Fehler:', e.message);
+    res.status(400).send('Datei konnte nicht gelesen werden (CSV oder XLSX erwartet).');
+  }
+});
+
+app.post('/import/generate', async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = JSON.parse(req.body.rows || '[]');
+    } catch (_) {
+      return res.status(400).send('Ungültige Import-Daten.');
+    }
+    if (!Array.isArray(payload)) return res.status(400).send('Ungültige Import-Daten.');
+
+    // Serverseitig erneut normalisieren und prüfen (Formular-Daten sind nicht vertrauenswürdig)
+    const { rows } = applyMapping({
+      headers: ['project', 'drawing', 'count', 'packer'],
+      records: payload.map((r, i) => ({
+        rowNumber: i + 2,
+        values: {
+          project: String(r.rawProject ?? ''),
+          drawing: String(r.rawDrawing ?? ''),
+          count: String(r.rawCount ?? ''),
+          packer: String(r.packer ?? ''),
+        },
+      })),
+    }, { project: 'project', drawing: 'drawing', count: 'count', packer: 'packer' });
+
+    const valid = rows.filter((r) => r.errors.length === 0);
+    const total = valid.reduce((sum, r) => sum + r.count, 0);
+    if (valid.length === 0) return res.status(400).send('Keine gültigen Zeilen zum Erzeugen.');
+    if (total > MAX_PALLETS_PER_BATCH) {
+      return res.status(400).send(`Maximal ${MAX_PALLETS_PER_BATCH} Paletten pro Import.`);
+    }
+    const site = siteFrom(req);
+    if (!site) return res.status(400).send('Unbekannter Standort.');
+    const layout = await layoutFrom(req);
+    if (!layout) return res.status(400).send('Unbekanntes Label-Layout.');
+    const qrExpires = qrExpiresFrom(req);
+    if (qrExpires.error) return res.status(400).send(qrExpires.error);
+
+    const { job, created } = await runPalletJob(req, 'import', valid, layout, qrExpires.date, site);
+
+    const summaryRows = valid.map((r) => html`
+      <tr>
+        <td>${r.project}</td>
+        <td>${r.drawing}</td>
+        <td>${r.count}</td>
+        <td>${r.packer}</td>
+      </tr>
+    `);
+
+    res.type('html').send(page('Import: Labels erzeugt', html`
+      <h1>✅ ${total} Labels aus ${valid.length} Zeilen erzeugt</h1>
+      ${!created && html`<p class="hint">Dieser Import wurde bereits erzeugt – es wurden keine neuen Aufgaben angelegt.</p>`}
+      <a class="btn" href="/labels/jobs/${job.id}/pdf">PDF herunterladen</a>
+      <table>
+        <thead><tr><th>Projekt</th><th>Zeichnung</th><th>Paletten</th><th>Packer</th></tr></thead>
+        <tbody>${summaryRows}</tbody>
+      </table>
+      <p class="hint">Nachdruck jederzeit unter <a href="/labels/jobs/${job.id}">Auftrag ansehen</a>.</p>
+      <p><a href="/import">Nächste Packliste</a></p>
+    `));
+  } catch (e) {
+    console.error('Import-Erzeugen Fehler:', e?.response?.data || e.message);
+    res.status(500).send('Fehler beim Erzeugen der Labels. Details in der Server-Konsole.');
+  }
+});
+
+app.get('/import/mapping', async (_req, res) => {
+  try {
+    const m = await getImportMapping();
+    const field = (name, text) => html`
+      <label>${text}:
+        <input name="${name}" type="text" value="${m[name]}" />
+      </label>`;
+    res.type('html').send(page('Import: Spaltenzuordnung', html`
+      <h1>Spaltenzuordnung</h1>
+      <p class="hint">Spaltenüberschriften wie im ERP-Export (Groß-/Kleinschreibung egal).</p>
+      <form method="POST" action="/import/mapping">
+        ${field('project', 'Projekt')}
+        ${field('drawing', 'Zeichnung')}
+        ${field('count', 'Anzahl Paletten')}
+        ${field('packer', 'Packer (optional)')}
+        <button type="submit">Speichern</button>
+      </form>
+      <p><a href="/import">Zurück zum Import</a></p>
+    `));
+  } catch (e) {
+    console.error('Mapping-Seite Fehler:', e.message);
+    res.status(500).send('Fehler beim Laden der Spaltenzuordnung.');
+  }
+});
+
+app.post('/import/mapping', async (req, res) => {
+  try {
+    await saveImportMapping(req.body);
+    res.redirect('/import');
+  } catch (e) {
+    console.error('Mapping speichern Fehler:', e.message);
+    res.status(500).send('Fehler beim Speichern der Spaltenzuordnung.');
+  }
+});
+
+/* =========================
+   AV – Ladeliste (Seiten)
+   ========================= */
+app.get("/av", (req, res) => {
+  const { t } = req;
+  // Texte für das Script (alert, Datum) als data-Attribut – wird wie jedes Attribut escaped
+  const scriptText = {
+    locale: t.intl,
+    labelsFailed: t("av.labelsFailed"),
+    chooseAlert: t("av.chooseAlert"),
+    createFailed: t("av.createFailed"),
+    copied: t("av.copied"),
+  };
+  const sites = listSites();
+  const selectedSite = siteFromQuery(req);
+  return res.type("html").send(page(t("av.title"), html`
+      <div class="box">
+        <h1>${t("av.heading")}</h1>
+
+        ${sites.length > 1 && html`
+          <label for="siteSelect">${t("av.site")}</label>
+          <select id="siteSelect">${sites.map((s) =>
+            html`<option value="${s.id}"${s.id === selectedSite.id && " selected"}>${s.name}</option>`
+          )}</select>`}
+
+        <label for="labelSelect">${t("av.commission")}</label>
+        <select id="labelSelect">
+          <option value="">${t("av.choose")}</option>
+        </select>
+
+        <button class="btn primary" id="createBtn" type="button">${t("av.create")}</button>
+
+        <div id="result" class="hide resultGrid">
+          <!-- Links: Link + Aktionen -->
+          <div class="card">
+            <label for="listUrl">${t("av.link")}</label>
+            <input id="listUrl" type="text" readonly />
+
+            <div class="row">
+              <button class="btn" id="copyBtn" type="button">${t("av.copy")}</button>
+              <button class="btn" id="waBtn" type="button">WhatsApp</button>
+            </div>
+
+            <p class="muted">${t("av.tip")}</p>
+          </div>
+
+          <!-- Rechts: QR + Print -->
+          <div class="card qrWrap">
+            <div class="qrTitle">${t("av.qr")}</div>
+            <img id="qrImg" alt="QR">
+            <div class="printBtn">
+              <button class="btn" type="button" id="printBtn">${t("av.print")}</button>
+            </div>
+          </div>
+        </div>
+        ${languageSwitch(req)}
+      </div>
+
+      <!-- NUR FÜR DRUCK -->
+      <div id="printArea">
+        <div class="printTitle">${t("av.printTitle")}</div>
+        <div class="printMeta">
+          <div><b>${t("av.printCommission")}:</b> <span id="printLabel"></span></div>
+          <div><b>${t("av.printDate")}:</b> <span id="printDate"></span></div>
+        </div>
+        <div style="text-align:center;">
+          <img id="printQrImg" alt="QR" />
+        </div>
+      </div>
+
+      <script data-text="${JSON.stringify(scriptText)}">
+        const TEXT = JSON.parse(document.currentScript.dataset.text);
+        // Standort-Auswahl gibt es nur bei mehreren Standorten
+        const siteSelect = document.getElementById("siteSelect");
+        const site = () => (siteSelect ? siteSelect.value : "");
+
+        async function loadLabels() {
+          const res = await fetch("/api/av/labels" + (site() ? "?site=" + encodeURIComponent(site()) : ""));
+          const data = await res.json();
+          if (data.error) {
+            alert(TEXT.labelsFailed + data.error);
+            return;
+          }
+          const select = document.getElementById("labelSelect");
+          select.length = 1;
+          data.labels.forEach(l => {
+            const opt = document.createElement("option");
+            opt.value = l;
+            opt.textContent = l;
+            select.appendChild(opt);
+          });
+        }
+
+        document.getElementById("createBtn").addEventListener("click", async () => {
+          const label = document.getElementById("labelSelect").value;
+          if (!label) { alert(TEXT.chooseAlert); return; }
+
+          const res = await fetch("/api/av/create", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ label, site: site() || undefined })
+          });
+
+          const data = await res.json();
+          if (data.error) {
+            alert(TEXT.createFailed + data.error);
+            return;
+          }
+
+          document.getElementById("listUrl").value = data.url;
+          document.getElementById("result").classList.remove("hide");
+
+          // QR anzeigen
+          document.getElementById("qrImg").src = data.qrDataUrl;
+
+          // Print-Felder befüllen
+          document.getElementById("printLabel").textContent = label;
+          document.getElementById("printDate").textContent = new Date().toLocaleString(TEXT.locale);
+          document.getElementById("printQrImg").src = data.qrDataUrl;
+        });
+
+        document.getElementById("copyBtn").addEventListener("click", async () => {
+          const url = document.getElementById("listUrl").value;
+          await navigator.clipboard.writeText(url);
+          alert(TEXT.copied);
+        });
+
+        document.getElementById("waBtn").addEventListener("click", () => {
+          const url = document.getElementById("listUrl").value;
+          const wa = "https://wa.me/?text=" + encodeURIComponent(url);
+          window.open(wa, "_blank");
+        });
+
+        document.getElementById("printBtn").addEventListener("click", () => {
+          // kleine Verzögerung, damit Bild sicher geladen ist
+          setTimeout(() => window.print(), 200);
+        });
+
+        if (siteSelect) {
+          siteSelect.addEventListener("change", () => {
+            document.getElementById("result").classList.add("hide");
+            loadLabels();
+          });
+        }
+
+        loadLabels();
+      </script>
+  `, { box: false, bodyClass: "av-create", lang: req.locale }));
+});
+app.get("/av/list/:id", async (req, res) => {
+  const { t } = req;
+  try {
+    // Direkt aus der DB (kein Umweg über die eigene API – die Seite ist öffentlich)
+    const data = await loadAvListStatus(req.params.id);
+    if (!data) {
+      return res.status(404).type("html").send(page(t("avList.title"), html`
+        <h1>${t("avList.notFound")}</h1>
+        <p>${t("avList.invalid")}</p>
+        ${languageSwitch(req)}
+      `, { kind: "mobile", lang: req.locale }));
+    }
+
+    const { items, progress, weight } = data;
+    const fmtTime = (iso) => formatDateTime(iso, { timeStyle: "short", locale: t.intl });
+
+    // Todoist: 4 höchste -> Anzeige als "Prio 1"
+    const itemRows = items.map((it) => {
+      const palletMeta = it.meta ? metaLine(it.meta, t) : "";
+      return html`
+        <tr class="${it.loaded ? "done" : ""}">
+          <td style="text-align:center; width:60px;"><b>${t("common.prio", { n: 5 - (it.priority ?? 1) })}</b></td>
+          <td>${it.content}${palletMeta && html`<div class="meta">${palletMeta}</div>`}</td>
+          <td style="width:110px;">${it.loaded
+            ? html`<span class="pill loaded">${t("avList.loaded")}</span><div class="meta">${fmtTime(it.completedAt)}</div>`
+            : html`<span class="pill open">${t("avList.open")}</span>`}</td>
+        </tr>
+      `;
+    });
+
+    const kg = (v) => new Intl.NumberFormat(t.intl, { maximumFractionDigits: 1 }).format(v);
+    const percent = progress.total > 0 ? Math.round((progress.loaded / progress.total) * 100) : 0;
+
+    return res.type("html").send(page(`${t("avList.title")} – ${data.label}`, html`
+      <h1>${t("avList.heading")}</h1>
+      <div class="meta">
+        ${t("avList.commission")}: <span class="pill">${data.label}</span><br/>
+        ${t("avList.created")}: ${formatDateTime(data.createdAt, { locale: t.intl })}
+        &nbsp;•&nbsp; ${t("avList.positions")}: ${items.length}
+        ${weight.totalKg > 0 && html`<br/>${t("avList.weight", { total: kg(weight.totalKg), open: kg(weight.openKg) })}${weight.missing > 0 && ` · ${t("avList.weightMissing", { count: weight.missing })}`}`}
+      </div>
+
+      <div class="progress">${t("avList.progress", { loaded: progress.loaded, total: progress.total })}</div>
+      <div class="bar"><span style="width:${percent}%;"></span></div>
+      <div class="meta">${t("avList.updated", { time: fmtTime(new Date()) })}</div>
+
+      <table>
+        <thead>
+          <tr>
+            <th style="width:70px;">${t("avList.prio")}</th>
+            <th>${t("avList.pallet")}</th>
+            <th>${t("avList.status")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${itemRows.length ? itemRows : html`<tr><td colspan="3">${t("avList.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      ${languageSwitch(req)}
+    `, { kind: "mobile", width: 720, align: "left", refresh: 30, bodyClass: "loading-list", lang: req.locale }));
+  } catch (err) {
+    console.error("AV list error:", err?.message || err);
+    res.status(500).send(t("avList.error"));
+  }
+});
+
+export default app;
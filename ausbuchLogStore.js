@@ -13,16 +13,46 @@ export async function getCompletedAt(taskId) {
   return res.rows[0].completed_at;
 }
 
+/**
+ * Wie getCompletedAt, aber für viele Tasks in einer Abfrage.
+ * Gibt eine Map taskId -> completed_at (nur ausgebuchte Tasks) zurück.
+ */
+export async function getCompletedAtMany(taskIds) {
+  const ids = taskIds.filter(Boolean).map(String);
+  if (ids.length === 0) return new Map();
+  const res = await pool.query(
+    "select task_id, completed_at from ausbuch_log where task_id = any($1)",
+    [ids]
+  );
+  return new Map(res.rows.map((r) => [r.task_id, r.completed_at]));
+}
+
+/**
+ * Entfernt die Ausbuchung (Storno). Gibt das bisherige completed_at
+ * zurück oder null, wenn die Palette gar nicht ausgebucht war.
+ */
+export async function clearCompleted(taskId) {
+  const res = await pool.query(
+    "delete from ausbuch_log where task_id = $1 returning completed_at",
+    [taskId]
+  );
+  if (res.rowCount === 0) return null;
+  return res.rows[0].completed_at;
+}
+
 /**
  * Setzt completed_at serverseitig in der DB (now()).
  * Keine Übergabe von Zeit aus Node → keine Zeitzonenfehler.
+ * Die erste Ausbuchung bleibt stehen; Wiederholungen stehen im Scan-Journal.
+ * Gibt true zurück, wenn dieser Aufruf die Ausbuchung angelegt hat – false, wenn die
+ * Palette schon (ggf. gleichzeitig von einem anderen Scan) ausgebucht war.
  */
 export async function setCompleted(taskId) {
-  await pool.query(
+  const res = await pool.query(
     `insert into ausbuch_log (task_id, completed_at)
      values ($1, now())
-     on conflict (task_id)
-     do update set completed_at = excluded.completed_at`,
+     on conflict (task_id) do nothing`,
     [taskId]
   );
+  return res.rowCount > 0;
 }
@@ -0,0 +1,196 @@
+// src/auth/authRoutes.js
+import express from "express";
+import {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  authenticateUser,
+  createSession,
+  deleteSession,
+  listUsers,
+  getUser,
+  saveUser,
+} from "./userStore.js";
+import { SESSION_COOKIE, readCookie, cookieHeader, safeNext } from "./middleware.js";
+import { html } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { errorList, formatDateTime } from "../views/partials.js";
+
+const router = express.Router();
+
+/* =========================
+   Login / Logout
+   ========================= */
+
+function loginPage({ next = "/", username = "", error = "" } = {}) {
+  return page("Anmelden", html`
+    <h1>🔐 Anmelden</h1>
+    ${error && html`<p class="error">${error}</p>`}
+    <form method="POST" action="/login">
+      <input type="hidden" name="next" value="${next}" />
+      <label>Benutzername<br /><input required name="username" value="${username}" autocomplete="username" autofocus /></label>
+      <label>Passwort<br /><input required type="password" name="password" autocomplete="current-password" /></label>
+      <button type="submit">Anmelden</button>
+    </form>
+  `, { narrow: true });
+}
+
+router.get("/login", (req, res) => {
+  res.type("html").send(loginPage({ next: safeNext(req.query.next) }));
+});
+
+router.post("/login", async (req, res) => {
+  const next = safeNext(req.body.next);
+  try {
+    const user = await authenticateUser(req.body.username, req.body.password);
+    if (!user) {
+      return res.status(401).type("html").send(loginPage({
+        next,
+        username: req.body.username,
+        error: "Benutzername oder Passwort falsch.",
+      }));
+    }
+
+    const { token, expiresAt } = await createSession(user.username);
+    res.append("Set-Cookie", cookieHeader(SESSION_COOKIE, token, new Date(expiresAt) - Date.now()));
+    res.redirect(next);
+  } catch (e) {
+    console.error("Login Fehler:", e.message);
+    res.status(500).send("Fehler bei der Anmeldung.");
+  }
+});
+
+router.post("/logout", async (req, res) => {
+  try {
+    await deleteSession(readCookie(req, SESSION_COOKIE));
+  } catch (e) {
+    console.error("Logout Fehler:", e.message);
+  }
+  res.append("Set-Cookie", cookieHeader(SESSION_COOKIE, "", 0));
+  res.redirect("/login");
+});
+
+/* =========================
+   Benutzerverwaltung (Admin)
+   ========================= */
+
+function userForm(u = {}, { create = true, errors = [] } = {}) {
+  const roles = Array.isArray(u.roles) ? u.roles : u.roles ? [u.roles] : [];
+  const roleBoxes = Object.entries(ROLES).map(([key, label]) => html`
+    <label style="display:inline-block; margin-right:1rem;">
+      <input type="checkbox" name="roles" value="${key}"${roles.includes(key) && " checked"} /> ${label}
+    </label>
+  `);
+
+  return html`
+    ${errorList(errors)}
+    <form method="POST" action="${create ? "/admin/users" : `/admin/users/${encodeURIComponent(u.username)}`}">
+      <label>Benutzername:
+        <input required name="username" value="${u.username}"${!create && " readonly"} />
+      </label>
+      <label>Name: <input required name="displayName" value="${u.displayName}" /></label>
+      <label>Kürzel (Packer auf dem Label): <input name="initials" value="${u.initials}" maxlength="8" /></label>
+      <div style="margin-top:.6rem;">Rollen: ${roleBoxes}</div>
+      <label>Passwort${create ? "" : " (leer lassen = unverändert)"}:
+        <input type="password" name="password" minlength="${MIN_PASSWORD_LENGTH}"${create ? " required" : ""} autocomplete="new-password" />
+      </label>
+      <label>Aktiv:
+        <select name="active">
+          <option value="true"${u.active === false ? "" : " selected"}>ja</option>
+          <option value="false"${u.active === false ? " selected" : ""}>nein</option>
+        </select>
+      </label>
+      <button type="submit">Speichern</button>
+    </form>
+  `;
+}
+
+router.get("/admin/users", async (req, res) => {
+  try {
+    const users = await listUsers();
+    const rows = users.map(u => html`
+      <tr>
+        <td>${u.displayName}<div class="muted">${u.username}</div></td>
+        <td>${u.initials}</td>
+        <td>${u.roles.map(r => ROLES[r] || r).join(", ")}</td>
+        <td>${u.active ? "aktiv" : "gesperrt"}</td>
+        <td class="muted">${u.lastLoginAt ? formatDateTime(u.lastLoginAt, { timeStyle: "short" }) : "–"}</td>
+        <td><a href="/admin/users/${encodeURIComponent(u.username)}">Bearbeiten</a></td>
+      </tr>
+    `);
+
+    res.type("html").send(page("Benutzer", html`
+      <h1>👤 Benutzer</h1>
+      <table>
+        <thead><tr><th>Benutzer</th><th>Kürzel</th><th>Rollen</th><th>Status</th><th>Letzte Anmeldung</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <h2>Benutzer anlegen</h2>
+      ${userForm({ roles: ["packer"] })}
+      <p><a href="/">Zum Formular</a></p>
+    `));
+  } catch (e) {
+    console.error("Benutzer-Seite Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden der Benutzer.");
+  }
+});
+
+router.post("/admin/users", async (req, res) => {
+  try {
+    const { errors } = await saveUser(req.body, { create: true });
+    if (errors) {
+      return res.status(400).type("html").send(page("Benutzer: Fehler", html`
+        <h1>⚠️ Benutzer nicht angelegt</h1>
+        ${userForm(req.body, { create: true, errors })}
+        <p><a href="/admin/users">Zurück</a></p>
+      `));
+    }
+    res.redirect("/admin/users");
+  } catch (e) {
+    console.error("Benutzer anlegen Fehler:", e.message);
+    res.status(500).send("Fehler beim Anlegen des Benutzers.");
+  }
+});
+
+router.get("/admin/users/:username", async (req, res) => {
+  try {
+    const user = await getUser(req.params.username);
+    if (!user) return res.status(404).send("Benutzer nicht gefunden.");
+    res.type("html").send(page(`Benutzer ${user.username}`, html`
+      <h1>👤 ${user.displayName}</h1>
+      ${userForm(user, { create: false })}
+      <p><a href="/admin/users">Zurück</a></p>
+    `));
+  } catch (e) {
+    console.error("Benutzer-Seite Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden des Benutzers.");
+  }
+});
+
+router.post("/admin/users/:username", async (req, res) => {
+  try {
+    const input = { ...req.body, username: req.params.username };
+
+    // Eigenen Admin-Zugang nicht versehentlich aussperren
+    const self = req.account?.username === req.params.username;
+    const roles = [].concat(input.roles || []);
+    const errors = [];
+    if (self && (input.active === "false" || !roles.includes("admin"))) {
+      errors.push("Eigene Admin-Rolle bzw. eigenen Zugang nicht entfernen");
+    }
+
+    const result = errors.length ? { errors } : await saveUser(input, { create: false });
+    if (result.errors) {
+      return res.status(400).type("html").send(page("Benutzer: Fehler", html`
+        <h1>⚠️ Benutzer nicht gespeichert</h1>
+        ${userForm({ ...input, active: input.active !== "false" }, { create: false, errors: result.errors })}
+        <p><a href="/admin/users">Zurück</a></p>
+      `));
+    }
+    res.redirect("/admin/users");
+  } catch (e) {
+    console.error("Benutzer speichern Fehler:", e.message);
+    res.status(500).send("Fehler beim Speichern des Benutzers.");
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+// src/auth/middleware.js
+import { authenticateUser, getSessionUser, ROLES } from './userStore.js';
+import { html } from '../views/html.js';
+import { page } from '../views/layout.js';
+import { listSites } from '../sites/index.js';
+
+export const SESSION_COOKIE = 'lager_session';
+
+// Ohne Login erreichbar: Healthcheck, Fahrer-Scan (per Signatur geschützt), Dauer-Scanner der Fahrer,
+// Ladelisten für Fahrer (unratbare ID mit Ablauf) samt JSON, Login selbst.
+// Genau verankert – /^\/scan/ würde sonst auch /scanner… und alles darunter freigeben.
+const PUBLIC_PATHS = [
+  /^\/health$/,
+  /^\/scan\/[^/]+$/,
+  /^\/complete\/[^/]+$/,
+  /^\/scanner(\/jsQR\.js)?$/,
+  /^\/av\/list\//,
+  /^\/api\/av\/list\//,
+  /^\/api\/v1\/pallets\//,
+  /^\/login/,
+  /^\/logout/,
+  /^\/driver(\/|$)/,
+  /^\/webhooks\//,
+];
+
+// Wer darf was – erste passende Regel gilt, ohne Treffer nur Admin.
+// Admin darf immer alles.
+const ACCESS_RULES = [
+  // Labels erzeugen, Nachdruck, Direktdruck
+  { path: /^\/$/, roles: ['packer'] },
+  { path: /^\/(make-labels|batch|import)(\/|$)/, roles: ['packer'] },
+  { path: /^\/labels\/jobs\/[^/]+\/(revoke|unrevoke)$/, roles: ['logistics'] },
+  { path: /^\/labels\/layouts/, methods: ['GET'], roles: ['packer'] },
+  { path: /^\/labels\/jobs/, roles: ['packer'] },
+  { path: /^\/(admin|api)\/print-jobs/, roles: ['packer'] },
+
+  // Übersicht Kommissionen (nur lesen)
+  { path: /^\/(dashboard|api\/v1\/commissions)(\/|$)/, roles: ['packer', 'av_planner', 'logistics'] },
+
+  // Ladelisten
+  { path: /^\/(av|api\/av)(\/|$)/, roles: ['av_planner', 'logistics'] },
+
+  // Schichtleitung: Journal, Storno, Todoist-Sync, Fahrer
+  { path: /^\/(admin\/scan-log|api\/scan-events|admin\/undo|admin\/sync|api\/sync|admin\/drivers|admin\/qr-revocations)(\/|$)/, roles: ['logistics'] },
+];
+
+export function isPublicPath(path) {
+  return PUBLIC_PATHS.some((re) => re.test(path));
+}
+
+/**
+ * Erlaubte Rollen für eine Anfrage (Admin ist immer zusätzlich erlaubt).
+ */
+export function rolesFor(method, path) {
+  const rule = ACCESS_RULES.find((r) => r.path.test(path) && (!r.methods || r.methods.includes(method)));
+  return rule ? rule.roles : [];
+}
+
+export function hasRole(account, roles) {
+  if (!account) return false;
+  return account.roles.includes('admin') || roles.some((r) => account.roles.includes(r));
+}
+
+export function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) {
+      return decodeURIComponent(part.slice(i + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Set-Cookie-Wert: HttpOnly, SameSite=Lax, Secure wenn alle Standorte per https erreichbar sind.
+ * maxAgeMs 0 = löschen.
+ */
+export function cookieHeader(name, value, maxAgeMs) {
+  const secure = listSites().every((s) => String(s.baseUrl || '').startsWith('https://'));
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+    secure ? 'Secure' : '',
+  ].filter(Boolean).join('; ');
+}
+
+// Nur relative Ziele innerhalb der App (kein Open Redirect)
+export function safeNext(next) {
+  const n = String(next || '');
+  return n.startsWith('/') && !n.startsWith('//') && !n.startsWith('/\\') ? n : '/';
+}
+
+// Browser bekommen die Login-Seite, API-Clients 401/403 als JSON
+function wantsHtml(req) {
+  return !req.path.startsWith('/api/') && req.accepts(['html', 'json']) === 'html';
+}
+
+/**
+ * Setzt req.account ({ username, displayName, initials, roles }) und req.user (Benutzername)
+ * aus Sitzungs-Cookie oder – für Skripte/API – aus HTTP Basic Auth gegen die Benutzertabelle.
+ * Prüft danach die Rolle für den Pfad.
+ */
+export function authenticate() {
+  return async (req, res, next) => {
+    try {
+      let account = await getSessionUser(readCookie(req, SESSION_COOKIE));
+      let basicFailed = false;
+
+      const authHeader = req.headers.authorization || '';
+      if (!account && authHeader.startsWith('Basic ')) {
+        const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+        const i = decoded.indexOf(':');
+        account = i > 0 ? await authenticateUser(decoded.slice(0, i), decoded.slice(i + 1)) : null;
+        basicFailed = !account;
+      }
+
+      if (account) {
+        req.account = account;
+        req.user = account.username; // z. B. als Ersteller von Ladelisten
+      }
+
+      if (isPublicPath(req.path)) return next();
+
+      if (!account) {
+        if (basicFailed) {
+          res.set('WWW-Authenticate', 'Basic realm="LagerApp"');
+          return res.status(401).send('Ungültige Zugangsdaten.');
+        }
+        if (wantsHtml(req)) {
+          return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        return res.status(401).json({ error: 'Anmeldung erforderlich' });
+      }
+
+      if (!hasRole(account, rolesFor(req.method, req.path))) {
+        const allowed = ['admin', ...rolesFor(req.method, req.path)].map((r) => ROLES[r]).join(', ');
+        if (wantsHtml(req)) {
+          return res.status(403).type('html').send(page('Keine Berechtigung', html`
+            <h1>⛔ Keine Berechtigung</h1>
+            <p>Diese Seite ist nur für: ${allowed}.</p>
+            <form method="POST" action="/logout"><button type="submit">Mit anderem Benutzer anmelden</button></form>
+          `, { width: 520 }));
+        }
+        return res.status(403).json({ error: 'Keine Berechtigung', roles: allowed });
+      }
+
+      next();
+    } catch (e) {
+      console.error('Anmeldung Fehler:', e.message);
+      res.status(500).send('Fehler bei der Anmeldung.');
+    }
+  };
+}
@@ -0,0 +1,46 @@
+// src/auth/passwords.js
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt-Parameter (N, r, p) – werden im Hash mitgespeichert, damit sie später erhöht werden können
+const N = 16384;
+const R = 8;
+const P = 1;
+const KEY_LEN = 32;
+
+/**
+ * Passwort hashen: "scrypt$N$r$p$<salt>$<hash>" (Base64).
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LEN, { N, r: R, p: P });
+  return ['scrypt', N, R, P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Passwort gegen gespeicherten Hash prüfen (Vergleich in konstanter Zeit).
+ */
+export async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, n, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Für unbekannte Benutzer trotzdem einen Hash prüfen – sonst verrät die Antwortzeit,
+// ob es den Benutzernamen gibt
+let dummyHash = null;
+export async function verifyDummyPassword(password) {
+  if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  await verifyPassword(password, dummyHash);
+  return false;
+}
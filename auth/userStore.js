@@ -0,0 +1,187 @@
+// src/auth/userStore.js
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { hashPassword, verifyPassword, verifyDummyPassword } from './passwords.js';
+
+// Rollen: Packer erzeugen Labels, AV-Planung/Logistik arbeiten mit Ladelisten, Admin darf alles
+export const ROLES = {
+  packer: 'Packer',
+  av_planner: 'AV-Planung',
+  logistics: 'Logistik',
+  admin: 'Admin',
+};
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Sitzung gilt eine Schicht lang (SESSION_TTL_HOURS, Standard 12 h)
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+const userColumns = (t = '') => `${t}username, ${t}display_name as "displayName", ${t}initials,
+  ${t}roles, ${t}active, ${t}created_at as "createdAt", ${t}last_login_at as "lastLoginAt"`;
+const USER_COLUMNS = userColumns();
+
+const tokenHash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Benutzerdaten prüfen und normalisieren. Gibt { user, errors } zurück.
+ * password nur beim Anlegen Pflicht (oder wenn es geändert werden soll).
+ */
+export function normalizeUserInput(input, { requirePassword = false } = {}) {
+  const errors = [];
+  const asArray = (v) => (Array.isArray(v) ? v : v == null || v === '' ? [] : [v]);
+
+  const user = {
+    username: String(input.username || '').trim().toLowerCase(),
+    displayName: String(input.displayName || '').trim(),
+    initials: String(input.initials || '').trim().slice(0, 8) || null,
+    roles: [...new Set(asArray(input.roles).map(String))],
+    active: input.active !== false && input.active !== 'false',
+    password: input.password ? String(input.password) : null,
+  };
+
+  if (!/^[a-z0-9][a-z0-9._-]{1,31}$/.test(user.username)) {
+    errors.push('Benutzername: 2–32 Zeichen, a–z, 0–9, ".", "-", "_"');
+  }
+  if (!user.displayName) errors.push('Name fehlt');
+  if (user.roles.length === 0) errors.push('Mindestens eine Rolle wählen');
+  for (const r of user.roles) {
+    if (!ROLES[r]) errors.push(`Unbekannte Rolle "${r}"`);
+  }
+  if ((requirePassword || user.password) && (user.password || '').length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Passwort muss mindestens ${MIN_PASSWORD_LENGTH} Zeichen haben`);
+  }
+  return { user, errors };
+}
+
+export async function listUsers() {
+  const res = await pool.query(`select ${USER_COLUMNS} from users order by username`);
+  return res.rows;
+}
+
+export async function getUser(username) {
+  const res = await pool.query(`select ${USER_COLUMNS} from users where username = $1`, [username]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Benutzer anlegen oder ändern (Passwort nur, wenn angegeben).
+ * Gibt { user } oder { errors } zurück.
+ */
+export async function saveUser(input, { create = false } = {}) {
+  const { user, errors } = normalizeUserInput(input, { requirePassword: create });
+  if (errors.length === 0 && create && (await getUser(user.username))) {
+    errors.push(`Benutzer "${user.username}" gibt es schon`);
+  }
+  if (errors.length === 0 && !create && !(await getUser(user.username))) {
+    errors.push(`Benutzer "${user.username}" nicht gefunden`);
+  }
+  if (errors.length > 0) return { errors };
+
+  if (create) {
+    await pool.query(
+      `insert into users (username, display_name, initials, password_hash, roles, active)
+       values ($1, $2, $3, $4, $5, $6)`,
+      [user.username, user.displayName, user.initials, await hashPassword(user.password), user.roles, user.active]
+    );
+  } else {
+    await pool.query(
+      `update users
+          set display_name = $2, initials = $3, roles = $4, active = $5,
+              password_hash = coalesce($6, password_hash)
+        where username = $1`,
+      [
+        user.username, user.displayName, user.initials, user.roles, user.active,
+        user.password ? await hashPassword(user.password) : null,
+      ]
+    );
+    // Deaktiviert oder Passwort geändert → bestehende Sitzungen beenden
+    if (!user.active || user.password) {
+      await pool.query('delete from user_sessions where username = $1', [user.username]);
+    }
+  }
+  return { user: await getUser(user.username) };
+}
+
+/**
+ * Benutzername + Passwort prüfen. Gibt den Benutzer oder null zurück.
+ */
+export async function authenticateUser(username, password) {
+  const res = await pool.query(
+    `select ${USER_COLUMNS}, password_hash from users where username = $1`,
+    [String(username || '').trim().toLowerCase()]
+  );
+  const row = res.rows[0];
+  if (!row) {
+    await verifyDummyPassword(password);
+    return null;
+  }
+
+  const ok = await verifyPassword(password, row.password_hash);
+  if (!ok || !row.active) return null;
+
+  const { password_hash: _hash, ...user } = row;
+  return user;
+}
+
+/**
+ * Ersten Admin aus ADMIN_USER/ADMIN_PASS anlegen, solange es noch keine Benutzer gibt.
+ * Gibt true zurück, wenn (danach) mindestens ein Benutzer existiert.
+ */
+export async function ensureInitialAdmin({ username, password }) {
+  const res = await pool.query('select count(*)::int as n from users');
+  if (res.rows[0].n > 0) return true;
+  if (!username || !password) return false;
+
+  await pool.query(
+    `insert into users (username, display_name, password_hash, roles)
+     values ($1, $2, $3, $4)
+     on conflict (username) do nothing`,
+    [String(username).trim().toLowerCase(), 'Administrator', await hashPassword(password), ['admin']]
+  );
+  console.log(`Erster Admin-Benutzer angelegt: ${username}`);
+  return true;
+}
+
+/* =========================
+   Sitzungen
+   ========================= */
+
+/**
+ * Neue Sitzung; nur der SHA-256 des Tokens wird gespeichert.
+ * Gibt { token, expiresAt } zurück.
+ */
+export async function createSession(username) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const res = await pool.query(
+    `insert into user_sessions (token_hash, username, expires_at)
+     values ($1, $2, now() + $3 * interval '1 hour')
+     returning expires_at`,
+    [tokenHash(token), username, SESSION_TTL_HOURS]
+  );
+  await pool.query('update users set last_login_at = now() where username = $1', [username]);
+  return { token, expiresAt: res.rows[0].expires_at };
+}
+
+/**
+ * Benutzer zur Sitzung (nur aktive Benutzer, nicht abgelaufen) oder null.
+ */
+export async function getSessionUser(token) {
+  if (!token) return null;
+  const res = await pool.query(
+    `select ${userColumns('u.')}
+       from user_sessions s join users u on u.username = s.username
+      where s.token_hash = $1 and s.expires_at > now() and u.active`,
+    [tokenHash(token)]
+  );
+  return res.rows[0] || null;
+}
+
+export async function deleteSession(token) {
+  if (!token) return;
+  await pool.query('delete from user_sessions where token_hash = $1', [tokenHash(token)]);
+}
+
+export async function deleteExpiredSessions() {
+  const res = await pool.query('delete from user_sessions where expires_at <= now()');
+  return res.rowCount;
+}
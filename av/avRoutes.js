@@ -1,30 +1,14 @@
 // src/av/avRoutes.js
 import express from "express";
-import { avLists } from "./store.js";
+import { createAvList } from "./store.js";
+import { loadAvListStatus } from "./status.js";
 import QRCode from "qrcode";
-import crypto from "crypto";
+import { getTaskBackend, listOpenTasksByLabel } from "../tasks/index.js";
+import { getSite, siteBaseUrl } from "../sites/index.js";
 
 const router = express.Router();
 
 
-async function todoistGet(path) {
-  const token = process.env.TODOIST_TOKEN;
-  if (!token) throw new Error("TODOIST_TOKEN fehlt (ENV)");
-
-  const res = await fetch(`https://api.todoist.com/api/v1${path}`, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
-
-  const data = await res.json().catch(() => ({}));
-
-  if (!res.ok) {
-    throw new Error(`Todoist error ${res.status}: ${JSON.stringify(data)}`);
-  }
-
-  return data?.results ?? data;
-}
-
-
 function sortTasks(tasks) {
   return tasks.sort((a, b) => {
     if (b.priority !== a.priority) return b.priority - a.priority;
@@ -32,14 +16,15 @@ function sortTasks(tasks) {
   });
 }
 
-// Labels fürs Dropdown
+// Labels fürs Dropdown (?site=… – ohne Angabe der Standard-Standort)
 router.get("/api/av/labels", async (req, res) => {
   try {
-    // 1) Alle Tasks aus dem Paletten-Projekt holen
-    const projectId = process.env.PROJECT_ID;
-if (!projectId) return res.status(500).json({ error: "PROJECT_ID fehlt (ENV)" });
+    // 1) Alle Tasks aus dem Paletten-Projekt des Standorts holen
+    const site = getSite(req.query.site);
+    if (!site) return res.status(400).json({ error: "Unbekannter Standort" });
+    if (!site.projectId) return res.status(500).json({ error: "PROJECT_ID fehlt (ENV)" });
 
-const tasks = await todoistGet(`/tasks?project_id=${projectId}`);
+    const tasks = await getTaskBackend().listTasks({ projectId: site.projectId });
 
 
     // 2) Labels, die dort wirklich vorkommen, einsammeln
@@ -55,7 +40,8 @@ const tasks = await todoistGet(`/tasks?project_id=${projectId}`);
 
     res.json({ labels });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    console.error("AV-Labels Fehler:", e?.response?.data || e.message);
+    res.status(500).json({ error: "Fehler beim Laden der Labels." });
   }
 });
 
@@ -66,27 +52,28 @@ router.post("/api/av/create", async (req, res) => {
     const { label } = req.body;
     if (!label) return res.status(400).json({ error: "label fehlt" });
 
-    const projectId = process.env.PROJECT_ID;
-if (!projectId) return res.status(500).json({ error: "PROJECT_ID fehlt (ENV)" });
-
-const tasks = await todoistGet(`/tasks?project_id=${projectId}`);
+    const site = getSite(req.body.site);
+    if (!site) return res.status(400).json({ error: "Unbekannter Standort" });
+    if (!site.projectId) return res.status(500).json({ error: "PROJECT_ID fehlt (ENV)" });
 
-    const filtered = tasks.filter(t => Array.isArray(t.labels) && t.labels.includes(label));
+    const filtered = await listOpenTasksByLabel(site.projectId, label);
     const sorted = sortTasks(filtered);
 
-    const id = crypto.randomUUID();
-    avLists.set(id, {
-      id,
-      createdAt: new Date().toISOString(),
+    const list = await createAvList({
       label,
+      createdBy: req.user || null,
+      siteId: site.id,
       items: sorted.map(t => ({
+        taskId: t.id,
         content: t.content,
         priority: t.priority,
         url: t.url,
       })),
     });
+    const id = list.id;
 
-    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    // Link über die BASE_URL des Standorts (Fahrer erreichen die App evtl. unter anderer Adresse)
+    const baseUrl = siteBaseUrl(site) || `${req.protocol}://${req.get("host")}`;
 const url = `${baseUrl}/av/list/${id}`;
 
 const qrDataUrl = await QRCode.toDataURL(url, {
@@ -102,15 +89,21 @@ res.json({
 });
 
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    console.error("AV-Liste erstellen Fehler:", e?.response?.data || e.message);
+    res.status(500).json({ error: "Fehler beim Erstellen der Ladeliste." });
   }
 });
 
-// Liste abrufen (für Fahrer-Ansicht)
-router.get("/api/av/list/:id", (req, res) => {
-  const list = avLists.get(req.params.id);
-  if (!list) return res.status(404).json({ error: "Liste nicht gefunden" });
-  res.json(list);
+// Liste abrufen (für Fahrer-Ansicht, öffentlich), inkl. aktuellem Verladestatus aus ausbuch_log
+router.get("/api/av/list/:id", async (req, res) => {
+  try {
+    const list = await loadAvListStatus(req.params.id);
+    if (!list) return res.status(404).json({ error: "Liste nicht gefunden" });
+    res.json(list);
+  } catch (e) {
+    console.error("AV-Liste Fehler:", e.message);
+    res.status(500).json({ error: "Fehler beim Laden der Ladeliste." });
+  }
 });
 
 export default router;
@@ -0,0 +1,51 @@
+// src/av/status.js
+import { getAvList } from "./store.js";
+import { getCompletedAtMany } from "../ausbuchLogStore.js";
+import { getPalletsByTaskIds } from "../labels/jobStore.js";
+
+// Gewicht für die LKW-Planung (nur Paletten mit Gewichtsangabe)
+const sumWeight = (entries) => Math.round(entries.reduce((sum, it) => sum + (it.meta?.weightKg || 0), 0) * 10) / 10;
+
+/**
+ * Ladeliste mit aktuellem Verladestatus aus ausbuch_log – öffentlich (Fahrer-Link), daher nur
+ * die Felder der Fahrer-Ansicht: kein Ersteller, keine Todoist-Links. Unbekannt/abgelaufen → null.
+ */
+export async function loadAvListStatus(id) {
+  const list = await getAvList(id);
+  if (!list) return null;
+
+  const taskIds = list.items.map((it) => it.taskId);
+  const [completed, pallets] = await Promise.all([
+    getCompletedAtMany(taskIds),
+    getPalletsByTaskIds(taskIds),
+  ]);
+  const items = list.items.map((it) => {
+    const completedAt = it.taskId ? completed.get(String(it.taskId)) : null;
+    return {
+      taskId: it.taskId,
+      content: it.content,
+      priority: it.priority,
+      loaded: Boolean(completedAt),
+      completedAt: completedAt ? completedAt.toISOString() : null,
+      // Paletten-Daten (Gewicht, Maße, Teile, Ziel), falls über die App erzeugt
+      meta: pallets.get(String(it.taskId))?.meta || null,
+    };
+  });
+
+  return {
+    id: list.id,
+    label: list.label,
+    createdAt: list.createdAt,
+    expiresAt: list.expiresAt,
+    items,
+    progress: {
+      loaded: items.filter((it) => it.loaded).length,
+      total: items.length,
+    },
+    weight: {
+      totalKg: sumWeight(items),
+      openKg: sumWeight(items.filter((it) => !it.loaded)),
+      missing: items.filter((it) => !it.meta?.weightKg).length,
+    },
+  };
+}
@@ -1 +1,140 @@
-export const avLists = new Map();
\ No newline at end of file
+// src/av/store.js
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+// Wie lange ein Ladelisten-Link gültig bleibt (Fahrer bekommen ihn oft Stunden vorher)
+const DEFAULT_TTL_HOURS = 72;
+
+function ttlHours() {
+  const n = parseInt(process.env.AV_LIST_TTL_HOURS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_HOURS;
+}
+
+/**
+ * Legt eine Ladeliste samt Positionen an und gibt sie zurück.
+ * items: [{ taskId, content, priority, url }] in Anzeigereihenfolge; siteId: Standort (siehe sites/).
+ */
+export async function createAvList({ label, createdBy = null, siteId = null, items = [] }) {
+  const id = crypto.randomUUID();
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+
+    const res = await client.query(
+      `insert into av_lists (id, label, created_by, expires_at, site_id)
+       values ($1, $2, $3, now() + make_interval(hours => $4), $5)
+       returning created_at, expires_at`,
+      [id, label, createdBy, ttlHours(), siteId]
+    );
+
+    for (let i = 0; i < items.length; i++) {
+      const it = items[i];
+      await client.query(
+        `insert into av_list_items (list_id, position, task_id, content, priority, url)
+         values ($1, $2, $3, $4, $5, $6)`,
+        [id, i, it.taskId ?? null, it.content, it.priority ?? 1, it.url ?? null]
+      );
+    }
+
+    await client.query("commit");
+
+    return {
+      id,
+      label,
+      createdBy,
+      siteId,
+      createdAt: res.rows[0].created_at.toISOString(),
+      expiresAt: res.rows[0].expires_at.toISOString(),
+      items: items.map((it) => ({
+        taskId: it.taskId ?? null,
+        content: it.content,
+        priority: it.priority ?? 1,
+        url: it.url ?? null,
+      })),
+    };
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Gibt die Ladeliste zurück oder null, wenn unbekannt bzw. abgelaufen.
+ */
+export async function getAvList(id) {
+  const res = await pool.query(
+    `select id, label, created_by, created_at, expires_at, site_id
+       from av_lists
+      where id = $1 and (expires_at is null or expires_at > now())`,
+    [id]
+  );
+  if (res.rowCount === 0) return null;
+  const row = res.rows[0];
+
+  const itemsRes = await pool.query(
+    `select task_id as "taskId", content, priority, url
+       from av_list_items
+      where list_id = $1
+      order by position`,
+    [id]
+  );
+
+  return {
+    id: row.id,
+    label: row.label,
+    createdBy: row.created_by,
+    siteId: row.site_id,
+    createdAt: row.created_at.toISOString(),
+    expiresAt: row.expires_at ? row.expires_at.toISOString() : null,
+    items: itemsRes.rows,
+  };
+}
+
+/**
+ * Löscht abgelaufene Listen (Positionen per on delete cascade).
+ * Gibt die Anzahl gelöschter Listen zurück.
+ */
+export async function deleteExpiredAvLists() {
+  const res = await pool.query(
+    "delete from av_lists where expires_at is not null and expires_at <= now()"
+  );
+  return res.rowCount;
+}
+
+// Nur noch gültige Ladelisten werden nachgezogen
+const ACTIVE_LIST = "list_id in (select id from av_lists where expires_at is null or expires_at > now())";
+
+/**
+ * Änderungen einer Aufgabe aus Todoist in offene Ladelisten übernehmen:
+ * Titel/Priorität aktualisieren, Positionen in Listen, deren Label die
+ * Aufgabe nicht mehr trägt (umgelabelt), entfernen.
+ * Gibt { updated, removed } (Anzahl Positionen) zurück.
+ */
+export async function syncAvListItems(taskId, { content, priority = 1, labels = [] }) {
+  const removed = await pool.query(
+    `delete from av_list_items i
+      where i.task_id = $1 and i.${ACTIVE_LIST}
+        and not exists (select 1 from av_lists l where l.id = i.list_id and l.label = any($2))`,
+    [String(taskId), labels]
+  );
+  const updated = await pool.query(
+    `update av_list_items set content = $2, priority = $3
+      where task_id = $1 and ${ACTIVE_LIST}
+        and (content is distinct from $2 or priority is distinct from $3::int)`,
+    [String(taskId), content, Number(priority) || 1]
+  );
+  return { updated: updated.rowCount, removed: removed.rowCount };
+}
+
+/**
+ * Gelöschte Aufgabe aus allen offenen Ladelisten entfernen. Gibt die Anzahl Positionen zurück.
+ */
+export async function removeAvListItems(taskId) {
+  const res = await pool.query(
+    `delete from av_list_items where task_id = $1 and ${ACTIVE_LIST}`,
+    [String(taskId)]
+  );
+  return res.rowCount;
+}
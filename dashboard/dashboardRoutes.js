@@ -0,0 +1,155 @@
+// src/dashboard/dashboardRoutes.js
+import express from "express";
+import { listOpenSiteTasks } from "../sites/index.js";
+import { getCompletedAtMany } from "../ausbuchLogStore.js";
+import { listCreatedPallets, getScanActivity } from "./store.js";
+import { STATUS_TEXT, palletStatuses, summarizeCommissions } from "./summary.js";
+import { html } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { formatDateTime } from "../views/partials.js";
+
+const router = express.Router();
+
+const fmtDate = (d) => (d ? formatDateTime(d, { timeStyle: "short" }) : "–");
+
+// Übersicht lädt sich jede Minute neu (Bildschirm in der Halle)
+function dashboardPage(title, body) {
+  return page(title, body, { refresh: 60 });
+}
+
+const TODOIST_DOWN = html`<p class="warn">Todoist ist gerade nicht erreichbar – nicht verladene Paletten werden als offen gezählt.</p>`;
+
+function parseDays(raw) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n >= 1 && n <= 365 ? n : 30;
+}
+
+/**
+ * Paletten mit Status laden (alle Standorte). label: nur eine Kommission.
+ * Todoist-Ausfall → openTasks null, Seite zeigt nur lokale Daten.
+ */
+async function loadPallets({ days, label = null }) {
+  let openTasks = null;
+  try {
+    openTasks = await listOpenSiteTasks(label);
+  } catch (e) {
+    console.warn("Dashboard: Todoist nicht erreichbar:", e?.response?.data || e.message);
+  }
+
+  const created = await listCreatedPallets({ days, project: label });
+  const ids = [...created.map(p => p.taskId), ...(openTasks || []).map(t => t.id)];
+  const [completed, activity] = await Promise.all([getCompletedAtMany(ids), getScanActivity(ids)]);
+
+  const pallets = palletStatuses({ created, openTasks, completed, activity });
+  return { pallets: label ? pallets.filter(p => p.label === label) : pallets, todoistDown: openTasks === null };
+}
+
+/* =========================
+   Übersicht aller Kommissionen
+   ========================= */
+
+router.get("/dashboard", async (req, res) => {
+  try {
+    const days = parseDays(req.query.days);
+    const onlyOpen = req.query.open === "1";
+    const { pallets, todoistDown } = await loadPallets({ days });
+    const commissions = summarizeCommissions(pallets).filter(c => !onlyOpen || c.open > 0);
+
+    const totals = commissions.reduce(
+      (t, c) => ({ created: t.created + c.created, loaded: t.loaded + c.loaded, open: t.open + c.open }),
+      { created: 0, loaded: 0, open: 0 }
+    );
+
+    const rows = commissions.map(c => {
+      const pct = c.created ? Math.round((c.loaded / c.created) * 100) : 0;
+      return html`
+        <tr>
+          <td><a href="/dashboard/${encodeURIComponent(c.label)}"><b>${c.label}</b></a></td>
+          <td class="num">${c.created}</td>
+          <td class="num">${c.loaded}</td>
+          <td class="num">${c.open ? html`<b>${c.open}</b>` : "0"}</td>
+          <td><div class="bar"><span style="width:${pct}%"></span></div><div class="muted">${pct} %${c.closed > 0 && ` · ${c.closed} ${STATUS_TEXT.closed}`}</div></td>
+          <td>${fmtDate(c.lastScanAt)}</td>
+        </tr>
+      `;
+    });
+
+    res.type("html").send(dashboardPage("Kommissionen", html`
+      <h1>📦 Kommissionen</h1>
+      <form class="filters" method="GET">
+        <label>Label-Aufträge der letzten
+          <select name="days">
+            ${[7, 30, 90, 365].map(d => html`<option value="${d}"${d === days && " selected"}>${d} Tage</option>`)}
+          </select>
+        </label>
+        <label><input type="checkbox" name="open" value="1"${onlyOpen && " checked"} /> nur mit offenen Paletten</label>
+        <button type="submit">Anzeigen</button>
+      </form>
+      ${todoistDown && TODOIST_DOWN}
+      <p>${commissions.length} Kommissionen · ${totals.created} Paletten erzeugt · ${totals.loaded} verladen · <b>${totals.open} offen</b></p>
+      <table>
+        <thead><tr><th>Kommission</th><th>Erzeugt</th><th>Verladen</th><th>Offen</th><th>Fortschritt</th><th>Letzter Scan</th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="6">Keine Kommissionen im Zeitraum.</td></tr>`}</tbody>
+      </table>
+      <p class="muted">Aktualisiert sich jede Minute. <a href="/">Zum Formular</a> · <a href="/av">AV – Ladeliste</a> · <a href="/admin/scan-log">Scan-Journal</a></p>
+    `));
+  } catch (e) {
+    console.error("Dashboard Fehler:", e?.response?.data || e.message);
+    res.status(500).send("Fehler beim Laden des Dashboards.");
+  }
+});
+
+/* =========================
+   Drill-down je Kommission
+   ========================= */
+
+const STATUS_ORDER = { open: 0, closed: 1, loaded: 2 };
+
+router.get("/dashboard/:label", async (req, res) => {
+  try {
+    const label = req.params.label;
+    const { pallets, todoistDown } = await loadPallets({ days: 365, label });
+    if (pallets.length === 0) {
+      return res.status(404).type("html").send(dashboardPage("Kommission", html`
+        <h1>Kommission ${label}</h1>
+        <p>Keine Paletten zu dieser Kommission gefunden.</p>
+        <p><a href="/dashboard">Zur Übersicht</a></p>
+      `));
+    }
+
+    const [summary] = summarizeCommissions(pallets);
+    const sorted = [...pallets].sort((a, b) =>
+      STATUS_ORDER[a.status] - STATUS_ORDER[b.status]
+      || (b.priority || 1) - (a.priority || 1)
+      || a.title.localeCompare(b.title, "de")
+    );
+
+    const rows = sorted.map(p => html`
+      <tr>
+        <td><span class="pill ${p.status}">${STATUS_TEXT[p.status]}</span></td>
+        <td>${p.drawing || p.title}</td>
+        <td>${p.index && `${p.index}/${p.count}`}</td>
+        <td>${p.status === "loaded" && fmtDate(p.loadedAt)}<div class="muted">${p.bookedBy}</div></td>
+        <td>${fmtDate(p.lastScanAt)}</td>
+        <td><a href="/admin/scan-log?taskId=${encodeURIComponent(p.taskId)}">Journal</a></td>
+      </tr>
+    `);
+
+    res.type("html").send(dashboardPage(`Kommission ${label}`, html`
+      <h1>📦 Kommission ${label}</h1>
+      ${todoistDown && TODOIST_DOWN}
+      <p>${summary.created} Paletten erzeugt · ${summary.loaded} verladen · <b>${summary.open} offen</b>
+        ${summary.closed > 0 && ` · ${summary.closed} ${STATUS_TEXT.closed}`} · letzter Scan: ${fmtDate(summary.lastScanAt)}</p>
+      <table>
+        <thead><tr><th>Status</th><th>Zeichnung</th><th>Palette</th><th>Verladen</th><th>Letzter Scan</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p><a href="/dashboard">Zur Übersicht</a> · <a href="/admin/scan-log?label=${encodeURIComponent(label)}">Scan-Journal der Kommission</a></p>
+    `));
+  } catch (e) {
+    console.error("Dashboard Kommission Fehler:", e?.response?.data || e.message);
+    res.status(500).send("Fehler beim Laden der Kommission.");
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+// src/dashboard/store.js
+import { pool } from "../db.js";
+
+/**
+ * Über die App erzeugte Paletten (mit Task) der letzten `days` Tage.
+ * Gibt [{ taskId, project, drawing, index, count, createdAt }] zurück.
+ */
+export async function listCreatedPallets({ days = 30, project = null } = {}) {
+  const params = [Math.min(Math.max(parseInt(days, 10) || 30, 1), 365)];
+  let filter = "";
+  if (project) {
+    params.push(project);
+    filter = "and p.project = $2";
+  }
+  const res = await pool.query(
+    `select p.task_id as "taskId", p.project, p.drawing, p.pallet_index as "index",
+            p.pallet_count as "count", j.created_at as "createdAt"
+       from label_job_pallets p
+       join label_jobs j on j.id = p.job_id
+      where p.task_id is not null
+        and j.created_at >= now() - make_interval(days => $1)
+        ${filter}`,
+    params
+  );
+  return res.rows;
+}
+
+/**
+ * Letzter Scan und Buchung je Palette aus dem Scan-Journal.
+ * Gibt Map taskId -> { lastScanAt, bookedBy } zurück.
+ */
+export async function getScanActivity(taskIds) {
+  const ids = [...new Set(taskIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+  const res = await pool.query(
+    `select task_id,
+            max(occurred_at) filter (where event_type in ('scan_viewed', 'booked', 'duplicate_scan')) as last_scan_at,
+            (array_agg(actor order by occurred_at desc) filter (where event_type = 'booked'))[1] as booked_by
+       from scan_events
+      where task_id = any($1)
+      group by task_id`,
+    [ids]
+  );
+  return new Map(res.rows.map((r) => [r.task_id, { lastScanAt: r.last_scan_at, bookedBy: r.booked_by }]));
+}
@@ -0,0 +1,90 @@
+// src/dashboard/summary.js
+
+/*
+ * Paletten-Status je Kommission aus drei Quellen:
+ *   erzeugt  – Label-Aufträge der App (label_job_pallets) und offene Todoist-Aufgaben
+ *   verladen – ausbuch_log (lokale Buchung zählt, auch wenn Todoist noch nicht synchron ist)
+ *   offen    – in Todoist offen und nicht verladen
+ * Was weder offen noch verladen ist, wurde ohne Scan erledigt oder gelöscht ("closed").
+ */
+
+export const STATUS_TEXT = {
+  open: "offen",
+  loaded: "verladen",
+  closed: "ohne Scan erledigt",
+};
+
+const PALLET_TITLE = /^(.+?) – (.+) – Palette (\d+)\/(\d+)$/;
+
+/**
+ * created: [{ taskId, project, drawing, index, count, createdAt }]
+ * openTasks: offene Tasks des Projekts oder null (Todoist nicht erreichbar → nicht Verladenes gilt als offen)
+ * completed: Map taskId -> completed_at, activity: Map taskId -> { lastScanAt, bookedBy }
+ * Gibt Paletten [{ taskId, label, project, drawing, index, count, title, priority, status, loadedAt, lastScanAt, bookedBy }] zurück.
+ */
+export function palletStatuses({ created, openTasks, completed, activity }) {
+  const byId = new Map();
+
+  for (const p of created) {
+    byId.set(String(p.taskId), {
+      taskId: String(p.taskId),
+      label: p.project,
+      project: p.project,
+      drawing: p.drawing,
+      index: p.index,
+      count: p.count,
+      title: `${p.project} – ${p.drawing} – Palette ${p.index}/${p.count}`,
+      priority: 1,
+    });
+  }
+
+  const openIds = new Set();
+  for (const t of openTasks || []) {
+    const label = t.labels?.[0];
+    if (!label) continue;
+    const id = String(t.id);
+    openIds.add(id);
+    const m = String(t.content || "").match(PALLET_TITLE);
+    byId.set(id, {
+      taskId: id,
+      project: m ? m[1] : label,
+      drawing: m ? m[2] : null,
+      index: m ? Number(m[3]) : null,
+      count: m ? Number(m[4]) : null,
+      ...byId.get(id),
+      label,
+      title: t.content,
+      priority: t.priority || 1,
+    });
+  }
+
+  return [...byId.values()].map((p) => {
+    const loadedAt = completed.get(p.taskId) || null;
+    const a = activity.get(p.taskId) || {};
+    let status = "closed";
+    if (loadedAt) status = "loaded";
+    else if (openTasks === null || openIds.has(p.taskId)) status = "open";
+    return { ...p, status, loadedAt, lastScanAt: a.lastScanAt || null, bookedBy: a.bookedBy || null };
+  });
+}
+
+/**
+ * Zählwerte je Kommission, offene zuerst, dann zuletzt gescannte.
+ */
+export function summarizeCommissions(pallets) {
+  const byLabel = new Map();
+  for (const p of pallets) {
+    const c = byLabel.get(p.label) || { label: p.label, created: 0, loaded: 0, open: 0, closed: 0, lastScanAt: null };
+    c.created += 1;
+    c[p.status] += 1;
+    if (p.lastScanAt && (!c.lastScanAt || new Date(p.lastScanAt) > new Date(c.lastScanAt))) {
+      c.lastScanAt = p.lastScanAt;
+    }
+    byLabel.set(p.label, c);
+  }
+
+  const time = (d) => (d ? new Date(d).getTime() : 0);
+  return [...byLabel.values()].sort((a, b) =>
+    (b.open > 0) - (a.open > 0) || time(b.lastScanAt) - time(a.lastScanAt) || a.label.localeCompare(b.label, "de")
+  );
+}
@@ -2,7 +2,15 @@ import pg from "pg";
 
 const { Pool } = pg;
 
-export const pool = new Pool({
+export let pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false }, // wichtig für viele Hosted-Postgres
 });
+
+/**
+ * Pool austauschen (z. B. Test-Datenbank). Alle Stores sehen die neue
+ * Instanz sofort, da ES-Module Live-Bindings exportieren.
+ */
+export function setPool(next) {
+  pool = next;
+}
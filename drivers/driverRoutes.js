@@ -0,0 +1,373 @@
+// src/drivers/driverRoutes.js
+import crypto from "crypto";
+import express from "express";
+import QRCode from "qrcode";
+import {
+  DRIVER_MODES,
+  defaultDriverMode,
+  listDrivers,
+  getDriver,
+  saveDriver,
+  renewDriverBadge,
+  findDriverByPin,
+  createDriverDevice,
+  deleteDriverDevice,
+  listDriverSettings,
+  setDriverMode,
+  deleteDriverMode,
+} from "./store.js";
+import { DRIVER_COOKIE } from "./identify.js";
+import { readCookie, cookieHeader, safeNext } from "../auth/middleware.js";
+import { signBadgeToken, verifyBadgeToken } from "../signing.js";
+import { normalizeProject } from "../normalize.js";
+import { defaultSite, siteBaseUrl } from "../sites/index.js";
+import { html } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { closeButton, errorList, languageSwitch } from "../views/partials.js";
+
+const router = express.Router();
+
+// Fahrer-Seiten: groß und handytauglich wie die Scan-Seite, in der Sprache des Geräts
+function driverPage(req, title, body, options = {}) {
+  return page(title, html`${body}${languageSwitch(req)}`, { kind: "mobile", width: 420, lang: req.locale, ...options });
+}
+
+async function signInDevice(res, driver) {
+  const { token, expiresAt } = await createDriverDevice(driver.id);
+  res.append("Set-Cookie", cookieHeader(DRIVER_COOKIE, token, new Date(expiresAt) - Date.now()));
+}
+
+// Ausweise gelten an allen Standorten – QR zeigt auf die Adresse des Standard-Standorts
+function badgeUrl(driver) {
+  const base = siteBaseUrl(defaultSite());
+  const query = new URLSearchParams({ v: driver.badgeVersion, ...signBadgeToken(driver.id, driver.badgeVersion) });
+  return `${base}/driver/badge/${driver.id}?${query}`;
+}
+
+/* =========================
+   PIN-Versuche begrenzen (je Gerät + IP, im Speicher)
+   ========================= */
+
+// Im Lager-WLAN teilen sich viele Handys eine IP: gesperrt wird das Gerät (Zufalls-Cookie) an
+// dieser IP, die IP selbst erst bei deutlich mehr Fehlversuchen (auch Geräte ohne Cookie).
+// req.ip ist hinter einem Reverse-Proxy nur mit TRUST_PROXY die Client-IP (siehe app.js).
+const PIN_MAX_FAILURES = 5;
+const PIN_MAX_FAILURES_PER_IP = 25;
+const PIN_LOCK_MS = 10 * 60 * 1000;
+const PIN_DEVICE_COOKIE = "lager_pin_device";
+const PIN_DEVICE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const pinFailures = new Map(); // ip bzw. "ip|gerät" -> { count, since }
+
+// Geräte-Kennung aus dem Cookie, sonst neu vergeben
+function pinDevice(req, res) {
+  const existing = readCookie(req, PIN_DEVICE_COOKIE);
+  if (existing && /^[\w-]{16,64}$/.test(existing)) return existing;
+  const device = crypto.randomBytes(16).toString("base64url");
+  res.append("Set-Cookie", cookieHeader(PIN_DEVICE_COOKIE, device, PIN_DEVICE_MAX_AGE_MS));
+  return device;
+}
+
+const pinDeviceKey = (ip, device) => `${ip}|${device}`;
+
+// Abgelaufene Sperren entfernen, damit die Map nicht mit jeder IP wächst
+function prunePinFailures(now = Date.now()) {
+  for (const [key, f] of pinFailures) {
+    if (now - f.since > PIN_LOCK_MS) pinFailures.delete(key);
+  }
+}
+
+function pinLocked(ip, device) {
+  prunePinFailures();
+  return (pinFailures.get(ip)?.count || 0) >= PIN_MAX_FAILURES_PER_IP
+    || (pinFailures.get(pinDeviceKey(ip, device))?.count || 0) >= PIN_MAX_FAILURES;
+}
+
+function notePinFailure(ip, device) {
+  for (const key of [ip, pinDeviceKey(ip, device)]) {
+    const f = pinFailures.get(key) || { count: 0, since: Date.now() };
+    f.count += 1;
+    pinFailures.set(key, f);
+  }
+}
+
+/* =========================
+   Fahrer-Anmeldung (öffentlich)
+   ========================= */
+
+function pinForm(t, next, error = "") {
+  return html`
+    <h1>${t("driver.loginHeading")}</h1>
+    ${error && html`<p class="error">${error}</p>`}
+    <form method="POST" action="/driver/login">
+      <input type="hidden" name="next" value="${next}" />
+      <p><input class="pin" required name="pin" inputmode="numeric" pattern="[0-9]{4,8}" autocomplete="off" autofocus placeholder="${t("driver.pin")}" /></p>
+      <button type="submit">${t("driver.submit")}</button>
+    </form>
+    <p class="hint">${t.html("driver.loginHint")}</p>
+  `;
+}
+
+router.get("/driver", (req, res) => {
+  const { t } = req;
+  const next = req.query.next ? safeNext(req.query.next) : "";
+  if (req.driver) {
+    return res.type("html").send(driverPage(req, t("driver.title"), html`
+      <h1>🚚 ${req.driver.name}</h1>
+      <p>${t("driver.signedIn")}</p>
+      ${next && html`<p><a href="${next}">${t("driver.next")}</a></p>`}
+      <p><a href="/scanner">${t("driver.scanner")}</a></p>
+      <form method="POST" action="/driver/logout"><button type="submit">${t("common.logout")}</button></form>
+    `));
+  }
+  pinDevice(req, res);
+  res.type("html").send(driverPage(req, t("driver.loginTitle"), pinForm(t, next)));
+});
+
+router.post("/driver/login", async (req, res) => {
+  const { t } = req;
+  const next = req.body.next ? safeNext(req.body.next) : "";
+  try {
+    const device = pinDevice(req, res);
+    if (pinLocked(req.ip, device)) {
+      return res.status(429).type("html").send(driverPage(req, t("driver.loginTitle"),
+        pinForm(t, next, t("driver.locked"))));
+    }
+
+    const driver = await findDriverByPin(req.body.pin);
+    if (!driver) {
+      notePinFailure(req.ip, device);
+      return res.status(401).type("html").send(driverPage(req, t("driver.loginTitle"), pinForm(t, next, t("driver.unknownPin"))));
+    }
+
+    // Nur die Sperre dieses Geräts aufheben – die IP-Zählung läuft weiter
+    pinFailures.delete(pinDeviceKey(req.ip, device));
+    await signInDevice(res, driver);
+    res.redirect(next || "/driver");
+  } catch (e) {
+    console.error("Fahrer-Anmeldung Fehler:", e.message);
+    res.status(500).send(t("driver.error"));
+  }
+});
+
+// Ausweis-QR: /driver/badge/:id?v=<Version>&k=<Schlüssel-ID>&sig=<HMAC> (k wie bei den Paletten-Links)
+router.get("/driver/badge/:id", async (req, res) => {
+  const { t } = req;
+  try {
+    const driver = await getDriver(req.params.id);
+    const version = parseInt(req.query.v, 10);
+    const valid = driver && driver.active && driver.badgeVersion === version
+      && verifyBadgeToken(driver.id, version, {
+        k: typeof req.query.k === "string" ? req.query.k : undefined,
+        sig: typeof req.query.sig === "string" ? req.query.sig : undefined,
+      });
+    if (!valid) {
+      return res.status(403).type("html").send(driverPage(req, t("driver.badgeInvalidTitle"), html`
+        <h1>${t("driver.badgeInvalidHeading")}</h1>
+        <p>${t("driver.badgeInvalid")}</p>
+        <p><a href="/driver">${t("driverRequired.pin")}</a></p>
+      `, { tone: "error" }));
+    }
+
+    await signInDevice(res, driver);
+    res.type("html").send(driverPage(req, t("driver.badgeTitle"), html`
+      <h1>${t("driver.badgeHeading", { name: driver.name })}</h1>
+      <p>${t("driver.badgeNext")}</p>
+      ${closeButton(t)}
+    `));
+  } catch (e) {
+    console.error("Fahrerausweis Fehler:", e.message);
+    res.status(500).send(t("driver.error"));
+  }
+});
+
+router.post("/driver/logout", async (req, res) => {
+  try {
+    await deleteDriverDevice(readCookie(req, DRIVER_COOKIE));
+  } catch (e) {
+    console.error("Fahrer-Abmeldung Fehler:", e.message);
+  }
+  res.append("Set-Cookie", cookieHeader(DRIVER_COOKIE, "", 0));
+  res.redirect("/driver");
+});
+
+/* =========================
+   Fahrer verwalten (Schichtleitung)
+   ========================= */
+
+function modeOptions(selected) {
+  return Object.entries(DRIVER_MODES).map(([k, text]) =>
+    html`<option value="${k}"${selected === k && " selected"}>${text}</option>`
+  );
+}
+
+router.get("/admin/drivers", async (req, res) => {
+  try {
+    const [drivers, settings] = await Promise.all([listDrivers(), listDriverSettings()]);
+    const errors = [].concat(req.query.error || []);
+
+    const rows = drivers.map(d => html`
+      <tr>
+        <td>${d.name}<div class="muted">#${d.id}</div></td>
+        <td>${d.hasPin ? "ja" : "–"}</td>
+        <td>${d.active ? "aktiv" : "gesperrt"}</td>
+        <td>
+          <form class="inline" method="POST" action="/admin/drivers/${d.id}">
+            <input name="name" value="${d.name}" size="16" />
+            <input name="pin" inputmode="numeric" pattern="[0-9]{4,8}" placeholder="neue PIN" size="8" />
+            <select name="active">
+              <option value="true"${d.active ? " selected" : ""}>aktiv</option>
+              <option value="false"${d.active ? "" : " selected"}>gesperrt</option>
+            </select>
+            <button type="submit">Speichern</button>
+          </form>
+        </td>
+        <td>
+          <a href="/admin/drivers/${d.id}/badge" target="_blank">Ausweis</a>
+          <form class="inline" method="POST" action="/admin/drivers/${d.id}/badge">
+            <button type="submit" title="Alte Ausweise werden ungültig">Neuer Ausweis</button>
+          </form>
+        </td>
+      </tr>
+    `);
+
+    const settingRows = settings.map(s => html`
+      <tr>
+        <td>${s.project}</td>
+        <td>${DRIVER_MODES[s.mode]}</td>
+        <td class="muted">${s.updatedBy}</td>
+        <td>
+          <form class="inline" method="POST" action="/admin/drivers/settings/${encodeURIComponent(s.project)}/delete">
+            <button type="submit">Entfernen</button>
+          </form>
+        </td>
+      </tr>
+    `);
+
+    res.type("html").send(page("Fahrer", html`
+      <h1>🚚 Fahrer</h1>
+      ${errorList(errors)}
+      <table>
+        <thead><tr><th>Fahrer</th><th>PIN</th><th>Status</th><th>Ändern</th><th></th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="5">Noch keine Fahrer angelegt.</td></tr>`}</tbody>
+      </table>
+      <h2>Fahrer anlegen</h2>
+      <form method="POST" action="/admin/drivers">
+        <input required name="name" placeholder="Name" />
+        <input name="pin" inputmode="numeric" pattern="[0-9]{4,8}" placeholder="PIN (4–8 Ziffern)" />
+        <button type="submit">Anlegen</button>
+      </form>
+
+      <h2>Fahrer-Anmeldung je Projekt</h2>
+      <p class="muted">
+        Standard ohne Eintrag: <b>${DRIVER_MODES[defaultDriverMode()]}</b> (DRIVER_ID_MODE).
+        „markieren“ = Buchung ohne Fahrer erlaubt, im Scan-Journal markiert; „Pflicht“ = Buchung ohne Fahrer abgelehnt.
+      </p>
+      <table>
+        <thead><tr><th>Projekt</th><th>Fahrer-Anmeldung</th><th>Geändert von</th><th></th></tr></thead>
+        <tbody>${settingRows.length ? settingRows : html`<tr><td colspan="4">Keine Projekt-Einstellungen.</td></tr>`}</tbody>
+      </table>
+      <form method="POST" action="/admin/drivers/settings" style="margin-top:10px;">
+        <input required name="project" placeholder="Projekt, z. B. BEFR0124" />
+        <select name="mode">${modeOptions("require")}</select>
+        <button type="submit">Speichern</button>
+      </form>
+      <p><a href="/admin/scan-log">Scan-Journal</a> · <a href="/">Zum Formular</a></p>
+    `));
+  } catch (e) {
+    console.error("Fahrer-Seite Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden der Fahrer.");
+  }
+});
+
+function backWithErrors(res, errors) {
+  const qs = errors.map(e => `error=${encodeURIComponent(e)}`).join("&");
+  res.redirect(`/admin/drivers?${qs}`);
+}
+
+router.post("/admin/drivers", async (req, res) => {
+  try {
+    const { errors } = await saveDriver({ name: req.body.name, pin: req.body.pin }, req.user || null);
+    if (errors) return backWithErrors(res, errors);
+    res.redirect("/admin/drivers");
+  } catch (e) {
+    console.error("Fahrer anlegen Fehler:", e.message);
+    res.status(500).send("Fehler beim Anlegen des Fahrers.");
+  }
+});
+
+router.post("/admin/drivers/settings", async (req, res) => {
+  try {
+    const project = normalizeProject((req.body.project || "").trim());
+    if (!project) return backWithErrors(res, ["Projekt fehlt"]);
+    if (!DRIVER_MODES[req.body.mode]) return backWithErrors(res, ["Unbekannter Modus"]);
+    await setDriverMode(project, req.body.mode, req.user || null);
+    res.redirect("/admin/drivers");
+  } catch (e) {
+    console.error("Fahrer-Einstellung Fehler:", e.message);
+    res.status(500).send("Fehler beim Speichern der Einstellung.");
+  }
+});
+
+router.post("/admin/drivers/settings/:project/delete", async (req, res) => {
+  try {
+    await deleteDriverMode(req.params.project);
+    res.redirect("/admin/drivers");
+  } catch (e) {
+    console.error("Fahrer-Einstellung löschen Fehler:", e.message);
+    res.status(500).send("Fehler beim Löschen der Einstellung.");
+  }
+});
+
+router.post("/admin/drivers/:id", async (req, res) => {
+  try {
+    const { errors } = await saveDriver({
+      id: req.params.id,
+      name: req.body.name,
+      pin: req.body.pin,
+      active: req.body.active,
+    });
+    if (errors) return backWithErrors(res, errors);
+    res.redirect("/admin/drivers");
+  } catch (e) {
+    console.error("Fahrer speichern Fehler:", e.message);
+    res.status(500).send("Fehler beim Speichern des Fahrers.");
+  }
+});
+
+router.post("/admin/drivers/:id/badge", async (req, res) => {
+  try {
+    const driver = await getDriver(req.params.id);
+    if (!driver) return res.status(404).send("Fahrer nicht gefunden.");
+    await renewDriverBadge(driver.id);
+    res.redirect(`/admin/drivers/${driver.id}/badge`);
+  } catch (e) {
+    console.error("Neuer Ausweis Fehler:", e.message);
+    res.status(500).send("Fehler beim Erneuern des Ausweises.");
+  }
+});
+
+// Druckbarer Ausweis (Scheckkarte) mit Anmelde-QR
+router.get("/admin/drivers/:id/badge", async (req, res) => {
+  try {
+    const driver = await getDriver(req.params.id);
+    if (!driver) return res.status(404).send("Fahrer nicht gefunden.");
+    const qr = await QRCode.toDataURL(badgeUrl(driver), { margin: 1, width: 300 });
+
+    res.type("html").send(page(`Fahrerausweis ${driver.name}`, html`
+      <div class="badge-card">
+        <img src="${qr}" alt="QR" />
+        <div>
+          <div class="muted">Fahrerausweis</div>
+          <div class="name">${driver.name}</div>
+          <div class="muted">Zu Schichtbeginn scannen</div>
+        </div>
+      </div>
+      <p class="noprint"><button onclick="window.print()">Drucken</button> <a href="/admin/drivers">Zurück</a></p>
+    `, { kind: "print", box: false, bodyClass: "badge" }));
+  } catch (e) {
+    console.error("Fahrerausweis Fehler:", e.message);
+    res.status(500).send("Fehler beim Erzeugen des Ausweises.");
+  }
+});
+
+export default router;
@@ -0,0 +1,23 @@
+// src/drivers/identify.js
+import { readCookie } from "../auth/middleware.js";
+import { getDeviceDriver } from "./store.js";
+
+export const DRIVER_COOKIE = "lager_driver";
+
+/**
+ * Setzt req.driver ({ id, name }), wenn das Gerät für die Schicht angemeldet ist.
+ * Nur für Fahrer-Seiten (Scan, Scanner, Complete, Anmeldung).
+ */
+export function identifyDriver() {
+  return async (req, _res, next) => {
+    if (!/^\/(scan|scanner|complete|driver|api\/v1\/pallets)(\/|$)/.test(req.path)) return next();
+    try {
+      req.driver = await getDeviceDriver(readCookie(req, DRIVER_COOKIE));
+    } catch (e) {
+      // Ohne Fahrer weiter – ob das reicht, entscheidet der Modus des Projekts
+      console.warn("Fahrer-Gerät konnte nicht geprüft werden:", e.message);
+      req.driver = null;
+    }
+    next();
+  };
+}
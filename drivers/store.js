@@ -0,0 +1,186 @@
+// src/drivers/store.js
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+/*
+ * Fahrer melden sich einmal je Schicht am Handy an (PIN oder Ausweis-QR).
+ * Das Gerät bekommt ein Cookie; Buchungen werden dem Fahrer zugeordnet.
+ * Je Projekt (Kommission) einstellbar, ob das Pflicht ist:
+ *   off     – keine Prüfung
+ *   flag    – Buchung ohne Fahrer erlaubt, im Journal markiert
+ *   require – Buchung ohne Fahrer abgelehnt
+ */
+export const DRIVER_MODES = {
+  off: "aus",
+  flag: "markieren",
+  require: "Pflicht",
+};
+
+export const PIN_PATTERN = /^\d{4,8}$/;
+
+function shiftHours() {
+  const n = parseInt(process.env.DRIVER_SHIFT_HOURS, 10);
+  return Number.isFinite(n) && n > 0 ? n : 12;
+}
+
+// Standard für Projekte ohne eigene Einstellung (DRIVER_ID_MODE)
+export function defaultDriverMode() {
+  const m = String(process.env.DRIVER_ID_MODE || "off").trim().toLowerCase();
+  return DRIVER_MODES[m] ? m : "off";
+}
+
+// PINs sind kurz und müssen eindeutig sein → HMAC statt Salt, damit per PIN gesucht werden kann
+const pinHash = (pin) =>
+  crypto.createHmac("sha256", process.env.SIGNING_SECRET).update(`driver-pin:${pin}`).digest("hex");
+
+const tokenHash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const DRIVER_COLUMNS = `id, name, pin_hash is not null as "hasPin", badge_version as "badgeVersion",
+  active, created_at as "createdAt", created_by as "createdBy"`;
+
+/* =========================
+   Fahrer
+   ========================= */
+
+export async function listDrivers() {
+  const res = await pool.query(`select ${DRIVER_COLUMNS} from drivers order by active desc, name`);
+  return res.rows;
+}
+
+export async function getDriver(id) {
+  if (!/^\d+$/.test(String(id))) return null;
+  const res = await pool.query(`select ${DRIVER_COLUMNS} from drivers where id = $1`, [id]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Fahrer anlegen (ohne id) oder ändern. pin leer = unverändert.
+ * Gibt { driver } oder { errors } zurück.
+ */
+export async function saveDriver({ id = null, name, pin, active = true }, createdBy = null) {
+  const errors = [];
+  const cleanName = String(name || "").trim().replace(/\s+/g, " ");
+  const cleanPin = String(pin || "").trim();
+  const isActive = active !== false && active !== "false";
+
+  if (!cleanName) errors.push("Name fehlt");
+  if (cleanName.length > 80) errors.push("Name darf höchstens 80 Zeichen haben");
+  if (cleanPin && !PIN_PATTERN.test(cleanPin)) errors.push("PIN: 4–8 Ziffern");
+  if (cleanPin) {
+    const taken = await pool.query("select id from drivers where pin_hash = $1 and id is distinct from $2", [
+      pinHash(cleanPin),
+      id,
+    ]);
+    if (taken.rowCount > 0) errors.push("Diese PIN ist schon vergeben");
+  }
+  if (id && !(await getDriver(id))) errors.push("Fahrer nicht gefunden");
+  if (errors.length > 0) return { errors };
+
+  let driverId = id;
+  if (!id) {
+    const res = await pool.query(
+      "insert into drivers (name, pin_hash, active, created_by) values ($1, $2, $3, $4) returning id",
+      [cleanName, cleanPin ? pinHash(cleanPin) : null, isActive, createdBy]
+    );
+    driverId = res.rows[0].id;
+  } else {
+    await pool.query(
+      `update drivers set name = $2, pin_hash = coalesce($3, pin_hash), active = $4 where id = $1`,
+      [id, cleanName, cleanPin ? pinHash(cleanPin) : null, isActive]
+    );
+    if (!isActive || cleanPin) await endDriverDevices(id);
+  }
+  return { driver: await getDriver(driverId) };
+}
+
+/**
+ * Neuer Ausweis: alte Ausweis-QRs werden ungültig, angemeldete Geräte abgemeldet.
+ */
+export async function renewDriverBadge(id) {
+  await pool.query("update drivers set badge_version = badge_version + 1 where id = $1", [id]);
+  await endDriverDevices(id);
+  return getDriver(id);
+}
+
+export async function findDriverByPin(pin) {
+  const clean = String(pin || "").trim();
+  if (!PIN_PATTERN.test(clean)) return null;
+  const res = await pool.query(`select ${DRIVER_COLUMNS} from drivers where pin_hash = $1 and active`, [pinHash(clean)]);
+  return res.rows[0] || null;
+}
+
+/* =========================
+   Geräte (Cookie je Schicht)
+   ========================= */
+
+/**
+ * Gerät für eine Schicht dem Fahrer zuordnen; nur der SHA-256 des Tokens wird gespeichert.
+ */
+export async function createDriverDevice(driverId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const res = await pool.query(
+    `insert into driver_devices (token_hash, driver_id, expires_at)
+     values ($1, $2, now() + make_interval(hours => $3))
+     returning expires_at`,
+    [tokenHash(token), driverId, shiftHours()]
+  );
+  return { token, expiresAt: res.rows[0].expires_at };
+}
+
+export async function getDeviceDriver(token) {
+  if (!token) return null;
+  const res = await pool.query(
+    `select d.id, d.name
+       from driver_devices g join drivers d on d.id = g.driver_id
+      where g.token_hash = $1 and g.expires_at > now() and d.active`,
+    [tokenHash(token)]
+  );
+  return res.rows[0] || null;
+}
+
+export async function deleteDriverDevice(token) {
+  if (!token) return;
+  await pool.query("delete from driver_devices where token_hash = $1", [tokenHash(token)]);
+}
+
+async function endDriverDevices(driverId) {
+  await pool.query("delete from driver_devices where driver_id = $1", [driverId]);
+}
+
+export async function deleteExpiredDriverDevices() {
+  const res = await pool.query("delete from driver_devices where expires_at <= now()");
+  return res.rowCount;
+}
+
+/* =========================
+   Einstellung je Projekt
+   ========================= */
+
+export async function listDriverSettings() {
+  const res = await pool.query(
+    `select project, mode, updated_at as "updatedAt", updated_by as "updatedBy"
+       from driver_settings order by project`
+  );
+  return res.rows;
+}
+
+/**
+ * Modus für ein Projekt (Kommissions-Label); ohne Eintrag gilt DRIVER_ID_MODE.
+ */
+export async function getDriverMode(project) {
+  if (!project) return defaultDriverMode();
+  const res = await pool.query("select mode from driver_settings where project = $1", [project]);
+  return res.rows[0]?.mode || defaultDriverMode();
+}
+
+export async function setDriverMode(project, mode, updatedBy = null) {
+  await pool.query(
+    `insert into driver_settings (project, mode, updated_by) values ($1, $2, $3)
+     on conflict (project) do update set mode = excluded.mode, updated_at = now(), updated_by = excluded.updated_by`,
+    [project, mode, updatedBy]
+  );
+}
+
+export async function deleteDriverMode(project) {
+  await pool.query("delete from driver_settings where project = $1", [project]);
+}
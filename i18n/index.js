@@ -0,0 +1,107 @@
+// src/i18n/index.js
+import { readCookie, cookieHeader } from "../auth/middleware.js";
+import { raw, escapeHtml } from "../views/html.js";
+import de from "./messages/de.js";
+import en from "./messages/en.js";
+import pl from "./messages/pl.js";
+import ro from "./messages/ro.js";
+import tr from "./messages/tr.js";
+
+/*
+ * Übersetzungen für Fahrer-Seiten (Scan, Ladeliste, Anmeldung) und die Büro-Seiten / und /av.
+ * Sprache: ?lang=… (wird als Cookie gemerkt) > Cookie > Accept-Language > Deutsch.
+ * Fehlende Texte einer Sprache fallen auf Deutsch zurück.
+ */
+
+export const LOCALES = {
+  de: { name: "Deutsch", intl: "de-DE", messages: de },
+  en: { name: "English", intl: "en-GB", messages: en },
+  pl: { name: "Polski", intl: "pl-PL", messages: pl },
+  ro: { name: "Română", intl: "ro-RO", messages: ro },
+  tr: { name: "Türkçe", intl: "tr-TR", messages: tr },
+};
+
+export const DEFAULT_LOCALE = "de";
+export const LANG_COOKIE = "lager_lang";
+const LANG_COOKIE_MS = 365 * 24 * 60 * 60 * 1000;
+
+export function isLocale(code) {
+  return typeof code === "string" && Object.hasOwn(LOCALES, code);
+}
+
+/**
+ * Sprach-Tags aus Accept-Language, nach q-Wert sortiert ("pl-PL,pl;q=0.9,en;q=0.5" → ["pl-pl", "pl", "en"]).
+ */
+export function parseAcceptLanguage(header) {
+  return String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter((l) => l.tag && l.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map((l) => l.tag);
+}
+
+export function detectLocale(req) {
+  const chosen = [req.query?.lang, readCookie(req, LANG_COOKIE)].find(isLocale);
+  if (chosen) return chosen;
+  for (const tag of parseAcceptLanguage(req.get("Accept-Language"))) {
+    const base = tag.split("-")[0];
+    if (isLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/* =========================
+   Texte
+   ========================= */
+
+// Texte mit Mehrzahl sind Objekte { one, few, many, other } (Intl.PluralRules, Polnisch braucht few/many)
+function lookup(code, key, vars) {
+  const message = LOCALES[code].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  if (typeof message === "string") return message;
+  const form = new Intl.PluralRules(LOCALES[code].intl).select(Number(vars.count));
+  return message[form] ?? message.other;
+}
+
+function interpolate(message, vars, escape) {
+  return message.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : escape(vars[name])));
+}
+
+const translators = new Map();
+
+/**
+ * Übersetzer für eine Sprache:
+ *   t("scan.yes")                        – Text
+ *   t("avList.progress", { loaded, total }) – mit Platzhaltern {name}
+ *   t.html("scan.openCount", { count })  – Text mit eigenem Markup (<b>), Werte escaped
+ *   t.locale / t.intl                    – "pl" / "pl-PL" (für Datum und Zahlen)
+ */
+export function translator(locale = DEFAULT_LOCALE) {
+  const code = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  if (!translators.has(code)) {
+    const t = (key, vars = {}) => interpolate(lookup(code, key, vars), vars, String);
+    t.html = (key, vars = {}) => raw(interpolate(lookup(code, key, vars), vars, escapeHtml));
+    t.locale = code;
+    t.intl = LOCALES[code].intl;
+    translators.set(code, t);
+  }
+  return translators.get(code);
+}
+
+/**
+ * Setzt req.locale und req.t. ?lang=… wählt die Sprache von Hand und bleibt als Cookie gespeichert.
+ */
+export function i18n() {
+  return (req, res, next) => {
+    req.locale = detectLocale(req);
+    req.t = translator(req.locale);
+    if (isLocale(req.query.lang)) {
+      res.append("Set-Cookie", cookieHeader(LANG_COOKIE, req.query.lang, LANG_COOKIE_MS));
+    }
+    next();
+  };
+}
@@ -0,0 +1,206 @@
+// src/i18n/messages/de.js – Ausgangssprache; fehlende Texte anderer Sprachen kommen von hier
+export default {
+  "common.close": "Fenster schließen",
+  "common.language": "Sprache",
+  "common.prio": "Prio {n}",
+  "common.logout": "Abmelden",
+
+  /* Palette ansehen / ausbuchen (/scan, /complete) */
+  "scan.title": "Ware ausbuchen?",
+  "scan.pallet": "Palette {index}/{count}",
+  "scan.commission": "Kommission",
+  "scan.openCount": {
+    one: "noch offen: <b>{count}</b> Palette (inkl. dieser)",
+    other: "noch offen: <b>{count}</b> Paletten (inkl. dieser)",
+  },
+  "scan.todoistChecked": "⚠️ Die Aufgabe ist in Todoist bereits erledigt.",
+  "scan.todoistDown": "Todoist ist gerade nicht erreichbar – Angaben aus dem Label-Auftrag.",
+  "scan.weight": "Gewicht",
+  "scan.dimensions": "Maße",
+  "scan.parts": "Teile",
+  "scan.destination": "Ziel",
+  "scan.driver": "Fahrer: <b>{name}</b>",
+  "scan.notYou": "nicht du?",
+  "scan.unidentified": "Nicht als Fahrer angemeldet – die Buchung wird markiert.",
+  "scan.login": "Anmelden",
+  "scan.checkHint": "Bitte prüfen, ob das die richtige Palette ist.",
+  "scan.yes": "Ja",
+  "scan.no": "Nein",
+  "scan.cancelledTitle": "Abgebrochen",
+  "scan.cancelled": "Abgebrochen – Palette wurde nicht ausgebucht.",
+  "complete.fallback": "Falls das nicht geht: Tab schließen oder Zurück.",
+
+  "booked.pageTitle": "Ausbuchung",
+  "booked.title": "✅ Ware erfolgreich ausgebucht",
+  "booked.pending": "Todoist ist gerade nicht erreichbar – die Aufgabe wird automatisch nachgetragen.",
+  "booked.taskDone": "Die Aufgabe wurde erledigt.",
+  "booked.noLabel": "<b>Hinweis:</b> Kommissions-Label konnte nicht ermittelt werden, daher keine Restliste.",
+  "booked.allLoaded": "Alle Paletten der Kommission wurden verladen.",
+  "booked.remaining": "Weitere Paletten zu dieser Kommission",
+  "booked.sorting": "Sortierung: Priorität (hoch→niedrig), dann alphabetisch",
+
+  "already.pageTitle": "Bereits ausgebucht",
+  "already.title": "ℹ️ Palette bereits ausgebucht",
+  "already.text": "Diese Palette wurde am <b>{date}</b> ausgebucht.",
+  "already.undo": "Ausbuchung stornieren",
+  "already.undoHint": "(nur Schichtleitung)",
+
+  "notLoaded.text": "<b>Nicht verladen</b> – bitte Schichtleitung informieren.",
+  "missing.pageTitle": "Palette nicht gefunden",
+  "missing.title": "❌ Palette nicht gefunden",
+  "missing.taskId": "Aufgaben-ID",
+  "expired.title": "⌛ QR-Code abgelaufen",
+  "revoked.title": "⛔ Label gesperrt",
+  "revoked.reason": "Dieses Label wurde gesperrt: {reason}",
+
+  "driverRequired.title": "Fahrer-Anmeldung nötig",
+  "driverRequired.text": "Für dieses Projekt dürfen nur angemeldete Fahrer Paletten ausbuchen.",
+  "driverRequired.notBooked": "Palette wurde nicht ausgebucht.",
+  "driverRequired.pin": "Mit PIN anmelden",
+  "driverRequired.badge": "Oder den Fahrerausweis scannen und das Label erneut scannen.",
+
+  // Codes aus pallets/service.js (ERRORS)
+  "errors.invalid_signature": "Ungültige Signatur.",
+  "errors.qr_expired": "Dieses Label ist nicht mehr gültig.",
+  "errors.qr_revoked": "Dieses Label wurde gesperrt.",
+  "errors.driver_required": "Für dieses Projekt bitte zuerst als Fahrer anmelden.",
+  "errors.pallet_not_found": "Zu diesem Label gibt es keine Aufgabe mehr (gelöscht oder falsches Label).",
+  "errors.commission_not_found": "Keine Paletten zu dieser Kommission gefunden.",
+  "errors.already_booked": "Palette ist bereits ausgebucht.",
+  "errors.backend_unavailable": "Todoist ist gerade nicht erreichbar.",
+  "errors.complete": "Fehler beim Schließen der Aufgabe.",
+  "errors.scan": "Fehler beim Laden der Scan-Seite.",
+  "errors.scanAnswer": "Fehler beim Verarbeiten der Scan-Antwort.",
+
+  /* Dauer-Scanner (/scanner) */
+  "scanner.title": "Scanner – Verladung",
+  "scanner.heading": "🚚 Scanner – Verladung",
+  "scanner.switchDriver": "wechseln",
+  "scanner.noDriver": "Nicht als Fahrer angemeldet",
+  "scanner.orBadge": "oder Ausweis scannen",
+  "scanner.start": "Kamera starten",
+  "scanner.intro": "Kamera starten und Labels scannen",
+  "scanner.introHint": "Jedes erkannte Label wird sofort ausgebucht.",
+  "scanner.clear": "Liste leeren",
+  "scanner.clearConfirm": "Liste dieser Sitzung leeren? (Buchungen bleiben bestehen)",
+  "scanner.summary": "In dieser Sitzung verladen: {count}",
+  "scanner.reloading": "Seite wird neu geladen …",
+  "scanner.offline": "📡 Keine Verbindung",
+  "scanner.offlineText": "Palette wurde nicht gebucht – bitte erneut scannen.",
+  "scanner.booked": "✅ Ausgebucht",
+  "scanner.open": "noch offen: {count}",
+  "scanner.noDriverNote": "ohne Fahrer",
+  "scanner.alreadyNote": "bereits ausgebucht",
+  "scanner.notBooked": "❌ Nicht verladen",
+  "scanner.unknownError": "Unbekannter Fehler.",
+  "scanner.unknownCode": "❓ Unbekannter QR-Code",
+  "scanner.unknownCodeText": "Kein Paletten-Label dieser App.",
+  "scanner.ready": "Bereit",
+  "scanner.readyText": "Label in den Rahmen halten.",
+  "scanner.noCamera": "📷 Keine Kamera",
+  "scanner.noCameraText": "Kamera-Zugriff erlauben (nur über HTTPS möglich).",
+
+  /* Paletten-Daten auf Scan-Seite und Ladeliste */
+  "meta.parts": {
+    one: "{count} Teil",
+    other: "{count} Teile",
+  },
+  "meta.destination": "Ziel: {destination}",
+
+  /* Ladeliste (/av/list/:id) */
+  "avList.title": "Ladeliste",
+  "avList.heading": "🚚 Ladeliste",
+  "avList.notFound": "❌ Ladeliste nicht gefunden",
+  "avList.invalid": "Ungültige ID oder Liste abgelaufen.",
+  "avList.commission": "Kommission",
+  "avList.created": "Erstellt",
+  "avList.positions": "Positionen",
+  "avList.weight": "Gewicht: {total} kg gesamt · {open} kg offen",
+  "avList.weightMissing": {
+    one: "{count} Palette ohne Gewicht",
+    other: "{count} Paletten ohne Gewicht",
+  },
+  "avList.progress": "{loaded}/{total} verladen",
+  "avList.updated": "Aktualisiert: {time} · automatische Aktualisierung alle 30 s",
+  "avList.prio": "Prio",
+  "avList.pallet": "Palette",
+  "avList.status": "Status",
+  "avList.loaded": "✅ verladen",
+  "avList.open": "offen",
+  "avList.empty": "Keine Paletten gefunden.",
+  "avList.error": "Fehler beim Laden der Ladeliste.",
+
+  /* Fahrer-Anmeldung (/driver) */
+  "driver.title": "Fahrer",
+  "driver.loginTitle": "Fahrer anmelden",
+  "driver.loginHeading": "🚚 Fahrer anmelden",
+  "driver.pin": "PIN",
+  "driver.submit": "Anmelden",
+  "driver.loginHint": "Oder den QR-Code auf dem Fahrerausweis scannen.<br>Die Anmeldung gilt für diese Schicht auf diesem Gerät.",
+  "driver.signedIn": "Dieses Gerät ist für die Schicht angemeldet.",
+  "driver.next": "Weiter zur Palette",
+  "driver.scanner": "Zum Scanner (Dauer-Scan)",
+  "driver.locked": "Zu viele falsche PINs – bitte 10 Minuten warten oder Ausweis scannen.",
+  "driver.unknownPin": "PIN unbekannt.",
+  "driver.error": "Fehler bei der Fahrer-Anmeldung.",
+  "driver.badgeInvalidTitle": "Ausweis ungültig",
+  "driver.badgeInvalidHeading": "❌ Ausweis ungültig",
+  "driver.badgeInvalid": "Dieser Fahrerausweis ist nicht (mehr) gültig. Bitte Schichtleitung informieren.",
+  "driver.badgeTitle": "Fahrer angemeldet",
+  "driver.badgeHeading": "✅ Angemeldet: {name}",
+  "driver.badgeNext": "Jetzt die Paletten-Labels scannen.",
+
+  /* Label-Formular (/) */
+  "labels.title": "Paletten-Labels erzeugen",
+  "labels.project": "Projekt",
+  "labels.drawing": "Zeichnungsnummer",
+  "labels.count": "Anzahl Paletten",
+  "labels.example": "z. B. {value}",
+  "labels.packer": "Gepackt von",
+  "labels.packerOptional": "Gepackt von (Kürzel, optional)",
+  "labels.meta": "Paletten-Daten (optional)",
+  "labels.weight": "Bruttogewicht (kg)",
+  "labels.dimensions": "Maße L × B × H (cm)",
+  "labels.parts": "Teile",
+  "labels.destination": "Ziel / Baustelle",
+  "labels.perPallet": "Je Palette unterschiedlich",
+  "labels.perPalletColumns": "Palette,kg,L,B,H,Teile,Ziel",
+  "labels.site": "Standort",
+  "labels.layout": "Layout",
+  "labels.qrExpires": "QR gültig bis (optional)",
+  "labels.output": "Ausgabe",
+  "labels.pdf": "PDF herunterladen",
+  "labels.submit": "Labels erzeugen",
+  "labels.hint": "Für jede Palette wird eine Todoist-Aufgabe erzeugt und ein QR eingebettet.<br>QR-Scan → Aufgabe wird automatisch erledigt.",
+  "nav.batch": "Batch: mehrere Zeichnungen",
+  "nav.import": "Packliste importieren",
+  "nav.jobs": "Nachdruck",
+  "nav.layouts": "Layouts",
+  "nav.printers": "Drucker",
+  "nav.av": "AV – Ladeliste",
+  "nav.dashboard": "Kommissionen",
+  "nav.scanLog": "Scan-Journal",
+  "nav.sync": "Todoist-Sync",
+  "nav.drivers": "Fahrer",
+  "nav.users": "Benutzer",
+
+  /* Ladeliste erstellen (/av) */
+  "av.title": "AV – Ladeliste",
+  "av.heading": "AV – Ladeliste erstellen",
+  "av.site": "Standort",
+  "av.commission": "Kommission (Label)",
+  "av.choose": "– bitte wählen –",
+  "av.create": "Ladeliste erstellen",
+  "av.link": "Link für Logistiker / Fahrer",
+  "av.copy": "Link kopieren",
+  "av.tip": "Tipp: Link kopieren und an den Logistiker schicken oder per WhatsApp teilen.",
+  "av.qr": "QR-Code zum Scannen",
+  "av.print": "Drucken",
+  "av.printTitle": "Ladeliste",
+  "av.printCommission": "Kommission",
+  "av.printDate": "Datum",
+  "av.labelsFailed": "Fehler beim Laden der Labels: ",
+  "av.chooseAlert": "Bitte Kommission auswählen",
+  "av.createFailed": "Fehler beim Erstellen: ",
+  "av.copied": "Link kopiert",
+};
@@ -0,0 +1,198 @@
+// src/i18n/messages/en.js
+export default {
+  "common.close": "Close window",
+  "common.language": "Language",
+  "common.prio": "Prio {n}",
+  "common.logout": "Sign out",
+
+  "scan.title": "Book out goods?",
+  "scan.pallet": "Pallet {index}/{count}",
+  "scan.commission": "Consignment",
+  "scan.openCount": {
+    one: "still open: <b>{count}</b> pallet (including this one)",
+    other: "still open: <b>{count}</b> pallets (including this one)",
+  },
+  "scan.todoistChecked": "⚠️ This task is already completed in Todoist.",
+  "scan.todoistDown": "Todoist is currently unreachable – details taken from the label job.",
+  "scan.weight": "Weight",
+  "scan.dimensions": "Dimensions",
+  "scan.parts": "Parts",
+  "scan.destination": "Destination",
+  "scan.driver": "Driver: <b>{name}</b>",
+  "scan.notYou": "not you?",
+  "scan.unidentified": "Not signed in as a driver – the booking will be flagged.",
+  "scan.login": "Sign in",
+  "scan.checkHint": "Please check that this is the right pallet.",
+  "scan.yes": "Yes",
+  "scan.no": "No",
+  "scan.cancelledTitle": "Cancelled",
+  "scan.cancelled": "Cancelled – the pallet was not booked out.",
+  "complete.fallback": "If that does not work: close the tab or go back.",
+
+  "booked.pageTitle": "Booking",
+  "booked.title": "✅ Goods booked out",
+  "booked.pending": "Todoist is currently unreachable – the task will be updated automatically.",
+  "booked.taskDone": "The task has been completed.",
+  "booked.noLabel": "<b>Note:</b> the consignment label could not be determined, so there is no list of remaining pallets.",
+  "booked.allLoaded": "All pallets of this consignment have been loaded.",
+  "booked.remaining": "More pallets for this consignment",
+  "booked.sorting": "Sorted by priority (high→low), then alphabetically",
+
+  "already.pageTitle": "Already booked out",
+  "already.title": "ℹ️ Pallet already booked out",
+  "already.text": "This pallet was booked out on <b>{date}</b>.",
+  "already.undo": "Undo booking",
+  "already.undoHint": "(shift supervisor only)",
+
+  "notLoaded.text": "<b>Do not load</b> – please inform the shift supervisor.",
+  "missing.pageTitle": "Pallet not found",
+  "missing.title": "❌ Pallet not found",
+  "missing.taskId": "Task ID",
+  "expired.title": "⌛ QR code expired",
+  "revoked.title": "⛔ Label blocked",
+  "revoked.reason": "This label has been blocked: {reason}",
+
+  "driverRequired.title": "Driver sign-in required",
+  "driverRequired.text": "Only signed-in drivers may book out pallets for this project.",
+  "driverRequired.notBooked": "The pallet was not booked out.",
+  "driverRequired.pin": "Sign in with PIN",
+  "driverRequired.badge": "Or scan your driver badge and then scan the label again.",
+
+  "errors.invalid_signature": "Invalid signature.",
+  "errors.qr_expired": "This label is no longer valid.",
+  "errors.qr_revoked": "This label has been blocked.",
+  "errors.driver_required": "Please sign in as a driver first for this project.",
+  "errors.pallet_not_found": "There is no task for this label any more (deleted or wrong label).",
+  "errors.commission_not_found": "No pallets found for this consignment.",
+  "errors.already_booked": "The pallet is already booked out.",
+  "errors.backend_unavailable": "Todoist is currently unreachable.",
+  "errors.complete": "Error while completing the task.",
+  "errors.scan": "Error while loading the scan page.",
+  "errors.scanAnswer": "Error while processing the scan answer.",
+
+  "scanner.title": "Scanner – loading",
+  "scanner.heading": "🚚 Scanner – loading",
+  "scanner.switchDriver": "switch",
+  "scanner.noDriver": "Not signed in as driver",
+  "scanner.orBadge": "or scan your badge",
+  "scanner.start": "Start camera",
+  "scanner.intro": "Start the camera and scan labels",
+  "scanner.introHint": "Every recognised label is booked out immediately.",
+  "scanner.clear": "Clear list",
+  "scanner.clearConfirm": "Clear this session's list? (Bookings are kept)",
+  "scanner.summary": "Loaded in this session: {count}",
+  "scanner.reloading": "Reloading page …",
+  "scanner.offline": "📡 No connection",
+  "scanner.offlineText": "Pallet was not booked – please scan again.",
+  "scanner.booked": "✅ Booked out",
+  "scanner.open": "still open: {count}",
+  "scanner.noDriverNote": "no driver",
+  "scanner.alreadyNote": "already booked out",
+  "scanner.notBooked": "❌ Not loaded",
+  "scanner.unknownError": "Unknown error.",
+  "scanner.unknownCode": "❓ Unknown QR code",
+  "scanner.unknownCodeText": "Not a pallet label of this app.",
+  "scanner.ready": "Ready",
+  "scanner.readyText": "Hold the label inside the frame.",
+  "scanner.noCamera": "📷 No camera",
+  "scanner.noCameraText": "Allow camera access (only possible over HTTPS).",
+
+  "meta.parts": {
+    one: "{count} part",
+    other: "{count} parts",
+  },
+  "meta.destination": "Destination: {destination}",
+
+  "avList.title": "Loading list",
+  "avList.heading": "🚚 Loading list",
+  "avList.notFound": "❌ Loading list not found",
+  "avList.invalid": "Invalid ID or the list has expired.",
+  "avList.commission": "Consignment",
+  "avList.created": "Created",
+  "avList.positions": "Items",
+  "avList.weight": "Weight: {total} kg total · {open} kg open",
+  "avList.weightMissing": {
+    one: "{count} pallet without weight",
+    other: "{count} pallets without weight",
+  },
+  "avList.progress": "{loaded}/{total} loaded",
+  "avList.updated": "Updated: {time} · refreshes every 30 s",
+  "avList.prio": "Prio",
+  "avList.pallet": "Pallet",
+  "avList.status": "Status",
+  "avList.loaded": "✅ loaded",
+  "avList.open": "open",
+  "avList.empty": "No pallets found.",
+  "avList.error": "Error while loading the loading list.",
+
+  "driver.title": "Driver",
+  "driver.loginTitle": "Driver sign-in",
+  "driver.loginHeading": "🚚 Driver sign-in",
+  "driver.pin": "PIN",
+  "driver.submit": "Sign in",
+  "driver.loginHint": "Or scan the QR code on your driver badge.<br>The sign-in is valid for this shift on this device.",
+  "driver.signedIn": "This device is signed in for the shift.",
+  "driver.next": "Continue to the pallet",
+  "driver.scanner": "Open the scanner (continuous scan)",
+  "driver.locked": "Too many wrong PINs – please wait 10 minutes or scan your badge.",
+  "driver.unknownPin": "Unknown PIN.",
+  "driver.error": "Error during driver sign-in.",
+  "driver.badgeInvalidTitle": "Badge invalid",
+  "driver.badgeInvalidHeading": "❌ Badge invalid",
+  "driver.badgeInvalid": "This driver badge is not (or no longer) valid. Please inform the shift supervisor.",
+  "driver.badgeTitle": "Driver signed in",
+  "driver.badgeHeading": "✅ Signed in: {name}",
+  "driver.badgeNext": "Now scan the pallet labels.",
+
+  "labels.title": "Create pallet labels",
+  "labels.project": "Project",
+  "labels.drawing": "Drawing number",
+  "labels.count": "Number of pallets",
+  "labels.example": "e.g. {value}",
+  "labels.packer": "Packed by",
+  "labels.packerOptional": "Packed by (initials, optional)",
+  "labels.meta": "Pallet details (optional)",
+  "labels.weight": "Gross weight (kg)",
+  "labels.dimensions": "Dimensions L × W × H (cm)",
+  "labels.parts": "Parts",
+  "labels.destination": "Destination / site",
+  "labels.perPallet": "Different for each pallet",
+  "labels.perPalletColumns": "Pallet,kg,L,W,H,Parts,Destination",
+  "labels.site": "Site",
+  "labels.layout": "Layout",
+  "labels.qrExpires": "QR valid until (optional)",
+  "labels.output": "Output",
+  "labels.pdf": "Download PDF",
+  "labels.submit": "Create labels",
+  "labels.hint": "A Todoist task is created for every pallet and embedded as a QR code.<br>Scanning the QR code completes the task automatically.",
+  "nav.batch": "Batch: several drawings",
+  "nav.import": "Import packing list",
+  "nav.jobs": "Reprint",
+  "nav.layouts": "Layouts",
+  "nav.printers": "Printers",
+  "nav.av": "Loading list",
+  "nav.dashboard": "Consignments",
+  "nav.scanLog": "Scan journal",
+  "nav.sync": "Todoist sync",
+  "nav.drivers": "Drivers",
+  "nav.users": "Users",
+
+  "av.title": "Loading list",
+  "av.heading": "Create loading list",
+  "av.site": "Site",
+  "av.commission": "Consignment (label)",
+  "av.choose": "– please choose –",
+  "av.create": "Create loading list",
+  "av.link": "Link for logistics / driver",
+  "av.copy": "Copy link",
+  "av.tip": "Tip: copy the link and send it to the logistics team or share it via WhatsApp.",
+  "av.qr": "QR code for scanning",
+  "av.print": "Print",
+  "av.printTitle": "Loading list",
+  "av.printCommission": "Consignment",
+  "av.printDate": "Date",
+  "av.labelsFailed": "Error while loading the labels: ",
+  "av.chooseAlert": "Please choose a consignment",
+  "av.createFailed": "Error while creating: ",
+  "av.copied": "Link copied",
+};
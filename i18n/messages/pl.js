@@ -0,0 +1,204 @@
+// src/i18n/messages/pl.js
+export default {
+  "common.close": "Zamknij okno",
+  "common.language": "Język",
+  "common.prio": "Prio {n}",
+  "common.logout": "Wyloguj",
+
+  "scan.title": "Wydać towar?",
+  "scan.pallet": "Paleta {index}/{count}",
+  "scan.commission": "Komisja",
+  "scan.openCount": {
+    one: "jeszcze otwarta: <b>{count}</b> paleta (łącznie z tą)",
+    few: "jeszcze otwarte: <b>{count}</b> palety (łącznie z tą)",
+    many: "jeszcze otwartych: <b>{count}</b> palet (łącznie z tą)",
+    other: "jeszcze otwarte: <b>{count}</b> palety (łącznie z tą)",
+  },
+  "scan.todoistChecked": "⚠️ To zadanie jest już zakończone w Todoist.",
+  "scan.todoistDown": "Todoist jest chwilowo niedostępny – dane ze zlecenia etykiet.",
+  "scan.weight": "Waga",
+  "scan.dimensions": "Wymiary",
+  "scan.parts": "Części",
+  "scan.destination": "Cel",
+  "scan.driver": "Kierowca: <b>{name}</b>",
+  "scan.notYou": "to nie ty?",
+  "scan.unidentified": "Nie zalogowano jako kierowca – wydanie zostanie oznaczone.",
+  "scan.login": "Zaloguj",
+  "scan.checkHint": "Sprawdź, czy to właściwa paleta.",
+  "scan.yes": "Tak",
+  "scan.no": "Nie",
+  "scan.cancelledTitle": "Anulowano",
+  "scan.cancelled": "Anulowano – paleta nie została wydana.",
+  "complete.fallback": "Jeśli to nie działa: zamknij kartę lub wróć.",
+
+  "booked.pageTitle": "Wydanie",
+  "booked.title": "✅ Towar wydany",
+  "booked.pending": "Todoist jest chwilowo niedostępny – zadanie zostanie uzupełnione automatycznie.",
+  "booked.taskDone": "Zadanie zostało zakończone.",
+  "booked.noLabel": "<b>Uwaga:</b> nie udało się ustalić etykiety komisji, dlatego brak listy pozostałych palet.",
+  "booked.allLoaded": "Wszystkie palety tej komisji zostały załadowane.",
+  "booked.remaining": "Pozostałe palety tej komisji",
+  "booked.sorting": "Sortowanie: priorytet (wysoki→niski), potem alfabetycznie",
+
+  "already.pageTitle": "Już wydana",
+  "already.title": "ℹ️ Paleta już wydana",
+  "already.text": "Ta paleta została wydana <b>{date}</b>.",
+  "already.undo": "Anuluj wydanie",
+  "already.undoHint": "(tylko kierownik zmiany)",
+
+  "notLoaded.text": "<b>Nie ładować</b> – poinformuj kierownika zmiany.",
+  "missing.pageTitle": "Nie znaleziono palety",
+  "missing.title": "❌ Nie znaleziono palety",
+  "missing.taskId": "ID zadania",
+  "expired.title": "⌛ Kod QR wygasł",
+  "revoked.title": "⛔ Etykieta zablokowana",
+  "revoked.reason": "Ta etykieta została zablokowana: {reason}",
+
+  "driverRequired.title": "Wymagane logowanie kierowcy",
+  "driverRequired.text": "W tym projekcie palety mogą wydawać tylko zalogowani kierowcy.",
+  "driverRequired.notBooked": "Paleta nie została wydana.",
+  "driverRequired.pin": "Zaloguj się PIN-em",
+  "driverRequired.badge": "Albo zeskanuj identyfikator kierowcy i ponownie zeskanuj etykietę.",
+
+  "errors.invalid_signature": "Nieprawidłowy podpis.",
+  "errors.qr_expired": "Ta etykieta nie jest już ważna.",
+  "errors.qr_revoked": "Ta etykieta została zablokowana.",
+  "errors.driver_required": "W tym projekcie najpierw zaloguj się jako kierowca.",
+  "errors.pallet_not_found": "Dla tej etykiety nie ma już zadania (usunięte lub błędna etykieta).",
+  "errors.commission_not_found": "Nie znaleziono palet dla tej komisji.",
+  "errors.already_booked": "Paleta jest już wydana.",
+  "errors.backend_unavailable": "Todoist jest chwilowo niedostępny.",
+  "errors.complete": "Błąd podczas zamykania zadania.",
+  "errors.scan": "Błąd podczas ładowania strony skanowania.",
+  "errors.scanAnswer": "Błąd podczas przetwarzania odpowiedzi.",
+
+  "scanner.title": "Skaner – załadunek",
+  "scanner.heading": "🚚 Skaner – załadunek",
+  "scanner.switchDriver": "zmień",
+  "scanner.noDriver": "Nie zalogowano jako kierowca",
+  "scanner.orBadge": "albo zeskanuj identyfikator",
+  "scanner.start": "Uruchom kamerę",
+  "scanner.intro": "Uruchom kamerę i skanuj etykiety",
+  "scanner.introHint": "Każda rozpoznana etykieta jest od razu wydawana.",
+  "scanner.clear": "Wyczyść listę",
+  "scanner.clearConfirm": "Wyczyścić listę tej sesji? (Wydania pozostają)",
+  "scanner.summary": "Załadowano w tej sesji: {count}",
+  "scanner.reloading": "Ponowne ładowanie strony …",
+  "scanner.offline": "📡 Brak połączenia",
+  "scanner.offlineText": "Paleta nie została wydana – zeskanuj ponownie.",
+  "scanner.booked": "✅ Wydano",
+  "scanner.open": "jeszcze otwarte: {count}",
+  "scanner.noDriverNote": "bez kierowcy",
+  "scanner.alreadyNote": "już wydana",
+  "scanner.notBooked": "❌ Nie załadowano",
+  "scanner.unknownError": "Nieznany błąd.",
+  "scanner.unknownCode": "❓ Nieznany kod QR",
+  "scanner.unknownCodeText": "To nie jest etykieta palety z tej aplikacji.",
+  "scanner.ready": "Gotowe",
+  "scanner.readyText": "Trzymaj etykietę w ramce.",
+  "scanner.noCamera": "📷 Brak kamery",
+  "scanner.noCameraText": "Zezwól na dostęp do kamery (możliwe tylko przez HTTPS).",
+
+  "meta.parts": {
+    one: "{count} część",
+    few: "{count} części",
+    many: "{count} części",
+    other: "{count} części",
+  },
+  "meta.destination": "Cel: {destination}",
+
+  "avList.title": "Lista załadunkowa",
+  "avList.heading": "🚚 Lista załadunkowa",
+  "avList.notFound": "❌ Nie znaleziono listy załadunkowej",
+  "avList.invalid": "Nieprawidłowe ID lub lista wygasła.",
+  "avList.commission": "Komisja",
+  "avList.created": "Utworzono",
+  "avList.positions": "Pozycje",
+  "avList.weight": "Waga: {total} kg łącznie · {open} kg otwarte",
+  "avList.weightMissing": {
+    one: "{count} paleta bez wagi",
+    few: "{count} palety bez wagi",
+    many: "{count} palet bez wagi",
+    other: "{count} palety bez wagi",
+  },
+  "avList.progress": "{loaded}/{total} załadowano",
+  "avList.updated": "Aktualizacja: {time} · odświeżanie co 30 s",
+  "avList.prio": "Prio",
+  "avList.pallet": "Paleta",
+  "avList.status": "Status",
+  "avList.loaded": "✅ załadowana",
+  "avList.open": "otwarta",
+  "avList.empty": "Nie znaleziono palet.",
+  "avList.error": "Błąd podczas ładowania listy załadunkowej.",
+
+  "driver.title": "Kierowca",
+  "driver.loginTitle": "Logowanie kierowcy",
+  "driver.loginHeading": "🚚 Logowanie kierowcy",
+  "driver.pin": "PIN",
+  "driver.submit": "Zaloguj",
+  "driver.loginHint": "Albo zeskanuj kod QR z identyfikatora kierowcy.<br>Logowanie obowiązuje na tę zmianę na tym urządzeniu.",
+  "driver.signedIn": "To urządzenie jest zalogowane na tę zmianę.",
+  "driver.next": "Dalej do palety",
+  "driver.scanner": "Do skanera (skanowanie ciągłe)",
+  "driver.locked": "Zbyt wiele błędnych PIN-ów – odczekaj 10 minut lub zeskanuj identyfikator.",
+  "driver.unknownPin": "Nieznany PIN.",
+  "driver.error": "Błąd podczas logowania kierowcy.",
+  "driver.badgeInvalidTitle": "Identyfikator nieważny",
+  "driver.badgeInvalidHeading": "❌ Identyfikator nieważny",
+  "driver.badgeInvalid": "Ten identyfikator kierowcy jest nieważny. Poinformuj kierownika zmiany.",
+  "driver.badgeTitle": "Kierowca zalogowany",
+  "driver.badgeHeading": "✅ Zalogowano: {name}",
+  "driver.badgeNext": "Teraz skanuj etykiety palet.",
+
+  "labels.title": "Utwórz etykiety palet",
+  "labels.project": "Projekt",
+  "labels.drawing": "Numer rysunku",
+  "labels.count": "Liczba palet",
+  "labels.example": "np. {value}",
+  "labels.packer": "Spakował(a)",
+  "labels.packerOptional": "Spakował(a) (inicjały, opcjonalnie)",
+  "labels.meta": "Dane palety (opcjonalnie)",
+  "labels.weight": "Waga brutto (kg)",
+  "labels.dimensions": "Wymiary D × S × W (cm)",
+  "labels.parts": "Części",
+  "labels.destination": "Cel / budowa",
+  "labels.perPallet": "Różne dla każdej palety",
+  "labels.perPalletColumns": "Paleta,kg,D,S,W,Części,Cel",
+  "labels.site": "Lokalizacja",
+  "labels.layout": "Układ",
+  "labels.qrExpires": "QR ważny do (opcjonalnie)",
+  "labels.output": "Wydruk",
+  "labels.pdf": "Pobierz PDF",
+  "labels.submit": "Utwórz etykiety",
+  "labels.hint": "Dla każdej palety tworzone jest zadanie w Todoist i osadzany kod QR.<br>Skan QR → zadanie zamyka się automatycznie.",
+  "nav.batch": "Wsadowo: kilka rysunków",
+  "nav.import": "Importuj listę pakowania",
+  "nav.jobs": "Dodruk",
+  "nav.layouts": "Układy",
+  "nav.printers": "Drukarki",
+  "nav.av": "Lista załadunkowa",
+  "nav.dashboard": "Komisje",
+  "nav.scanLog": "Dziennik skanów",
+  "nav.sync": "Synchronizacja Todoist",
+  "nav.drivers": "Kierowcy",
+  "nav.users": "Użytkownicy",
+
+  "av.title": "Lista załadunkowa",
+  "av.heading": "Utwórz listę załadunkową",
+  "av.site": "Lokalizacja",
+  "av.commission": "Komisja (etykieta)",
+  "av.choose": "– wybierz –",
+  "av.create": "Utwórz listę załadunkową",
+  "av.link": "Link dla logistyka / kierowcy",
+  "av.copy": "Kopiuj link",
+  "av.tip": "Wskazówka: skopiuj link i wyślij go logistykowi lub udostępnij przez WhatsApp.",
+  "av.qr": "Kod QR do zeskanowania",
+  "av.print": "Drukuj",
+  "av.printTitle": "Lista załadunkowa",
+  "av.printCommission": "Komisja",
+  "av.printDate": "Data",
+  "av.labelsFailed": "Błąd podczas ładowania etykiet: ",
+  "av.chooseAlert": "Wybierz komisję",
+  "av.createFailed": "Błąd podczas tworzenia: ",
+  "av.copied": "Link skopiowany",
+};
@@ -0,0 +1,201 @@
+// src/i18n/messages/ro.js
+export default {
+  "common.close": "Închide fereastra",
+  "common.language": "Limbă",
+  "common.prio": "Prio {n}",
+  "common.logout": "Deconectare",
+
+  "scan.title": "Scoateți marfa din stoc?",
+  "scan.pallet": "Palet {index}/{count}",
+  "scan.commission": "Comandă",
+  "scan.openCount": {
+    one: "mai rămâne: <b>{count}</b> palet (inclusiv acesta)",
+    few: "mai rămân: <b>{count}</b> paleți (inclusiv acesta)",
+    other: "mai rămân: <b>{count}</b> de paleți (inclusiv acesta)",
+  },
+  "scan.todoistChecked": "⚠️ Sarcina este deja finalizată în Todoist.",
+  "scan.todoistDown": "Todoist nu este disponibil momentan – date din comanda de etichete.",
+  "scan.weight": "Greutate",
+  "scan.dimensions": "Dimensiuni",
+  "scan.parts": "Piese",
+  "scan.destination": "Destinație",
+  "scan.driver": "Șofer: <b>{name}</b>",
+  "scan.notYou": "nu ești tu?",
+  "scan.unidentified": "Nu sunteți autentificat ca șofer – înregistrarea va fi marcată.",
+  "scan.login": "Autentificare",
+  "scan.checkHint": "Verificați dacă este paletul corect.",
+  "scan.yes": "Da",
+  "scan.no": "Nu",
+  "scan.cancelledTitle": "Anulat",
+  "scan.cancelled": "Anulat – paletul nu a fost scos din stoc.",
+  "complete.fallback": "Dacă nu funcționează: închideți fila sau mergeți înapoi.",
+
+  "booked.pageTitle": "Scoatere din stoc",
+  "booked.title": "✅ Marfa a fost scoasă din stoc",
+  "booked.pending": "Todoist nu este disponibil momentan – sarcina va fi actualizată automat.",
+  "booked.taskDone": "Sarcina a fost finalizată.",
+  "booked.noLabel": "<b>Notă:</b> eticheta comenzii nu a putut fi determinată, de aceea nu există listă cu paleții rămași.",
+  "booked.allLoaded": "Toți paleții comenzii au fost încărcați.",
+  "booked.remaining": "Alți paleți din această comandă",
+  "booked.sorting": "Sortare: prioritate (mare→mică), apoi alfabetic",
+
+  "already.pageTitle": "Deja scos din stoc",
+  "already.title": "ℹ️ Palet deja scos din stoc",
+  "already.text": "Acest palet a fost scos din stoc la <b>{date}</b>.",
+  "already.undo": "Anulează scoaterea din stoc",
+  "already.undoHint": "(doar șeful de tură)",
+
+  "notLoaded.text": "<b>Nu încărcați</b> – informați șeful de tură.",
+  "missing.pageTitle": "Palet negăsit",
+  "missing.title": "❌ Palet negăsit",
+  "missing.taskId": "ID sarcină",
+  "expired.title": "⌛ Cod QR expirat",
+  "revoked.title": "⛔ Etichetă blocată",
+  "revoked.reason": "Această etichetă a fost blocată: {reason}",
+
+  "driverRequired.title": "Este necesară autentificarea șoferului",
+  "driverRequired.text": "Pentru acest proiect doar șoferii autentificați pot scoate paleți din stoc.",
+  "driverRequired.notBooked": "Paletul nu a fost scos din stoc.",
+  "driverRequired.pin": "Autentificare cu PIN",
+  "driverRequired.badge": "Sau scanați legitimația de șofer și apoi scanați din nou eticheta.",
+
+  "errors.invalid_signature": "Semnătură invalidă.",
+  "errors.qr_expired": "Această etichetă nu mai este valabilă.",
+  "errors.qr_revoked": "Această etichetă a fost blocată.",
+  "errors.driver_required": "Pentru acest proiect autentificați-vă mai întâi ca șofer.",
+  "errors.pallet_not_found": "Pentru această etichetă nu mai există nicio sarcină (ștearsă sau etichetă greșită).",
+  "errors.commission_not_found": "Nu s-au găsit paleți pentru această comandă.",
+  "errors.already_booked": "Paletul este deja scos din stoc.",
+  "errors.backend_unavailable": "Todoist nu este disponibil momentan.",
+  "errors.complete": "Eroare la finalizarea sarcinii.",
+  "errors.scan": "Eroare la încărcarea paginii de scanare.",
+  "errors.scanAnswer": "Eroare la procesarea răspunsului.",
+
+  "scanner.title": "Scaner – încărcare",
+  "scanner.heading": "🚚 Scaner – încărcare",
+  "scanner.switchDriver": "schimbă",
+  "scanner.noDriver": "Nu sunteți autentificat ca șofer",
+  "scanner.orBadge": "sau scanați legitimația",
+  "scanner.start": "Pornește camera",
+  "scanner.intro": "Porniți camera și scanați etichetele",
+  "scanner.introHint": "Fiecare etichetă recunoscută este scoasă imediat din stoc.",
+  "scanner.clear": "Golește lista",
+  "scanner.clearConfirm": "Goliți lista acestei sesiuni? (Scoaterile din stoc rămân)",
+  "scanner.summary": "Încărcați în această sesiune: {count}",
+  "scanner.reloading": "Pagina se reîncarcă …",
+  "scanner.offline": "📡 Fără conexiune",
+  "scanner.offlineText": "Paletul nu a fost scos din stoc – scanați din nou.",
+  "scanner.booked": "✅ Scos din stoc",
+  "scanner.open": "mai rămân: {count}",
+  "scanner.noDriverNote": "fără șofer",
+  "scanner.alreadyNote": "deja scos din stoc",
+  "scanner.notBooked": "❌ Neîncărcat",
+  "scanner.unknownError": "Eroare necunoscută.",
+  "scanner.unknownCode": "❓ Cod QR necunoscut",
+  "scanner.unknownCodeText": "Nu este o etichetă de palet a acestei aplicații.",
+  "scanner.ready": "Gata",
+  "scanner.readyText": "Țineți eticheta în cadru.",
+  "scanner.noCamera": "📷 Fără cameră",
+  "scanner.noCameraText": "Permiteți accesul la cameră (posibil doar prin HTTPS).",
+
+  "meta.parts": {
+    one: "{count} piesă",
+    few: "{count} piese",
+    other: "{count} de piese",
+  },
+  "meta.destination": "Destinație: {destination}",
+
+  "avList.title": "Listă de încărcare",
+  "avList.heading": "🚚 Listă de încărcare",
+  "avList.notFound": "❌ Lista de încărcare nu a fost găsită",
+  "avList.invalid": "ID invalid sau lista a expirat.",
+  "avList.commission": "Comandă",
+  "avList.created": "Creată",
+  "avList.positions": "Poziții",
+  "avList.weight": "Greutate: {total} kg total · {open} kg rămase",
+  "avList.weightMissing": {
+    one: "{count} palet fără greutate",
+    few: "{count} paleți fără greutate",
+    other: "{count} de paleți fără greutate",
+  },
+  "avList.progress": "{loaded}/{total} încărcați",
+  "avList.updated": "Actualizat: {time} · reîmprospătare automată la 30 s",
+  "avList.prio": "Prio",
+  "avList.pallet": "Palet",
+  "avList.status": "Stare",
+  "avList.loaded": "✅ încărcat",
+  "avList.open": "deschis",
+  "avList.empty": "Nu s-au găsit paleți.",
+  "avList.error": "Eroare la încărcarea listei.",
+
+  "driver.title": "Șofer",
+  "driver.loginTitle": "Autentificare șofer",
+  "driver.loginHeading": "🚚 Autentificare șofer",
+  "driver.pin": "PIN",
+  "driver.submit": "Autentificare",
+  "driver.loginHint": "Sau scanați codul QR de pe legitimația de șofer.<br>Autentificarea este valabilă pentru această tură pe acest dispozitiv.",
+  "driver.signedIn": "Acest dispozitiv este autentificat pentru tură.",
+  "driver.next": "Mai departe la palet",
+  "driver.scanner": "La scaner (scanare continuă)",
+  "driver.locked": "Prea multe PIN-uri greșite – așteptați 10 minute sau scanați legitimația.",
+  "driver.unknownPin": "PIN necunoscut.",
+  "driver.error": "Eroare la autentificarea șoferului.",
+  "driver.badgeInvalidTitle": "Legitimație invalidă",
+  "driver.badgeInvalidHeading": "❌ Legitimație invalidă",
+  "driver.badgeInvalid": "Această legitimație de șofer nu (mai) este valabilă. Informați șeful de tură.",
+  "driver.badgeTitle": "Șofer autentificat",
+  "driver.badgeHeading": "✅ Autentificat: {name}",
+  "driver.badgeNext": "Acum scanați etichetele paleților.",
+
+  "labels.title": "Creează etichete de palet",
+  "labels.project": "Proiect",
+  "labels.drawing": "Număr desen",
+  "labels.count": "Număr de paleți",
+  "labels.example": "de ex. {value}",
+  "labels.packer": "Ambalat de",
+  "labels.packerOptional": "Ambalat de (inițiale, opțional)",
+  "labels.meta": "Date palet (opțional)",
+  "labels.weight": "Greutate brută (kg)",
+  "labels.dimensions": "Dimensiuni L × l × Î (cm)",
+  "labels.parts": "Piese",
+  "labels.destination": "Destinație / șantier",
+  "labels.perPallet": "Diferit pentru fiecare palet",
+  "labels.perPalletColumns": "Palet,kg,L,l,Î,Piese,Destinație",
+  "labels.site": "Locație",
+  "labels.layout": "Format",
+  "labels.qrExpires": "QR valabil până la (opțional)",
+  "labels.output": "Ieșire",
+  "labels.pdf": "Descarcă PDF",
+  "labels.submit": "Creează etichete",
+  "labels.hint": "Pentru fiecare palet se creează o sarcină Todoist și se include un cod QR.<br>Scanare QR → sarcina se finalizează automat.",
+  "nav.batch": "Lot: mai multe desene",
+  "nav.import": "Importă lista de ambalare",
+  "nav.jobs": "Retipărire",
+  "nav.layouts": "Formate",
+  "nav.printers": "Imprimante",
+  "nav.av": "Listă de încărcare",
+  "nav.dashboard": "Comenzi",
+  "nav.scanLog": "Jurnal scanări",
+  "nav.sync": "Sincronizare Todoist",
+  "nav.drivers": "Șoferi",
+  "nav.users": "Utilizatori",
+
+  "av.title": "Listă de încărcare",
+  "av.heading": "Creează listă de încărcare",
+  "av.site": "Locație",
+  "av.commission": "Comandă (etichetă)",
+  "av.choose": "– alegeți –",
+  "av.create": "Creează listă de încărcare",
+  "av.link": "Link pentru logistică / șofer",
+  "av.copy": "Copiază linkul",
+  "av.tip": "Sfat: copiați linkul și trimiteți-l logisticianului sau distribuiți-l prin WhatsApp.",
+  "av.qr": "Cod QR pentru scanare",
+  "av.print": "Tipărește",
+  "av.printTitle": "Listă de încărcare",
+  "av.printCommission": "Comandă",
+  "av.printDate": "Data",
+  "av.labelsFailed": "Eroare la încărcarea etichetelor: ",
+  "av.chooseAlert": "Alegeți o comandă",
+  "av.createFailed": "Eroare la creare: ",
+  "av.copied": "Link copiat",
+};
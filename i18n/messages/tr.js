@@ -0,0 +1,189 @@
+// src/i18n/messages/tr.js
+export default {
+  "common.close": "Pencereyi kapat",
+  "common.language": "Dil",
+  "common.prio": "Öncelik {n}",
+  "common.logout": "Çıkış yap",
+
+  "scan.title": "Mal çıkışı yapılsın mı?",
+  "scan.pallet": "Palet {index}/{count}",
+  "scan.commission": "Sevkiyat",
+  "scan.openCount": "kalan: <b>{count}</b> palet (bu dahil)",
+  "scan.todoistChecked": "⚠️ Bu görev Todoist'te zaten tamamlanmış.",
+  "scan.todoistDown": "Todoist şu anda erişilemiyor – bilgiler etiket siparişinden alındı.",
+  "scan.weight": "Ağırlık",
+  "scan.dimensions": "Ölçüler",
+  "scan.parts": "Parça",
+  "scan.destination": "Varış yeri",
+  "scan.driver": "Şoför: <b>{name}</b>",
+  "scan.notYou": "siz değil misiniz?",
+  "scan.unidentified": "Şoför olarak giriş yapılmadı – kayıt işaretlenecek.",
+  "scan.login": "Giriş yap",
+  "scan.checkHint": "Lütfen doğru palet olup olmadığını kontrol edin.",
+  "scan.yes": "Evet",
+  "scan.no": "Hayır",
+  "scan.cancelledTitle": "İptal edildi",
+  "scan.cancelled": "İptal edildi – palet çıkışı yapılmadı.",
+  "complete.fallback": "Çalışmazsa: sekmeyi kapatın veya geri gidin.",
+
+  "booked.pageTitle": "Çıkış",
+  "booked.title": "✅ Mal çıkışı yapıldı",
+  "booked.pending": "Todoist şu anda erişilemiyor – görev otomatik olarak güncellenecek.",
+  "booked.taskDone": "Görev tamamlandı.",
+  "booked.noLabel": "<b>Not:</b> sevkiyat etiketi belirlenemedi, bu yüzden kalan palet listesi yok.",
+  "booked.allLoaded": "Sevkiyatın tüm paletleri yüklendi.",
+  "booked.remaining": "Bu sevkiyatın diğer paletleri",
+  "booked.sorting": "Sıralama: öncelik (yüksek→düşük), sonra alfabetik",
+
+  "already.pageTitle": "Çıkışı zaten yapıldı",
+  "already.title": "ℹ️ Palet çıkışı zaten yapıldı",
+  "already.text": "Bu paletin çıkışı <b>{date}</b> tarihinde yapıldı.",
+  "already.undo": "Çıkışı geri al",
+  "already.undoHint": "(yalnızca vardiya amiri)",
+
+  "notLoaded.text": "<b>Yüklemeyin</b> – lütfen vardiya amirine haber verin.",
+  "missing.pageTitle": "Palet bulunamadı",
+  "missing.title": "❌ Palet bulunamadı",
+  "missing.taskId": "Görev no",
+  "expired.title": "⌛ QR kodunun süresi doldu",
+  "revoked.title": "⛔ Etiket engellendi",
+  "revoked.reason": "Bu etiket engellendi: {reason}",
+
+  "driverRequired.title": "Şoför girişi gerekli",
+  "driverRequired.text": "Bu projede paletlerin çıkışını yalnızca giriş yapmış şoförler yapabilir.",
+  "driverRequired.notBooked": "Palet çıkışı yapılmadı.",
+  "driverRequired.pin": "PIN ile giriş yap",
+  "driverRequired.badge": "Veya şoför kartını okutun ve etiketi yeniden okutun.",
+
+  "errors.invalid_signature": "Geçersiz imza.",
+  "errors.qr_expired": "Bu etiket artık geçerli değil.",
+  "errors.qr_revoked": "Bu etiket engellendi.",
+  "errors.driver_required": "Bu proje için lütfen önce şoför olarak giriş yapın.",
+  "errors.pallet_not_found": "Bu etikete ait görev artık yok (silinmiş veya yanlış etiket).",
+  "errors.commission_not_found": "Bu sevkiyata ait palet bulunamadı.",
+  "errors.already_booked": "Palet çıkışı zaten yapıldı.",
+  "errors.backend_unavailable": "Todoist şu anda erişilemiyor.",
+  "errors.complete": "Görev kapatılırken hata oluştu.",
+  "errors.scan": "Tarama sayfası yüklenirken hata oluştu.",
+  "errors.scanAnswer": "Yanıt işlenirken hata oluştu.",
+
+  "scanner.title": "Tarayıcı – yükleme",
+  "scanner.heading": "🚚 Tarayıcı – yükleme",
+  "scanner.switchDriver": "değiştir",
+  "scanner.noDriver": "Şoför olarak giriş yapılmadı",
+  "scanner.orBadge": "veya şoför kartını okutun",
+  "scanner.start": "Kamerayı başlat",
+  "scanner.intro": "Kamerayı başlatın ve etiketleri okutun",
+  "scanner.introHint": "Tanınan her etiketin çıkışı hemen yapılır.",
+  "scanner.clear": "Listeyi temizle",
+  "scanner.clearConfirm": "Bu oturumun listesi temizlensin mi? (Çıkışlar korunur)",
+  "scanner.summary": "Bu oturumda yüklenen: {count}",
+  "scanner.reloading": "Sayfa yeniden yükleniyor …",
+  "scanner.offline": "📡 Bağlantı yok",
+  "scanner.offlineText": "Palet çıkışı yapılmadı – lütfen tekrar okutun.",
+  "scanner.booked": "✅ Çıkışı yapıldı",
+  "scanner.open": "kalan: {count}",
+  "scanner.noDriverNote": "şoför yok",
+  "scanner.alreadyNote": "çıkışı zaten yapıldı",
+  "scanner.notBooked": "❌ Yüklenmedi",
+  "scanner.unknownError": "Bilinmeyen hata.",
+  "scanner.unknownCode": "❓ Bilinmeyen QR kodu",
+  "scanner.unknownCodeText": "Bu uygulamaya ait bir palet etiketi değil.",
+  "scanner.ready": "Hazır",
+  "scanner.readyText": "Etiketi çerçevenin içinde tutun.",
+  "scanner.noCamera": "📷 Kamera yok",
+  "scanner.noCameraText": "Kamera erişimine izin verin (yalnızca HTTPS üzerinden mümkün).",
+
+  "meta.parts": "{count} parça",
+  "meta.destination": "Varış yeri: {destination}",
+
+  "avList.title": "Yükleme listesi",
+  "avList.heading": "🚚 Yükleme listesi",
+  "avList.notFound": "❌ Yükleme listesi bulunamadı",
+  "avList.invalid": "Geçersiz numara veya listenin süresi doldu.",
+  "avList.commission": "Sevkiyat",
+  "avList.created": "Oluşturuldu",
+  "avList.positions": "Kalem",
+  "avList.weight": "Ağırlık: toplam {total} kg · kalan {open} kg",
+  "avList.weightMissing": "ağırlığı olmayan {count} palet",
+  "avList.progress": "{loaded}/{total} yüklendi",
+  "avList.updated": "Güncellendi: {time} · her 30 sn'de otomatik yenilenir",
+  "avList.prio": "Öncelik",
+  "avList.pallet": "Palet",
+  "avList.status": "Durum",
+  "avList.loaded": "✅ yüklendi",
+  "avList.open": "açık",
+  "avList.empty": "Palet bulunamadı.",
+  "avList.error": "Yükleme listesi yüklenirken hata oluştu.",
+
+  "driver.title": "Şoför",
+  "driver.loginTitle": "Şoför girişi",
+  "driver.loginHeading": "🚚 Şoför girişi",
+  "driver.pin": "PIN",
+  "driver.submit": "Giriş yap",
+  "driver.loginHint": "Veya şoför kartındaki QR kodunu okutun.<br>Giriş bu vardiya boyunca bu cihazda geçerlidir.",
+  "driver.signedIn": "Bu cihaz vardiya için giriş yaptı.",
+  "driver.next": "Palete devam et",
+  "driver.scanner": "Tarayıcıya git (sürekli tarama)",
+  "driver.locked": "Çok fazla yanlış PIN – lütfen 10 dakika bekleyin veya kartınızı okutun.",
+  "driver.unknownPin": "PIN bilinmiyor.",
+  "driver.error": "Şoför girişinde hata oluştu.",
+  "driver.badgeInvalidTitle": "Kart geçersiz",
+  "driver.badgeInvalidHeading": "❌ Kart geçersiz",
+  "driver.badgeInvalid": "Bu şoför kartı geçerli değil. Lütfen vardiya amirine haber verin.",
+  "driver.badgeTitle": "Şoför giriş yaptı",
+  "driver.badgeHeading": "✅ Giriş yapıldı: {name}",
+  "driver.badgeNext": "Şimdi palet etiketlerini okutun.",
+
+  "labels.title": "Palet etiketleri oluştur",
+  "labels.project": "Proje",
+  "labels.drawing": "Çizim numarası",
+  "labels.count": "Palet sayısı",
+  "labels.example": "örn. {value}",
+  "labels.packer": "Paketleyen",
+  "labels.packerOptional": "Paketleyen (kısaltma, isteğe bağlı)",
+  "labels.meta": "Palet bilgileri (isteğe bağlı)",
+  "labels.weight": "Brüt ağırlık (kg)",
+  "labels.dimensions": "Ölçüler U × G × Y (cm)",
+  "labels.parts": "Parça",
+  "labels.destination": "Varış yeri / şantiye",
+  "labels.perPallet": "Her palet için farklı",
+  "labels.perPalletColumns": "Palet,kg,U,G,Y,Parça,Varış",
+  "labels.site": "Lokasyon",
+  "labels.layout": "Düzen",
+  "labels.qrExpires": "QR geçerlilik tarihi (isteğe bağlı)",
+  "labels.output": "Çıktı",
+  "labels.pdf": "PDF indir",
+  "labels.submit": "Etiketleri oluştur",
+  "labels.hint": "Her palet için bir Todoist görevi oluşturulur ve QR kodu eklenir.<br>QR okutulunca → görev otomatik tamamlanır.",
+  "nav.batch": "Toplu: birden fazla çizim",
+  "nav.import": "Paket listesini içe aktar",
+  "nav.jobs": "Yeniden yazdır",
+  "nav.layouts": "Düzenler",
+  "nav.printers": "Yazıcılar",
+  "nav.av": "Yükleme listesi",
+  "nav.dashboard": "Sevkiyatlar",
+  "nav.scanLog": "Tarama günlüğü",
+  "nav.sync": "Todoist senkronizasyonu",
+  "nav.drivers": "Şoförler",
+  "nav.users": "Kullanıcılar",
+
+  "av.title": "Yükleme listesi",
+  "av.heading": "Yükleme listesi oluştur",
+  "av.site": "Lokasyon",
+  "av.commission": "Sevkiyat (etiket)",
+  "av.choose": "– lütfen seçin –",
+  "av.create": "Yükleme listesi oluştur",
+  "av.link": "Lojistik / şoför için bağlantı",
+  "av.copy": "Bağlantıyı kopyala",
+  "av.tip": "İpucu: bağlantıyı kopyalayıp lojistik sorumlusuna gönderin veya WhatsApp ile paylaşın.",
+  "av.qr": "Okutmak için QR kodu",
+  "av.print": "Yazdır",
+  "av.printTitle": "Yükleme listesi",
+  "av.printCommission": "Sevkiyat",
+  "av.printDate": "Tarih",
+  "av.labelsFailed": "Etiketler yüklenirken hata: ",
+  "av.chooseAlert": "Lütfen bir sevkiyat seçin",
+  "av.createFailed": "Oluşturulurken hata: ",
+  "av.copied": "Bağlantı kopyalandı",
+};
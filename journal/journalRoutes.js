@@ -0,0 +1,150 @@
+// src/journal/journalRoutes.js
+import express from "express";
+import { EVENT_TYPES, listScanEvents } from "./store.js";
+import { html } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { formatDateTime } from "../views/partials.js";
+
+const router = express.Router();
+
+const TYPE_TEXT = {
+  scan_viewed: "Scan geöffnet",
+  booked: "Ausgebucht",
+  cancelled: "Abgebrochen (Nein)",
+  close_failed: "Todoist-Fehler",
+  duplicate_scan: "Erneuter Scan",
+  reverted: "Storniert",
+  rejected: "Abgelehnt",
+  todoist_completed: "In Todoist erledigt",
+  todoist_reopened: "In Todoist wieder geöffnet",
+  todoist_updated: "In Todoist geändert",
+  todoist_deleted: "In Todoist gelöscht",
+};
+
+// YYYY-MM-DD und ein echter Kalendertag (kein 2026-13-45)
+function isDate(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+/**
+ * Filter aus der Query: { filters, errors }. Mehrfach angegebene Parameter (?label=a&label=b),
+ * ungültige Daten, unbekannte Ereignisse und limit < 1 sind Fehler – leere Felder bedeuten "kein Filter".
+ */
+function filtersFromQuery(q) {
+  const errors = [];
+  const text = (name) => {
+    const v = q[name];
+    if (v === undefined) return "";
+    if (typeof v !== "string") {
+      errors.push(`${name}: nur ein Wert erlaubt`);
+      return "";
+    }
+    return v.trim();
+  };
+  const date = (name) => {
+    const v = text(name);
+    if (v && !isDate(v)) errors.push(`${name}: kein gültiges Datum (JJJJ-MM-TT)`);
+    return isDate(v) ? v : undefined;
+  };
+
+  const type = text("type");
+  if (type && !EVENT_TYPES.includes(type)) errors.push(`type: unbekanntes Ereignis "${type}"`);
+  const limit = text("limit");
+  if (limit && !(/^\d+$/.test(limit) && Number(limit) > 0)) errors.push("limit: muss eine Zahl ≥ 1 sein");
+
+  const filters = {
+    label: text("label") || undefined,
+    taskId: text("taskId") || undefined,
+    type: type || undefined,
+    from: date("from"),
+    to: date("to"),
+    limit: limit || undefined,
+  };
+  return { filters, errors };
+}
+
+// Journal als JSON (z. B. für Audits / Export)
+router.get("/api/scan-events", async (req, res) => {
+  try {
+    const { filters, errors } = filtersFromQuery(req.query);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    const events = await listScanEvents(filters);
+    res.json({ events });
+  } catch (e) {
+    console.error("Scan-Journal API Fehler:", e.message);
+    res.status(500).json({ error: "Fehler beim Laden des Scan-Journals." });
+  }
+});
+
+// Admin-Seite mit Filter
+router.get("/admin/scan-log", async (req, res) => {
+  try {
+    const { filters: f, errors } = filtersFromQuery(req.query);
+    if (errors.length) return res.status(400).send(`Filter ungültig: ${errors.join("; ")}`);
+    const events = await listScanEvents(f);
+
+    const rows = events.map(e => html`
+      <tr>
+        <td>${formatDateTime(e.occurredAt)}</td>
+        <td><span class="pill ${e.type}">${TYPE_TEXT[e.type] || e.type}</span></td>
+        <td>${e.label}</td>
+        <td><a href="?taskId=${encodeURIComponent(e.taskId)}">${e.taskId}</a>
+          <div class="muted">${e.details?.content}</div></td>
+        <td>${e.actor}<div class="muted">${e.ip}</div></td>
+        <td class="muted">${e.details?.unidentified && html`<span class="pill unidentified">Fahrer nicht identifiziert</span> `}${e.details?.error || e.details?.reason}<div>${e.device}</div></td>
+      </tr>
+    `);
+
+    const typeOptions = EVENT_TYPES.map(t =>
+      html`<option value="${t}"${f.type === t && " selected"}>${TYPE_TEXT[t]}</option>`
+    );
+
+    res.type("html").send(page("Scan-Journal", html`
+      <h1>📋 Scan-Journal</h1>
+      <form class="filters" method="GET">
+        <label>Kommission
+          <input name="label" value="${f.label}" placeholder="z. B. BEFR0124" />
+        </label>
+        <label>Palette (Task-ID)
+          <input name="taskId" value="${f.taskId}" />
+        </label>
+        <label>Ereignis
+          <select name="type"><option value="">alle</option>${typeOptions}</select>
+        </label>
+        <label>Von
+          <input name="from" type="date" value="${f.from}" />
+        </label>
+        <label>Bis
+          <input name="to" type="date" value="${f.to}" />
+        </label>
+        <button type="submit">Filtern</button>
+        <a class="muted" href="/admin/scan-log">zurücksetzen</a>
+      </form>
+
+      <p class="muted">${events.length} Einträge (neueste zuerst)</p>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Zeit</th>
+            <th>Ereignis</th>
+            <th>Kommission</th>
+            <th>Palette</th>
+            <th>Wer / IP</th>
+            <th>Details / Gerät</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="6">Keine Einträge gefunden.</td></tr>`}
+        </tbody>
+      </table>
+    `, { width: 1200 }));
+  } catch (e) {
+    console.error("Scan-Journal Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden des Scan-Journals.");
+  }
+});
+
+export default router;
@@ -0,0 +1,77 @@
+// src/journal/store.js
+import { pool } from "../db.js";
+
+export const EVENT_TYPES = [
+  "scan_viewed",
+  "booked",
+  "cancelled",
+  "close_failed",
+  "duplicate_scan",
+  "reverted",
+  "rejected",
+  "todoist_completed",
+  "todoist_reopened",
+  "todoist_updated",
+  "todoist_deleted",
+];
+
+/**
+ * Hängt ein Ereignis an das Scan-Journal an (append-only, kein Update).
+ * details: beliebige Zusatzinfos (z. B. Fehlermeldung, Task-Titel).
+ */
+export async function recordScanEvent({
+  taskId,
+  type,
+  label = null,
+  actor = null,
+  device = null,
+  ip = null,
+  details = {},
+}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unbekannter Ereignistyp: ${type}`);
+  }
+  await pool.query(
+    `insert into scan_events (task_id, event_type, label, actor, device, ip, details)
+     values ($1, $2, $3, $4, $5, $6, $7)`,
+    [String(taskId), type, label, actor, device, ip, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Sucht Journal-Einträge, neueste zuerst.
+ * Filter (alle optional): label (Kommission), taskId (Palette), type,
+ * from/to als Datum "YYYY-MM-DD" (Tagesgrenzen in Europe/Berlin, beide inklusive).
+ *
+ * Ereignisse ohne Label (z. B. scan_viewed) werden einer Kommission über
+ * andere Ereignisse derselben Palette zugeordnet.
+ */
+export async function listScanEvents({ label, taskId, type, from, to, limit = 500 } = {}) {
+  const where = [];
+  const params = [];
+  // "?" im SQL-Schnipsel wird durch den nächsten Parameter ersetzt (auch mehrfach)
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replaceAll("?", `$${params.length}`));
+  };
+
+  if (label) {
+    add("(e.label = ? or e.task_id in (select task_id from scan_events where label = ?))", label);
+  }
+  if (taskId) add("e.task_id = ?", String(taskId));
+  if (type) add("e.event_type = ?", type);
+  if (from) add("e.occurred_at >= (?::date)::timestamp at time zone 'Europe/Berlin'", from);
+  if (to) add("e.occurred_at < (?::date + 1)::timestamp at time zone 'Europe/Berlin'", to);
+
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 500, 1), 5000));
+  const res = await pool.query(
+    `select e.id, e.task_id as "taskId", e.event_type as "type", e.occurred_at as "occurredAt",
+            e.label, e.actor, e.device, e.ip, e.details
+       from scan_events e
+      ${where.length ? "where " + where.join(" and ") : ""}
+      order by e.occurred_at desc, e.id desc
+      limit $${params.length}`,
+    params
+  );
+  return res.rows;
+}
@@ -0,0 +1,98 @@
+// src/labels/batch.js
+import { normalizeDrawing } from '../normalize.js';
+
+export const MAX_COUNT_PER_DRAWING = 50;
+export const MAX_PALLETS_PER_BATCH = 500;
+
+/**
+ * Eingefügte Liste parsen, eine Zeichnung pro Zeile:
+ *   "BL07 Tür; 3"   "bl 7 tür 3"   "BL07, Tür<TAB>3" (aus Excel kopiert)
+ * Die letzte Zahl am Zeilenende ist die Anzahl, der Rest die Zeichnung.
+ * Gibt { rows: [{ line, rawDrawing, count }], errors: [{ line, text, message }] } zurück.
+ */
+export function parseBatchText(text) {
+  const rows = [];
+  const errors = [];
+
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = i + 1;
+      const t = raw.trim();
+      if (!t || t.startsWith('#')) return;
+
+      const m = t.match(/^(.*?)[\s;,]+(\d+)\s*$/);
+      // "bl 7" allein ist eine Zeichnung ohne Anzahl, nicht "bl" x 7
+      if (!m || !m[1].trim() || /(^|[\s,;])bl$/i.test(m[1].trim())) {
+        errors.push({ line, text: t, message: 'Format: Zeichnung; Anzahl' });
+        return;
+      }
+      rows.push({ line, rawDrawing: m[1].trim().replace(/[;,]$/, ''), count: parseInt(m[2], 10) });
+    });
+
+  return { rows, errors };
+}
+
+/**
+ * Zeilen aus Tabelle (drawings[]/counts[]) und eingefügter Liste zusammenführen,
+ * normalisieren und prüfen. Gleiche Zeichnungen werden zusammengefasst.
+ */
+export function collectBatchRows(body) {
+  const asArray = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]);
+  const drawings = asArray(body.drawings);
+  const counts = asArray(body.counts);
+
+  const input = [];
+  const errors = [];
+
+  drawings.forEach((d, i) => {
+    const rawDrawing = String(d || '').trim();
+    const rawCount = String(counts[i] ?? '').trim();
+    if (!rawDrawing && !rawCount) return; // leere Tabellenzeile
+    input.push({ source: `Tabelle Zeile ${i + 1}`, rawDrawing, count: parseInt(rawCount, 10) });
+  });
+
+  const pasted = parseBatchText(body.list);
+  for (const r of pasted.rows) {
+    input.push({ source: `Liste Zeile ${r.line}`, rawDrawing: r.rawDrawing, count: r.count });
+  }
+  for (const e of pasted.errors) {
+    errors.push({ source: `Liste Zeile ${e.line}`, text: e.text, message: e.message });
+  }
+
+  const byDrawing = new Map();
+  for (const r of input) {
+    const drawing = normalizeDrawing(r.rawDrawing);
+    if (!drawing) {
+      errors.push({ source: r.source, text: r.rawDrawing, message: 'Zeichnung fehlt' });
+      continue;
+    }
+    if (!Number.isFinite(r.count) || r.count < 1 || r.count > MAX_COUNT_PER_DRAWING) {
+      errors.push({ source: r.source, text: r.rawDrawing, message: `Anzahl muss 1–${MAX_COUNT_PER_DRAWING} sein` });
+      continue;
+    }
+    const existing = byDrawing.get(drawing);
+    if (existing) {
+      existing.count += r.count;
+    } else {
+      byDrawing.set(drawing, { drawing, rawDrawing: r.rawDrawing, count: r.count });
+    }
+  }
+
+  const rows = [...byDrawing.values()];
+  for (const r of rows) {
+    if (r.count > MAX_COUNT_PER_DRAWING) {
+      errors.push({ source: r.drawing, text: r.rawDrawing, message: `Zusammen mehr als ${MAX_COUNT_PER_DRAWING} Paletten` });
+    }
+  }
+
+  const total = rows.reduce((sum, r) => sum + r.count, 0);
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push({ source: '–', text: '', message: 'Keine Zeichnungen angegeben' });
+  }
+  if (total > MAX_PALLETS_PER_BATCH) {
+    errors.push({ source: '–', text: '', message: `Maximal ${MAX_PALLETS_PER_BATCH} Paletten pro Auftrag (angefragt: ${total})` });
+  }
+
+  return { rows, total, errors };
+}
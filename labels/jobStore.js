@@ -0,0 +1,197 @@
+// src/labels/jobStore.js
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { DEFAULT_LAYOUT_ID } from './layout.js';
+
+const PALLET_COLUMNS = `position, project, drawing, pallet_index, pallet_count, packer, task_id,
+  weight_kg, length_cm, width_cm, height_cm, parts, destination`;
+
+function rowToPallet(r) {
+  return {
+    position: r.position,
+    project: r.project,
+    drawing: r.drawing,
+    index: r.pallet_index,
+    count: r.pallet_count,
+    packer: r.packer || '',
+    taskId: r.task_id,
+    meta: {
+      weightKg: r.weight_kg === null ? null : Number(r.weight_kg),
+      lengthCm: r.length_cm,
+      widthCm: r.width_cm,
+      heightCm: r.height_cm,
+      parts: r.parts,
+      destination: r.destination,
+    },
+  };
+}
+
+/**
+ * Legt einen Label-Auftrag an – oder gibt den vorhandenen mit gleichem
+ * Idempotency-Key zurück (Doppelklick, Neuladen des Ergebnis-Tabs).
+ * pallets: [{ project, drawing, index, count, packer, meta }], layoutId: siehe layout.js
+ * qrExpiresOn: optional "YYYY-MM-DD" – QR-Codes gelten bis Ende dieses Tages (Europe/Berlin)
+ * siteId: Standort (siehe sites/), null = Standard
+ * Gibt { job, created } zurück.
+ */
+export async function createOrGetLabelJob({
+  idempotencyKey,
+  source,
+  createdBy = null,
+  layoutId = DEFAULT_LAYOUT_ID,
+  qrExpiresOn = null,
+  siteId = null,
+  pallets,
+}) {
+  const id = crypto.randomUUID();
+  const client = await pool.connect();
+  let created = false;
+  try {
+    await client.query('begin');
+    const res = await client.query(
+      `insert into label_jobs (id, idempotency_key, source, created_by, layout_id, qr_expires_at, site_id)
+       values ($1, $2, $3, $4, $5, ($6::date + 1)::timestamp at time zone 'Europe/Berlin', $7)
+       on conflict (idempotency_key) do nothing
+       returning id`,
+      [id, idempotencyKey, source, createdBy, layoutId || DEFAULT_LAYOUT_ID, qrExpiresOn, siteId]
+    );
+
+    if (res.rowCount === 1) {
+      created = true;
+      for (let i = 0; i < pallets.length; i++) {
+        const p = pallets[i];
+        const m = p.meta || {};
+        await client.query(
+          `insert into label_job_pallets
+             (job_id, position, project, drawing, pallet_index, pallet_count, packer,
+              weight_kg, length_cm, width_cm, height_cm, parts, destination)
+           values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+          [
+            id, i, p.project, p.drawing, p.index, p.count, p.packer || null,
+            m.weightKg ?? null, m.lengthCm ?? null, m.widthCm ?? null, m.heightCm ?? null,
+            m.parts ?? null, m.destination ?? null,
+          ]
+        );
+      }
+    }
+    await client.query('commit');
+  } catch (e) {
+    await client.query('rollback').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  const job = created ? await getLabelJob(id) : await getLabelJobByKey(idempotencyKey);
+  return { job, created };
+}
+
+/**
+ * Auftrag inkl. Paletten (Reihenfolge wie im PDF) oder null.
+ */
+export async function getLabelJob(id) {
+  const res = await pool.query(
+    `select id, idempotency_key, source, status, created_by, created_at, layout_id, qr_expires_at, site_id
+       from label_jobs where id = $1`,
+    [id]
+  );
+  if (res.rowCount === 0) return null;
+  const j = res.rows[0];
+
+  const pRes = await pool.query(
+    `select ${PALLET_COLUMNS}
+       from label_job_pallets where job_id = $1 order by position`,
+    [id]
+  );
+
+  return {
+    id: j.id,
+    idempotencyKey: j.idempotency_key,
+    source: j.source,
+    status: j.status,
+    createdBy: j.created_by,
+    createdAt: j.created_at,
+    layoutId: j.layout_id,
+    qrExpiresAt: j.qr_expires_at,
+    siteId: j.site_id,
+    pallets: pRes.rows.map(rowToPallet),
+  };
+}
+
+export async function getLabelJobByKey(idempotencyKey) {
+  const res = await pool.query(
+    'select id from label_jobs where idempotency_key = $1',
+    [idempotencyKey]
+  );
+  if (res.rowCount === 0) return null;
+  return getLabelJob(res.rows[0].id);
+}
+
+/**
+ * Task-ID einer Palette merken – sofort nach dem Anlegen, damit ein
+ * abgebrochener Auftrag beim erneuten Absenden keine Duplikate erzeugt.
+ */
+export async function setPalletTaskId(jobId, position, taskId) {
+  await pool.query(
+    'update label_job_pallets set task_id = $3 where job_id = $1 and position = $2',
+    [jobId, position, String(taskId)]
+  );
+}
+
+/**
+ * Paletten zu Task-IDs (Scan-Seite, Ladeliste). Gibt Map taskId -> Palette (mit siteId des Auftrags) zurück.
+ */
+export async function getPalletsByTaskIds(taskIds) {
+  const ids = [...new Set(taskIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+  const res = await pool.query(
+    `select ${PALLET_COLUMNS}, j.site_id
+       from label_job_pallets p join label_jobs j on j.id = p.job_id
+      where p.task_id = any($1)`,
+    [ids]
+  );
+  return new Map(res.rows.map((r) => [r.task_id, { ...rowToPallet(r), siteId: r.site_id }]));
+}
+
+export async function getPalletByTaskId(taskId) {
+  return (await getPalletsByTaskIds([taskId])).get(String(taskId)) || null;
+}
+
+export async function markLabelJobDone(jobId) {
+  await pool.query("update label_jobs set status = 'done' where id = $1", [jobId]);
+}
+
+/**
+ * Letzte Aufträge für die Nachdruck-Übersicht (neueste zuerst).
+ */
+export async function listLabelJobs({ project, limit = 100 } = {}) {
+  const params = [Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)];
+  let filter = '';
+  if (project) {
+    params.push(project);
+    filter = `where exists (select 1 from label_job_pallets p2 where p2.job_id = j.id and p2.project = $2)`;
+  }
+  const res = await pool.query(
+    `select j.id, j.source, j.status, j.created_by, j.created_at,
+            count(p.*)::int as pallets,
+            array_agg(distinct p.project) as projects,
+            array_agg(distinct p.drawing) as drawings
+       from label_jobs j
+       join label_job_pallets p on p.job_id = j.id
+       ${filter}
+      group by j.id
+      order by j.created_at desc
+      limit $1`,
+    params
+  );
+  return res.rows.map((r) => ({
+    id: r.id,
+    source: r.source,
+    status: r.status,
+    createdBy: r.created_by,
+    createdAt: r.created_at,
+    pallets: r.pallets,
+    projects: r.projects,
+    drawings: r.drawings,
+  }));
+}
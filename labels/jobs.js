@@ -0,0 +1,139 @@
+// src/labels/jobs.js
+import {
+  createOrGetLabelJob,
+  getLabelJob,
+  setPalletTaskId,
+  markLabelJobDone,
+} from './jobStore.js';
+import { renderLabelsPdf, labelFooterText, formatLabelDate } from './pdf.js';
+import { labelsPerPage } from './layout.js';
+import { mergeMeta, formatMeta, palletTaskDescription } from './meta.js';
+
+export function palletTaskTitle(p) {
+  return `${p.project} – ${p.drawing} – Palette ${p.index}/${p.count}`;
+}
+
+/**
+ * Zeilen [{ project, drawing, count, packer, meta, palletMeta }] in einzelne Paletten auflösen,
+ * Nummerierung je Zeile: Palette 1/x … x/x. palletMeta[i] überschreibt meta für Palette i+1.
+ */
+export function expandRows(rows) {
+  const pallets = [];
+  for (const row of rows) {
+    for (let i = 1; i <= row.count; i++) {
+      pallets.push({
+        project: row.project,
+        drawing: row.drawing,
+        index: i,
+        count: row.count,
+        packer: row.packer || '',
+        meta: mergeMeta(row.meta, row.palletMeta?.[i - 1]),
+      });
+    }
+  }
+  return pallets;
+}
+
+// Laufende Aufträge je Job-ID: ein zweiter Submit wartet auf denselben Lauf
+const running = new Map();
+
+async function createMissingTasks(jobId, createTask) {
+  const job = await getLabelJob(jobId);
+  for (const p of job.pallets) {
+    if (p.taskId) continue;
+    const task = await createTask(palletTaskTitle(p), [p.project], palletTaskDescription(p.meta));
+    await setPalletTaskId(jobId, p.position, task.id);
+  }
+  await markLabelJobDone(jobId);
+}
+
+/**
+ * Label-Auftrag idempotent ausführen: gleicher Key → gleicher Auftrag,
+ * Tasks werden nur für Paletten ohne Task-ID angelegt.
+ * createTask(title, labels, description) legt die Aufgabe im Task-Backend an (im Projekt des Standorts).
+ * Gibt { job, created } zurück (created = false bei Wiederholung).
+ */
+export async function runLabelJob({ idempotencyKey, source, createdBy = null, layoutId, qrExpiresOn = null, siteId = null, rows }, { createTask }) {
+  const { job, created } = await createOrGetLabelJob({
+    idempotencyKey,
+    source,
+    createdBy,
+    layoutId,
+    qrExpiresOn,
+    siteId,
+    pallets: expandRows(rows),
+  });
+  if (job.status === 'done') return { job, created };
+
+  if (!running.has(job.id)) {
+    running.set(job.id, createMissingTasks(job.id, createTask).finally(() => running.delete(job.id)));
+  }
+  await running.get(job.id);
+  return { job: await getLabelJob(job.id), created };
+}
+
+/**
+ * Platzhalter-Werte einer Palette für das Layout.
+ */
+export function labelValues(p, createdAt) {
+  const meta = formatMeta(p.meta);
+  return {
+    weight: meta.weight,
+    dimensions: meta.dimensions,
+    parts: meta.parts,
+    destination: meta.destination,
+    meta: meta.summary,
+    project: p.project,
+    drawing: p.drawing,
+    index: p.index,
+    count: p.count,
+    fraction: `${p.index}/${p.count}`,
+    packer: p.packer || '',
+    created: formatLabelDate(createdAt),
+    footer: labelFooterText(createdAt, p.packer),
+  };
+}
+
+/**
+ * Labels eines Auftrags ({ values, scanUrl }) – nur Paletten mit Task.
+ * positions: optional nur bestimmte Paletten (Nachdruck einzelner Labels).
+ */
+export function jobLabels(job, { scanUrlFor, positions = null }) {
+  const createdAt = new Date(job.createdAt);
+  return job.pallets
+    .filter((p) => p.taskId && (!positions || positions.includes(p.position)))
+    .map((p) => ({ values: labelValues(p, createdAt), scanUrl: scanUrlFor(p.taskId, job) }));
+}
+
+/**
+ * PDF eines Auftrags aus den gespeicherten Daten rendern (ohne Todoist).
+ */
+export async function renderLabelJobPdf(job, { layout, scanUrlFor, logoPath, positions = null }) {
+  return renderLabelsPdf(layout, jobLabels(job, { scanUrlFor, positions }), { logoPath });
+}
+
+/**
+ * Beispiel-Labels für Vorschau und Testdruck, ohne Aufgaben anzulegen.
+ * Der QR-Code zeigt auf eine ungültige Muster-URL.
+ */
+export function sampleLabels(count, baseUrl) {
+  const createdAt = new Date();
+  return Array.from({ length: count }, (_, i) => ({
+    values: labelValues({
+      project: 'MUST0001',
+      drawing: 'BL07, Tür',
+      index: i + 1,
+      count,
+      packer: 'mm',
+      meta: { weightKg: 412.5, lengthCm: 120, widthCm: 80, heightCm: 100, parts: 24, destination: 'Baustelle Musterstadt' },
+    }, createdAt),
+    scanUrl: `${String(baseUrl || '').replace(/\/$/, '')}/scan/MUSTER?sig=vorschau`,
+  }));
+}
+
+/**
+ * Muster-PDF für die Layout-Vorschau: füllt eine Seite mit Beispieldaten.
+ */
+export async function renderLayoutPreviewPdf(layout, { baseUrl, logoPath }) {
+  return renderLabelsPdf(layout, sampleLabels(labelsPerPage(layout), baseUrl), { logoPath });
+}
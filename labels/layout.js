@@ -0,0 +1,158 @@
+// src/labels/layout.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/*
+ * Label-Layouts sind deklarativ (JSON), Maße in mm, Ursprung oben links:
+ *
+ * {
+ *   "id": "standard-100x150",
+ *   "name": "Standard 100 × 150 mm",
+ *   "page": { "width": 100, "height": 150 },
+ *   "grid": { "cols": 2, "rows": 2, "cellWidth": 105, "cellHeight": 148.5 },   // optional: mehrere Labels je Seite
+ *   "elements": [
+ *     { "type": "rect", "x": 2, "y": 2, "w": 96, "h": 25, "lineWidth": 1.5 },
+ *     { "type": "text", "value": "{project}", "x": 4, "y": 6, "w": 92, "font": "Helvetica-Bold", "fit": [66, 14], "align": "center" },
+ *     { "type": "text", "value": "Gewicht: {weight} kg", "if": "weight", "x": 4, "y": 140, "size": 9 },
+ *     { "type": "qr", "x": 25, "y": 78, "size": 50, "border": 1 },
+ *     { "type": "logo", "x": 78, "y": 130, "w": 18, "h": 10 }
+ *   ]
+ * }
+ *
+ * Platzhalter in Texten: {project} {drawing} {index} {count} {fraction} {packer}
+ * {created} {footer} sowie Paletten-Daten (siehe meta.js): {weight} {dimensions}
+ * {parts} {destination} und {meta} (Gewicht · Maße · Teile in einer Zeile).
+ * "if": Element nur zeichnen, wenn das Feld einen Wert hat.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_LAYOUT_ID = 'standard-100x150';
+
+// PDF-Standardschriften (ohne eingebettete Fonts verfügbar)
+export const FONTS = [
+  'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+  'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic',
+  'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+];
+
+const ELEMENT_TYPES = ['rect', 'text', 'qr', 'logo'];
+
+/**
+ * Prüft ein Layout und gibt eine Liste von Fehlermeldungen zurück (leer = gültig).
+ */
+export function validateLayout(def) {
+  const errors = [];
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+  const positive = (v) => isNum(v) && v > 0;
+
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    return ['Layout muss ein JSON-Objekt sein'];
+  }
+  if (typeof def.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/.test(def.id)) {
+    errors.push('id: nur a–z, 0–9, "-" und "_" (max. 64 Zeichen)');
+  }
+  if (typeof def.name !== 'string' || !def.name.trim()) {
+    errors.push('name fehlt');
+  }
+  if (!def.page || !positive(def.page.width) || !positive(def.page.height)) {
+    errors.push('page: width und height in mm angeben');
+  }
+
+  if (def.grid !== undefined) {
+    const g = def.grid || {};
+    if (!Number.isInteger(g.cols) || g.cols < 1 || !Number.isInteger(g.rows) || g.rows < 1) {
+      errors.push('grid: cols und rows müssen ganze Zahlen ≥ 1 sein');
+    }
+    if (!positive(g.cellWidth) || !positive(g.cellHeight)) {
+      errors.push('grid: cellWidth und cellHeight in mm angeben');
+    }
+    for (const k of ['offsetX', 'offsetY']) {
+      if (g[k] !== undefined && !isNum(g[k])) errors.push(`grid.${k} muss eine Zahl sein`);
+    }
+  }
+
+  if (!Array.isArray(def.elements) || def.elements.length === 0) {
+    errors.push('elements: mindestens ein Element angeben');
+    return errors;
+  }
+
+  def.elements.forEach((el, i) => {
+    const where = `elements[${i}]`;
+    if (!el || !ELEMENT_TYPES.includes(el.type)) {
+      errors.push(`${where}: type muss ${ELEMENT_TYPES.join(', ')} sein`);
+      return;
+    }
+    if (!isNum(el.x) || !isNum(el.y)) errors.push(`${where}: x und y angeben`);
+    if (el.if !== undefined && typeof el.if !== 'string') errors.push(`${where}: if muss ein Feldname sein`);
+
+    if (el.type === 'rect' || el.type === 'logo') {
+      if (!positive(el.w) || !positive(el.h)) errors.push(`${where}: w und h angeben`);
+    }
+    if (el.type === 'qr' && !positive(el.size)) {
+      errors.push(`${where}: size angeben`);
+    }
+    if (el.type === 'text') {
+      if (typeof el.value !== 'string') errors.push(`${where}: value (Text) fehlt`);
+      if (el.font !== undefined && !FONTS.includes(el.font)) errors.push(`${where}: unbekannte Schrift "${el.font}"`);
+      if (el.fit !== undefined) {
+        const ok = Array.isArray(el.fit) && el.fit.length === 2 && el.fit.every(positive) && el.fit[0] >= el.fit[1];
+        if (!ok) errors.push(`${where}: fit = [max, min] in pt`);
+        if (!positive(el.w)) errors.push(`${where}: fit braucht eine Breite w`);
+      }
+      if (el.size !== undefined && !positive(el.size)) errors.push(`${where}: size muss > 0 sein`);
+      if (el.align !== undefined && !['left', 'center', 'right'].includes(el.align)) {
+        errors.push(`${where}: align muss left, center oder right sein`);
+      }
+      if (el.valign === 'center' && !positive(el.h)) errors.push(`${where}: valign center braucht eine Höhe h`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Labels je Seite und Position (mm) eines Labels auf der Seite.
+ */
+export function labelsPerPage(layout) {
+  return layout.grid ? layout.grid.cols * layout.grid.rows : 1;
+}
+
+export function slotOrigin(layout, slot) {
+  const g = layout.grid;
+  if (!g) return { x: 0, y: 0 };
+  return {
+    x: (g.offsetX || 0) + (slot % g.cols) * g.cellWidth,
+    y: (g.offsetY || 0) + Math.floor(slot / g.cols) * g.cellHeight,
+  };
+}
+
+/**
+ * Platzhalter {feld} ersetzen; unbekannte Felder werden leer.
+ */
+export function fillPlaceholders(text, values) {
+  return String(text).replace(/\{(\w+)\}/g, (_m, key) =>
+    values[key] === undefined || values[key] === null ? '' : String(values[key])
+  );
+}
+
+function loadBuiltinLayouts() {
+  const dir = path.join(__dirname, 'layouts');
+  const layouts = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+
+  for (const l of layouts) {
+    const errors = validateLayout(l);
+    if (errors.length > 0) throw new Error(`Layout ${l.id} ungültig: ${errors.join('; ')}`);
+  }
+  // Standard zuerst, dann alphabetisch
+  return layouts.sort((a, b) =>
+    a.id === DEFAULT_LAYOUT_ID ? -1 : b.id === DEFAULT_LAYOUT_ID ? 1 : a.name.localeCompare(b.name)
+  );
+}
+
+// Mitgelieferte Layouts (labels/layouts/*.json), nicht änderbar
+export const BUILTIN_LAYOUTS = loadBuiltinLayouts();
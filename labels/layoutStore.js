@@ -0,0 +1,64 @@
+// src/labels/layoutStore.js
+import { pool } from '../db.js';
+import { BUILTIN_LAYOUTS, DEFAULT_LAYOUT_ID, validateLayout } from './layout.js';
+
+const isBuiltin = (id) => BUILTIN_LAYOUTS.some((l) => l.id === id);
+
+/**
+ * Alle Layouts: mitgelieferte zuerst, danach eigene (aus der DB).
+ * Jedes Layout hat zusätzlich builtin: true/false.
+ */
+export async function listLayouts() {
+  const res = await pool.query('select definition from label_layouts order by name');
+  return [
+    ...BUILTIN_LAYOUTS.map((l) => ({ ...l, builtin: true })),
+    ...res.rows.map((r) => ({ ...r.definition, builtin: false })),
+  ];
+}
+
+/**
+ * Layout per ID oder null.
+ */
+export async function getLayout(id) {
+  const builtin = BUILTIN_LAYOUTS.find((l) => l.id === id);
+  if (builtin) return { ...builtin, builtin: true };
+
+  const res = await pool.query('select definition from label_layouts where id = $1', [id]);
+  if (res.rowCount === 0) return null;
+  return { ...res.rows[0].definition, builtin: false };
+}
+
+/**
+ * Layout eines Auftrags – fällt auf den Standard zurück, falls es gelöscht wurde.
+ */
+export async function getLayoutOrDefault(id) {
+  return (id && (await getLayout(id))) || getLayout(DEFAULT_LAYOUT_ID);
+}
+
+/**
+ * Eigenes Layout anlegen oder überschreiben.
+ * Gibt { layout } oder { errors } zurück; mitgelieferte IDs sind gesperrt.
+ */
+export async function saveLayout(def, createdBy = null) {
+  const errors = validateLayout(def);
+  if (errors.length === 0 && isBuiltin(def.id)) {
+    errors.push(`id "${def.id}" ist ein mitgeliefertes Layout – bitte eine andere ID wählen`);
+  }
+  if (errors.length > 0) return { errors };
+
+  const { builtin: _builtin, ...definition } = def;
+  await pool.query(
+    `insert into label_layouts (id, name, definition, created_by, updated_at)
+     values ($1, $2, $3, $4, now())
+     on conflict (id) do update
+       set name = excluded.name, definition = excluded.definition,
+           created_by = excluded.created_by, updated_at = now()`,
+    [definition.id, definition.name.trim(), JSON.stringify(definition), createdBy]
+  );
+  return { layout: { ...definition, builtin: false } };
+}
+
+export async function deleteLayout(id) {
+  const res = await pool.query('delete from label_layouts where id = $1', [id]);
+  return res.rowCount > 0;
+}
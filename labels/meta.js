@@ -0,0 +1,129 @@
+// src/labels/meta.js
+
+/*
+ * Paletten-Daten für die LKW-Planung: Bruttogewicht, Maße, Teileanzahl, Ziel.
+ * Alle Angaben sind optional; meta = { weightKg, lengthCm, widthCm, heightCm, parts, destination }.
+ */
+import { translator } from '../i18n/index.js';
+
+export const META_LIMITS = {
+  weightKg: 5000,
+  sizeCm: 1500,
+  parts: 100000,
+  destination: 120,
+};
+
+const EMPTY_META = {
+  weightKg: null,
+  lengthCm: null,
+  widthCm: null,
+  heightCm: null,
+  parts: null,
+  destination: null,
+};
+
+// "412,5" oder "412.5" → 412.5; leer → null; ungültig → NaN
+function parseDecimal(raw) {
+  const t = String(raw ?? '').trim().replace(',', '.');
+  if (!t) return null;
+  return /^\d+(\.\d+)?$/.test(t) ? Number(t) : NaN;
+}
+
+function parseInteger(raw) {
+  const t = String(raw ?? '').trim();
+  if (!t) return null;
+  return /^\d+$/.test(t) ? parseInt(t, 10) : NaN;
+}
+
+/**
+ * Formularwerte { weight, length, width, height, parts, destination } prüfen.
+ * Gibt { meta, errors } zurück; errors sind deutsche Meldungen.
+ */
+export function parsePalletMeta(input = {}) {
+  const errors = [];
+  const meta = { ...EMPTY_META };
+
+  const weight = parseDecimal(input.weight);
+  if (Number.isNaN(weight) || (weight !== null && (weight <= 0 || weight > META_LIMITS.weightKg))) {
+    errors.push(`Gewicht muss eine Zahl bis ${META_LIMITS.weightKg} kg sein`);
+  } else if (weight !== null) {
+    meta.weightKg = Math.round(weight * 10) / 10;
+  }
+
+  const dims = { lengthCm: input.length, widthCm: input.width, heightCm: input.height };
+  for (const [key, raw] of Object.entries(dims)) {
+    const v = parseInteger(raw);
+    if (Number.isNaN(v) || (v !== null && (v < 1 || v > META_LIMITS.sizeCm))) {
+      errors.push(`Maße in ganzen cm (1–${META_LIMITS.sizeCm}) angeben`);
+      break;
+    }
+    meta[key] = v;
+  }
+
+  const parts = parseInteger(input.parts);
+  if (Number.isNaN(parts) || (parts !== null && (parts < 1 || parts > META_LIMITS.parts))) {
+    errors.push('Teileanzahl muss eine ganze Zahl ≥ 1 sein');
+  } else {
+    meta.parts = parts;
+  }
+
+  const destination = String(input.destination ?? '').trim().replace(/\s+/g, ' ');
+  if (destination.length > META_LIMITS.destination) {
+    errors.push(`Ziel darf höchstens ${META_LIMITS.destination} Zeichen haben`);
+  } else {
+    meta.destination = destination || null;
+  }
+
+  return { meta, errors };
+}
+
+/**
+ * Paletten-Werte über die Standardwerte legen (nur ausgefüllte Felder zählen).
+ */
+export function mergeMeta(defaults = EMPTY_META, override = EMPTY_META) {
+  const out = { ...EMPTY_META, ...defaults };
+  for (const [k, v] of Object.entries(override || {})) {
+    if (v !== null && v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+export function hasMeta(meta) {
+  return !!meta && Object.values(meta).some((v) => v !== null && v !== undefined);
+}
+
+/**
+ * Anzeigetexte: { weight: "412,5", dimensions: "120 × 80 × 100 cm", parts: "24", destination, summary }
+ * summary = alles außer Ziel in einer Zeile (für Labels). t bestimmt Zahlenformat und Texte
+ * (Fahrer-Seiten in der Sprache des Geräts, Labels und Todoist auf Deutsch).
+ */
+export function formatMeta(meta, t = translator()) {
+  const num = (v) => new Intl.NumberFormat(t.intl, { maximumFractionDigits: 1 }).format(v);
+  const m = meta || EMPTY_META;
+  const dims = [m.lengthCm, m.widthCm, m.heightCm];
+  const out = {
+    weight: m.weightKg !== null && m.weightKg !== undefined ? num(m.weightKg) : '',
+    dimensions: dims.some((d) => d) ? `${dims.map((d) => d ?? '?').join(' × ')} cm` : '',
+    parts: m.parts ? String(m.parts) : '',
+    destination: m.destination || '',
+  };
+  out.summary = [
+    out.weight && `${out.weight} kg`,
+    out.dimensions,
+    out.parts && t('meta.parts', { count: out.parts }),
+  ].filter(Boolean).join(' · ');
+  return out;
+}
+
+/**
+ * Beschreibung der Todoist-Aufgabe (Markdown), leer ohne Angaben.
+ */
+export function palletTaskDescription(meta) {
+  const f = formatMeta(meta);
+  return [
+    f.weight && `**Gewicht:** ${f.weight} kg`,
+    f.dimensions && `**Maße (L × B × H):** ${f.dimensions}`,
+    f.parts && `**Teile:** ${f.parts}`,
+    f.destination && `**Ziel:** ${f.destination}`,
+  ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,138 @@
+// src/labels/pdf.js
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { fillPlaceholders, labelsPerPage, slotOrigin } from './layout.js';
+
+/* =========================
+   Helper: mm -> Punkte
+   ========================= */
+export const mm = (v) => v * 2.835; // 1 mm ~ 2.835pt
+
+/**
+ * Neues PDF für Paletten-Labels (Seiten legt renderLabelsPdf je nach Layout an).
+ */
+export function createLabelDocument() {
+  return new PDFDocument({
+    autoFirstPage: false,
+  });
+}
+
+// Text in EINE Zeile passend machen: größte Schrift zwischen maxPt und minPt
+function fitOneLine(doc, text, fontName, maxPt, minPt, boxWidth) {
+  doc.font(fontName);
+  for (let size = maxPt; size >= minPt; size--) {
+    if (doc.fontSize(size).widthOfString(text) <= boxWidth) return size;
+  }
+  return minPt;
+}
+
+/**
+ * Zeichnet ein Label nach Layout (siehe layout.js) an Position origin (mm).
+ * label: { values, scanUrl } – values füllt die Platzhalter der Texte.
+ */
+export async function drawLabel(doc, layout, label, origin, { logoPath } = {}) {
+  const ox = mm(origin.x);
+  const oy = mm(origin.y);
+  const { values, scanUrl } = label;
+
+  for (const el of layout.elements) {
+    if (el.if && !values[el.if]) continue;
+    const x = ox + mm(el.x);
+    const y = oy + mm(el.y);
+
+    if (el.type === 'rect') {
+      doc.lineWidth(el.lineWidth ?? 1);
+      doc.rect(x, y, mm(el.w), mm(el.h)).stroke();
+    }
+
+    if (el.type === 'text') {
+      const text = fillPlaceholders(el.value, values);
+      if (!text) continue;
+      const font = el.font || 'Helvetica';
+      const size = el.fit
+        ? fitOneLine(doc, text, font, el.fit[0], el.fit[1], mm(el.w))
+        : el.size || 10;
+      doc.font(font).fontSize(size);
+
+      let textY = y;
+      if (el.valign === 'center') textY += (mm(el.h) - doc.currentLineHeight()) / 2;
+      textY += mm(el.dy || 0);
+
+      // Ohne Breite kein Umbruch → kein ungewollter Seitenumbruch
+      doc.text(text, x, textY, el.w
+        ? { width: mm(el.w), align: el.align || 'left' }
+        : { lineBreak: false });
+    }
+
+    if (el.type === 'qr') {
+      const size = mm(el.size);
+      const qrPng = await QRCode.toBuffer(scanUrl, { type: 'png', margin: 0 });
+      if (el.border) {
+        doc.lineWidth(el.border);
+        doc.rect(x, y, size, size).stroke();
+      }
+      doc.image(qrPng, x, y, { width: size, height: size });
+    }
+
+    if (el.type === 'logo') {
+      try {
+        doc.image(logoPath, x, y, {
+          fit: [mm(el.w), mm(el.h)],
+          align: el.align || 'right',
+          valign: 'top',
+        });
+      } catch (e) {
+        console.warn('Logo konnte nicht geladen werden:', e.message);
+      }
+    }
+  }
+}
+
+/**
+ * Alle Labels nach Layout in ein PDF rendern (mehrere je Seite bei "grid").
+ * Gibt den PDF-Buffer zurück.
+ */
+export async function renderLabelsPdf(layout, labels, { logoPath } = {}) {
+  const doc = createLabelDocument();
+  const done = pdfToBuffer(doc);
+  const perPage = labelsPerPage(layout);
+
+  for (let i = 0; i < labels.length; i++) {
+    const slot = i % perPage;
+    if (slot === 0) {
+      doc.addPage({ size: [mm(layout.page.width), mm(layout.page.height)], margin: 0 });
+    }
+    await drawLabel(doc, layout, labels[i], slotOrigin(layout, slot), { logoPath });
+  }
+
+  doc.end();
+  return done;
+}
+
+export function formatLabelDate(createdAt) {
+  return new Intl.DateTimeFormat('de-DE', {
+    dateStyle: 'short',
+    timeStyle: 'medium',
+    timeZone: 'Europe/Berlin',
+  }).format(createdAt);
+}
+
+/**
+ * Footer-Text: "Erstellt: <Datum> · <Kürzel>"
+ */
+export function labelFooterText(createdAt, packer) {
+  const ts = formatLabelDate(createdAt);
+  return packer ? `Erstellt: ${ts} · ${packer}` : `Erstellt: ${ts}`;
+}
+
+/**
+ * PDF komplett in einen Buffer rendern (statt direkt in die Response zu pipen).
+ */
+export function pdfToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
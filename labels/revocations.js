@@ -0,0 +1,53 @@
+// src/labels/revocations.js
+import { pool } from '../db.js';
+
+/*
+ * Sperrliste für QR-Codes: gesperrte Paletten lassen sich per /scan und
+ * /complete nicht mehr ausbuchen – egal mit welchem Schlüssel signiert.
+ */
+
+export async function getRevocation(taskId) {
+  const res = await pool.query(
+    `select task_id as "taskId", reason, revoked_at as "revokedAt", revoked_by as "revokedBy"
+       from qr_revocations where task_id = $1`,
+    [String(taskId)]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Gesperrte Task-IDs aus einer Liste (Set).
+ */
+export async function getRevokedTaskIds(taskIds) {
+  const ids = [...new Set(taskIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Set();
+  const res = await pool.query('select task_id from qr_revocations where task_id = any($1)', [ids]);
+  return new Set(res.rows.map((r) => r.task_id));
+}
+
+export async function revokeQr(taskIds, { reason = null, revokedBy = null } = {}) {
+  for (const taskId of taskIds) {
+    await pool.query(
+      `insert into qr_revocations (task_id, reason, revoked_by) values ($1, $2, $3)
+       on conflict (task_id) do nothing`,
+      [String(taskId), reason, revokedBy]
+    );
+  }
+}
+
+export async function unrevokeQr(taskId) {
+  await pool.query('delete from qr_revocations where task_id = $1', [String(taskId)]);
+}
+
+export async function listRevocations({ limit = 500 } = {}) {
+  const res = await pool.query(
+    `select r.task_id as "taskId", r.reason, r.revoked_at as "revokedAt", r.revoked_by as "revokedBy",
+            p.project, p.drawing, p.pallet_index as "index", p.pallet_count as "count", p.job_id as "jobId"
+       from qr_revocations r
+       left join label_job_pallets p on p.task_id = r.task_id
+      order by r.revoked_at desc
+      limit $1`,
+    [Math.min(Math.max(parseInt(limit, 10) || 500, 1), 5000)]
+  );
+  return res.rows;
+}
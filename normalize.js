@@ -0,0 +1,91 @@
+/* =========================
+   Normalisierung Projekt & Zeichnung
+   ========================= */
+
+// Projekt: "XXYY1234" oder "XXYY1234K"
+export function normalizeProject(raw) {
+  if (!raw) return '';
+
+  // alles groß, alle Nicht-Alphanumerischen raus
+  let s = raw.toUpperCase().replace(/[^A-Z0-9K]/g, '').trim();
+
+  // Optionales K am Ende merken
+  let hasK = s.endsWith('K');
+  if (hasK) s = s.slice(0, -1);
+
+  // Buchstaben + Ziffern trennen
+  const letters = (s.match(/[A-Z]/g) || []).join('');
+  const digits = (s.match(/\d/g) || []).join('');
+
+  // 4 Buchstaben + 4 Ziffern rekonstruieren, soweit vorhanden
+  const partLetters = (letters + 'XXXX').slice(0, 4); // notfalls auffüllen
+  const partDigits = (digits + '0000').slice(0, 4);
+
+  let result = partLetters + partDigits;
+  if (hasK) result += 'K';
+
+  return result;
+}
+
+// Freitext → Titel-Schreibweise: "tür vorne rechts" -> "Tür Vorne Rechts"
+export function toTitleCase(str) {
+  return str
+    .trim()
+    .split(/\s+/)
+    .map((w) =>
+      w ? w.charAt(0).toUpperCase() + w.slice(1).toLowerCase() : ''
+    )
+    .join(' ');
+}
+
+// Zeichnung: BL-Codes + Freitext erkennen und aufbereiten
+export function normalizeDrawing(raw) {
+  if (!raw) return '';
+
+  const input = raw.trim();
+
+  // Trennzeichen zwischen den Teilen ("BL07, Tür") gehören nicht zum Freitext
+  const stripSeparators = (t) => t.replace(/^[\s,;]+|[\s,;]+$/g, '');
+
+  const tokens = [];
+  const re = /[Bb][Ll]\s*\d+/g;
+  let lastIndex = 0;
+  let match;
+
+  // BL-Codes und Freitext in der ursprünglichen Reihenfolge aufteilen
+  while ((match = re.exec(input)) !== null) {
+    const pre = stripSeparators(input.slice(lastIndex, match.index));
+    if (pre) {
+      tokens.push({ type: 'text', value: pre });
+    }
+    tokens.push({ type: 'bl', value: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  const tail = stripSeparators(input.slice(lastIndex));
+  if (tail) {
+    tokens.push({ type: 'text', value: tail });
+  }
+
+  if (tokens.length === 0) {
+    // nur Freitext, kein "BL"
+    return toTitleCase(input);
+  }
+
+  const resultParts = tokens.map((t) => {
+    if (t.type === 'bl') {
+      // BL-Code normalisieren
+      let s = t.value.toUpperCase().replace(/\s+/g, '');
+      // s z.B. "BL1", "BL07", "BL123"
+      let num = s.slice(2).replace(/\D/g, '');
+      if (!num) num = '0';
+      // zweistellig, letzte 2 Zeichen
+      num = num.padStart(2, '0').slice(-2);
+      return 'BL' + num;
+    } else {
+      // Freitext: Title Case
+      return toTitleCase(t.value);
+    }
+  });
+
+  return resultParts.join(', ');
+}
@@ -0,0 +1,87 @@
+// src/outbox/outboxRoutes.js
+import express from "express";
+import { listOpenOutbox, retryOutbox, MAX_ATTEMPTS } from "./store.js";
+import { html } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { formatDateTime } from "../views/partials.js";
+
+const router = express.Router();
+
+// Offene Todoist-Syncs als JSON
+router.get("/api/sync", async (_req, res) => {
+  try {
+    const entries = await listOpenOutbox();
+    res.json({
+      pending: entries.filter(e => e.status === "pending").length,
+      failed: entries.filter(e => e.status === "failed").length,
+      entries,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Statusseite: wartende und fehlgeschlagene Syncs
+router.get("/admin/sync", async (_req, res) => {
+  try {
+    const entries = await listOpenOutbox();
+
+    const rows = entries.map(e => html`
+      <tr>
+        <td><span class="pill ${e.status}">${e.status === "failed" ? "fehlgeschlagen" : "wartend"}</span></td>
+        <td><a href="/admin/scan-log?taskId=${encodeURIComponent(e.taskId)}">${e.taskId}</a></td>
+        <td>${e.action}</td>
+        <td>${e.attempts}/${MAX_ATTEMPTS}</td>
+        <td>${formatDateTime(e.createdAt)}</td>
+        <td>${e.status === "pending" ? formatDateTime(e.nextAttemptAt) : "–"}</td>
+        <td class="muted">${e.lastError}</td>
+        <td>
+          <form method="POST" action="/admin/sync/${e.id}/retry">
+            <button type="submit">Jetzt erneut</button>
+          </form>
+        </td>
+      </tr>
+    `);
+
+    res.type("html").send(page("Todoist-Sync", html`
+      <h1>🔄 Todoist-Sync</h1>
+      <p class="muted">
+        Ausbuchungen werden zuerst lokal gespeichert und dann an Todoist übertragen.
+        Fehlgeschlagene Übertragungen werden automatisch mit wachsendem Abstand wiederholt.
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>Status</th>
+            <th>Palette</th>
+            <th>Aktion</th>
+            <th>Versuche</th>
+            <th>Erstellt</th>
+            <th>Nächster Versuch</th>
+            <th>Letzter Fehler</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="8">✅ Alles synchron – keine offenen Übertragungen.</td></tr>`}
+        </tbody>
+      </table>
+    `, { refresh: 30 }));
+  } catch (e) {
+    console.error("Sync-Status Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden des Sync-Status.");
+  }
+});
+
+router.post("/admin/sync/:id/retry", async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).send("Unbekannter Eintrag.");
+    await retryOutbox(req.params.id);
+    res.redirect("/admin/sync");
+  } catch (e) {
+    console.error("Sync-Retry Fehler:", e.message);
+    res.status(500).send("Fehler beim erneuten Anstoßen.");
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+// src/outbox/store.js
+import { pool } from "../db.js";
+
+// Nach so vielen Fehlversuchen wird ein Eintrag auf "failed" gesetzt (manuell neu anstoßen)
+export const MAX_ATTEMPTS = 12;
+
+// Solange ein Eintrag bearbeitet wird, ist er für andere Worker gesperrt
+const LEASE = "interval '5 minutes'";
+
+const COLUMNS = `id, task_id as "taskId", action, status, attempts,
+  next_attempt_at as "nextAttemptAt", last_error as "lastError",
+  created_at as "createdAt", updated_at as "updatedAt"`;
+
+/**
+ * Stellt eine Todoist-Aktion (z. B. "close") für einen Task in die Outbox.
+ * Gibt es schon einen offenen Eintrag, wird dieser sofort fällig gestellt.
+ */
+export async function enqueueOutbox(taskId, action) {
+  const res = await pool.query(
+    `insert into todoist_outbox (task_id, action)
+     values ($1, $2)
+     on conflict (task_id, action) where status <> 'done'
+     do update set status = 'pending', next_attempt_at = now(), updated_at = now()
+     returning ${COLUMNS}`,
+    [String(taskId), action]
+  );
+  return res.rows[0];
+}
+
+/**
+ * Reserviert einen einzelnen fälligen Eintrag (für den Sofort-Versuch beim Scan).
+ * Gibt null zurück, wenn er gerade von jemand anderem bearbeitet wird.
+ */
+export async function claimOutboxEntry(id) {
+  const res = await pool.query(
+    `update todoist_outbox
+        set next_attempt_at = now() + ${LEASE}, updated_at = now()
+      where id = $1 and status = 'pending' and next_attempt_at <= now()
+      returning ${COLUMNS}`,
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Reserviert bis zu `limit` fällige Einträge (für den Hintergrund-Worker).
+ */
+export async function claimDueOutbox(limit = 20) {
+  const res = await pool.query(
+    `update todoist_outbox
+        set next_attempt_at = now() + ${LEASE}, updated_at = now()
+      where id in (
+        select id from todoist_outbox
+         where status = 'pending' and next_attempt_at <= now()
+         order by next_attempt_at
+         limit $1
+         for update skip locked
+      )
+      returning ${COLUMNS}`,
+    [limit]
+  );
+  return res.rows;
+}
+
+export async function markOutboxDone(id) {
+  await pool.query(
+    `update todoist_outbox
+        set status = 'done', attempts = attempts + 1, last_error = null, updated_at = now()
+      where id = $1`,
+    [id]
+  );
+}
+
+/**
+ * Fehlversuch verbuchen: exponentielles Backoff (30 s, 1 min, 2 min … max. 1 h),
+ * nach MAX_ATTEMPTS Versuchen Status "failed".
+ */
+export async function markOutboxFailed(id, error) {
+  const res = await pool.query(
+    `update todoist_outbox
+        set attempts = attempts + 1,
+            last_error = $2,
+            status = case when attempts + 1 >= $3 then 'failed' else 'pending' end,
+            next_attempt_at = now() + least(interval '30 seconds' * power(2, attempts), interval '1 hour'),
+            updated_at = now()
+      where id = $1
+      returning ${COLUMNS}`,
+    [id, String(error).slice(0, 1000), MAX_ATTEMPTS]
+  );
+  return res.rows[0] || null;
+}
+
+/**
+ * Fehlgeschlagenen oder wartenden Eintrag sofort neu anstoßen.
+ */
+export async function retryOutbox(id) {
+  const res = await pool.query(
+    `update todoist_outbox
+        set status = 'pending', next_attempt_at = now(), updated_at = now()
+      where id = $1 and status <> 'done'`,
+    [id]
+  );
+  return res.rowCount > 0;
+}
+
+/**
+ * Offene (pending/failed) Einträge für die Statusseite, älteste zuerst.
+ */
+export async function listOpenOutbox(limit = 500) {
+  const res = await pool.query(
+    `select ${COLUMNS}
+       from todoist_outbox
+      where status <> 'done'
+      order by created_at
+      limit $1`,
+    [limit]
+  );
+  return res.rows;
+}
+
+/**
+ * Verwirft offene Einträge einer Aktion für einen Task (z. B. nach Storno,
+ * damit ein noch wartendes "close" die wieder geöffnete Aufgabe nicht schließt).
+ */
+export async function cancelOpenOutbox(taskId, action) {
+  const res = await pool.query(
+    `delete from todoist_outbox
+      where task_id = $1 and action = $2 and status <> 'done'`,
+    [String(taskId), action]
+  );
+  return res.rowCount;
+}
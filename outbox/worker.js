@@ -0,0 +1,104 @@
+// src/outbox/worker.js
+import {
+  claimDueOutbox,
+  claimOutboxEntry,
+  markOutboxDone,
+  markOutboxFailed,
+} from "./store.js";
+import { recordScanEvent } from "../journal/store.js";
+
+// Gerade laufende Einträge je "aktion:taskId" – damit z. B. ein Storno warten kann,
+// bis ein bereits reserviertes "close" bei Todoist angekommen ist
+const running = new Map();
+const runningKey = (taskId, action) => `${action}:${taskId}`;
+
+/**
+ * Führt einen reservierten Outbox-Eintrag aus.
+ * handlers: { close: async (taskId) => ..., ... } – je Aktion eine Funktion.
+ * Gibt true zurück, wenn Todoist erfolgreich aktualisiert wurde.
+ */
+export async function runOutboxEntry(entry, handlers) {
+  const key = runningKey(entry.taskId, entry.action);
+  const run = executeOutboxEntry(entry, handlers);
+  running.set(key, run);
+  try {
+    return await run;
+  } finally {
+    if (running.get(key) === run) running.delete(key);
+  }
+}
+
+/**
+ * Wartet, bis ein gerade laufender Eintrag (Aktion + Task) abgeschlossen ist.
+ * Sofort fertig, wenn nichts läuft.
+ */
+export async function waitForRunningOutbox(taskId, action) {
+  await running.get(runningKey(String(taskId), action));
+}
+
+async function executeOutboxEntry(entry, handlers) {
+  const handler = handlers[entry.action];
+  try {
+    if (!handler) throw new Error(`Keine Outbox-Aktion "${entry.action}"`);
+    await handler(entry.taskId);
+    await markOutboxDone(entry.id);
+    return true;
+  } catch (e) {
+    const msg = e?.response?.data?.error || e?.response?.status || e.message;
+    const updated = await markOutboxFailed(entry.id, msg);
+    console.warn(
+      `Todoist-Sync fehlgeschlagen (${entry.action} ${entry.taskId}, Versuch ${updated?.attempts}):`,
+      msg
+    );
+    try {
+      await recordScanEvent({
+        taskId: entry.taskId,
+        type: "close_failed",
+        details: { via: "outbox", attempt: updated?.attempts, error: String(msg) },
+      });
+    } catch (_) {}
+    return false;
+  }
+}
+
+/**
+ * Sofort-Versuch für einen gerade eingestellten Eintrag (z. B. direkt beim Scan).
+ */
+export async function tryOutboxNow(entry, handlers) {
+  const claimed = await claimOutboxEntry(entry.id);
+  if (!claimed) return false;
+  return runOutboxEntry(claimed, handlers);
+}
+
+/**
+ * Arbeitet alle fälligen Einträge ab.
+ */
+export async function processDueOutbox(handlers) {
+  const due = await claimDueOutbox();
+  for (const entry of due) {
+    await runOutboxEntry(entry, handlers);
+  }
+  return due.length;
+}
+
+/**
+ * Startet den Hintergrund-Worker (Intervall in ms).
+ */
+export function startOutboxWorker(handlers, intervalMs = 30 * 1000) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueOutbox(handlers);
+    } catch (e) {
+      console.warn("Outbox-Worker Fehler:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return timer;
+}
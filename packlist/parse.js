@@ -0,0 +1,136 @@
+// src/packlist/parse.js
+import ExcelJS from 'exceljs';
+import { normalizeProject, normalizeDrawing } from '../normalize.js';
+import { MAX_COUNT_PER_DRAWING } from '../labels/batch.js';
+
+// Spaltennamen im ERP-Export (Groß-/Kleinschreibung egal), per /import/mapping änderbar
+export const DEFAULT_MAPPING = {
+  project: 'Projekt',
+  drawing: 'Zeichnung',
+  count: 'Anzahl Paletten',
+  packer: 'Packer',
+};
+
+/**
+ * Text einer CSV-Datei dekodieren: UTF-8 (mit/ohne BOM), sonst Windows-1252 (Excel-Standard).
+ */
+function decodeCsv(buffer) {
+  let text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) text = new TextDecoder('windows-1252').decode(buffer);
+  return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * CSV in Zeilen/Zellen zerlegen. Trennzeichen (; , Tab) wird aus der Kopfzeile erkannt,
+ * Anführungszeichen und "" als Escape werden unterstützt.
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [';', '\t', ','].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  , ';');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+
+  return rows.filter((r) => r.some((v) => String(v).trim() !== ''));
+}
+
+/**
+ * Erstes Arbeitsblatt einer XLSX-Datei als Zeilen/Zellen (Text).
+ */
+export async function parseXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+
+  const rows = [];
+  ws.eachRow({ includeEmpty: false }, (r) => {
+    const cells = [];
+    for (let c = 1; c <= r.cellCount; c++) {
+      cells.push(r.getCell(c).text ?? '');
+    }
+    rows.push(cells);
+  });
+  return rows;
+}
+
+/**
+ * Packliste (CSV oder XLSX) lesen: { headers, records: [{ rowNumber, values }] }.
+ * rowNumber ist die Zeile in der Datei (Kopfzeile = 1).
+ */
+export async function parsePackingList(buffer, filename = '') {
+  const isXlsx = /\.xlsx$/i.test(filename) || buffer.subarray(0, 2).toString() === 'PK';
+  const table = isXlsx ? await parseXlsx(buffer) : parseCsv(decodeCsv(buffer));
+  if (table.length === 0) return { headers: [], records: [] };
+
+  const headers = table[0].map((h) => String(h).trim());
+  const records = table.slice(1).map((cells, i) => ({
+    rowNumber: i + 2,
+    values: Object.fromEntries(headers.map((h, c) => [h, String(cells[c] ?? '').trim()])),
+  }));
+  return { headers, records };
+}
+
+/**
+ * Spalten per Mapping zuordnen und jede Zeile über normalizeProject/normalizeDrawing prüfen.
+ * Gibt { rows, missingColumns } zurück; jede Zeile hat errors[] (leer = gültig).
+ */
+export function applyMapping({ headers, records }, mapping = DEFAULT_MAPPING) {
+  const find = (name) => headers.find((h) => h.toLowerCase() === String(name || '').trim().toLowerCase());
+  const cols = {
+    project: find(mapping.project),
+    drawing: find(mapping.drawing),
+    count: find(mapping.count),
+    packer: find(mapping.packer),
+  };
+
+  const missingColumns = ['project', 'drawing', 'count']
+    .filter((k) => !cols[k])
+    .map((k) => mapping[k]);
+
+  const rows = records.map(({ rowNumber, values }) => {
+    const rawProject = cols.project ? values[cols.project] : '';
+    const rawDrawing = cols.drawing ? values[cols.drawing] : '';
+    const rawCount = cols.count ? values[cols.count] : '';
+    const packer = (cols.packer ? values[cols.packer] : '').slice(0, 8);
+
+    const project = normalizeProject(rawProject);
+    const drawing = normalizeDrawing(rawDrawing);
+    const count = /^\d+$/.test(rawCount) ? parseInt(rawCount, 10) : NaN;
+
+    const errors = [];
+    if (!project) errors.push('Projekt fehlt');
+    if (!drawing) errors.push('Zeichnung fehlt');
+    if (!Number.isFinite(count) || count < 1 || count > MAX_COUNT_PER_DRAWING) {
+      errors.push(`Anzahl muss 1–${MAX_COUNT_PER_DRAWING} sein`);
+    }
+
+    return { rowNumber, rawProject, rawDrawing, rawCount, packer, project, drawing, count, errors };
+  });
+
+  return { rows, missingColumns };
+}
@@ -0,0 +1,30 @@
+// src/packlist/store.js
+import { pool } from '../db.js';
+import { DEFAULT_MAPPING } from './parse.js';
+
+/**
+ * Gespeicherte Spaltenzuordnung für den Packlisten-Import (sonst Standard).
+ */
+export async function getImportMapping() {
+  const res = await pool.query(
+    "select value from app_settings where key = 'import_mapping'"
+  );
+  if (res.rowCount === 0) return { ...DEFAULT_MAPPING };
+  return { ...DEFAULT_MAPPING, ...res.rows[0].value };
+}
+
+export async function saveImportMapping(mapping) {
+  const value = {
+    project: String(mapping.project || '').trim() || DEFAULT_MAPPING.project,
+    drawing: String(mapping.drawing || '').trim() || DEFAULT_MAPPING.drawing,
+    count: String(mapping.count || '').trim() || DEFAULT_MAPPING.count,
+    packer: String(mapping.packer || '').trim() || DEFAULT_MAPPING.packer,
+  };
+  await pool.query(
+    `insert into app_settings (key, value, updated_at)
+     values ('import_mapping', $1, now())
+     on conflict (key) do update set value = excluded.value, updated_at = now()`,
+    [JSON.stringify(value)]
+  );
+  return value;
+}
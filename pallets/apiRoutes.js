@@ -0,0 +1,66 @@
+// src/pallets/apiRoutes.js
+import express from "express";
+import {
+  isPalletError,
+  verifyPalletToken,
+  viewPallet,
+  bookPallet,
+  listCommissionPallets,
+} from "./service.js";
+
+/*
+ * JSON-API v1 für Handscanner, MES und Apps.
+ *   GET  /api/v1/pallets/:taskId?k=&e=&sig=     Palette ansehen (Link aus dem QR-Code)
+ *   POST /api/v1/pallets/:taskId/book           ausbuchen, { k, e, sig } im Body oder in der Query
+ *   GET  /api/v1/commissions/:label/pallets     alle Paletten einer Kommission mit Status (Login nötig)
+ * Fehler: HTTP-Status + { error: <Code>, message, ... } – Codes siehe ERRORS in service.js.
+ */
+
+const router = express.Router();
+
+// k/e/sig aus Body (falls vorhanden) oder Query
+function tokenFrom(req) {
+  const source = typeof req.body?.sig === "string" ? req.body : req.query;
+  const token = {};
+  for (const key of ["k", "e", "sig"]) {
+    if (typeof source[key] === "string") token[key] = source[key];
+  }
+  return token;
+}
+
+function sendError(res, e, context) {
+  if (isPalletError(e)) {
+    return res.status(e.status).json({ error: e.code, message: e.message, ...e.extra });
+  }
+  console.error(`${context}:`, e?.response?.data || e.message);
+  res.status(500).json({ error: "server_error", message: "Interner Fehler – bitte erneut versuchen." });
+}
+
+router.get("/api/v1/pallets/:taskId", async (req, res) => {
+  try {
+    await verifyPalletToken(req, req.params.taskId, tokenFrom(req));
+    res.json(await viewPallet(req, req.params.taskId));
+  } catch (e) {
+    sendError(res, e, "API Palette Fehler");
+  }
+});
+
+router.post("/api/v1/pallets/:taskId/book", async (req, res) => {
+  try {
+    await verifyPalletToken(req, req.params.taskId, tokenFrom(req));
+    const via = req.body?.via === "scanner" ? "scanner" : "api";
+    res.json(await bookPallet(req, req.params.taskId, { via }));
+  } catch (e) {
+    sendError(res, e, "API Buchung Fehler");
+  }
+});
+
+router.get("/api/v1/commissions/:label/pallets", async (req, res) => {
+  try {
+    res.json(await listCommissionPallets(req.params.label));
+  } catch (e) {
+    sendError(res, e, "API Kommission Fehler");
+  }
+});
+
+export default router;
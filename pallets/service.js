@@ -0,0 +1,343 @@
+// src/pallets/service.js
+import { getCompletedAt, getCompletedAtMany, setCompleted } from "../ausbuchLogStore.js";
+import { recordScanEvent } from "../journal/store.js";
+import { enqueueOutbox } from "../outbox/store.js";
+import { tryOutboxNow } from "../outbox/worker.js";
+import { getTaskBackend, listOpenTasksByLabel } from "../tasks/index.js";
+import { verifyScanToken } from "../signing.js";
+import { getPalletByTaskId } from "../labels/jobStore.js";
+import { getRevocation } from "../labels/revocations.js";
+import { hasMeta } from "../labels/meta.js";
+import { getDriverMode, defaultDriverMode } from "../drivers/store.js";
+import { listCreatedPallets, getScanActivity } from "../dashboard/store.js";
+import { palletStatuses } from "../dashboard/summary.js";
+import { siteForPallet, listOpenSiteTasks } from "../sites/index.js";
+
+/*
+ * Scan- und Buchungsablauf einer Palette – gemeinsam für die JSON-API (/api/v1)
+ * und die HTML-Seiten (/scan, /complete). Fehler werfen palletError(code);
+ * die Aufrufer übersetzen den Code in HTTP-Status + JSON bzw. eine Seite.
+ */
+
+export const ERRORS = {
+  invalid_signature: { status: 403, message: "Ungültige Signatur." },
+  qr_expired: { status: 403, message: "Dieses Label ist nicht mehr gültig." },
+  qr_revoked: { status: 403, message: "Dieses Label wurde gesperrt." },
+  driver_required: { status: 403, message: "Für dieses Projekt bitte zuerst als Fahrer anmelden." },
+  pallet_not_found: { status: 404, message: "Zu diesem Label gibt es keine Aufgabe mehr (gelöscht oder falsches Label)." },
+  commission_not_found: { status: 404, message: "Keine Paletten zu dieser Kommission gefunden." },
+  already_booked: { status: 409, message: "Palette ist bereits ausgebucht." },
+  backend_unavailable: { status: 503, message: "Todoist ist gerade nicht erreichbar." },
+};
+
+/**
+ * Fehler mit Code aus ERRORS; extra landet zusätzlich in der JSON-Antwort.
+ */
+export function palletError(code, { message = ERRORS[code].message, ...extra } = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = ERRORS[code].status;
+  err.extra = extra;
+  return err;
+}
+
+export function isPalletError(e) {
+  return !!e && Object.hasOwn(ERRORS, e.code || "") && e.status === ERRORS[e.code].status;
+}
+
+function isTaskNotFound(e) {
+  return e?.response?.status === 404;
+}
+
+/* =========================
+   Scan-Journal
+   ========================= */
+
+// Fehler beim Protokollieren dürfen eine Ausbuchung nie blockieren
+export async function logScanEvent(req, type, taskId, { label = null, details = {} } = {}) {
+  try {
+    await recordScanEvent({
+      taskId,
+      type,
+      label,
+      actor: req.driver?.name || req.user || null,
+      device: req.get("user-agent") || null,
+      ip: req.ip,
+      details: req.driver ? { ...details, driverId: req.driver.id } : details,
+    });
+  } catch (e) {
+    console.warn("Scan-Journal konnte nicht geschrieben werden:", e.message);
+  }
+}
+
+/* =========================
+   Todoist-Outbox
+   ========================= */
+
+export const outboxHandlers = {
+  close: (taskId) => getTaskBackend().closeTask(taskId),
+};
+
+// Ausbuchung ist lokal schon gespeichert – Todoist wird über die Outbox nachgezogen.
+// true = Todoist sofort aktualisiert, false = Worker versucht es später erneut.
+async function queueCloseTask(taskId) {
+  const entry = await enqueueOutbox(taskId, "close");
+  return tryOutboxNow(entry, outboxHandlers);
+}
+
+/* =========================
+   Bausteine
+   ========================= */
+
+/**
+ * QR-Link prüfen (Signatur, Ablauf, Sperrliste). token: { k, e, sig } aus dem Link.
+ * Abgelaufene und gesperrte Labels landen als "rejected" im Journal.
+ */
+export async function verifyPalletToken(req, taskId, token) {
+  const result = verifyScanToken(taskId, token);
+  if (!result.ok && result.reason === "invalid") throw palletError("invalid_signature");
+  if (!result.ok) {
+    await logScanEvent(req, "rejected", taskId, { details: { reason: "QR-Code abgelaufen" } });
+    throw palletError("qr_expired");
+  }
+
+  const revoked = await getRevocation(taskId);
+  if (revoked) {
+    await logScanEvent(req, "rejected", taskId, { details: { reason: "QR-Code gesperrt" } });
+    throw palletError("qr_revoked", {
+      message: `Dieses Label wurde gesperrt${revoked.reason ? `: ${revoked.reason}` : "."}`,
+      reason: revoked.reason || null,
+    });
+  }
+}
+
+// rejected: Projekt verlangt Fahrer, Gerät nicht angemeldet; flagged: Buchung erlaubt, aber markiert
+export async function driverPolicy(req, project) {
+  let mode;
+  try {
+    mode = await getDriverMode(project);
+  } catch (e) {
+    console.warn("Fahrer-Einstellung nicht lesbar:", e.message);
+    mode = defaultDriverMode();
+  }
+  return {
+    mode,
+    rejected: mode === "require" && !req.driver,
+    flagged: mode === "flag" && !req.driver,
+  };
+}
+
+// Sortierung nach Priorität (Todoist: 4 = höchste) → alphabetisch
+export function sortTasksByPriorityAndName(tasks) {
+  return [...tasks].sort((a, b) => {
+    if (a.priority !== b.priority) {
+      return b.priority - a.priority;
+    }
+    return a.content.localeCompare(b.content, "de");
+  });
+}
+
+// Offene Paletten einer Kommission am Standort der Palette (lokal schon ausgebuchte ausgeblendet)
+async function openCommissionPallets(site, labelName, exceptTaskId = null) {
+  const open = await listOpenTasksByLabel(site.projectId, labelName);
+  const completed = await getCompletedAtMany(open.map((t) => t.id));
+  return sortTasksByPriorityAndName(
+    open.filter((t) => String(t.id) !== String(exceptTaskId) && !completed.has(String(t.id)))
+  );
+}
+
+// Projekt/Zeichnung/Palette: aus dem Label-Auftrag, sonst aus dem Aufgabentitel
+function palletDetails(task, pallet) {
+  if (pallet) {
+    return { project: pallet.project, drawing: pallet.drawing, index: pallet.index, count: pallet.count };
+  }
+  const m = String(task?.content || "").match(/^(.+?) – (.+) – Palette (\d+)\/(\d+)$/);
+  if (!m) return null;
+  return { project: m[1], drawing: m[2], index: Number(m[3]), count: Number(m[4]) };
+}
+
+// Aufgabe laden: gelöscht → pallet_not_found, Todoist nicht erreichbar → null (lokale Daten reichen)
+async function loadTask(req, taskId, { logMissing = false } = {}) {
+  try {
+    return await getTaskBackend().getTask(taskId);
+  } catch (e) {
+    if (isTaskNotFound(e)) {
+      if (logMissing) await logScanEvent(req, "scan_viewed", taskId, { details: { taskMissing: true } });
+      throw palletError("pallet_not_found", { taskId });
+    }
+    console.warn("Konnte Task nicht laden:", e?.response?.data || e.message);
+    return null;
+  }
+}
+
+function palletInfo(taskId, task, pallet) {
+  return {
+    taskId: String(taskId),
+    site: siteForPallet(task, pallet).id,
+    label: task?.labels?.[0] || pallet?.project || null,
+    content: task?.content || null,
+    priority: task?.priority || 1,
+    pallet: palletDetails(task, pallet),
+    meta: pallet && hasMeta(pallet.meta) ? pallet.meta : null,
+  };
+}
+
+// Offene Tasks für die API/Seiten: nur was Fahrer brauchen
+const openTaskJson = (t) => ({ taskId: String(t.id), content: t.content, priority: t.priority || 1 });
+
+/* =========================
+   Abläufe
+   ========================= */
+
+/**
+ * Palette ansehen (Scan vor dem Bestätigen).
+ * Gibt { status: "open" | "loaded", ...palletInfo, completedAt, openCount, todoistAvailable,
+ * todoistChecked, driver, driverRequired, unidentified } zurück.
+ * openCount zählt diese Palette mit. Schon ausgebucht → status "loaded" und duplicate_scan im Journal.
+ */
+export async function viewPallet(req, taskId) {
+  const completedAt = await getCompletedAt(taskId);
+  if (completedAt) {
+    const pallet = await getPalletByTaskId(taskId);
+    const info = palletInfo(taskId, null, pallet);
+    await logScanEvent(req, "duplicate_scan", taskId, { label: info.label });
+    return { status: "loaded", ...info, completedAt: new Date(completedAt).toISOString() };
+  }
+
+  const task = await loadTask(req, taskId, { logMissing: true });
+  const pallet = await getPalletByTaskId(taskId);
+  const info = palletInfo(taskId, task, pallet);
+
+  let openCount = null;
+  if (info.label && task) {
+    try {
+      openCount = (await openCommissionPallets(siteForPallet(task, pallet), info.label)).length;
+    } catch (e) {
+      console.warn("Offene Paletten nicht ermittelbar:", e?.response?.data || e.message);
+    }
+  }
+
+  // Projekt verlangt angemeldete Fahrer → die Seite leitet zur Anmeldung, noch nichts protokollieren
+  const policy = await driverPolicy(req, info.label);
+  if (!policy.rejected) await logScanEvent(req, "scan_viewed", taskId, { label: info.label });
+
+  return {
+    status: "open",
+    ...info,
+    completedAt: null,
+    openCount,
+    todoistAvailable: !!task,
+    todoistChecked: !!task?.checked,
+    driver: req.driver?.name || null,
+    driverRequired: policy.rejected,
+    unidentified: policy.flagged,
+  };
+}
+
+// Zweiter Scan einer ausgebuchten Palette: im Journal vermerken und mit already_booked abbrechen
+async function rejectAlreadyBooked(req, taskId, completedAt, via) {
+  const info = palletInfo(taskId, null, await getPalletByTaskId(taskId));
+  await logScanEvent(req, "duplicate_scan", taskId, { label: info.label, details: { via } });
+  throw palletError("already_booked", { ...info, completedAt: new Date(completedAt).toISOString() });
+}
+
+/**
+ * Palette ausbuchen: erst lokal (ausbuch_log + Journal), dann Todoist über die Outbox.
+ * via: woher die Buchung kommt (scan, complete, scanner, api) – steht im Journal.
+ * Gibt { status: "booked", ...palletInfo, synced, remaining, openCount, driver, unidentified } zurück;
+ * remaining = noch offene Paletten der Kommission (ohne diese), null ohne Todoist.
+ */
+export async function bookPallet(req, taskId, { via = "api" } = {}) {
+  const completedAt = await getCompletedAt(taskId);
+  if (completedAt) await rejectAlreadyBooked(req, taskId, completedAt, via);
+
+  // Gelöschte Aufgabe nicht ausbuchen – sonst hängt das Schließen ewig in der Outbox
+  const task = await loadTask(req, taskId);
+  const pallet = await getPalletByTaskId(taskId);
+  const info = palletInfo(taskId, task, pallet);
+
+  const policy = await driverPolicy(req, info.label);
+  if (policy.rejected) {
+    await logScanEvent(req, "rejected", taskId, {
+      label: info.label,
+      details: { content: info.content, via, reason: "Fahrer nicht angemeldet" },
+    });
+    throw palletError("driver_required");
+  }
+
+  // Zwei gleichzeitige Scans: nur wer die Ausbuchung tatsächlich anlegt, bucht
+  if (!(await setCompleted(taskId))) {
+    await rejectAlreadyBooked(req, taskId, await getCompletedAt(taskId), via);
+  }
+  await logScanEvent(req, "booked", taskId, {
+    label: info.label,
+    details: { content: info.content, via, ...(policy.flagged ? { unidentified: true } : {}) },
+  });
+  const synced = await queueCloseTask(taskId);
+
+  // Restliste ist nur Zusatzinfo – ohne Todoist null
+  let remaining = null;
+  if (info.label) {
+    try {
+      remaining = (await openCommissionPallets(siteForPallet(task, pallet), info.label, taskId)).map(openTaskJson);
+    } catch (e) {
+      console.error("Fehler beim Laden restlicher Paletten:", e?.response?.data || e.message);
+    }
+  }
+
+  return {
+    status: "booked",
+    ...info,
+    synced,
+    remaining,
+    openCount: remaining ? remaining.length : null,
+    driver: req.driver?.name || null,
+    unidentified: policy.flagged,
+  };
+}
+
+/**
+ * "Nein" auf der Scan-Seite: nur protokollieren.
+ */
+export async function cancelScan(req, taskId, answer = null) {
+  await logScanEvent(req, "cancelled", taskId, { details: { answer } });
+}
+
+/**
+ * Alle Paletten einer Kommission mit Status (open | loaded | closed), offene zuerst.
+ * Todoist nicht erreichbar → backend_unavailable (ohne Todoist ist "offen" nicht bestimmbar).
+ */
+export async function listCommissionPallets(label, { days = 365 } = {}) {
+  let openTasks;
+  try {
+    openTasks = await listOpenSiteTasks(label);
+  } catch (e) {
+    console.warn("Kommission: Todoist nicht erreichbar:", e?.response?.data || e.message);
+    throw palletError("backend_unavailable");
+  }
+
+  const created = await listCreatedPallets({ days, project: label });
+  const ids = [...created.map((p) => p.taskId), ...openTasks.map((t) => t.id)];
+  const [completed, activity] = await Promise.all([getCompletedAtMany(ids), getScanActivity(ids)]);
+  const pallets = palletStatuses({ created, openTasks, completed, activity }).filter((p) => p.label === label);
+  if (pallets.length === 0) throw palletError("commission_not_found", { label });
+
+  const order = { open: 0, loaded: 1, closed: 2 };
+  return {
+    label,
+    open: pallets.filter((p) => p.status === "open").length,
+    loaded: pallets.filter((p) => p.status === "loaded").length,
+    pallets: pallets
+      .sort((a, b) => order[a.status] - order[b.status] || (b.priority || 1) - (a.priority || 1)
+        || a.title.localeCompare(b.title, "de"))
+      .map((p) => ({
+        taskId: p.taskId,
+        status: p.status,
+        content: p.title,
+        priority: p.priority || 1,
+        pallet: p.index ? { project: p.project, drawing: p.drawing, index: p.index, count: p.count } : null,
+        loadedAt: p.loadedAt ? new Date(p.loadedAt).toISOString() : null,
+        lastScanAt: p.lastScanAt ? new Date(p.lastScanAt).toISOString() : null,
+      })),
+  };
+}
@@ -0,0 +1,49 @@
+// src/print/jobs.js
+import {
+  createPrintJob,
+  getPrintJob,
+  getPrintJobPayload,
+  getPrinter,
+  claimPrintJobRetry,
+  markPrintJobDone,
+  markPrintJobFailed,
+} from './store.js';
+import { sendRaw } from './send.js';
+
+async function send(jobId, printer, payload) {
+  try {
+    await sendRaw(printer, payload);
+    await markPrintJobDone(jobId);
+  } catch (e) {
+    console.warn(`Druck an ${printer.id} fehlgeschlagen (Auftrag ${jobId}):`, e.message);
+    await markPrintJobFailed(jobId, e.message);
+  }
+  return getPrintJob(jobId);
+}
+
+/**
+ * ZPL an einen Drucker schicken und als Druckauftrag protokollieren.
+ * Ein Druckerfehler wirft nicht – der Auftrag steht dann auf "failed".
+ */
+export async function submitPrintJob({ printer, labelJobId = null, zpl, labelCount, createdBy = null }) {
+  const job = await createPrintJob({
+    printerId: printer.id,
+    labelJobId,
+    labelCount,
+    payload: zpl,
+    createdBy,
+  });
+  return send(job.id, printer, zpl);
+}
+
+/**
+ * Fehlgeschlagenen Druckauftrag mit denselben Daten erneut senden.
+ * Gibt null zurück, wenn er nicht (mehr) fehlgeschlagen ist.
+ */
+export async function retryPrintJob(id) {
+  const job = await getPrintJob(id);
+  if (!job || !(await claimPrintJobRetry(id))) return null;
+
+  const printer = await getPrinter(job.printerId);
+  return send(id, printer, await getPrintJobPayload(id));
+}
@@ -0,0 +1,212 @@
+// src/print/printRoutes.js
+import express from "express";
+import {
+  listPrinters,
+  getPrinter,
+  savePrinter,
+  deletePrinter,
+  getPrintJob,
+  listPrintJobs,
+  DPMM_VALUES,
+} from "./store.js";
+import { submitPrintJob, retryPrintJob } from "./jobs.js";
+import { renderLabelsZpl } from "./zpl.js";
+import { sampleLabels } from "../labels/jobs.js";
+import { listLayouts, getLayoutOrDefault } from "../labels/layoutStore.js";
+import { listSites, defaultSite, siteBaseUrl } from "../sites/index.js";
+import { html } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { errorList, formatDateTime } from "../views/partials.js";
+
+const router = express.Router();
+
+const STATUS_TEXT = { sending: "wird gesendet", done: "gedruckt", failed: "fehlgeschlagen" };
+
+/* =========================
+   Drucker-Verzeichnis
+   ========================= */
+
+function printerForm(layouts, p = {}, errors = []) {
+  const dpmmOptions = DPMM_VALUES.map(v =>
+    html`<option value="${v}"${(p.dpmm || 8) === v && " selected"}>${v} Punkte/mm (${Math.round(v * 25.4)} dpi)</option>`
+  );
+  const layoutOptions = layouts.map(l =>
+    html`<option value="${l.id}"${p.layoutId === l.id && " selected"}>${l.name}</option>`
+  );
+
+  return html`
+    ${errorList(errors)}
+    <form method="POST" action="/admin/printers">
+      <label>ID: <input required name="id" value="${p.id}" placeholder="z. B. versand-1" /></label>
+      <label>Name: <input required name="name" value="${p.name}" placeholder="Zebra Versand" /></label>
+      <label>Host/IP: <input required name="host" value="${p.host}" placeholder="192.168.10.50" /></label>
+      <label>Port: <input name="port" type="number" value="${p.port || 9100}" /></label>
+      <label>Auflösung: <select name="dpmm">${dpmmOptions}</select></label>
+      <label>Layout: <select name="layoutId"><option value="">wie im Auftrag</option>${layoutOptions}</select></label>
+      <label>Aktiv:
+        <select name="enabled">
+          <option value="true"${p.enabled === false ? "" : " selected"}>ja</option>
+          <option value="false"${p.enabled === false ? " selected" : ""}>nein</option>
+        </select>
+      </label>
+      <button type="submit">Speichern</button>
+    </form>
+  `;
+}
+
+router.get("/admin/printers", async (req, res) => {
+  try {
+    const [printers, layouts] = await Promise.all([listPrinters(), listLayouts()]);
+    const edit = req.query.edit ? printers.find(p => p.id === req.query.edit) : null;
+
+    const rows = printers.map(p => html`
+      <tr>
+        <td>${p.name}<div class="muted">${p.id}</div></td>
+        <td>${p.host}:${p.port}</td>
+        <td>${p.dpmm} Punkte/mm</td>
+        <td>${layouts.find(l => l.id === p.layoutId)?.name || "wie im Auftrag"}</td>
+        <td>${p.enabled ? "aktiv" : "inaktiv"}</td>
+        <td>
+          <a href="/admin/printers?edit=${encodeURIComponent(p.id)}">Bearbeiten</a>
+          <form class="inline" method="POST" action="/admin/printers/${encodeURIComponent(p.id)}/test">
+            <button type="submit">Testdruck</button>
+          </form>
+          <form class="inline" method="POST" action="/admin/printers/${encodeURIComponent(p.id)}/delete">
+            <button type="submit">Löschen</button>
+          </form>
+        </td>
+      </tr>
+    `);
+
+    res.type("html").send(page("Drucker", html`
+      <h1>🖨️ Etikettendrucker (ZPL)</h1>
+      <p class="muted">Zebra-/Thermodrucker, die ZPL per TCP (Raw, meist Port 9100) annehmen.</p>
+      <table>
+        <thead><tr><th>Drucker</th><th>Adresse</th><th>Auflösung</th><th>Layout</th><th>Status</th><th></th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="6">Noch keine Drucker eingerichtet.</td></tr>`}</tbody>
+      </table>
+      <h2>${edit ? "Drucker bearbeiten" : "Drucker hinzufügen"}</h2>
+      ${printerForm(layouts, edit || {})}
+      <p><a href="/admin/print-jobs">Druckaufträge</a> · <a href="/">Zum Formular</a></p>
+    `));
+  } catch (e) {
+    console.error("Drucker-Seite Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden der Drucker.");
+  }
+});
+
+router.post("/admin/printers", async (req, res) => {
+  try {
+    const { printer, errors } = await savePrinter(req.body);
+    if (errors) {
+      const layouts = await listLayouts();
+      return res.status(400).type("html").send(page("Drucker: Fehler", html`
+        <h1>⚠️ Drucker nicht gespeichert</h1>
+        ${printerForm(layouts, { ...req.body, dpmm: parseInt(req.body.dpmm, 10), enabled: req.body.enabled !== "false" }, errors)}
+        <p><a href="/admin/printers">Zurück</a></p>
+      `));
+    }
+    res.redirect(`/admin/printers?saved=${encodeURIComponent(printer.id)}`);
+  } catch (e) {
+    console.error("Drucker speichern Fehler:", e.message);
+    res.status(500).send("Fehler beim Speichern des Druckers.");
+  }
+});
+
+router.post("/admin/printers/:id/delete", async (req, res) => {
+  try {
+    await deletePrinter(req.params.id);
+    res.redirect("/admin/printers");
+  } catch (e) {
+    console.error("Drucker löschen Fehler:", e.message);
+    res.status(500).send("Fehler beim Löschen des Druckers.");
+  }
+});
+
+// Testdruck mit Beispieldaten – legt keine Aufgaben an
+router.post("/admin/printers/:id/test", async (req, res) => {
+  try {
+    const printer = await getPrinter(req.params.id);
+    if (!printer) return res.status(404).send("Drucker nicht gefunden.");
+
+    // QR auf die Adresse des Standorts, dessen Standard-Drucker das ist (sonst Standard-Standort)
+    const site = listSites().find((s) => s.printer === printer.id) || defaultSite();
+    const layout = await getLayoutOrDefault(printer.layoutId);
+    const zpl = renderLabelsZpl(layout, sampleLabels(1, siteBaseUrl(site)), { dpmm: printer.dpmm });
+    const job = await submitPrintJob({ printer, zpl, labelCount: 1, createdBy: req.user || null });
+    res.redirect(`/admin/print-jobs?highlight=${job.id}`);
+  } catch (e) {
+    console.error("Testdruck Fehler:", e.message);
+    res.status(500).send("Fehler beim Testdruck.");
+  }
+});
+
+/* =========================
+   Druckaufträge
+   ========================= */
+
+router.get("/api/print-jobs/:id", async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "Unbekannter Druckauftrag" });
+    const job = await getPrintJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Unbekannter Druckauftrag" });
+    res.json(job);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get("/admin/print-jobs", async (req, res) => {
+  try {
+    const status = Object.keys(STATUS_TEXT).includes(req.query.status) ? req.query.status : undefined;
+    const jobs = await listPrintJobs({ status });
+    const rows = jobs.map(j => html`
+      <tr${String(j.id) === req.query.highlight && html` class="highlight"`}>
+        <td>${j.id}</td>
+        <td><span class="pill ${j.status}">${STATUS_TEXT[j.status]}</span></td>
+        <td>${j.printerName}</td>
+        <td>${j.labelJobId ? html`<a href="/labels/jobs/${encodeURIComponent(j.labelJobId)}">${j.labelCount} Labels</a>` : `${j.labelCount} (Testdruck)`}</td>
+        <td>${formatDateTime(j.createdAt)}<div class="muted">${j.createdBy}</div></td>
+        <td>${j.attempts}</td>
+        <td class="muted">${j.lastError}</td>
+        <td>
+          ${j.status === "failed" && html`
+            <form method="POST" action="/admin/print-jobs/${j.id}/retry">
+              <button type="submit">Erneut senden</button>
+            </form>`}
+        </td>
+      </tr>
+    `);
+
+    res.type("html").send(page("Druckaufträge", html`
+      <h1>🖨️ Druckaufträge</h1>
+      <p>
+        <a href="/admin/print-jobs">Alle</a> ·
+        <a href="/admin/print-jobs?status=failed">Fehlgeschlagen</a> ·
+        <a href="/admin/printers">Drucker</a>
+      </p>
+      <table>
+        <thead>
+          <tr><th>#</th><th>Status</th><th>Drucker</th><th>Labels</th><th>Erstellt</th><th>Versuche</th><th>Fehler</th><th></th></tr>
+        </thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="8">Keine Druckaufträge.</td></tr>`}</tbody>
+      </table>
+    `, { refresh: 15 }));
+  } catch (e) {
+    console.error("Druckaufträge Fehler:", e.message);
+    res.status(500).send("Fehler beim Laden der Druckaufträge.");
+  }
+});
+
+router.post("/admin/print-jobs/:id/retry", async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).send("Unbekannter Druckauftrag.");
+    await retryPrintJob(req.params.id);
+    res.redirect(`/admin/print-jobs?highlight=${req.params.id}`);
+  } catch (e) {
+    console.error("Druck-Retry Fehler:", e.message);
+    res.status(500).send("Fehler beim erneuten Senden.");
+  }
+});
+
+export default router;
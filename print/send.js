@@ -0,0 +1,29 @@
+// src/print/send.js
+import net from 'net';
+
+/**
+ * Schickt Rohdaten (ZPL) per TCP an einen Drucker (Raw-Port, meist 9100).
+ * Erfolgreich, sobald alles geschrieben und die Verbindung sauber beendet ist.
+ */
+export function sendRaw({ host, port = 9100 }, data, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      socket.destroy();
+      reject(err);
+    };
+
+    socket.setTimeout(timeoutMs, () =>
+      fail(new Error(`Drucker ${host}:${port} antwortet nicht (Timeout)`))
+    );
+    socket.on('error', (e) => fail(new Error(`Drucker ${host}:${port}: ${e.code || e.message}`)));
+    socket.on('connect', () => socket.end(data));
+    socket.on('close', (hadError) => {
+      if (!hadError && !failed) resolve();
+    });
+  });
+}
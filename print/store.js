@@ -0,0 +1,158 @@
+// src/print/store.js
+import { pool } from '../db.js';
+
+export const DPMM_VALUES = [6, 8, 12, 24];
+
+const PRINTER_COLUMNS = `id, name, host, port, dpmm, layout_id as "layoutId", enabled, updated_at as "updatedAt"`;
+
+const JOB_COLUMNS = `j.id, j.printer_id as "printerId", p.name as "printerName",
+  j.label_job_id as "labelJobId", j.label_count as "labelCount", j.status,
+  j.attempts, j.last_error as "lastError", j.created_by as "createdBy",
+  j.created_at as "createdAt", j.updated_at as "updatedAt"`;
+
+/* =========================
+   Drucker-Verzeichnis
+   ========================= */
+
+export async function listPrinters({ enabledOnly = false } = {}) {
+  const res = await pool.query(
+    `select ${PRINTER_COLUMNS} from printers ${enabledOnly ? 'where enabled' : ''} order by name`
+  );
+  return res.rows;
+}
+
+export async function getPrinter(id) {
+  const res = await pool.query(`select ${PRINTER_COLUMNS} from printers where id = $1`, [id]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Drucker prüfen; gibt eine Liste von Fehlermeldungen zurück (leer = gültig).
+ */
+export function validatePrinter(p) {
+  const errors = [];
+  if (!/^[a-z0-9][a-z0-9_-]{0,63}$/.test(p.id || '')) errors.push('ID: nur a–z, 0–9, "-" und "_"');
+  if (!String(p.name || '').trim()) errors.push('Name fehlt');
+  if (!/^[\w.-]+$/.test(p.host || '')) errors.push('Host/IP fehlt oder ungültig');
+  if (!Number.isInteger(p.port) || p.port < 1 || p.port > 65535) errors.push('Port muss 1–65535 sein');
+  if (!DPMM_VALUES.includes(p.dpmm)) errors.push(`Auflösung muss ${DPMM_VALUES.join(', ')} Punkte/mm sein`);
+  return errors;
+}
+
+/**
+ * Drucker anlegen oder ändern. Gibt { printer } oder { errors } zurück.
+ */
+export async function savePrinter(input) {
+  const p = {
+    id: String(input.id || '').trim().toLowerCase(),
+    name: String(input.name || '').trim(),
+    host: String(input.host || '').trim(),
+    port: parseInt(input.port || 9100, 10),
+    dpmm: parseInt(input.dpmm || 8, 10),
+    layoutId: String(input.layoutId || '').trim() || null,
+    enabled: input.enabled !== false && input.enabled !== 'false',
+  };
+  const errors = validatePrinter(p);
+  if (errors.length > 0) return { errors };
+
+  const res = await pool.query(
+    `insert into printers (id, name, host, port, dpmm, layout_id, enabled, updated_at)
+     values ($1, $2, $3, $4, $5, $6, $7, now())
+     on conflict (id) do update
+       set name = excluded.name, host = excluded.host, port = excluded.port, dpmm = excluded.dpmm,
+           layout_id = excluded.layout_id, enabled = excluded.enabled, updated_at = now()
+     returning ${PRINTER_COLUMNS}`,
+    [p.id, p.name, p.host, p.port, p.dpmm, p.layoutId, p.enabled]
+  );
+  return { printer: res.rows[0] };
+}
+
+export async function deletePrinter(id) {
+  const res = await pool.query('delete from printers where id = $1', [id]);
+  return res.rowCount > 0;
+}
+
+/* =========================
+   Druckaufträge
+   ========================= */
+
+/**
+ * Druckauftrag anlegen (Status "sending"). payload = fertiges ZPL,
+ * damit ein erneuter Versuch exakt dasselbe druckt.
+ */
+export async function createPrintJob({ printerId, labelJobId = null, labelCount, payload, createdBy = null }) {
+  const res = await pool.query(
+    `insert into print_jobs (printer_id, label_job_id, label_count, payload, created_by)
+     values ($1, $2, $3, $4, $5)
+     returning id`,
+    [printerId, labelJobId, labelCount, payload, createdBy]
+  );
+  return getPrintJob(res.rows[0].id);
+}
+
+export async function getPrintJob(id) {
+  const res = await pool.query(
+    `select ${JOB_COLUMNS}
+       from print_jobs j join printers p on p.id = j.printer_id
+      where j.id = $1`,
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+export async function getPrintJobPayload(id) {
+  const res = await pool.query('select payload from print_jobs where id = $1', [id]);
+  return res.rows[0]?.payload ?? null;
+}
+
+/**
+ * Fehlgeschlagenen Auftrag für einen neuen Versuch reservieren.
+ * Gibt false zurück, wenn er gerade gesendet wird oder schon gedruckt ist.
+ */
+export async function claimPrintJobRetry(id) {
+  const res = await pool.query(
+    `update print_jobs set status = 'sending', updated_at = now()
+      where id = $1 and status = 'failed'`,
+    [id]
+  );
+  return res.rowCount > 0;
+}
+
+export async function markPrintJobDone(id) {
+  await pool.query(
+    `update print_jobs
+        set status = 'done', attempts = attempts + 1, last_error = null, updated_at = now()
+      where id = $1`,
+    [id]
+  );
+}
+
+export async function markPrintJobFailed(id, error) {
+  await pool.query(
+    `update print_jobs
+        set status = 'failed', attempts = attempts + 1, last_error = $2, updated_at = now()
+      where id = $1`,
+    [id, String(error).slice(0, 1000)]
+  );
+}
+
+/**
+ * Letzte Druckaufträge (neueste zuerst), optional nur ein Status.
+ */
+export async function listPrintJobs({ status, limit = 100 } = {}) {
+  const params = [Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)];
+  let filter = '';
+  if (status) {
+    params.push(status);
+    filter = 'where j.status = $2';
+  }
+  const res = await pool.query(
+    `select ${JOB_COLUMNS}
+       from print_jobs j join printers p on p.id = j.printer_id
+       ${filter}
+      order by j.created_at desc, j.id desc
+      limit $1`,
+    params
+  );
+  return res.rows;
+}
@@ -0,0 +1,100 @@
+// src/print/zpl.js
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { fillPlaceholders } from '../labels/layout.js';
+
+/*
+ * Rendert dieselben Label-Layouts (labels/layouts/*.json) als ZPL für
+ * Zebra-/Thermodrucker. Unterschiede zum PDF:
+ * - Schrift ist immer die skalierbare Druckerschrift 0 (Breiten werden mit
+ *   Helvetica gemessen – die Druckerschrift ist schmaler, passt also sicher)
+ * - Logos werden nicht gedruckt
+ * - Bei Layouts mit "grid" (z. B. A4) wird ein Label pro Etikett gedruckt
+ */
+
+// Punkte (pt) → mm
+const PT_MM = 25.4 / 72;
+
+// Nur zum Messen von Textbreiten, es wird nichts gerendert
+let measureDoc = null;
+function textWidthPt(text, font, size) {
+  if (!measureDoc) measureDoc = new PDFDocument({ autoFirstPage: false });
+  return measureDoc.font(font).fontSize(size).widthOfString(text);
+}
+
+function fitSize(text, font, [maxPt, minPt], widthMm) {
+  for (let size = maxPt; size >= minPt; size--) {
+    if (textWidthPt(text, font, size) * PT_MM <= widthMm) return size;
+  }
+  return minPt;
+}
+
+// Feldinhalt für ^FH: Steuerzeichen als Hex (_5E = ^, _7E = ~, _5F = _)
+export function zplField(text) {
+  return String(text)
+    .replace(/_/g, '_5F')
+    .replace(/\^/g, '_5E')
+    .replace(/~/g, '_7E')
+    .replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Ein Label als ZPL (^XA … ^XZ).
+ * label: { values, scanUrl } wie bei renderLabelsPdf, dpmm: Druckerauflösung (8 = 203 dpi).
+ */
+export function labelToZpl(layout, label, { dpmm = 8 } = {}) {
+  const d = (v) => Math.round(v * dpmm);
+  const width = layout.grid ? layout.grid.cellWidth : layout.page.width;
+  const height = layout.grid ? layout.grid.cellHeight : layout.page.height;
+  const { values, scanUrl } = label;
+
+  const out = ['^XA', '^CI28', `^PW${d(width)}`, `^LL${d(height)}`, '^LH0,0'];
+
+  for (const el of layout.elements) {
+    if (el.if && !values[el.if]) continue;
+
+    if (el.type === 'rect') {
+      const thickness = Math.max(1, d((el.lineWidth ?? 1) * PT_MM));
+      out.push(`^FO${d(el.x)},${d(el.y)}^GB${d(el.w)},${d(el.h)},${thickness}^FS`);
+    }
+
+    if (el.type === 'text') {
+      const text = fillPlaceholders(el.value, values);
+      if (!text) continue;
+      const font = el.font || 'Helvetica';
+      const sizePt = el.fit ? fitSize(text, font, el.fit, el.w) : el.size || 10;
+      const h = Math.max(10, d(sizePt * PT_MM));
+
+      let y = d(el.y);
+      if (el.valign === 'center') y += Math.round((d(el.h) - h) / 2);
+      y += d(el.dy || 0);
+
+      const block = el.w
+        ? `^FB${d(el.w)},1,0,${{ left: 'L', center: 'C', right: 'R' }[el.align || 'left']},0`
+        : '';
+      out.push(`^FO${d(el.x)},${y}^A0N,${h}${block}^FH^FD${zplField(text)}^FS`);
+    }
+
+    if (el.type === 'qr') {
+      const size = d(el.size);
+      const modules = QRCode.create(scanUrl, { errorCorrectionLevel: 'M' }).modules.size;
+      const mag = Math.min(10, Math.max(1, Math.floor(size / modules)));
+      const offset = Math.max(0, Math.round((size - modules * mag) / 2));
+      if (el.border) {
+        const thickness = Math.max(1, d(el.border * PT_MM));
+        out.push(`^FO${d(el.x)},${d(el.y)}^GB${size},${size},${thickness}^FS`);
+      }
+      out.push(`^FO${d(el.x) + offset},${d(el.y) + offset}^BQN,2,${mag}^FDMA,${scanUrl}^FS`);
+    }
+  }
+
+  out.push('^PQ1', '^XZ');
+  return out.join('\n');
+}
+
+/**
+ * Mehrere Labels als ein ZPL-Dokument (ein Etikett pro Label).
+ */
+export function renderLabelsZpl(layout, labels, opts = {}) {
+  return labels.map((l) => labelToZpl(layout, l, opts)).join('\n') + '\n';
+}
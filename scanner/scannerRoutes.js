@@ -0,0 +1,277 @@
+// src/scanner/scannerRoutes.js
+import express from "express";
+import { createRequire } from "module";
+import { html, raw } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { languageSwitch } from "../views/partials.js";
+
+const router = express.Router();
+const require = createRequire(import.meta.url);
+
+/*
+ * Dauer-Scanner für die Verladung: Kamera bleibt offen, jedes erkannte
+ * Paletten-Label (/scan/:taskId?sig=…) wird sofort über POST /api/v1/pallets/:taskId/book gebucht.
+ * Fahrerausweise (/driver/badge/…) melden das Gerät an.
+ * Die Liste der Sitzung liegt im sessionStorage des Browsers.
+ * Texte für das Script kommen übersetzt als data-text (wie auf /av).
+ */
+
+// QR-Dekoder (jsQR) aus node_modules ausliefern
+router.get("/scanner/jsQR.js", (_req, res) => {
+  res.set("Cache-Control", "public, max-age=86400");
+  res.sendFile(require.resolve("jsqr"));
+});
+
+const scannerScript = `
+(function () {
+  var TEXT = JSON.parse(document.currentScript.dataset.text);
+  var video = document.getElementById('video');
+  var canvas = document.createElement('canvas');
+  var ctx = canvas.getContext('2d', { willReadFrequently: true });
+  var startBtn = document.getElementById('start');
+  var feedback = document.getElementById('feedback');
+  var list = document.getElementById('session');
+  var summary = document.getElementById('summary');
+  var STORAGE_KEY = 'lager_scanner_session';
+  var REPEAT_MS = 4000; // dasselbe Label so lange ignorieren (Kamera sieht es mehrfach)
+  var audio = null;
+  var busy = false;
+  var last = { text: '', at: 0 };
+
+  var session = [];
+  try { session = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]'); } catch (e) { session = []; }
+
+  function esc(s) {
+    return String(s == null ? '' : s).replace(/[&<>"]/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+    });
+  }
+
+  // Text escapen, dann Platzhalter {name} durch fertiges Markup ersetzen
+  function fmt(text, vars) {
+    return esc(text).replace(/\{(\w+)\}/g, function (m, name) { return name in vars ? vars[name] : m; });
+  }
+
+  function beep(ok) {
+    if (navigator.vibrate) navigator.vibrate(ok ? 80 : [200, 80, 200]);
+    if (!audio) return;
+    var tones = ok ? [880] : [220, 220];
+    tones.forEach(function (freq, i) {
+      var osc = audio.createOscillator();
+      var gain = audio.createGain();
+      osc.frequency.value = freq;
+      osc.connect(gain);
+      gain.connect(audio.destination);
+      var t = audio.currentTime + i * 0.25;
+      gain.gain.setValueAtTime(0.3, t);
+      osc.start(t);
+      osc.stop(t + (ok ? 0.15 : 0.2));
+    });
+  }
+
+  function show(kind, title, text) {
+    feedback.className = 'notice ' + kind;
+    feedback.innerHTML = '<div class="title">' + esc(title) + '</div>' + (text ? '<div>' + text + '</div>' : '');
+  }
+
+  function palletText(r) {
+    if (r.pallet) {
+      return esc(r.pallet.project) + ' – ' + esc(r.pallet.drawing)
+        + ' – <b>' + fmt(TEXT.pallet, { index: esc(r.pallet.index), count: esc(r.pallet.count) }) + '</b>';
+    }
+    return esc(r.content || r.taskId);
+  }
+
+  function render() {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    var booked = session.filter(function (e) { return e.status === 'booked'; });
+    summary.textContent = TEXT.summary.replace('{count}', booked.length);
+    list.innerHTML = session.slice().reverse().map(function (e) {
+      return '<tr class="' + esc(e.status) + '"><td>' + esc(e.time) + '</td><td>' + e.html + '</td><td>' + esc(e.note) + '</td></tr>';
+    }).join('');
+  }
+
+  function remember(status, r, note) {
+    session.push({
+      status: status,
+      taskId: r.taskId,
+      html: palletText(r),
+      note: note,
+      time: new Date().toLocaleTimeString(TEXT.locale, { hour: '2-digit', minute: '2-digit' }),
+    });
+    render();
+  }
+
+  // Paletten-Link: { taskId, token } – Ausweis: { badge: Pfad } – sonst null
+  function parseCode(text) {
+    var url;
+    try { url = new URL(text, location.href); } catch (e) { return null; }
+    if (/^\\/driver\\/badge\\/[^/]+$/.test(url.pathname)) return { badge: url.pathname + url.search };
+    var m = url.pathname.match(/^\\/(?:scan|complete)\\/([^/]+)$/);
+    if (!m) return null;
+    var token = {};
+    ['k', 'e', 'sig'].forEach(function (key) {
+      if (url.searchParams.has(key)) token[key] = url.searchParams.get(key);
+    });
+    return { taskId: decodeURIComponent(m[1]), token: token };
+  }
+
+  async function signInBadge(path) {
+    var res = await fetch(path, { credentials: 'same-origin' });
+    if (res.ok) {
+      show('ok', '🚚 ' + TEXT.driverSignedIn, esc(TEXT.reloading));
+      beep(true);
+      setTimeout(function () { location.reload(); }, 800);
+    } else {
+      show('error', TEXT.badgeInvalidTitle, esc(TEXT.badgeInvalid));
+      beep(false);
+    }
+  }
+
+  async function book(code) {
+    var res, r;
+    try {
+      res = await fetch('/api/v1/pallets/' + encodeURIComponent(code.taskId) + '/book', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(Object.assign({ via: 'scanner' }, code.token)),
+      });
+      r = await res.json();
+    } catch (e) {
+      show('error', TEXT.offline, esc(TEXT.offlineText));
+      beep(false);
+      return;
+    }
+    r.taskId = r.taskId || code.taskId;
+
+    // Fehlertexte der API sind Deutsch → über den Code übersetzen
+    var message = TEXT.errors[r.error] || r.message || TEXT.unknownError;
+
+    if (res.ok) {
+      var open = r.openCount === null ? '' : ' · ' + fmt(TEXT.open, { count: '<b>' + esc(r.openCount) + '</b>' });
+      show('ok', TEXT.booked, palletText(r) + (r.label ? '<div>' + esc(TEXT.commission) + ' ' + esc(r.label) + open + '</div>' : '')
+        + (r.synced ? '' : '<div class="small">' + esc(TEXT.pending) + '</div>'));
+      remember('booked', r, r.unidentified ? TEXT.noDriverNote : '');
+      beep(true);
+    } else if (r.error === 'already_booked') {
+      show('warn', TEXT.alreadyTitle, palletText(r));
+      remember('duplicate', r, TEXT.alreadyNote);
+      beep(false);
+    } else if (r.error === 'driver_required') {
+      show('error', '🚚 ' + TEXT.driverRequired, esc(message) + ' <a href="/driver?next=%2Fscanner">' + esc(TEXT.pinLogin) + '</a> · ' + esc(TEXT.orBadge));
+      beep(false);
+    } else {
+      show('error', TEXT.notBooked, esc(message));
+      remember('error', r, message);
+      beep(false);
+    }
+  }
+
+  async function handle(text) {
+    var now = Date.now();
+    if (text === last.text && now - last.at < REPEAT_MS) return;
+    last = { text: text, at: now };
+
+    var code = parseCode(text);
+    if (!code) {
+      show('error', TEXT.unknownCode, esc(TEXT.unknownCodeText));
+      beep(false);
+      return;
+    }
+    busy = true;
+    try {
+      if (code.badge) await signInBadge(code.badge);
+      else await book(code);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function tick() {
+    if (!busy && video.readyState === video.HAVE_ENOUGH_DATA) {
+      // verkleinert dekodieren – reicht für Labels und schont Handy-Akkus
+      var scale = Math.min(1, 640 / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      var img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      var found = jsQR(img.data, img.width, img.height, { inversionAttempts: 'dontInvert' });
+      if (found && found.data) handle(found.data);
+    }
+    requestAnimationFrame(tick);
+  }
+
+  startBtn.addEventListener('click', async function () {
+    // Ton nur nach Nutzeraktion möglich (Browser-Vorgabe)
+    var AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (AudioCtx && !audio) audio = new AudioCtx();
+    try {
+      var stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+      video.srcObject = stream;
+      await video.play();
+      startBtn.style.display = 'none';
+      show('idle', TEXT.ready, esc(TEXT.readyText));
+      requestAnimationFrame(tick);
+    } catch (e) {
+      show('error', TEXT.noCamera, esc(TEXT.noCameraText));
+    }
+  });
+
+  document.getElementById('clear').addEventListener('click', function () {
+    if (!confirm(TEXT.clearConfirm)) return;
+    session = [];
+    render();
+  });
+
+  render();
+})();
+`;
+
+// Fehlercodes aus pallets/service.js, die beim Buchen vorkommen
+const BOOK_ERRORS = [
+  "invalid_signature", "qr_expired", "qr_revoked", "driver_required",
+  "pallet_not_found", "already_booked", "backend_unavailable",
+];
+
+router.get("/scanner", (req, res) => {
+  const { t } = req;
+  const driver = req.driver
+    ? html`${t.html("scan.driver", { name: req.driver.name })} · <a href="/driver?next=%2Fscanner">${t("scanner.switchDriver")}</a>`
+    : html`${t("scanner.noDriver")} · <a href="/driver?next=%2Fscanner">${t("driverRequired.pin")}</a> · ${t("scanner.orBadge")}`;
+  const scriptText = {
+    locale: t.intl,
+    pallet: t("scan.pallet"),
+    commission: t("scan.commission"),
+    pending: t("booked.pending"),
+    alreadyTitle: t("already.title"),
+    driverRequired: t("driverRequired.title"),
+    pinLogin: t("driverRequired.pin"),
+    driverSignedIn: t("driver.badgeTitle"),
+    badgeInvalidTitle: t("driver.badgeInvalidHeading"),
+    badgeInvalid: t("driver.badgeInvalid"),
+    ...Object.fromEntries([
+      "orBadge", "clearConfirm", "summary", "reloading", "offline", "offlineText", "booked", "open",
+      "noDriverNote", "alreadyNote", "notBooked", "unknownError", "unknownCode", "unknownCodeText",
+      "ready", "readyText", "noCamera", "noCameraText",
+    ].map((key) => [key, t(`scanner.${key}`)])),
+    errors: Object.fromEntries(BOOK_ERRORS.map((code) => [code, t(`errors.${code}`)])),
+  };
+
+  res.type("html").send(page(t("scanner.title"), html`
+    <h1>${t("scanner.heading")}</h1>
+    <p class="hint">${driver}</p>
+    <div class="camera"><video id="video" playsinline muted></video><div class="frame"></div></div>
+    <button id="start" class="start" type="button">${t("scanner.start")}</button>
+    <div id="feedback" class="notice idle"><div class="title">${t("scanner.intro")}</div>
+      <div class="small">${t("scanner.introHint")}</div></div>
+    <h2 id="summary"></h2>
+    <table><tbody id="session"></tbody></table>
+    <button id="clear" class="clear" type="button">${t("scanner.clear")}</button>
+    ${languageSwitch(req)}
+    <script src="/scanner/jsQR.js"></script>
+    <script data-text="${JSON.stringify(scriptText)}">${raw(scannerScript)}</script>
+  `, { kind: "mobile", bodyClass: "scanner", lang: req.locale }));
+});
+
+export default router;
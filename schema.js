@@ -0,0 +1,318 @@
+import { pool } from "./db.js";
+
+/**
+ * Schema-Migrationen in fester Reihenfolge.
+ * Bereits ausgeführte Einträge werden in schema_migrations gemerkt,
+ * neue Migrationen immer nur HINTEN anhängen.
+ */
+const migrations = [
+  {
+    id: "001_ausbuch_log",
+    sql: `
+      create table if not exists ausbuch_log (
+        task_id text primary key,
+        completed_at timestamptz not null
+      )`,
+  },
+  {
+    id: "002_av_lists",
+    sql: `
+      create table if not exists av_lists (
+        id text primary key,
+        label text not null,
+        created_by text,
+        created_at timestamptz not null default now(),
+        expires_at timestamptz
+      );
+      create table if not exists av_list_items (
+        list_id text not null references av_lists(id) on delete cascade,
+        position integer not null,
+        content text not null,
+        priority integer not null default 1,
+        url text,
+        primary key (list_id, position)
+      );
+      create index if not exists av_lists_expires_at_idx on av_lists (expires_at)`,
+  },
+  {
+    id: "003_av_list_items_task_id",
+    sql: `alter table av_list_items add column if not exists task_id text`,
+  },
+  {
+    id: "004_scan_events",
+    sql: `
+      create table if not exists scan_events (
+        id bigserial primary key,
+        task_id text not null,
+        event_type text not null check (event_type in
+          ('scan_viewed', 'booked', 'cancelled', 'close_failed', 'duplicate_scan')),
+        occurred_at timestamptz not null default now(),
+        label text,
+        actor text,
+        device text,
+        ip text,
+        details jsonb not null default '{}'::jsonb
+      );
+      create index if not exists scan_events_task_id_idx on scan_events (task_id);
+      create index if not exists scan_events_label_idx on scan_events (label);
+      create index if not exists scan_events_occurred_at_idx on scan_events (occurred_at);
+      -- Journal ist append-only: Änderungen und Löschungen ablehnen
+      create or replace function scan_events_append_only() returns trigger as $$
+      begin
+        raise exception 'scan_events ist append-only';
+      end;
+      $$ language plpgsql;
+      drop trigger if exists scan_events_no_change on scan_events;
+      create trigger scan_events_no_change
+        before update or delete on scan_events
+        for each row execute function scan_events_append_only()`,
+  },
+  {
+    id: "005_scan_events_reverted",
+    sql: `
+      alter table scan_events drop constraint if exists scan_events_event_type_check;
+      alter table scan_events add constraint scan_events_event_type_check check (event_type in
+        ('scan_viewed', 'booked', 'cancelled', 'close_failed', 'duplicate_scan', 'reverted'))`,
+  },
+  {
+    id: "006_todoist_outbox",
+    sql: `
+      create table if not exists todoist_outbox (
+        id bigserial primary key,
+        task_id text not null,
+        action text not null,
+        status text not null default 'pending' check (status in ('pending', 'done', 'failed')),
+        attempts integer not null default 0,
+        next_attempt_at timestamptz not null default now(),
+        last_error text,
+        created_at timestamptz not null default now(),
+        updated_at timestamptz not null default now()
+      );
+      create unique index if not exists todoist_outbox_open_uniq
+        on todoist_outbox (task_id, action) where status <> 'done';
+      create index if not exists todoist_outbox_due_idx
+        on todoist_outbox (next_attempt_at) where status = 'pending'`,
+  },
+  {
+    id: "007_local_tasks",
+    sql: `
+      create table if not exists local_tasks (
+        id text primary key,
+        content text not null,
+        description text not null default '',
+        labels text[] not null default '{}',
+        priority integer not null default 1,
+        project_id text,
+        checked boolean not null default false,
+        added_at timestamptz not null default now(),
+        completed_at timestamptz
+      );
+      create index if not exists local_tasks_project_idx on local_tasks (project_id) where not checked;
+      create table if not exists local_labels (
+        id text primary key,
+        name text not null unique
+      )`,
+  },
+  {
+    id: "008_app_settings",
+    sql: `
+      create table if not exists app_settings (
+        key text primary key,
+        value jsonb not null,
+        updated_at timestamptz not null default now()
+      )`,
+  },
+  {
+    id: "009_label_jobs",
+    sql: `
+      create table if not exists label_jobs (
+        id text primary key,
+        idempotency_key text not null unique,
+        source text not null,
+        status text not null default 'creating' check (status in ('creating', 'done')),
+        created_by text,
+        created_at timestamptz not null default now()
+      );
+      create table if not exists label_job_pallets (
+        job_id text not null references label_jobs(id) on delete cascade,
+        position integer not null,
+        project text not null,
+        drawing text not null,
+        pallet_index integer not null,
+        pallet_count integer not null,
+        packer text,
+        task_id text,
+        primary key (job_id, position)
+      );
+      create index if not exists label_job_pallets_task_id_idx on label_job_pallets (task_id);
+      create index if not exists label_jobs_created_at_idx on label_jobs (created_at desc)`,
+  },
+  {
+    id: "010_label_layouts",
+    sql: `
+      create table if not exists label_layouts (
+        id text primary key,
+        name text not null,
+        definition jsonb not null,
+        created_by text,
+        updated_at timestamptz not null default now()
+      );
+      alter table label_jobs add column if not exists layout_id text not null default 'standard-100x150'`,
+  },
+  {
+    id: "011_printers",
+    sql: `
+      create table if not exists printers (
+        id text primary key,
+        name text not null,
+        host text not null,
+        port integer not null default 9100,
+        dpmm integer not null default 8 check (dpmm in (6, 8, 12, 24)),
+        layout_id text,
+        enabled boolean not null default true,
+        updated_at timestamptz not null default now()
+      );
+      create table if not exists print_jobs (
+        id bigserial primary key,
+        printer_id text not null references printers(id) on delete cascade,
+        label_job_id text references label_jobs(id) on delete set null,
+        label_count integer not null,
+        payload text not null,
+        status text not null default 'sending' check (status in ('sending', 'done', 'failed')),
+        attempts integer not null default 0,
+        last_error text,
+        created_by text,
+        created_at timestamptz not null default now(),
+        updated_at timestamptz not null default now()
+      );
+      create index if not exists print_jobs_created_at_idx on print_jobs (created_at desc)`,
+  },
+  {
+    id: "012_pallet_meta",
+    sql: `
+      alter table label_job_pallets
+        add column if not exists weight_kg numeric(7, 1),
+        add column if not exists length_cm integer,
+        add column if not exists width_cm integer,
+        add column if not exists height_cm integer,
+        add column if not exists parts integer,
+        add column if not exists destination text`,
+  },
+  {
+    id: "013_users",
+    sql: `
+      create table if not exists users (
+        username text primary key,
+        display_name text not null,
+        initials text,
+        password_hash text not null,
+        roles text[] not null default '{}',
+        active boolean not null default true,
+        created_at timestamptz not null default now(),
+        last_login_at timestamptz
+      );
+      create table if not exists user_sessions (
+        token_hash text primary key,
+        username text not null references users(username) on delete cascade,
+        created_at timestamptz not null default now(),
+        expires_at timestamptz not null
+      );
+      create index if not exists user_sessions_expires_at_idx on user_sessions (expires_at)`,
+  },
+  {
+    id: "014_drivers",
+    sql: `
+      create table if not exists drivers (
+        id bigserial primary key,
+        name text not null,
+        pin_hash text unique,
+        badge_version integer not null default 1,
+        active boolean not null default true,
+        created_at timestamptz not null default now(),
+        created_by text
+      );
+      create table if not exists driver_devices (
+        token_hash text primary key,
+        driver_id bigint not null references drivers(id) on delete cascade,
+        created_at timestamptz not null default now(),
+        expires_at timestamptz not null
+      );
+      create index if not exists driver_devices_expires_at_idx on driver_devices (expires_at);
+      create table if not exists driver_settings (
+        project text primary key,
+        mode text not null check (mode in ('off', 'flag', 'require')),
+        updated_at timestamptz not null default now(),
+        updated_by text
+      );
+      alter table scan_events drop constraint if exists scan_events_event_type_check;
+      alter table scan_events add constraint scan_events_event_type_check check (event_type in
+        ('scan_viewed', 'booked', 'cancelled', 'close_failed', 'duplicate_scan', 'reverted', 'rejected'))`,
+  },
+  {
+    id: "015_qr_tokens",
+    sql: `
+      alter table label_jobs add column if not exists qr_expires_at timestamptz;
+      create table if not exists qr_revocations (
+        task_id text primary key,
+        reason text,
+        revoked_at timestamptz not null default now(),
+        revoked_by text
+      )`,
+  },
+  {
+    id: "016_todoist_webhooks",
+    sql: `
+      create table if not exists todoist_webhook_deliveries (
+        delivery_id text primary key,
+        event_name text not null,
+        task_id text,
+        received_at timestamptz not null default now()
+      );
+      create index if not exists todoist_webhook_deliveries_received_at_idx on todoist_webhook_deliveries (received_at);
+      alter table scan_events drop constraint if exists scan_events_event_type_check;
+      alter table scan_events add constraint scan_events_event_type_check check (event_type in
+        ('scan_viewed', 'booked', 'cancelled', 'close_failed', 'duplicate_scan', 'reverted', 'rejected',
+         'todoist_completed', 'todoist_reopened', 'todoist_updated', 'todoist_deleted'))`,
+  },
+  {
+    // Standort (siehe sites/); null = Standard-Standort (Aufträge/Listen von vor den Standorten)
+    id: "017_sites",
+    sql: `
+      alter table label_jobs add column if not exists site_id text;
+      alter table av_lists add column if not exists site_id text`,
+  },
+];
+
+/**
+ * Führt alle noch offenen Migrationen aus (beim Serverstart).
+ * Jede Migration läuft in einer eigenen Transaktion.
+ */
+export async function migrate() {
+  await pool.query(
+    `create table if not exists schema_migrations (
+       id text primary key,
+       applied_at timestamptz not null default now()
+     )`
+  );
+
+  const res = await pool.query("select id from schema_migrations");
+  const applied = new Set(res.rows.map((r) => r.id));
+
+  for (const m of migrations) {
+    if (applied.has(m.id)) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      await client.query(m.sql);
+      await client.query("insert into schema_migrations (id) values ($1)", [m.id]);
+      await client.query("commit");
+      console.log(`Migration ausgeführt: ${m.id}`);
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw new Error(`Migration ${m.id} fehlgeschlagen: ${e.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+
+/*
+ * QR-Links der Paletten: /scan/:taskId?k=<Schlüssel-ID>&e=<Ablauf>&sig=<HMAC>
+ *
+ * SIGNING_KEYS="2025b:geheim2,2025a:geheim1" – der erste Schlüssel signiert neue Labels,
+ * alle weiteren werden beim Scannen weiter akzeptiert (Schlüsselwechsel ohne Neudruck).
+ * Ohne k gilt SIGNING_SECRET (alte Labels /scan/:taskId?sig=…); mit
+ * SIGNING_ACCEPT_UNVERSIONED=false werden solche Links abgelehnt.
+ * e = Ablauf in Unix-Sekunden (optional, je Label-Auftrag) ist mitsigniert.
+ *
+ * Fahrerausweise (/driver/badge/:id?v=…&k=…&sig=…) nutzen dieselben Schlüssel.
+ */
+
+/**
+ * Vergleich in konstanter Zeit (Signaturen nicht per === prüfen).
+ */
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * "id:secret,id:secret" → [{ id, secret }] (Reihenfolge bleibt, erster = aktuell).
+ */
+export function parseSigningKeys(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const i = part.indexOf(':');
+      const id = part.slice(0, i).trim();
+      const secret = part.slice(i + 1).trim();
+      if (i < 1 || !/^[A-Za-z0-9_-]{1,32}$/.test(id) || !secret) {
+        throw new Error(`SIGNING_KEYS: Eintrag "${id || part.slice(0, 8)}…" muss "id:secret" sein`);
+      }
+      return { id, secret };
+    });
+}
+
+const signingKeys = () => parseSigningKeys(process.env.SIGNING_KEYS);
+
+// Schlüssel für neue Signaturen: { k?, secret } – ohne SIGNING_KEYS das SIGNING_SECRET
+function currentKey() {
+  const [current] = signingKeys();
+  return current ? { k: current.id, secret: current.secret } : { secret: process.env.SIGNING_SECRET };
+}
+
+// Secret zu einer Schlüssel-ID aus dem Link; ohne k SIGNING_SECRET (abschaltbar), unbekannt → null
+function secretFor(k) {
+  if (k) return signingKeys().find((key) => key.id === k)?.secret || null;
+  if (process.env.SIGNING_ACCEPT_UNVERSIONED === 'false') return null;
+  return process.env.SIGNING_SECRET || null;
+}
+
+/**
+ * HMAC-Signatur für den QR-Link einer Palette (/scan/:taskId?sig=...).
+ */
+export function signTaskId(taskId, secret = process.env.SIGNING_SECRET) {
+  return crypto.createHmac('sha256', secret).update(String(taskId)).digest('hex');
+}
+
+// Mit Ablauf wird "taskId|e" signiert, ohne Ablauf nur die taskId (kompatibel zu alten Labels)
+const tokenMessage = (taskId, e) => (e ? `${taskId}|${e}` : String(taskId));
+
+/**
+ * Query-Parameter { k?, e?, sig } für einen neuen QR-Link.
+ * expiresAt: optionales Ablaufdatum (Date/ISO) des Label-Auftrags.
+ */
+export function signScanToken(taskId, { expiresAt = null } = {}) {
+  const { k, secret } = currentKey();
+  const e = expiresAt ? String(Math.floor(new Date(expiresAt).getTime() / 1000)) : null;
+  return {
+    ...(k ? { k } : {}),
+    ...(e ? { e } : {}),
+    sig: signTaskId(tokenMessage(taskId, e), secret),
+  };
+}
+
+export function scanQuery(taskId, opts) {
+  return new URLSearchParams(signScanToken(taskId, opts)).toString();
+}
+
+/**
+ * QR-Link prüfen. Gibt { ok: true, keyId } oder { ok: false, reason: 'invalid' | 'expired' } zurück.
+ */
+export function verifyScanToken(taskId, { k, e, sig } = {}, now = Date.now()) {
+  let secret = secretFor(k);
+  if (e !== undefined && !/^\d{1,12}$/.test(String(e))) secret = null;
+  if (!secret || !sig || !safeEqual(sig, signTaskId(tokenMessage(taskId, e), secret))) {
+    return { ok: false, reason: 'invalid' };
+  }
+  if (e && Number(e) * 1000 < now) {
+    return { ok: false, reason: 'expired' };
+  }
+  return { ok: true, keyId: k || null };
+}
+
+/**
+ * HMAC-Signatur für den Fahrerausweis-QR (/driver/badge/:id?v=...&sig=...).
+ * Neue badge_version macht alte Ausweise ungültig.
+ */
+export function signDriverBadge(driverId, version, secret = process.env.SIGNING_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`driver:${driverId}:${version}`).digest('hex');
+}
+
+/**
+ * Query-Parameter { k?, sig } für einen neuen Ausweis – mit dem aktuellen Schlüssel aus SIGNING_KEYS.
+ */
+export function signBadgeToken(driverId, version) {
+  const { k, secret } = currentKey();
+  return { ...(k ? { k } : {}), sig: signDriverBadge(driverId, version, secret) };
+}
+
+/**
+ * Ausweis-Link prüfen ({ k, sig } aus dem Link); alte Ausweise ohne k wie bei den QR-Links.
+ */
+export function verifyBadgeToken(driverId, version, { k, sig } = {}) {
+  const secret = secretFor(k);
+  return Boolean(secret && sig) && safeEqual(sig, signDriverBadge(driverId, version, secret));
+}
@@ -0,0 +1,128 @@
+// src/sites/index.js
+import path from "path";
+import { fileURLToPath } from "url";
+import { getTaskBackend, listOpenTasksByLabel } from "../tasks/index.js";
+
+/*
+ * Standorte (Hallen, Subunternehmer) mit eigenem Todoist-Projekt, Logo, Label-Vorgaben und BASE_URL.
+ *
+ * SITES='[{"id":"halle1","name":"Halle 1","projectId":"2203…","baseUrl":"https://lager.example.de",
+ *          "logoPath":"/srv/logos/halle1.png","layout":"standard-100x150","printer":"zebra-h1"}]'
+ *
+ * Der erste Standort ist der Standard (alte Aufträge/Ladelisten ohne Standort, Vorauswahl).
+ * Ohne SITES gibt es genau einen Standort aus PROJECT_ID, BASE_URL und LOGO_PATH.
+ * baseUrl/logoPath fehlen → BASE_URL/LOGO_PATH; layout/printer sind nur Vorauswahl im Formular.
+ */
+
+const DEFAULT_LOGO_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "logo.png");
+const DEFAULT_SITE_ID = "default";
+
+const trimmed = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+/**
+ * SITES (JSON) → [{ id, name, projectId, baseUrl, logoPath, layout, printer }].
+ * Fehlerhafte Einträge werfen mit Hinweis auf den Eintrag (Prüfung beim Start, siehe index.js).
+ */
+export function parseSites(raw, env = process.env) {
+  const fallback = {
+    baseUrl: trimmed(env.BASE_URL),
+    logoPath: trimmed(env.LOGO_PATH) || DEFAULT_LOGO_PATH,
+  };
+
+  if (!trimmed(raw)) {
+    return [{
+      id: DEFAULT_SITE_ID,
+      name: "Standard",
+      projectId: trimmed(env.PROJECT_ID),
+      ...fallback,
+      layout: null,
+      printer: null,
+    }];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`SITES: kein gültiges JSON (${e.message})`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("SITES: muss eine Liste mit mindestens einem Standort sein");
+  }
+
+  const seen = new Set();
+  return list.map((s, i) => {
+    const id = trimmed(s?.id);
+    if (!id || !/^[a-z0-9_-]{1,32}$/.test(id)) {
+      throw new Error(`SITES: Eintrag ${i + 1} braucht eine id aus a-z, 0-9, _ und -`);
+    }
+    if (seen.has(id)) throw new Error(`SITES: id "${id}" ist doppelt`);
+    seen.add(id);
+
+    const projectId = trimmed(s.projectId === undefined ? "" : String(s.projectId));
+    if (!projectId) throw new Error(`SITES: Standort "${id}" braucht eine projectId`);
+    return {
+      id,
+      name: trimmed(s.name) || id,
+      projectId,
+      baseUrl: trimmed(s.baseUrl) || fallback.baseUrl,
+      logoPath: trimmed(s.logoPath) || fallback.logoPath,
+      layout: trimmed(s.layout),
+      printer: trimmed(s.printer),
+    };
+  });
+}
+
+let cachedSites = null;
+
+/**
+ * Alle Standorte – einmal aus der Umgebung gelesen (Prüfung beim Start in index.js), danach gemerkt.
+ */
+export function listSites() {
+  if (!cachedSites) cachedSites = parseSites(process.env.SITES);
+  return cachedSites;
+}
+
+// Nach Änderung von SITES/PROJECT_ID/BASE_URL neu lesen (Tests)
+export function invalidateSiteCache() {
+  cachedSites = null;
+}
+
+export function defaultSite() {
+  return listSites()[0];
+}
+
+// Unbekannte ID → null; ohne ID der Standard-Standort
+export function getSite(id) {
+  if (!id) return defaultSite();
+  return listSites().find((s) => s.id === String(id)) || null;
+}
+
+export function siteForProject(projectId) {
+  return listSites().find((s) => s.projectId === String(projectId)) || null;
+}
+
+/**
+ * Standort einer Palette: aus dem Label-Auftrag, sonst über das Todoist-Projekt der Aufgabe,
+ * sonst der Standard (z. B. Aufgaben, die von Hand in Todoist angelegt wurden).
+ */
+export function siteForPallet(task, pallet) {
+  return (pallet?.siteId && getSite(pallet.siteId))
+    || (task?.project_id && siteForProject(task.project_id))
+    || defaultSite();
+}
+
+export function siteBaseUrl(site) {
+  return String(site.baseUrl || "").replace(/\/$/, "");
+}
+
+/**
+ * Offene Tasks aller Standort-Projekte (Übersichten über alle Hallen), optional nur eine Kommission.
+ */
+export async function listOpenSiteTasks(labelName = null) {
+  const projectIds = [...new Set(listSites().map((s) => s.projectId).filter(Boolean))];
+  const lists = await Promise.all(projectIds.map((projectId) => (labelName
+    ? listOpenTasksByLabel(projectId, labelName)
+    : getTaskBackend().listTasks({ projectId }))));
+  return lists.flat();
+}
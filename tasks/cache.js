@@ -0,0 +1,87 @@
+// src/tasks/cache.js
+
+/*
+ * Gemeinsamer Cache für listTasks: Scans, AV-Listen und Dashboard laden die
+ * offenen Tasks eines Projekts nicht bei jeder Anfrage neu von Todoist.
+ *   - gültig für ttlMs (TASK_CACHE_TTL_SECONDS), gleichzeitige Abfragen teilen sich einen Request
+ *   - eigene Schreibzugriffe halten den Cache aktuell (anlegen/schließen) bzw. verwerfen ihn (wieder öffnen)
+ *   - Änderungen in Todoist selbst kommen über den Webhook (invalidate) oder spätestens nach ttlMs
+ */
+
+export const DEFAULT_TTL_SECONDS = 30;
+
+export function cacheTtlMs(env = process.env) {
+  const n = parseInt(env.TASK_CACHE_TTL_SECONDS, 10);
+  return (Number.isFinite(n) && n >= 0 ? n : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+/**
+ * Backend mit Cache umhüllen; alle anderen Methoden reichen durch.
+ * Zusätzlich: invalidate(projectId?) – ohne projectId wird alles verworfen.
+ */
+export function withTaskCache(backend, { ttlMs, now = Date.now } = {}) {
+  // projectId -> { tasks, expiresAt } bzw. { pending: Promise }
+  const entries = new Map();
+  // Zählt Invalidierungen, damit eine laufende Abfrage danach keine veralteten Daten ablegt
+  let generation = 0;
+
+  const copy = (tasks) => tasks.map((t) => ({ ...t }));
+
+  function invalidate(projectId = null) {
+    generation += 1;
+    if (projectId === null) entries.clear();
+    else entries.delete(String(projectId));
+  }
+
+  // Geschlossene Task aus allen Einträgen entfernen (Projekt ist beim Schließen nicht bekannt)
+  function dropTask(taskId) {
+    for (const entry of entries.values()) {
+      if (entry.tasks) entry.tasks = entry.tasks.filter((t) => String(t.id) !== String(taskId));
+    }
+  }
+
+  return {
+    ...backend,
+
+    async listTasks({ projectId }) {
+      const key = String(projectId);
+      const entry = entries.get(key);
+      if (entry?.tasks && entry.expiresAt > now()) return copy(entry.tasks);
+      if (entry?.pending) return copy(await entry.pending);
+
+      const startedAt = generation;
+      const pending = backend.listTasks({ projectId });
+      entries.set(key, { pending });
+      try {
+        const tasks = await pending;
+        if (startedAt === generation) entries.set(key, { tasks, expiresAt: now() + ttlMs });
+        else if (entries.get(key)?.pending === pending) entries.delete(key);
+        return copy(tasks);
+      } catch (e) {
+        if (entries.get(key)?.pending === pending) entries.delete(key);
+        throw e;
+      }
+    },
+
+    async createTask(args) {
+      const task = await backend.createTask(args);
+      const entry = entries.get(String(task.project_id ?? args.projectId));
+      if (entry?.tasks) entry.tasks = [...entry.tasks, task];
+      else invalidate(task.project_id ?? args.projectId);
+      return task;
+    },
+
+    async closeTask(taskId) {
+      await backend.closeTask(taskId);
+      generation += 1;
+      dropTask(taskId);
+    },
+
+    async reopenTask(taskId) {
+      await backend.reopenTask(taskId);
+      invalidate();
+    },
+
+    invalidate,
+  };
+}
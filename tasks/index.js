@@ -0,0 +1,70 @@
+// src/tasks/index.js
+import { createTodoistBackend } from "./todoistBackend.js";
+import { createMemoryBackend, createPostgresBackend } from "./localBackend.js";
+import { withTaskCache, cacheTtlMs } from "./cache.js";
+
+/**
+ * Gemeinsame Schnittstelle aller Task-Backends:
+ *   createTask({ content, labels, projectId, description }) -> Task
+ *   getTask(taskId) -> Task (404-Fehler, wenn unbekannt)
+ *   closeTask(taskId), reopenTask(taskId)
+ *   listTasks({ projectId }) -> offene Tasks des Projekts
+ *   ensureLabel(name) -> Label-ID
+ * Tasks haben die Form der Todoist API v1 (id, content, labels, priority, url …).
+ */
+export const BACKENDS = ["todoist", "memory", "postgres"];
+
+/**
+ * Backend anhand von TASK_BACKEND wählen (Standard: todoist).
+ */
+export function createTaskBackend(env = process.env) {
+  const kind = (env.TASK_BACKEND || "todoist").trim().toLowerCase();
+
+  switch (kind) {
+    case "todoist": {
+      const backend = createTodoistBackend({ token: env.TODOIST_TOKEN, baseURL: env.TODOIST_API_URL || undefined });
+      // Lokale Backends sind schnell genug, nur Todoist bekommt den Cache (TASK_CACHE_TTL_SECONDS=0 schaltet ab)
+      const ttlMs = cacheTtlMs(env);
+      return ttlMs > 0 ? withTaskCache(backend, { ttlMs }) : backend;
+    }
+    case "memory":
+      return createMemoryBackend();
+    case "postgres":
+      return createPostgresBackend();
+    default:
+      throw new Error(`Unbekanntes TASK_BACKEND "${kind}" (erlaubt: ${BACKENDS.join(", ")})`);
+  }
+}
+
+let current = null;
+
+/**
+ * Das App-weite Backend (einmal erzeugt). Mit setTaskBackend austauschbar (z. B. in Tests).
+ */
+export function getTaskBackend() {
+  if (!current) current = createTaskBackend();
+  return current;
+}
+
+export function setTaskBackend(backend) {
+  current = backend;
+}
+
+/**
+ * Gecachte Task-Listen verwerfen (z. B. nach einem Todoist-Webhook). Ohne projectId: alle.
+ */
+export function invalidateTaskCache(projectId = null) {
+  current?.invalidate?.(projectId);
+}
+
+/**
+ * Alle offenen Tasks eines Projekts mit einem bestimmten Label (Kommission).
+ */
+export async function listOpenTasksByLabel(projectId, labelName) {
+  const pid = String(projectId || "").trim();
+  if (!pid) return [];
+
+  // Erst nur Tasks aus DEM Projekt holen, dann lokal nach Label filtern
+  const all = await getTaskBackend().listTasks({ projectId: pid });
+  return all.filter((t) => Array.isArray(t.labels) && t.labels.includes(labelName));
+}
@@ -0,0 +1,153 @@
+// src/tasks/localBackend.js
+import crypto from "crypto";
+import { pool } from "../db.js";
+
+// Gleiche Fehlerform wie axios/Todoist, damit bestehende Fehlerbehandlung greift
+function notFound(taskId) {
+  const err = new Error(`Task ${taskId} nicht gefunden`);
+  err.response = { status: 404, data: { error: "Task not found" } };
+  return err;
+}
+
+function newId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * Lokales Task-Backend im Speicher (Tests, Entwicklung ohne Todoist-Konto).
+ * Inhalt geht beim Neustart verloren.
+ */
+export function createMemoryBackend() {
+  const tasks = new Map();
+  const labels = new Map();
+
+  const copy = (t) => ({ ...t, labels: [...t.labels] });
+
+  return {
+    name: "memory",
+
+    async createTask({ content, labels: labelNames = [], projectId, description = "" }) {
+      const task = {
+        id: newId(),
+        content,
+        description,
+        labels: Array.isArray(labelNames) ? [...labelNames] : [],
+        priority: 1,
+        project_id: projectId ? String(projectId) : null,
+        checked: false,
+        added_at: new Date().toISOString(),
+        completed_at: null,
+        url: null,
+      };
+      tasks.set(task.id, task);
+      return copy(task);
+    },
+
+    async getTask(taskId) {
+      const t = tasks.get(String(taskId));
+      if (!t) throw notFound(taskId);
+      return copy(t);
+    },
+
+    async closeTask(taskId) {
+      const t = tasks.get(String(taskId));
+      if (!t) throw notFound(taskId);
+      t.checked = true;
+      t.completed_at = new Date().toISOString();
+    },
+
+    async reopenTask(taskId) {
+      const t = tasks.get(String(taskId));
+      if (!t) throw notFound(taskId);
+      t.checked = false;
+      t.completed_at = null;
+    },
+
+    async listTasks({ projectId }) {
+      return [...tasks.values()]
+        .filter((t) => !t.checked && t.project_id === String(projectId))
+        .map(copy);
+    },
+
+    async ensureLabel(labelName) {
+      if (!labels.has(labelName)) labels.set(labelName, newId());
+      return labels.get(labelName);
+    },
+  };
+}
+
+const TASK_COLUMNS = `id, content, description, labels, priority, project_id, checked,
+  added_at, completed_at, null::text as url`;
+
+function rowToTask(row) {
+  return {
+    ...row,
+    added_at: row.added_at ? row.added_at.toISOString() : null,
+    completed_at: row.completed_at ? row.completed_at.toISOString() : null,
+  };
+}
+
+/**
+ * Lokales Task-Backend in Postgres (Tabellen local_tasks / local_labels).
+ * Damit läuft die App auch ganz ohne Todoist.
+ */
+export function createPostgresBackend() {
+  return {
+    name: "postgres",
+
+    async createTask({ content, labels = [], projectId, description = "" }) {
+      const res = await pool.query(
+        `insert into local_tasks (id, content, description, labels, project_id)
+         values ($1, $2, $3, $4, $5)
+         returning ${TASK_COLUMNS}`,
+        [newId(), content, description, Array.isArray(labels) ? labels : [], projectId ? String(projectId) : null]
+      );
+      return rowToTask(res.rows[0]);
+    },
+
+    async getTask(taskId) {
+      const res = await pool.query(
+        `select ${TASK_COLUMNS} from local_tasks where id = $1`,
+        [String(taskId)]
+      );
+      if (res.rowCount === 0) throw notFound(taskId);
+      return rowToTask(res.rows[0]);
+    },
+
+    async closeTask(taskId) {
+      const res = await pool.query(
+        "update local_tasks set checked = true, completed_at = now() where id = $1",
+        [String(taskId)]
+      );
+      if (res.rowCount === 0) throw notFound(taskId);
+    },
+
+    async reopenTask(taskId) {
+      const res = await pool.query(
+        "update local_tasks set checked = false, completed_at = null where id = $1",
+        [String(taskId)]
+      );
+      if (res.rowCount === 0) throw notFound(taskId);
+    },
+
+    async listTasks({ projectId }) {
+      const res = await pool.query(
+        `select ${TASK_COLUMNS} from local_tasks
+          where project_id = $1 and not checked
+          order by added_at`,
+        [String(projectId)]
+      );
+      return res.rows.map(rowToTask);
+    },
+
+    async ensureLabel(labelName) {
+      const res = await pool.query(
+        `insert into local_labels (id, name) values ($1, $2)
+         on conflict (name) do update set name = excluded.name
+         returning id`,
+        [newId(), labelName]
+      );
+      return res.rows[0].id;
+    },
+  };
+}
@@ -0,0 +1,160 @@
+// src/tasks/todoistBackend.js
+import axios from "axios";
+
+// Todoist API v1: max. 200 Einträge pro Seite, weitere über next_cursor
+const PAGE_SIZE = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wartezeit aus einer 429-Antwort: Retry-After (Sekunden oder HTTP-Datum)
+ * oder error_extra.retry_after im Body. null = keine Angabe.
+ */
+export function retryAfterMs(response, now = Date.now()) {
+  const header = response?.headers?.["retry-after"];
+  if (header !== undefined && header !== null && String(header).trim() !== "") {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (Number.isFinite(date)) return Math.max(0, date - now);
+  }
+  const extra = Number(response?.data?.error_extra?.retry_after);
+  return Number.isFinite(extra) ? Math.max(0, extra * 1000) : null;
+}
+
+function rateLimitError(waitMs) {
+  const err = new Error(`Todoist Rate-Limit – erst in ${Math.ceil(waitMs / 1000)} s wieder möglich`);
+  err.response = { status: 429, data: { error: "Too Many Requests" } };
+  return err;
+}
+
+/**
+ * Task-Backend für die echte Todoist API v1.
+ * Fehler kommen als axios-Fehler (err.response.status / err.response.data).
+ *
+ * Rate-Limit (429): alle Aufrufe dieses Backends warten gemeinsam die Retry-After-Zeit ab
+ * (ohne Angabe exponentiell ab retryBaseMs) und werden bis zu maxRetries-mal wiederholt.
+ * Wartezeiten über maxWaitMs scheitern sofort mit 429 – ein Scan soll nicht minutenlang
+ * hängen, die Outbox holt das Schließen später nach.
+ */
+export function createTodoistBackend({
+  token,
+  baseURL = "https://api.todoist.com/api/v1",
+  maxRetries = 3,
+  maxWaitMs = 10_000,
+  retryBaseMs = 1000,
+}) {
+  if (!token) throw new Error("TODOIST_TOKEN fehlt (ENV)");
+
+  const td = axios.create({
+    baseURL,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  // Bis wann Todoist uns gebremst hat (gilt für alle Aufrufe)
+  let blockedUntil = 0;
+
+  td.interceptors.request.use(async (config) => {
+    const wait = blockedUntil - Date.now();
+    if (wait > maxWaitMs) throw rateLimitError(wait);
+    if (wait > 0) await sleep(wait);
+    return config;
+  });
+
+  td.interceptors.response.use(null, async (err) => {
+    const config = err.config;
+    if (err.response?.status !== 429 || !config) throw err;
+
+    const attempt = (config.rateLimitRetries || 0) + 1;
+    const wait = retryAfterMs(err.response) ?? retryBaseMs * 2 ** (attempt - 1);
+    blockedUntil = Math.max(blockedUntil, Date.now() + wait);
+    if (attempt > maxRetries || wait > maxWaitMs) throw err;
+
+    console.warn(`Todoist Rate-Limit: Versuch ${attempt}/${maxRetries} in ${Math.ceil(wait / 1000)} s`);
+    return td.request({ ...config, rateLimitRetries: attempt });
+  });
+
+  // Alle Seiten einer Liste (results + next_cursor) einsammeln
+  async function listAll(url, params = {}) {
+    const all = [];
+    const seen = new Set();
+    let cursor = null;
+    do {
+      const res = await td.get(url, { params: { ...params, limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) } });
+      // API v1 liefert { results: [...], next_cursor }, ältere Antworten ein Array
+      const page = res.data?.results ?? res.data ?? [];
+      if (Array.isArray(page)) all.push(...page);
+      seen.add(cursor);
+      cursor = res.data?.next_cursor || null;
+    } while (cursor && !seen.has(cursor));
+    return all;
+  }
+
+  // Labels-Cache: Name -> ID
+  const labelCache = new Map();
+
+  return {
+    name: "todoist",
+
+    async createTask({ content, labels = [], projectId, description }) {
+      const payload = { content };
+
+      if (projectId && String(projectId).trim().length > 0) {
+        payload.project_id = String(projectId).trim();
+      } else {
+        console.warn("WARNUNG: PROJECT_ID ist leer, Aufgabe landet im Eingang.");
+      }
+
+      // Labels als Namen (Strings), nicht als IDs
+      if (Array.isArray(labels) && labels.length > 0) {
+        payload.labels = labels;
+      }
+      if (description) payload.description = description;
+
+      const res = await td.post("/tasks", payload, {
+        headers: { "Content-Type": "application/json" },
+      });
+      return res.data;
+    },
+
+    async getTask(taskId) {
+      const res = await td.get(`/tasks/${taskId}`);
+      return res.data;
+    },
+
+    async closeTask(taskId) {
+      await td.post(`/tasks/${taskId}/close`);
+    },
+
+    async reopenTask(taskId) {
+      await td.post(`/tasks/${taskId}/reopen`);
+    },
+
+    // Offene Tasks eines Projekts (alle Seiten)
+    async listTasks({ projectId }) {
+      return listAll("/tasks", { project_id: projectId });
+    },
+
+    async ensureLabel(labelName) {
+      if (labelCache.has(labelName)) {
+        return labelCache.get(labelName);
+      }
+
+      // alle Labels laden
+      const labels = await listAll("/labels");
+
+      const existing = labels.find((l) => l.name === labelName);
+      if (existing) {
+        labelCache.set(labelName, existing.id);
+        return existing.id;
+      }
+
+      // neues Label anlegen
+      const createRes = await td.post("/labels", { name: labelName }, {
+        headers: { "Content-Type": "application/json" },
+      });
+      labelCache.set(labelName, createRes.data.id);
+      return createRes.data.id;
+    },
+  };
+}
@@ -0,0 +1,1044 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+import { signTaskId, signDriverBadge, signBadgeToken } from "../signing.js";
+import { startFakePrinter } from "./helpers/fakePrinter.js";
+import { invalidateTaskCache } from "../tasks/index.js";
+import { invalidateSiteCache } from "../sites/index.js";
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp();
+});
+
+after(async () => {
+  await ctx?.close();
+});
+
+const form = (data) => ({
+  method: "POST",
+  headers: { "Content-Type": "application/x-www-form-urlencoded", Authorization: ctx.auth },
+  body: new URLSearchParams(data).toString(),
+});
+
+async function makeLabels(data) {
+  const res = await fetch(`${ctx.url}/make-labels`, form(data));
+  const pdf = Buffer.from(await res.arrayBuffer());
+  return { res, pdf };
+}
+
+const tasksOf = (label) =>
+  [...ctx.todoist.tasks.values()].filter((t) => t.labels.includes(label));
+
+test("Healthcheck ist öffentlich, Formular braucht Login", async () => {
+  assert.equal((await fetch(`${ctx.url}/health`)).status, 200);
+  const anon = await fetch(`${ctx.url}/`, { redirect: "manual" });
+  assert.equal(anon.status, 302);
+  assert.equal(anon.headers.get("location"), "/login?next=%2F");
+  assert.equal((await fetch(`${ctx.url}/api/av/labels`)).status, 401);
+  const res = await fetch(`${ctx.url}/`, { headers: { Authorization: ctx.auth } });
+  assert.equal(res.status, 200);
+});
+
+test("make-labels erzeugt PDF und normalisierte Todoist-Aufgaben", async () => {
+  const { res, pdf } = await makeLabels({ project: "befr 124", drawing: "bl 7 tür", count: "2", packer: "mm" });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+
+  const created = tasksOf("BEFR1240");
+  assert.deepEqual(
+    created.map((t) => t.content).sort(),
+    ["BEFR1240 – BL07, Tür – Palette 1/2", "BEFR1240 – BL07, Tür – Palette 2/2"]
+  );
+  assert.ok(created.every((t) => t.project_id === "proj-1"));
+});
+
+test("make-labels lehnt unvollständige Eingaben ab", async () => {
+  const { res } = await makeLabels({ project: "", drawing: "BL1", count: "1" });
+  assert.equal(res.status, 400);
+
+  // Anzahl nur 1–50 (MAX_COUNT_PER_DRAWING), sonst keine Aufgaben
+  for (const count of ["0", "-3", "51", "1e3", "2abc"]) {
+    const { res: bad, pdf } = await makeLabels({ project: "ANZL0001", drawing: "BL1", count });
+    assert.equal(bad.status, 400, count);
+    if (count === "0" || count === "51") assert.match(pdf.toString(), /Anzahl muss 1–50 sein/);
+  }
+  assert.equal(tasksOf("ANZL0001").length, 0);
+});
+
+test("Scan: Signatur prüfen, ausbuchen, doppelten Scan erkennen", async () => {
+  await makeLabels({ project: "SCAN0001", drawing: "BL01", count: "2" });
+  const [first, second] = tasksOf("SCAN0001").sort((a, b) => a.content.localeCompare(b.content));
+  const sig = signTaskId(first.id, "test-secret");
+
+  assert.equal((await fetch(`${ctx.url}/scan/${first.id}?sig=falsch`)).status, 403);
+
+  const page = await (await fetch(`${ctx.url}/scan/${first.id}?sig=${sig}`)).text();
+  assert.match(page, /Ware ausbuchen\?/);
+
+  const booked = await fetch(`${ctx.url}/scan/${first.id}?sig=${sig}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "answer=yes",
+  });
+  const bookedHtml = await booked.text();
+  assert.equal(booked.status, 200);
+  assert.match(bookedHtml, /Ware erfolgreich ausgebucht/);
+  assert.match(bookedHtml, /Palette 2\/2/);
+  assert.equal(ctx.todoist.tasks.get(first.id).checked, true);
+  assert.equal(ctx.todoist.tasks.get(second.id).checked, false);
+
+  const again = await (await fetch(`${ctx.url}/scan/${first.id}?sig=${sig}`)).text();
+  assert.match(again, /bereits ausgebucht/);
+  assert.doesNotMatch(again, /admin\/undo/);
+
+  const events = await ctx.pool.query(
+    "select event_type from scan_events where task_id = $1 order by id",
+    [first.id]
+  );
+  assert.deepEqual(events.rows.map((r) => r.event_type), ["scan_viewed", "booked", "duplicate_scan"]);
+
+  // Storno-Link nur für Schichtleitung/Admin
+  const asAdmin = await (await fetch(`${ctx.url}/scan/${first.id}?sig=${sig}`, { headers: { Authorization: ctx.auth } })).text();
+  assert.match(asAdmin, new RegExp(`href="/admin/undo/${first.id}"`));
+});
+
+test("Storno: Aufgabe wieder offen, Ausbuchung entfernt, Journal mit Grund", async () => {
+  await makeLabels({ project: "UNDO0001", drawing: "BL01", count: "1" });
+  const [task] = tasksOf("UNDO0001");
+  await fetch(`${ctx.url}/complete/${task.id}?sig=${signTaskId(task.id, "test-secret")}`);
+  assert.equal(ctx.todoist.tasks.get(task.id).checked, true);
+
+  const undoUrl = `${ctx.url}/admin/undo/${task.id}`;
+  assert.equal((await fetch(undoUrl, { redirect: "manual" })).status, 302);
+  assert.match(await (await fetch(undoUrl, { headers: { Authorization: ctx.auth } })).text(), /Ausbuchung stornieren/);
+  assert.equal((await fetch(undoUrl, form({ reason: "  " }))).status, 400);
+
+  const undone = await fetch(undoUrl, form({ reason: "falsche Palette gescannt" }));
+  assert.equal(undone.status, 200);
+  assert.match(await undone.text(), /Ausbuchung storniert/);
+
+  assert.equal(ctx.todoist.tasks.get(task.id).checked, false);
+  const log = await ctx.pool.query("select 1 from ausbuch_log where task_id = $1", [task.id]);
+  assert.equal(log.rows.length, 0);
+  const { rows } = await ctx.pool.query(
+    "select event_type, actor, details from scan_events where task_id = $1 order by id", [task.id]
+  );
+  const reverted = rows.at(-1);
+  assert.equal(reverted.event_type, "reverted");
+  assert.equal(reverted.actor, "admin");
+  assert.equal(reverted.details.reason, "falsche Palette gescannt");
+
+  // Zweites Storno: nichts mehr zu tun
+  const again = await fetch(undoUrl, form({ reason: "nochmal" }));
+  assert.equal(again.status, 409);
+});
+
+test("Storno bei wartendem Todoist-Close: Outbox verworfen, laufender Close abgewartet", async () => {
+  const { listOpenOutbox, retryOutbox, claimOutboxEntry } = await import("../outbox/store.js");
+  const { processDueOutbox, runOutboxEntry } = await import("../outbox/worker.js");
+  const { outboxHandlers } = await import("../app.js");
+
+  await makeLabels({ project: "UNDO0002", drawing: "BL01", count: "2" });
+  const [waiting, running] = tasksOf("UNDO0002").sort((a, b) => a.content.localeCompare(b.content));
+  const openFor = async (task) => (await listOpenOutbox()).filter((e) => e.taskId === task.id);
+
+  // Todoist fällt beim Scan aus → Close wartet in der Outbox
+  for (const task of [waiting, running]) {
+    ctx.todoist.failNextRequests(2); // getTask + closeTask
+    await fetch(`${ctx.url}/complete/${task.id}?sig=${signTaskId(task.id, "test-secret")}`);
+    assert.equal(ctx.todoist.tasks.get(task.id).checked, false);
+    assert.equal((await openFor(task)).length, 1);
+  }
+
+  // 1) Wartender Close: wird verworfen und schließt die Aufgabe später nicht mehr
+  const undone = await fetch(`${ctx.url}/admin/undo/${waiting.id}`, form({ reason: "falsche Palette" }));
+  assert.equal(undone.status, 200);
+  assert.equal((await openFor(waiting)).length, 0);
+  await processDueOutbox(outboxHandlers);
+  assert.equal(ctx.todoist.tasks.get(waiting.id).checked, false);
+
+  // 2) Close läuft bereits beim Worker: Storno wartet, danach ist die Aufgabe offen
+  const [entry] = await openFor(running);
+  await retryOutbox(entry.id);
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const slowClose = { close: async (taskId) => { await gate; await outboxHandlers.close(taskId); } };
+  const worker = runOutboxEntry(await claimOutboxEntry(entry.id), slowClose);
+
+  const undo = fetch(`${ctx.url}/admin/undo/${running.id}`, form({ reason: "falsche Palette" }));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  release();
+  assert.equal(await worker, true);
+  assert.equal((await undo).status, 200);
+
+  assert.equal(ctx.todoist.tasks.get(running.id).checked, false);
+  assert.equal((await openFor(running)).length, 0);
+  const log = await ctx.pool.query("select 1 from ausbuch_log where task_id = $1", [running.id]);
+  assert.equal(log.rows.length, 0);
+});
+
+test("Scan-Journal: Filter nach Kommission, Ereignis und Datum, ungültige Filter → 400", async () => {
+  await makeLabels({ project: "JOUR0001", drawing: "BL01", count: "2" });
+  const [first, second] = tasksOf("JOUR0001").sort((a, b) => a.content.localeCompare(b.content));
+  await fetch(`${ctx.url}/complete/${first.id}?sig=${signTaskId(first.id, "test-secret")}`);
+  await fetch(`${ctx.url}/scan/${second.id}?sig=${signTaskId(second.id, "test-secret")}`);
+
+  const auth = { headers: { Authorization: ctx.auth } };
+  const log = async (query) => {
+    const res = await fetch(`${ctx.url}/admin/scan-log?${query}`, auth);
+    return { status: res.status, text: await res.text() };
+  };
+
+  const booked = await log("label=JOUR0001&type=booked&from=2000-01-01");
+  assert.equal(booked.status, 200);
+  assert.match(booked.text, new RegExp(`\\?taskId=${first.id}"`));
+  assert.doesNotMatch(booked.text, new RegExp(`\\?taskId=${second.id}"`));
+  assert.match(booked.text, /<option value="booked" selected>/);
+
+  const all = await log("label=JOUR0001");
+  assert.match(all.text, new RegExp(`\\?taskId=${second.id}"`));
+  assert.match((await log("label=JOUR0001&to=2000-01-01")).text, /Keine Einträge gefunden/);
+
+  assert.equal((await log("label=a&label=b")).status, 400);
+  assert.equal((await log("from=2026-13-45")).status, 400);
+  assert.equal((await log("to=2026-02-30")).status, 400);
+  assert.equal((await log("type=bogus")).status, 400);
+  for (const limit of ["0", "-5", "zehn", "1.5"]) {
+    assert.equal((await log(`limit=${limit}`)).status, 400, limit);
+  }
+  assert.equal((await log("label=JOUR0001&limit=1")).status, 200);
+  const api = await fetch(`${ctx.url}/api/scan-events?from=2026-13-45`, auth);
+  assert.equal(api.status, 400);
+  assert.match((await api.json()).error, /from: kein gültiges Datum/);
+  const badType = await fetch(`${ctx.url}/api/scan-events?type=bogus`, auth);
+  assert.equal(badType.status, 400);
+  assert.match((await badType.json()).error, /type: unbekanntes Ereignis/);
+  const limited = await (await fetch(`${ctx.url}/api/scan-events?label=JOUR0001&limit=1`, auth)).json();
+  assert.equal(limited.events.length, 1);
+});
+
+test("Scan: Todoist-Ausfall wird lokal gebucht und über die Outbox nachgezogen", async () => {
+  await makeLabels({ project: "OUTB0001", drawing: "BL02", count: "1" });
+  const [task] = tasksOf("OUTB0001");
+  const sig = signTaskId(task.id, "test-secret");
+
+  ctx.todoist.failNextRequests(2); // getTask + closeTask
+  const res = await fetch(`${ctx.url}/scan/${task.id}?sig=${sig}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "answer=yes",
+  });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /automatisch nachgetragen/);
+  assert.equal(ctx.todoist.tasks.get(task.id).checked, false);
+
+  const { listOpenOutbox, retryOutbox } = await import("../outbox/store.js");
+  const { processDueOutbox } = await import("../outbox/worker.js");
+  const { outboxHandlers } = await import("../app.js");
+
+  const [entry] = (await listOpenOutbox()).filter((e) => e.taskId === task.id);
+  assert.equal(entry.status, "pending");
+  assert.equal(entry.attempts, 1);
+
+  await retryOutbox(entry.id);
+  await processDueOutbox(outboxHandlers);
+
+  assert.equal(ctx.todoist.tasks.get(task.id).checked, true);
+  assert.equal((await listOpenOutbox()).filter((e) => e.taskId === task.id).length, 0);
+});
+
+test("AV-Ladeliste zeigt Verladestatus", async () => {
+  await makeLabels({ project: "AVLI0001", drawing: "BL03", count: "2" });
+  const [first] = tasksOf("AVLI0001");
+
+  const created = await (await fetch(`${ctx.url}/api/av/create`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+    body: JSON.stringify({ label: "AVLI0001" }),
+  })).json();
+  assert.equal(created.count, 2);
+
+  await fetch(`${ctx.url}/complete/${first.id}?sig=${signTaskId(first.id, "test-secret")}`);
+
+  const list = await (await fetch(`${ctx.url}/api/av/list/${created.id}`)).json();
+  assert.deepEqual(list.progress, { loaded: 1, total: 2 });
+  assert.equal(list.items.find((it) => it.taskId === first.id).loaded, true);
+  // Öffentlich: nur Felder der Fahrer-Ansicht (kein Ersteller, keine Todoist-Links)
+  assert.equal(list.createdBy, undefined);
+  assert.deepEqual(Object.keys(list.items[0]).sort(), ["completedAt", "content", "loaded", "meta", "priority", "taskId"]);
+  assert.equal((await fetch(`${ctx.url}/api/av/list/gibt-es-nicht`)).status, 404);
+
+  // Fahrer öffnen den Link/QR ohne Login
+  const listPage = await fetch(`${ctx.url}/av/list/${created.id}`, { redirect: "manual" });
+  assert.equal(listPage.status, 200);
+  assert.match(await listPage.text(), /1\/2 verladen/);
+  assert.equal((await fetch(`${ctx.url}/av`, { redirect: "manual" })).status, 302);
+  const missing = await fetch(`${ctx.url}/av/list/gibt-es-nicht`);
+  assert.equal(missing.status, 404);
+  assert.match(await missing.text(), /Ladeliste nicht gefunden/);
+});
+
+test("Batch: mehrere Zeichnungen in einem PDF, Nummerierung je Zeichnung", async () => {
+  const res = await fetch(`${ctx.url}/make-labels/batch`, form({
+    project: "batc0001",
+    drawings: ["bl 7 tür", ""],
+    counts: ["2", ""],
+    list: "BL08; 1\nbl7, tür\t1",
+  }));
+  const html = await res.text();
+  assert.equal(res.status, 200);
+  assert.match(html, /4 Labels für BATC0001 erzeugt/);
+
+  assert.deepEqual(
+    tasksOf("BATC0001").map((t) => t.content).sort(),
+    [
+      "BATC0001 – BL07, Tür – Palette 1/3",
+      "BATC0001 – BL07, Tür – Palette 2/3",
+      "BATC0001 – BL07, Tür – Palette 3/3",
+      "BATC0001 – BL08 – Palette 1/1",
+    ]
+  );
+
+  const pdfLink = html.match(/href="(\/labels\/jobs\/[^"]+\/pdf)"/)[1];
+  const pdf = await fetch(`${ctx.url}${pdfLink}`, { headers: { Authorization: ctx.auth } });
+  assert.equal(pdf.headers.get("content-type"), "application/pdf");
+});
+
+test("Batch: fehlerhafte Zeilen legen keine Aufgaben an", async () => {
+  const res = await fetch(`${ctx.url}/make-labels/batch`, form({ project: "batc0002", list: "BL01; 99\nbl 7" }));
+  assert.equal(res.status, 400);
+  assert.equal(tasksOf("BATC0002").length, 0);
+});
+
+test("Import: Vorschau mit Normalisierung, dann Labels erzeugen", async () => {
+  const csv = "Projekt;Zeichnung;Anzahl Paletten;Packer\nimpo 1;bl 7 tür;2;ab\nIMPO0001;;1;\n";
+  const body = new FormData();
+  body.append("file", new Blob([csv], { type: "text/csv" }), "packliste.csv");
+
+  const preview = await fetch(`${ctx.url}/import/preview`, {
+    method: "POST",
+    headers: { Authorization: ctx.auth },
+    body,
+  });
+  const html = await preview.text();
+  assert.equal(preview.status, 200);
+  assert.match(html, /1 von 2 Zeilen gültig/);
+  assert.match(html, /"bl 7 tür"<\/span> → <b>BL07, Tür<\/b>/);
+  assert.equal(tasksOf("IMPO1000").length, 0);
+
+  const rows = html.match(/name="rows" value="([^"]+)"/)[1].replaceAll("&quot;", '"').replaceAll("&amp;", "&");
+  const generated = await fetch(`${ctx.url}/import/generate`, form({ rows }));
+  assert.equal(generated.status, 200);
+  assert.deepEqual(
+    tasksOf("IMPO1000").map((t) => t.content).sort(),
+    ["IMPO1000 – BL07, Tür – Palette 1/2", "IMPO1000 – BL07, Tür – Palette 2/2"]
+  );
+});
+
+test("make-labels ist idempotent, Nachdruck legt keine Aufgaben an", async () => {
+  const data = { project: "IDEM0001", drawing: "BL05", count: "2", idempotencyKey: "key-idem-1" };
+  const first = await makeLabels(data);
+  const second = await makeLabels(data);
+  assert.equal(first.res.status, 200);
+  assert.equal(second.res.status, 200);
+  assert.equal(tasksOf("IDEM0001").length, 2);
+
+  const { rows } = await ctx.pool.query(
+    "select id from label_jobs where idempotency_key = $1",
+    ["key-idem-1"]
+  );
+  const jobId = rows[0].id;
+
+  const reprint = await fetch(`${ctx.url}/labels/jobs/${jobId}/pdf?pallet=1`, {
+    headers: { Authorization: ctx.auth },
+  });
+  assert.equal(reprint.status, 200);
+  assert.equal(reprint.headers.get("content-type"), "application/pdf");
+  assert.equal(tasksOf("IDEM0001").length, 2);
+
+  const detail = await (await fetch(`${ctx.url}/labels/jobs/${jobId}`, {
+    headers: { Authorization: ctx.auth },
+  })).text();
+  assert.match(detail, /<td>2\/2<\/td>/);
+
+  await makeLabels({ ...data, idempotencyKey: "key-idem-2" });
+  assert.equal(tasksOf("IDEM0001").length, 4);
+});
+
+test("Layouts: Vorschau ohne Aufgaben, Auswahl je Auftrag, eigenes Layout", async () => {
+  const auth = { headers: { Authorization: ctx.auth } };
+  const before = ctx.todoist.tasks.size;
+
+  const preview = await fetch(`${ctx.url}/labels/layouts/a4-4up/preview`, auth);
+  assert.equal(preview.status, 200);
+  assert.equal(preview.headers.get("content-type"), "application/pdf");
+  assert.equal(ctx.todoist.tasks.size, before);
+
+  const small = await makeLabels({ project: "LAYO0001", drawing: "BL01", count: "1", layout: "small-100x50" });
+  assert.equal(small.res.status, 200);
+  assert.match(small.pdf.toString("latin1"), /\/MediaBox \[0 0 283\.5 141\.75\]/);
+
+  const unknown = await makeLabels({ project: "LAYO0001", drawing: "BL02", count: "1", layout: "gibt-es-nicht" });
+  assert.equal(unknown.res.status, 400);
+  assert.equal(tasksOf("LAYO0001").length, 1);
+
+  const definition = JSON.stringify({
+    id: "eigenes-a6",
+    name: "Eigenes A6",
+    page: { width: 105, height: 148 },
+    elements: [
+      { type: "text", value: "{project} · {weight}", x: 5, y: 5, w: 95, size: 20 },
+      { type: "qr", x: 5, y: 30, size: 60 },
+    ],
+  });
+  const saved = await fetch(`${ctx.url}/labels/layouts`, { ...form({ definition }), redirect: "manual" });
+  assert.equal(saved.status, 302);
+
+  const builtin = await fetch(`${ctx.url}/labels/layouts`, form({
+    definition: JSON.stringify({ ...JSON.parse(definition), id: "standard-100x150" }),
+  }));
+  assert.equal(builtin.status, 400);
+
+  const { rows } = await ctx.pool.query(
+    "select j.id, j.layout_id from label_jobs j join label_job_pallets p on p.job_id = j.id where p.project = $1",
+    ["LAYO0001"]
+  );
+  assert.equal(rows[0].layout_id, "small-100x50");
+
+  const reprint = await fetch(`${ctx.url}/labels/jobs/${rows[0].id}/pdf?layout=eigenes-a6`, auth);
+  assert.equal(reprint.status, 200);
+  assert.match(Buffer.from(await reprint.arrayBuffer()).toString("latin1"), /\/MediaBox \[0 0 297\.675 419\.58\]/);
+});
+
+test("ZPL-Direktdruck an Drucker, Fehlschlag und erneutes Senden", async () => {
+  const printer = await startFakePrinter();
+  try {
+    const saved = await fetch(`${ctx.url}/admin/printers`, {
+      ...form({ id: "zebra-1", name: "Zebra Versand", host: printer.host, port: String(printer.port), dpmm: "8" }),
+      redirect: "manual",
+    });
+    assert.equal(saved.status, 302);
+
+    const res = await fetch(`${ctx.url}/make-labels`, form({ project: "ZPLD0001", drawing: "BL03", count: "2", printer: "zebra-1" }));
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /2 Labels an Zebra Versand gesendet/);
+
+    const [task] = tasksOf("ZPLD0001").sort((a, b) => a.content.localeCompare(b.content));
+    assert.equal(printer.received.length, 1);
+    assert.equal(printer.received[0].match(/\^XA/g).length, 2);
+    assert.ok(printer.received[0].includes(`/scan/${task.id}?sig=${signTaskId(task.id, "test-secret")}`));
+
+    // Drucker nicht erreichbar: Aufgaben sind angelegt, Druckauftrag "failed"
+    await fetch(`${ctx.url}/admin/printers`, form({ id: "zebra-1", name: "Zebra Versand", host: "127.0.0.1", port: "1", dpmm: "8" }));
+    const failed = await fetch(`${ctx.url}/make-labels`, form({ project: "ZPLD0002", drawing: "BL04", count: "1", printer: "zebra-1" }));
+    assert.equal(failed.status, 502);
+    assert.equal(tasksOf("ZPLD0002").length, 1);
+
+    const { rows } = await ctx.pool.query("select id, status from print_jobs order by id desc limit 1");
+    assert.equal(rows[0].status, "failed");
+
+    const job = await (await fetch(`${ctx.url}/api/print-jobs/${rows[0].id}`, { headers: { Authorization: ctx.auth } })).json();
+    assert.equal(job.status, "failed");
+    assert.equal(job.labelCount, 1);
+
+    await fetch(`${ctx.url}/admin/printers`, form({ id: "zebra-1", name: "Zebra Versand", host: printer.host, port: String(printer.port), dpmm: "8" }));
+    await fetch(`${ctx.url}/admin/print-jobs/${rows[0].id}/retry`, { ...form({}), redirect: "manual" });
+    const retried = await (await fetch(`${ctx.url}/api/print-jobs/${rows[0].id}`, { headers: { Authorization: ctx.auth } })).json();
+    assert.equal(retried.status, "done");
+    assert.equal(retried.attempts, 2);
+    assert.equal(printer.received.length, 2);
+    assert.match(printer.received[1], /\^FDZPLD0002\^FS/);
+  } finally {
+    await printer.close();
+  }
+});
+
+test("Paletten-Daten: je Palette, in Todoist-Beschreibung, Scan-Seite und Ladeliste", async () => {
+  const { res } = await makeLabels({
+    project: "META0001",
+    drawing: "BL09",
+    count: "2",
+    weight: "400",
+    length: "120",
+    width: "80",
+    height: "100",
+    destination: "Baustelle Nord",
+    pallet2_weight: "250,5",
+  });
+  assert.equal(res.status, 200);
+
+  const [first, second] = tasksOf("META0001").sort((a, b) => a.content.localeCompare(b.content));
+  assert.match(first.description, /\*\*Gewicht:\*\* 400 kg/);
+  assert.match(second.description, /\*\*Gewicht:\*\* 250,5 kg/);
+  assert.match(second.description, /\*\*Ziel:\*\* Baustelle Nord/);
+
+  const scan = await (await fetch(`${ctx.url}/scan/${second.id}?sig=${signTaskId(second.id, "test-secret")}`)).text();
+  assert.match(scan, /<th>Gewicht<\/th><td>250,5 kg<\/td>/);
+  assert.match(scan, /120 × 80 × 100 cm/);
+
+  const created = await (await fetch(`${ctx.url}/api/av/create`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+    body: JSON.stringify({ label: "META0001" }),
+  })).json();
+  await fetch(`${ctx.url}/complete/${first.id}?sig=${signTaskId(first.id, "test-secret")}`);
+
+  const list = await (await fetch(`${ctx.url}/api/av/list/${created.id}`)).json();
+  assert.deepEqual(list.weight, { totalKg: 650.5, openKg: 250.5, missing: 0 });
+  assert.equal(list.items.find((it) => it.taskId === second.id).meta.destination, "Baustelle Nord");
+
+  const page = await (await fetch(`${ctx.url}/av/list/${created.id}`, { headers: { Authorization: ctx.auth } })).text();
+  assert.match(page, /650,5 kg gesamt · 250,5 kg offen/);
+  assert.match(page, /250,5 kg · 120 × 80 × 100 cm · Ziel: Baustelle Nord/);
+
+  // Fahrer mit anderer Sprache: Paletten-Daten ebenfalls übersetzt
+  const english = await (await fetch(`${ctx.url}/av/list/${created.id}?lang=en`)).text();
+  assert.match(english, /250\.5 kg · 120 × 80 × 100 cm · Destination: Baustelle Nord/);
+  const polishScan = await (await fetch(`${ctx.url}/scan/${second.id}?sig=${signTaskId(second.id, "test-secret")}`, {
+    headers: { "Accept-Language": "pl" },
+  })).text();
+  assert.match(polishScan, /<th>Waga<\/th><td>250,5 kg<\/td>/);
+
+  const invalid = await makeLabels({ project: "META0002", drawing: "BL01", count: "1", weight: "viel" });
+  assert.equal(invalid.res.status, 400);
+  assert.equal(tasksOf("META0002").length, 0);
+});
+
+test("Scan-Seite zeigt Palette und offene Paletten, gelöschte Aufgabe → Fehlerseite", async () => {
+  await makeLabels({ project: "DETA0001", drawing: "bl 4 tor", count: "3" });
+  const [first, second] = tasksOf("DETA0001").sort((a, b) => a.content.localeCompare(b.content));
+  const url = (t) => `${ctx.url}/scan/${t.id}?sig=${signTaskId(t.id, "test-secret")}`;
+
+  const page = await (await fetch(url(second))).text();
+  assert.match(page, /<div class="project">DETA0001<\/div>/);
+  assert.match(page, /<div class="drawing">BL04, Tor<\/div>/);
+  assert.match(page, /Palette 2\/3/);
+  assert.match(page, /Kommission: <b>DETA0001<\/b> · noch offen: <b>3<\/b> Paletten/);
+
+  ctx.todoist.tasks.delete(first.id);
+  const missing = await fetch(url(first));
+  assert.equal(missing.status, 404);
+  assert.match(await missing.text(), /Palette nicht gefunden/);
+
+  const post = await fetch(url(first), {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "answer=yes",
+  });
+  assert.equal(post.status, 404);
+  const { rows } = await ctx.pool.query("select 1 from ausbuch_log where task_id = $1", [first.id]);
+  assert.equal(rows.length, 0);
+});
+
+test("Benutzer mit Rollen: Login per Formular, Rollenprüfung, Packer-Kürzel vom Konto", async () => {
+  const form = (body, headers = {}) => ({
+    method: "POST",
+    redirect: "manual",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", ...headers },
+    body: new URLSearchParams(body).toString(),
+  });
+  const created = await fetch(`${ctx.url}/admin/users`, form(
+    { username: "Packer1", displayName: "Max Muster", initials: "mm", roles: "packer", password: "kurz" },
+    { Authorization: ctx.auth }
+  ));
+  assert.equal(created.status, 400);
+
+  await fetch(`${ctx.url}/admin/users`, form(
+    { username: "packer1", displayName: "Max Muster", initials: "mm", roles: "packer", password: "lagerhalle1" },
+    { Authorization: ctx.auth }
+  ));
+  await fetch(`${ctx.url}/admin/users`, form(
+    { username: "planer", displayName: "Anna Plan", roles: "av_planner", password: "lagerhalle2" },
+    { Authorization: ctx.auth }
+  ));
+  const { rows } = await ctx.pool.query("select password_hash from users where username = 'packer1'");
+  assert.match(rows[0].password_hash, /^scrypt\$/);
+
+  const wrong = await fetch(`${ctx.url}/login`, form({ username: "packer1", password: "falsch123" }));
+  assert.equal(wrong.status, 401);
+
+  const login = await fetch(`${ctx.url}/login`, form({ username: "packer1", password: "lagerhalle1", next: "/av" }));
+  assert.equal(login.status, 302);
+  assert.equal(login.headers.get("location"), "/av");
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+  assert.match(login.headers.get("set-cookie"), /HttpOnly/);
+
+  const home = await fetch(`${ctx.url}/`, { headers: { Cookie: cookie } });
+  assert.equal(home.status, 200);
+  assert.match(await home.text(), /name="packer" type="text" value="mm" readonly/);
+  assert.equal((await fetch(`${ctx.url}/av`, { headers: { Cookie: cookie } })).status, 403);
+  assert.equal((await fetch(`${ctx.url}/admin/users`, { headers: { Cookie: cookie } })).status, 403);
+
+  const res = await fetch(`${ctx.url}/make-labels`, form(
+    { project: "USER0001", drawing: "BL01", count: "1", packer: "xx" },
+    { Cookie: cookie }
+  ));
+  assert.equal(res.status, 200);
+  const job = await ctx.pool.query("select created_by from label_jobs order by created_at desc limit 1");
+  assert.equal(job.rows[0].created_by, "packer1");
+  const pallet = await ctx.pool.query(
+    "select p.packer from label_job_pallets p join label_jobs j on j.id = p.job_id where j.created_by = 'packer1'"
+  );
+  assert.equal(pallet.rows[0].packer, "mm");
+
+  const planner = "Basic " + Buffer.from("planer:lagerhalle2").toString("base64");
+  assert.equal((await fetch(`${ctx.url}/api/av/labels`, { headers: { Authorization: planner } })).status, 200);
+  assert.equal((await fetch(`${ctx.url}/`, { headers: { Authorization: planner } })).status, 403);
+
+  const logout = await fetch(`${ctx.url}/logout`, form({}, { Cookie: cookie }));
+  assert.equal(logout.headers.get("location"), "/login");
+  const after = await fetch(`${ctx.url}/`, { headers: { Cookie: cookie }, redirect: "manual" });
+  assert.equal(after.status, 302);
+});
+
+test("Fahrer-Anmeldung: Pflicht lehnt ab, PIN/Ausweis ordnen Buchung zu, markieren flaggt", async () => {
+  const admin = (path, data) => fetch(`${ctx.url}${path}`, { ...form(data), redirect: "manual" });
+  await admin("/admin/drivers", { name: "Jan Fahrer", pin: "4711" });
+  assert.match((await admin("/admin/drivers", { name: "Doppelt", pin: "4711" })).headers.get("location"), /error=/);
+  await admin("/admin/drivers/settings", { project: "FAHR0001", mode: "require" });
+  await admin("/admin/drivers/settings", { project: "FAHR0002", mode: "flag" });
+
+  await makeLabels({ project: "FAHR0001", drawing: "BL01", count: "2" });
+  await makeLabels({ project: "FAHR0002", drawing: "BL01", count: "1" });
+  const [first, second] = tasksOf("FAHR0001").sort((a, b) => a.content.localeCompare(b.content));
+  const [flagged] = tasksOf("FAHR0002");
+  const scanUrl = (t) => `${ctx.url}/scan/${t.id}?sig=${signTaskId(t.id, "test-secret")}`;
+  const book = (t, headers = {}) => fetch(scanUrl(t), {
+    method: "POST",
+    redirect: "manual",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", ...headers },
+    body: "answer=yes",
+  });
+  const events = async (t) => (await ctx.pool.query(
+    "select event_type, actor, details from scan_events where task_id = $1 order by id", [String(t.id)]
+  )).rows;
+
+  // Pflicht: ohne Fahrer → Anmeldung, Buchung abgelehnt
+  const view = await fetch(scanUrl(first), { redirect: "manual" });
+  assert.equal(view.status, 302);
+  assert.match(view.headers.get("location"), /^\/driver\?next=%2Fscan%2F/);
+  const rejected = await book(first);
+  assert.equal(rejected.status, 403);
+  assert.match(await rejected.text(), /Fahrer-Anmeldung nötig/);
+  assert.equal((await ctx.pool.query("select 1 from ausbuch_log where task_id = $1", [first.id])).rowCount, 0);
+  assert.equal((await events(first)).at(-1).event_type, "rejected");
+
+  // PIN: falsch → 401, richtig → Cookie + zurück zur Palette
+  const pinLogin = (pin) => fetch(`${ctx.url}/driver/login`, {
+    method: "POST",
+    redirect: "manual",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ pin, next: `/scan/${first.id}?sig=x` }).toString(),
+  });
+  assert.equal((await pinLogin("0000")).status, 401);
+  const login = await pinLogin("4711");
+  assert.equal(login.status, 302);
+  assert.equal(login.headers.get("location"), `/scan/${first.id}?sig=x`);
+  const driverCookie = (res) => res.headers.getSetCookie().find((c) => c.startsWith("lager_driver=")).split(";")[0];
+  const cookie = driverCookie(login);
+
+  assert.match(await (await fetch(scanUrl(first), { headers: { Cookie: cookie } })).text(), /Fahrer: <b>Jan Fahrer<\/b>/);
+  assert.equal((await book(first, { Cookie: cookie })).status, 200);
+  const booked = (await events(first)).at(-1);
+  assert.equal(booked.event_type, "booked");
+  assert.equal(booked.actor, "Jan Fahrer");
+  assert.ok(booked.details.driverId);
+
+  // Ausweis-QR meldet das Gerät ebenfalls an; alte Version ist ungültig
+  const { rows: [driver] } = await ctx.pool.query("select id, badge_version from drivers where name = 'Jan Fahrer'");
+  const badge = (v) => fetch(`${ctx.url}/driver/badge/${driver.id}?v=${v}&sig=${signDriverBadge(driver.id, v, "test-secret")}`);
+  const badgeRes = await badge(driver.badge_version);
+  assert.equal(badgeRes.status, 200);
+  const badgeCookie = driverCookie(badgeRes);
+  // Sprachwahl und Anmeldung in einer Antwort: beide Cookies bleiben erhalten
+  const badgeLang = await fetch(`${ctx.url}/driver/badge/${driver.id}?v=${driver.badge_version}&sig=${signDriverBadge(driver.id, driver.badge_version, "test-secret")}&lang=pl`);
+  assert.deepEqual(badgeLang.headers.getSetCookie().map((c) => c.split("=")[0]).sort(), ["lager_driver", "lager_lang"]);
+  assert.equal((await book(second, { Cookie: badgeCookie })).status, 200);
+  assert.equal((await events(second)).at(-1).actor, "Jan Fahrer");
+  assert.equal((await badge(driver.badge_version + 1)).status, 403);
+
+  // Mit SIGNING_KEYS tragen neue Ausweise die Schlüssel-ID (k) wie die Paletten-Links
+  process.env.SIGNING_KEYS = "k9:neu";
+  try {
+    const token = signBadgeToken(driver.id, driver.badge_version);
+    assert.equal(token.k, "k9");
+    const versioned = (t) => fetch(`${ctx.url}/driver/badge/${driver.id}?${new URLSearchParams({ v: driver.badge_version, ...t })}`);
+    assert.equal((await versioned(token)).status, 200);
+    assert.equal((await versioned({ ...token, k: "k8" })).status, 403);
+    const printed = await (await fetch(`${ctx.url}/admin/drivers/${driver.id}/badge`, { headers: { Authorization: ctx.auth } })).text();
+    assert.match(printed, /<img src="data:image\/png;base64,/);
+  } finally {
+    delete process.env.SIGNING_KEYS;
+  }
+
+  // markieren: ohne Fahrer gebucht, aber im Journal geflaggt
+  assert.match(await (await fetch(scanUrl(flagged))).text(), /die Buchung wird markiert/);
+  assert.equal((await book(flagged)).status, 200);
+  const flaggedEvent = (await events(flagged)).at(-1);
+  assert.equal(flaggedEvent.event_type, "booked");
+  assert.equal(flaggedEvent.details.unidentified, true);
+  const log = await (await fetch(`${ctx.url}/admin/scan-log?label=FAHR0002`, { headers: { Authorization: ctx.auth } })).text();
+  assert.match(log, /Fahrer nicht identifiziert/);
+});
+
+test("Fahrer-PIN: Sperre je Gerät und Client-IP (hinter Proxy), IP erst nach vielen Fehlversuchen", async () => {
+  const device = async () => {
+    const res = await fetch(`${ctx.url}/driver`);
+    return res.headers.get("set-cookie").split(";")[0];
+  };
+  const wrongPin = (ip, cookie) => fetch(`${ctx.url}/driver/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "X-Forwarded-For": ip,
+      ...(cookie ? { Cookie: cookie } : {}),
+    },
+    body: "pin=98765",
+  });
+
+  const a = await device();
+  const b = await device();
+  assert.match(a, /^lager_pin_device=/);
+  assert.notEqual(a, b);
+
+  for (let i = 0; i < 5; i++) assert.equal((await wrongPin("10.0.0.1", a)).status, 401);
+  assert.equal((await wrongPin("10.0.0.1", a)).status, 429);
+  // Anderes Handy im selben WLAN und dasselbe Handy an anderer IP sind nicht gesperrt
+  assert.equal((await wrongPin("10.0.0.1", b)).status, 401);
+  assert.equal((await wrongPin("10.0.0.2", a)).status, 401);
+
+  // Ohne Cookie bekommt jeder Versuch ein neues Gerät – dann greift die Sperre der IP
+  for (let i = 0; i < 25; i++) assert.equal((await wrongPin("10.0.0.3")).status, 401);
+  assert.equal((await wrongPin("10.0.0.3")).status, 429);
+});
+
+test("QR-Links: Ablauf je Auftrag und Sperrliste in /scan und /complete", async () => {
+  const expired = await makeLabels({ project: "QRAB0001", drawing: "BL01", count: "1", qrExpires: "2000-01-01" });
+  assert.equal(expired.res.status, 400);
+
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+  await makeLabels({ project: "QRAB0001", drawing: "BL01", count: "2", qrExpires: tomorrow });
+  const { rows: [job] } = await ctx.pool.query(
+    "select j.id, j.qr_expires_at from label_jobs j join label_job_pallets p on p.job_id = j.id where p.project = 'QRAB0001' limit 1"
+  );
+  assert.ok(job.qr_expires_at > new Date());
+  const [first, second] = tasksOf("QRAB0001").sort((a, b) => a.content.localeCompare(b.content));
+
+  // Ablauf steckt im signierten Link; ohne e ist die Signatur ungültig
+  const { signScanToken } = await import("../signing.js");
+  const token = signScanToken(first.id, { expiresAt: job.qr_expires_at });
+  assert.ok(token.e);
+  const scan = await fetch(`${ctx.url}/scan/${first.id}?${new URLSearchParams(token)}`);
+  assert.equal(scan.status, 200);
+  assert.match(await scan.text(), new RegExp(`action="/scan/${first.id}\\?e=${token.e}&amp;sig=`));
+  assert.equal((await fetch(`${ctx.url}/scan/${first.id}?sig=${token.sig}`)).status, 403);
+  const past = signScanToken(first.id, { expiresAt: "2001-01-01T00:00:00Z" });
+  const pastRes = await fetch(`${ctx.url}/scan/${first.id}?${new URLSearchParams(past)}`);
+  assert.equal(pastRes.status, 403);
+  assert.match(await pastRes.text(), /QR-Code abgelaufen/);
+
+  // Sperren: Scan und Complete abgelehnt, Entsperren gibt frei
+  const revoke = await fetch(`${ctx.url}/labels/jobs/${job.id}/revoke`, {
+    ...form({ pallet: "0", reason: "Label beschädigt" }),
+    redirect: "manual",
+  });
+  assert.equal(revoke.status, 302);
+  const blocked = await fetch(`${ctx.url}/scan/${first.id}?${new URLSearchParams(token)}`);
+  assert.equal(blocked.status, 403);
+  assert.match(await blocked.text(), /Dieses Label wurde gesperrt: Label beschädigt/);
+  const complete = await fetch(`${ctx.url}/complete/${first.id}?${new URLSearchParams(token)}`);
+  assert.equal(complete.status, 403);
+  assert.equal((await ctx.pool.query("select 1 from ausbuch_log where task_id = $1", [first.id])).rowCount, 0);
+  const secondToken = signScanToken(second.id, { expiresAt: job.qr_expires_at });
+  assert.equal((await fetch(`${ctx.url}/scan/${second.id}?${new URLSearchParams(secondToken)}`)).status, 200);
+
+  const overview = await (await fetch(`${ctx.url}/admin/qr-revocations`, { headers: { Authorization: ctx.auth } })).text();
+  assert.match(overview, /QRAB0001 – BL01 – 1\/2/);
+
+  await fetch(`${ctx.url}/labels/jobs/${job.id}/unrevoke`, { ...form({ pallet: "0" }), redirect: "manual" });
+  assert.equal((await fetch(`${ctx.url}/complete/${first.id}?${new URLSearchParams(token)}`)).status, 200);
+});
+
+test("Dashboard: erzeugt/verladen/offen je Kommission und Drill-down", async () => {
+  await makeLabels({ project: "DASH0001", drawing: "BL01", count: "3" });
+  const [first, second] = tasksOf("DASH0001").sort((a, b) => a.content.localeCompare(b.content));
+  await fetch(`${ctx.url}/complete/${first.id}?sig=${signTaskId(first.id, "test-secret")}`);
+  ctx.todoist.tasks.delete(second.id); // in Todoist gelöscht, nie gescannt
+  invalidateTaskCache(); // sonst meldet das der Todoist-Webhook
+
+  const overview = await (await fetch(`${ctx.url}/dashboard`, { headers: { Authorization: ctx.auth } })).text();
+  assert.match(overview,
+    /<a href="\/dashboard\/DASH0001"><b>DASH0001<\/b><\/a><\/td>\s*<td class="num">3<\/td>\s*<td class="num">1<\/td>\s*<td class="num"><b>1<\/b><\/td>/);
+  assert.match(overview, /1 ohne Scan erledigt/);
+
+  const detail = await fetch(`${ctx.url}/dashboard/DASH0001`, { headers: { Authorization: ctx.auth } });
+  assert.equal(detail.status, 200);
+  const html = await detail.text();
+  assert.equal((html.match(/class="pill open"/g) || []).length, 1);
+  assert.equal((html.match(/class="pill loaded"/g) || []).length, 1);
+  assert.match(html, /1 verladen · <b>1 offen<\/b>/);
+  assert.doesNotMatch(html, /letzter Scan: –/);
+
+  assert.equal((await fetch(`${ctx.url}/dashboard/GIBTESNICHT`, { headers: { Authorization: ctx.auth } })).status, 404);
+});
+
+test("Scanner: Seite öffentlich, JSON-Buchung mit Fehlercodes", async () => {
+  const page = await fetch(`${ctx.url}/scanner`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<script src="\/scanner\/jsQR.js"><\/script>/);
+  assert.equal((await fetch(`${ctx.url}/scanner/jsQR.js`)).status, 200);
+
+  const polish = await (await fetch(`${ctx.url}/scanner`, { headers: { "Accept-Language": "pl" } })).text();
+  assert.match(polish, /<html lang="pl">/);
+  assert.match(polish, /<h1>🚚 Skaner – załadunek<\/h1>/);
+  assert.match(polish, /data-text="\{&quot;locale&quot;:&quot;pl-PL&quot;/);
+  assert.match(polish, /&quot;already_booked&quot;:&quot;Paleta jest już wydana.&quot;/);
+
+  await makeLabels({ project: "SCNR0001", drawing: "BL02", count: "2" });
+  const [first, second] = tasksOf("SCNR0001").sort((a, b) => a.content.localeCompare(b.content));
+  const book = (task, body) => fetch(`${ctx.url}/api/v1/pallets/${task.id}/book`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...body, via: "scanner" }),
+  });
+
+  const invalid = await book(first, { sig: "falsch" });
+  assert.equal(invalid.status, 403);
+  assert.equal((await invalid.json()).error, "invalid_signature");
+
+  const booked = await book(first, { sig: signTaskId(first.id, "test-secret") });
+  assert.equal(booked.status, 200);
+  const result = await booked.json();
+  assert.equal(result.status, "booked");
+  assert.equal(result.label, "SCNR0001");
+  assert.deepEqual(result.pallet, { project: "SCNR0001", drawing: "BL02", index: 1, count: 2 });
+  assert.equal(result.openCount, 1);
+  assert.equal(ctx.todoist.tasks.get(first.id).checked, true);
+
+  const again = await book(first, { sig: signTaskId(first.id, "test-secret") });
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).error, "already_booked");
+
+  ctx.todoist.tasks.delete(second.id);
+  const missing = await book(second, { sig: signTaskId(second.id, "test-secret") });
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error, "pallet_not_found");
+
+  const events = await (await fetch(`${ctx.url}/api/scan-events?taskId=${first.id}`, {
+    headers: { Authorization: ctx.auth },
+  })).json();
+  assert.deepEqual(events.events.map((e) => e.type), ["duplicate_scan", "booked"]);
+  assert.equal(events.events[1].details.via, "scanner");
+});
+
+test("API v1: Palette ansehen, buchen, Kommission mit Status und Fehlercodes", async () => {
+  await makeLabels({ project: "APIV0001", drawing: "BL05", count: "2" });
+  const [first, second] = tasksOf("APIV0001").sort((a, b) => a.content.localeCompare(b.content));
+  const q = (task) => `sig=${signTaskId(task.id, "test-secret")}`;
+
+  const view = await (await fetch(`${ctx.url}/api/v1/pallets/${first.id}?${q(first)}`)).json();
+  assert.equal(view.status, "open");
+  assert.equal(view.label, "APIV0001");
+  assert.equal(view.openCount, 2);
+  assert.deepEqual(view.pallet, { project: "APIV0001", drawing: "BL05", index: 1, count: 2 });
+
+  const bad = await fetch(`${ctx.url}/api/v1/pallets/${first.id}?sig=falsch`);
+  assert.equal(bad.status, 403);
+  assert.deepEqual(await bad.json(), { error: "invalid_signature", message: "Ungültige Signatur." });
+
+  const booked = await fetch(`${ctx.url}/api/v1/pallets/${first.id}/book?${q(first)}`, { method: "POST" });
+  const result = await booked.json();
+  assert.equal(result.status, "booked");
+  assert.deepEqual(result.remaining.map((t) => t.taskId), [second.id]);
+
+  const again = await fetch(`${ctx.url}/api/v1/pallets/${first.id}/book?${q(first)}`, { method: "POST" });
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).error, "already_booked");
+  assert.equal((await (await fetch(`${ctx.url}/api/v1/pallets/${first.id}?${q(first)}`)).json()).status, "loaded");
+
+  const commissionUrl = `${ctx.url}/api/v1/commissions/APIV0001/pallets`;
+  assert.equal((await fetch(commissionUrl)).status, 401);
+  const commission = await (await fetch(commissionUrl, { headers: { Authorization: ctx.auth } })).json();
+  assert.equal(commission.open, 1);
+  assert.equal(commission.loaded, 1);
+  assert.deepEqual(commission.pallets.map((p) => [p.taskId, p.status]), [[second.id, "open"], [first.id, "loaded"]]);
+
+  invalidateTaskCache();
+  ctx.todoist.failNextRequests(1);
+  const down = await fetch(commissionUrl, { headers: { Authorization: ctx.auth } });
+  assert.equal(down.status, 503);
+  assert.equal((await down.json()).error, "backend_unavailable");
+
+  const unknown = await fetch(`${ctx.url}/api/v1/commissions/GIBTESNICHT/pallets`, { headers: { Authorization: ctx.auth } });
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error, "commission_not_found");
+});
+
+test("Gleichzeitige Buchungen derselben Palette: genau eine bucht, die andere ist already_booked", async () => {
+  await makeLabels({ project: "RACE0001", drawing: "BL01", count: "1" });
+  const [task] = tasksOf("RACE0001");
+  const url = `${ctx.url}/api/v1/pallets/${task.id}/book?sig=${signTaskId(task.id, "test-secret")}`;
+
+  const results = await Promise.all([1, 2].map(() => fetch(url, { method: "POST" })));
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+  const bodies = await Promise.all(results.map((r) => r.json()));
+  assert.deepEqual(bodies.map((b) => b.status || b.error).sort(), ["already_booked", "booked"]);
+
+  const { rows } = await ctx.pool.query(
+    "select event_type from scan_events where task_id = $1 order by id", [task.id]
+  );
+  assert.deepEqual(rows.map((r) => r.event_type).sort(), ["booked", "duplicate_scan"]);
+});
+
+test("Seiten: gemeinsamer Rahmen, Texte aus Todoist und Eingaben werden escaped", async () => {
+  const evil = `<img src=x onerror="alert(1)">`;
+  ctx.todoist.tasks.set("xss-1", {
+    id: "xss-1", content: `Palette ${evil}`, labels: [`XSS${evil}`], priority: 1, project_id: "proj-1", checked: false,
+  });
+  invalidateTaskCache();
+
+  const scan = await (await fetch(`${ctx.url}/scan/xss-1?sig=${signTaskId("xss-1", "test-secret")}`)).text();
+  assert.ok(!scan.includes(evil));
+  assert.match(scan, /Palette &lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+  assert.match(scan, /<body class="mobile">/);
+
+  const created = await (await fetch(`${ctx.url}/api/av/create`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+    body: JSON.stringify({ label: `XSS${evil}` }),
+  })).json();
+  const list = await (await fetch(`${ctx.url}/av/list/${created.id}`, { headers: { Authorization: ctx.auth } })).text();
+  assert.ok(!list.includes(evil));
+  assert.match(list, /<title>Ladeliste – XSS&lt;img/);
+  assert.match(list, /<span class="pill">XSS&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;<\/span>/);
+
+  const journal = await (await fetch(`${ctx.url}/admin/scan-log?label=${encodeURIComponent(evil)}`, {
+    headers: { Authorization: ctx.auth },
+  })).text();
+  assert.ok(!journal.includes(evil));
+
+  // Alle Büro-Seiten rendern im selben Rahmen
+  for (const path of ["/", "/batch", "/import", "/import/mapping", "/labels/jobs", "/labels/layouts", "/admin/qr-revocations",
+    "/av", "/dashboard", "/admin/scan-log", "/admin/sync", "/admin/printers", "/admin/print-jobs", "/admin/drivers", "/admin/users"]) {
+    const res = await fetch(`${ctx.url}${path}`, { headers: { Authorization: ctx.auth } });
+    assert.equal(res.status, 200, path);
+    const body = await res.text();
+    assert.match(body, /<body class="admin[ "]/, path);
+    assert.ok(!body.includes("[object Object]") && !body.includes("&lt;tr"), path);
+  }
+});
+
+test("Sprachen: Scan-Seite nach Accept-Language, ?lang merkt sich per Cookie, Ladeliste und Formular übersetzt", async () => {
+  await makeLabels({ project: "LANG0001", drawing: "BL01", count: "2" });
+  const [first, second] = tasksOf("LANG0001");
+  const scanUrl = (t) => `${ctx.url}/scan/${t.id}?sig=${signTaskId(t.id, "test-secret")}`;
+
+  const pl = await (await fetch(scanUrl(first), { headers: { "Accept-Language": "pl-PL,pl;q=0.9,de;q=0.5" } })).text();
+  assert.match(pl, /<html lang="pl">/);
+  assert.match(pl, /Wydać towar\?/);
+  assert.match(pl, /Paleta 1\/2/);
+  assert.match(pl, /jeszcze otwarte: <b>2<\/b> palety/);
+  assert.match(pl, /<button class="yes" type="submit" name="answer" value="yes">Tak<\/button>/);
+  // Sprachwahl behält die Signatur im Link
+  assert.match(pl, new RegExp(`href="\\?sig=${signTaskId(first.id, "test-secret")}&amp;lang=en"`));
+
+  const switched = await fetch(`${scanUrl(first)}&lang=en`);
+  assert.match(await switched.text(), /Book out goods\?/);
+  const cookie = switched.headers.get("set-cookie").split(";")[0];
+  assert.equal(cookie, "lager_lang=en");
+
+  const booked = await fetch(scanUrl(first), {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Cookie: cookie, "Accept-Language": "pl" },
+    body: "answer=yes",
+  });
+  const bookedHtml = await booked.text();
+  assert.match(bookedHtml, /✅ Goods booked out/);
+  assert.match(bookedHtml, /More pallets for this consignment/);
+
+  const again = await (await fetch(scanUrl(first), { headers: { "Accept-Language": "tr" } })).text();
+  assert.match(again, /Palet çıkışı zaten yapıldı/);
+  assert.match(again, /Bu paletin çıkışı <b>\d{2}\.\d{2}\.\d{4} \d{2}:\d{2}:\d{2}<\/b> tarihinde yapıldı/);
+
+  const created = await (await fetch(`${ctx.url}/api/av/create`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+    body: JSON.stringify({ label: "LANG0001" }),
+  })).json();
+  const list = await (await fetch(`${ctx.url}/av/list/${created.id}?lang=ro`, { headers: { Authorization: ctx.auth } })).text();
+  assert.match(list, /0\/1 încărcați/);
+  assert.match(list, /<span class="pill open">deschis<\/span>/);
+  assert.ok(list.includes(second.content));
+
+  const home = await (await fetch(`${ctx.url}/`, { headers: { Authorization: ctx.auth, "Accept-Language": "en" } })).text();
+  assert.match(home, /<h1>Create pallet labels<\/h1>/);
+  assert.match(home, /placeholder="e\.g\. BEFR0124"/);
+  const av = await (await fetch(`${ctx.url}/av`, { headers: { Authorization: ctx.auth, "Accept-Language": "tr" } })).text();
+  assert.match(av, /Yükleme listesi oluştur/);
+  assert.match(av, /data-text="\{&quot;locale&quot;:&quot;tr-TR&quot;/);
+
+  // Ohne Angabe bleibt alles Deutsch
+  assert.match(await (await fetch(scanUrl(second))).text(), /Ware ausbuchen\?/);
+});
+
+test("Standorte: Aufgaben im Projekt des Standorts, QR-Links und Ladeliste über dessen BASE_URL", async () => {
+  const previous = process.env.SITES;
+  process.env.SITES = JSON.stringify([
+    { id: "halle1", name: "Halle 1", projectId: "proj-1" },
+    { id: "halle2", name: "Halle 2", projectId: "proj-2", baseUrl: "http://halle2.test/", layout: "gibt-es-nicht" },
+  ]);
+  invalidateSiteCache();
+  try {
+    const formPage = await (await fetch(`${ctx.url}/?site=halle2`, { headers: { Authorization: ctx.auth } })).text();
+    assert.match(formPage, /<option value="halle2" data-layout="gibt-es-nicht" data-printer="" selected>Halle 2<\/option>/);
+
+    // Dieselbe Kommission in beiden Hallen
+    await makeLabels({ project: "STAN0001", drawing: "BL01", count: "1", site: "halle1" });
+    await makeLabels({ project: "STAN0001", drawing: "BL02", count: "2", site: "halle2" });
+    const [first, second] = tasksOf("STAN0001")
+      .filter((t) => t.project_id === "proj-2")
+      .sort((a, b) => a.content.localeCompare(b.content));
+    assert.equal(tasksOf("STAN0001").filter((t) => t.project_id === "proj-1").length, 1);
+    assert.ok(first && second);
+
+    const unknown = await makeLabels({ project: "STAN0001", drawing: "BL03", count: "1", site: "halle9" });
+    assert.equal(unknown.res.status, 400);
+
+    const { rows: [job] } = await ctx.pool.query(
+      "select j.id, j.site_id from label_jobs j join label_job_pallets p on p.job_id = j.id where p.drawing = 'BL02' and p.project = 'STAN0001' limit 1"
+    );
+    assert.equal(job.site_id, "halle2");
+    const zpl = await (await fetch(`${ctx.url}/labels/jobs/${job.id}/zpl`, { headers: { Authorization: ctx.auth } })).text();
+    assert.match(zpl, /http:\/\/halle2\.test\/scan\//);
+    assert.doesNotMatch(zpl, /lager\.test/);
+
+    // Restliste nach dem Buchen nur aus der eigenen Halle
+    const q = (task) => `sig=${signTaskId(task.id, "test-secret")}`;
+    const view = await (await fetch(`${ctx.url}/api/v1/pallets/${first.id}?${q(first)}`)).json();
+    assert.equal(view.site, "halle2");
+    assert.equal(view.openCount, 2);
+    const booked = await (await fetch(`${ctx.url}/api/v1/pallets/${first.id}/book?${q(first)}`, { method: "POST" })).json();
+    assert.deepEqual(booked.remaining.map((t) => t.taskId), [second.id]);
+
+    const labels = await (await fetch(`${ctx.url}/api/av/labels?site=halle2`, { headers: { Authorization: ctx.auth } })).json();
+    assert.ok(labels.labels.includes("STAN0001"));
+    const created = await (await fetch(`${ctx.url}/api/av/create`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+      body: JSON.stringify({ label: "STAN0001", site: "halle2" }),
+    })).json();
+    assert.equal(created.count, 1);
+    assert.equal(created.url, `http://halle2.test/av/list/${created.id}`);
+
+    const badSite = await fetch(`${ctx.url}/api/av/labels?site=halle9`, { headers: { Authorization: ctx.auth } });
+    assert.equal(badSite.status, 400);
+  } finally {
+    if (previous === undefined) delete process.env.SITES;
+    else process.env.SITES = previous;
+    invalidateSiteCache();
+  }
+});
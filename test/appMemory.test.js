@@ -0,0 +1,59 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+import { signTaskId } from "../signing.js";
+import { getTaskBackend } from "../tasks/index.js";
+
+// Ablauf ohne Todoist: TASK_BACKEND=memory (wie für Entwicklung ohne Konto)
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp({ taskBackend: "memory" });
+});
+
+after(async () => {
+  await ctx?.close();
+});
+
+const form = (data) => ({
+  method: "POST",
+  headers: { "Content-Type": "application/x-www-form-urlencoded", Authorization: ctx.auth },
+  body: new URLSearchParams(data).toString(),
+});
+
+test("Memory-Backend: Labels erzeugen, scannen, ausbuchen, Ladeliste und Storno", async () => {
+  assert.equal(getTaskBackend().name, "memory");
+
+  const res = await fetch(`${ctx.url}/make-labels`, form({ project: "MEMO0001", drawing: "BL01", count: "2" }));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+
+  const tasks = (await getTaskBackend().listTasks({ projectId: "proj-1" }))
+    .filter((t) => t.labels.includes("MEMO0001"))
+    .sort((a, b) => a.content.localeCompare(b.content));
+  assert.deepEqual(tasks.map((t) => t.content), ["MEMO0001 – BL01 – Palette 1/2", "MEMO0001 – BL01 – Palette 2/2"]);
+  const [first, second] = tasks;
+  const sig = (t) => signTaskId(t.id, "test-secret");
+
+  const scan = await (await fetch(`${ctx.url}/scan/${first.id}?sig=${sig(first)}`)).text();
+  assert.match(scan, /Palette 1\/2/);
+  assert.match(scan, /noch offen: <b>2<\/b> Paletten/);
+
+  const booked = await fetch(`${ctx.url}/complete/${first.id}?sig=${sig(first)}`);
+  assert.equal(booked.status, 200);
+  assert.equal((await getTaskBackend().getTask(first.id)).checked, true);
+
+  const labels = await (await fetch(`${ctx.url}/api/av/labels`, { headers: { Authorization: ctx.auth } })).json();
+  assert.deepEqual(labels.labels, ["MEMO0001"]);
+  const created = await (await fetch(`${ctx.url}/api/av/create`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+    body: JSON.stringify({ label: "MEMO0001" }),
+  })).json();
+  assert.equal(created.count, 1);
+  assert.deepEqual((await (await fetch(`${ctx.url}/api/av/list/${created.id}`)).json()).items.map((it) => it.taskId), [second.id]);
+
+  const undone = await fetch(`${ctx.url}/admin/undo/${first.id}`, form({ reason: "Test ohne Todoist" }));
+  assert.equal(undone.status, 200);
+  assert.equal((await getTaskBackend().getTask(first.id)).checked, false);
+});
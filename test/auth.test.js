@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hashPassword, verifyPassword } from "../auth/passwords.js";
+import { rolesFor, hasRole, isPublicPath, cookieHeader } from "../auth/middleware.js";
+import { invalidateSiteCache } from "../sites/index.js";
+
+test("hashPassword: gesalzen, verifyPassword erkennt richtig und falsch", async () => {
+  const a = await hashPassword("lagerhalle1");
+  const b = await hashPassword("lagerhalle1");
+  assert.match(a, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(a, b);
+  assert.equal(await verifyPassword("lagerhalle1", a), true);
+  assert.equal(await verifyPassword("lagerhalle2", a), false);
+  assert.equal(await verifyPassword("lagerhalle1", "klartext"), false);
+});
+
+test("Rollenregeln: Packer, AV-Planung, Logistik, Admin", () => {
+  const packer = { roles: ["packer"] };
+  const planner = { roles: ["av_planner"] };
+  const admin = { roles: ["admin"] };
+
+  assert.equal(hasRole(packer, rolesFor("GET", "/")), true);
+  assert.equal(hasRole(packer, rolesFor("POST", "/make-labels")), true);
+  assert.equal(hasRole(packer, rolesFor("GET", "/av")), false);
+  assert.equal(hasRole(planner, rolesFor("POST", "/api/av/create")), true);
+  assert.equal(hasRole(planner, rolesFor("GET", "/")), false);
+  assert.equal(hasRole(packer, rolesFor("GET", "/labels/layouts")), true);
+  assert.equal(hasRole(packer, rolesFor("POST", "/labels/layouts")), false);
+  assert.equal(hasRole(packer, rolesFor("GET", "/admin/users")), false);
+  assert.equal(hasRole(admin, rolesFor("GET", "/admin/users")), true);
+
+  assert.equal(isPublicPath("/scan/123"), true);
+  assert.equal(isPublicPath("/complete/123"), true);
+  assert.equal(isPublicPath("/scanner"), true);
+  assert.equal(isPublicPath("/scanner/jsQR.js"), true);
+  assert.equal(isPublicPath("/scanner/admin"), false);
+  assert.equal(isPublicPath("/scan/123/extra"), false);
+  assert.equal(isPublicPath("/scans"), false);
+  assert.equal(isPublicPath("/healthz"), false);
+  assert.equal(isPublicPath("/api/av/list/abc"), true);
+  assert.equal(isPublicPath("/av/list/abc"), true);
+  assert.equal(isPublicPath("/av"), false);
+  assert.equal(isPublicPath("/api/av/create"), false);
+});
+
+test("cookieHeader: Secure nur, wenn alle Standorte https nutzen", () => {
+  const previous = process.env.SITES;
+  try {
+    process.env.SITES = JSON.stringify([
+      { id: "h1", projectId: "p1", baseUrl: "https://h1.example" },
+      { id: "h2", projectId: "p2", baseUrl: "https://h2.example" },
+    ]);
+    invalidateSiteCache();
+    assert.match(cookieHeader("lager_session", "abc", 60_000), /; Secure$/);
+
+    process.env.SITES = JSON.stringify([
+      { id: "h1", projectId: "p1", baseUrl: "https://h1.example" },
+      { id: "h2", projectId: "p2", baseUrl: "http://h2.local" },
+    ]);
+    invalidateSiteCache();
+    assert.equal(cookieHeader("lager_session", "abc", 0), "lager_session=abc; Path=/; HttpOnly; SameSite=Lax; Max-Age=0");
+  } finally {
+    if (previous === undefined) delete process.env.SITES;
+    else process.env.SITES = previous;
+    invalidateSiteCache();
+  }
+});
@@ -0,0 +1,24 @@
+// Lokaler TCP-Listener statt Etikettendrucker (Raw-Port wie 9100)
+import net from "net";
+
+export async function startFakePrinter() {
+  const received = [];
+
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    socket.on("data", (c) => chunks.push(c));
+    socket.on("end", () => {
+      received.push(Buffer.concat(chunks).toString("utf8"));
+      socket.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    host: "127.0.0.1",
+    port: server.address().port,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,117 @@
+// Minimaler Todoist-API-v1-Server für Tests (nur was die App nutzt)
+import express from "express";
+
+export async function startFakeTodoist({ token = "test-token" } = {}) {
+  const tasks = new Map();
+  const labels = [];
+  const requests = [];
+  let seq = 1000;
+  let failNext = 0;
+  let rateLimited = 0;
+  let retryAfter = null;
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    requests.push(`${req.method} ${req.path}`);
+    if (req.get("authorization") !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (rateLimited > 0) {
+      rateLimited--;
+      if (retryAfter !== null) res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Too Many Requests" });
+    }
+    if (failNext > 0) {
+      failNext--;
+      return res.status(503).json({ error: "Service Unavailable" });
+    }
+    next();
+  });
+
+  const find = (req, res) => {
+    const t = tasks.get(req.params.id);
+    if (!t) res.status(404).json({ error: "Task not found" });
+    return t;
+  };
+
+  // Seitenweise wie API v1: limit (Standard 50, max. 200), next_cursor = Offset der nächsten Seite
+  const paginate = (req, all) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.cursor, 10) || 0;
+    const next = offset + limit;
+    return { results: all.slice(offset, next), next_cursor: next < all.length ? String(next) : null };
+  };
+
+  app.get("/tasks", (req, res) => {
+    const results = [...tasks.values()].filter(
+      (t) => !t.checked && (!req.query.project_id || t.project_id === req.query.project_id)
+    );
+    res.json(paginate(req, results));
+  });
+
+  app.post("/tasks", (req, res) => {
+    const id = String(++seq);
+    const t = {
+      id,
+      content: req.body.content,
+      description: req.body.description || "",
+      labels: req.body.labels || [],
+      priority: 1,
+      project_id: req.body.project_id || "inbox",
+      checked: false,
+      url: `https://app.todoist.com/app/task/${id}`,
+    };
+    tasks.set(id, t);
+    res.json(t);
+  });
+
+  app.get("/tasks/:id", (req, res) => {
+    const t = find(req, res);
+    if (t) res.json(t);
+  });
+
+  app.post("/tasks/:id/close", (req, res) => {
+    const t = find(req, res);
+    if (!t) return;
+    t.checked = true;
+    res.status(204).end();
+  });
+
+  app.post("/tasks/:id/reopen", (req, res) => {
+    const t = find(req, res);
+    if (!t) return;
+    t.checked = false;
+    res.status(204).end();
+  });
+
+  app.get("/labels", (req, res) => res.json(paginate(req, labels)));
+
+  app.post("/labels", (req, res) => {
+    const l = { id: String(++seq), name: req.body.name };
+    labels.push(l);
+    res.json(l);
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    token,
+    tasks,
+    requests,
+    // die nächsten n Anfragen mit 503 beantworten (Todoist-Ausfall simulieren)
+    failNextRequests(n) {
+      failNext = n;
+    },
+    // die nächsten n Anfragen mit 429 beantworten (optional mit Retry-After in Sekunden)
+    rateLimitNextRequests(n, { retryAfterSeconds = null } = {}) {
+      rateLimited = n;
+      retryAfter = retryAfterSeconds;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,50 @@
+// Startet die App gegen Fake-Todoist (oder TASK_BACKEND=memory) + Test-Datenbank
+import { setPool } from "../../db.js";
+import { createTestPool } from "./testPool.js";
+import { startFakeTodoist } from "./fakeTodoist.js";
+
+export async function startTestApp({ taskBackend = "todoist" } = {}) {
+  // Ohne Todoist (memory/postgres) gibt es keinen Fake-Server; ctx.todoist ist dann null
+  const todoist = taskBackend === "todoist" ? await startFakeTodoist() : null;
+
+  Object.assign(process.env, {
+    BASE_URL: "http://lager.test",
+    TASK_BACKEND: taskBackend,
+    TODOIST_TOKEN: todoist?.token || "",
+    TODOIST_API_URL: todoist?.url || "",
+    PROJECT_ID: "proj-1",
+    SIGNING_SECRET: "test-secret",
+    TODOIST_CLIENT_SECRET: "test-client-secret",
+    ADMIN_USER: "admin",
+    ADMIN_PASS: "geheim",
+    TRUST_PROXY: "loopback",
+  });
+
+  const pool = await createTestPool();
+  setPool(pool);
+
+  const { migrate } = await import("../../schema.js");
+  await migrate();
+  const { ensureInitialAdmin } = await import("../../auth/userStore.js");
+  await ensureInitialAdmin({ username: "admin", password: "geheim" });
+
+  const { default: app } = await import("../../app.js");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const auth = "Basic " + Buffer.from("admin:geheim").toString("base64");
+
+  return {
+    url,
+    auth,
+    todoist,
+    pool,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await todoist?.close();
+      await pool.end();
+    },
+  };
+}
@@ -0,0 +1,29 @@
+// Postgres im Prozess (PGlite/WASM) mit der Schnittstelle eines pg.Pool
+import { PGlite } from "@electric-sql/pglite";
+
+function toResult(r) {
+  return {
+    rows: r.rows,
+    rowCount: r.command === "SELECT" ? r.rows.length : (r.affectedRows ?? r.rows.length),
+  };
+}
+
+export async function createTestPool() {
+  const db = new PGlite();
+
+  const query = async (text, params = []) => {
+    // Mehrere Statements (Migrationen) gehen nur ohne Parameter über exec()
+    if (params.length === 0) {
+      const results = await db.exec(text);
+      return toResult(results[results.length - 1] || { rows: [], affectedRows: 0 });
+    }
+    return toResult(await db.query(text, params));
+  };
+
+  return {
+    query,
+    // PGlite hat nur eine Verbindung – Transaktionen laufen in Tests nacheinander
+    connect: async () => ({ query, release() {} }),
+    end: () => db.close(),
+  };
+}
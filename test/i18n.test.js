@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LOCALES, parseAcceptLanguage, detectLocale, translator } from "../i18n/index.js";
+
+const fakeReq = ({ query = {}, cookie = "", acceptLanguage = "" } = {}) => ({
+  query,
+  headers: { cookie },
+  get: (name) => (name === "Accept-Language" ? acceptLanguage : undefined),
+});
+
+test("Accept-Language: nach q sortiert, Auswahl per ?lang und Cookie hat Vorrang", () => {
+  assert.deepEqual(parseAcceptLanguage("en;q=0.5, pl-PL,pl;q=0.9, *;q=0.1, fr;q=0"), ["pl-pl", "pl", "en", "*"]);
+
+  assert.equal(detectLocale(fakeReq({ acceptLanguage: "ro-RO,ro;q=0.9,en;q=0.8" })), "ro");
+  assert.equal(detectLocale(fakeReq({ acceptLanguage: "fr-FR,tr;q=0.7" })), "tr");
+  assert.equal(detectLocale(fakeReq({ acceptLanguage: "fr-FR" })), "de");
+  assert.equal(detectLocale(fakeReq({ acceptLanguage: "*" })), "de");
+  assert.equal(detectLocale(fakeReq({ cookie: "lager_lang=pl", acceptLanguage: "en" })), "pl");
+  assert.equal(detectLocale(fakeReq({ query: { lang: "en" }, cookie: "lager_lang=pl" })), "en");
+  assert.equal(detectLocale(fakeReq({ query: { lang: "xx" }, acceptLanguage: "tr" })), "tr");
+});
+
+test("translator: Platzhalter, Mehrzahl je Sprache, Markup mit escapten Werten", () => {
+  const pl = translator("pl");
+  assert.equal(pl.intl, "pl-PL");
+  assert.equal(pl("avList.progress", { loaded: 1, total: 3 }), "1/3 załadowano");
+  assert.equal(pl("avList.weightMissing", { count: 1 }), "1 paleta bez wagi");
+  assert.equal(pl("avList.weightMissing", { count: 3 }), "3 palety bez wagi");
+  assert.equal(pl("avList.weightMissing", { count: 5 }), "5 palet bez wagi");
+  assert.equal(translator("en")("avList.weightMissing", { count: 2 }), "2 pallets without weight");
+
+  assert.equal(String(translator("de").html("scan.driver", { name: "<Jan>" })), "Fahrer: <b>&lt;Jan&gt;</b>");
+  assert.equal(translator("xx").locale, "de");
+  assert.equal(translator("en")("gibt.es.nicht"), "gibt.es.nicht");
+});
+
+test("Kataloge: jede Sprache hat alle deutschen Texte", () => {
+  const keys = Object.keys(LOCALES.de.messages).sort();
+  for (const [code, { messages }] of Object.entries(LOCALES)) {
+    assert.deepEqual(Object.keys(messages).sort(), keys, code);
+  }
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILTIN_LAYOUTS, validateLayout, fillPlaceholders, slotOrigin } from "../labels/layout.js";
+import { renderLabelsPdf } from "../labels/pdf.js";
+
+const byId = (id) => BUILTIN_LAYOUTS.find((l) => l.id === id);
+const pageCount = (pdf) => (pdf.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+
+test("mitgelieferte Layouts sind gültig, Standard zuerst", () => {
+  assert.equal(BUILTIN_LAYOUTS[0].id, "standard-100x150");
+  for (const l of BUILTIN_LAYOUTS) assert.deepEqual(validateLayout(l), [], l.id);
+});
+
+test("validateLayout meldet fehlerhafte Elemente", () => {
+  const errors = validateLayout({
+    id: "Kaputt!",
+    name: "x",
+    page: { width: 100, height: 50 },
+    elements: [
+      { type: "text", x: 1, y: 1, value: "{project}", font: "Arial", fit: [10, 20] },
+      { type: "kreis", x: 0, y: 0 },
+    ],
+  });
+  assert.equal(errors.length, 5);
+  assert.match(errors.join("\n"), /unbekannte Schrift "Arial"/);
+  assert.match(errors.join("\n"), /elements\[1\]: type/);
+});
+
+test("Platzhalter und Raster-Positionen", () => {
+  assert.equal(fillPlaceholders("{weight} kg nach {destination}", { weight: 412 }), "412 kg nach ");
+  const a4 = byId("a4-4up");
+  assert.deepEqual(slotOrigin(a4, 0), { x: 2.5, y: 0 });
+  assert.deepEqual(slotOrigin(a4, 3), { x: 107.5, y: 148.5 });
+});
+
+test("renderLabelsPdf: Seitenformat und Labels je Seite", async () => {
+  const labels = Array.from({ length: 5 }, (_, i) => ({
+    values: { project: "TEST0001", drawing: "BL01", fraction: `${i + 1}/5` },
+    scanUrl: `http://lager.test/scan/${i}`,
+  }));
+
+  const a4 = await renderLabelsPdf(byId("a4-4up"), labels);
+  assert.equal(pageCount(a4), 2);
+
+  const small = await renderLabelsPdf(byId("small-100x50"), labels);
+  assert.equal(pageCount(small), 5);
+  assert.match(small.toString("latin1"), /\/MediaBox \[0 0 283\.5 141\.75\]/);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setPool } from "../db.js";
+import { migrate } from "../schema.js";
+import { createTestPool } from "./helpers/testPool.js";
+import { createMemoryBackend, createPostgresBackend } from "../tasks/localBackend.js";
+
+let pool;
+
+before(async () => {
+  pool = await createTestPool();
+  setPool(pool);
+  await migrate();
+});
+
+after(async () => {
+  await pool?.end();
+});
+
+// Beide lokalen Backends erfüllen dieselbe Schnittstelle wie Todoist (siehe tasks/index.js)
+for (const [name, create] of [["memory", createMemoryBackend], ["postgres", createPostgresBackend]]) {
+  test(`${name}: anlegen, lesen, erledigen, wieder öffnen, offene Tasks je Projekt`, async () => {
+    const backend = create();
+    assert.equal(backend.name, name);
+
+    const a = await backend.createTask({ content: "LOKA0001 – BL01 – Palette 1/2", labels: ["LOKA0001"], projectId: 42, description: "**Gewicht:** 400 kg" });
+    const b = await backend.createTask({ content: "LOKA0001 – BL01 – Palette 2/2", labels: ["LOKA0001"], projectId: "42" });
+    await backend.createTask({ content: "Anderes Projekt", projectId: "43" });
+
+    assert.equal(a.project_id, "42");
+    assert.deepEqual(a.labels, ["LOKA0001"]);
+    assert.equal(a.checked, false);
+    assert.equal(a.priority, 1);
+    assert.equal(b.description, "");
+
+    const read = await backend.getTask(a.id);
+    assert.equal(read.content, "LOKA0001 – BL01 – Palette 1/2");
+    assert.equal(read.description, "**Gewicht:** 400 kg");
+
+    assert.deepEqual((await backend.listTasks({ projectId: "42" })).map((t) => t.id).sort(), [a.id, b.id].sort());
+
+    await backend.closeTask(a.id);
+    const closed = await backend.getTask(a.id);
+    assert.equal(closed.checked, true);
+    assert.ok(closed.completed_at);
+    assert.deepEqual((await backend.listTasks({ projectId: 42 })).map((t) => t.id), [b.id]);
+
+    await backend.reopenTask(a.id);
+    const reopened = await backend.getTask(a.id);
+    assert.equal(reopened.checked, false);
+    assert.equal(reopened.completed_at, null);
+    assert.equal((await backend.listTasks({ projectId: "42" })).length, 2);
+
+    // Rückgabewerte sind Kopien – Änderungen wirken nicht auf den Bestand
+    reopened.labels.push("FREMD");
+    assert.deepEqual((await backend.getTask(a.id)).labels, ["LOKA0001"]);
+  });
+
+  test(`${name}: unbekannte Aufgabe → 404 wie bei Todoist, Labels stabil`, async () => {
+    const backend = create();
+    for (const call of [() => backend.getTask("gibt-es-nicht"), () => backend.closeTask("gibt-es-nicht"), () => backend.reopenTask("gibt-es-nicht")]) {
+      await assert.rejects(call(), (e) => e.response?.status === 404);
+    }
+
+    const id = await backend.ensureLabel("LOKA0002");
+    assert.equal(await backend.ensureLabel("LOKA0002"), id);
+    assert.notEqual(await backend.ensureLabel("LOKA0003"), id);
+  });
+}
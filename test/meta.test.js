@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePalletMeta, mergeMeta, formatMeta, palletTaskDescription } from "../labels/meta.js";
+import { translator } from "../i18n/index.js";
+
+test("parsePalletMeta: Komma-Dezimalzahl, leere Felder, Fehler", () => {
+  const { meta, errors } = parsePalletMeta({ weight: "412,55", length: "120", width: "80", height: "", destination: "  Baustelle   Nord " });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(meta, {
+    weightKg: 412.6, lengthCm: 120, widthCm: 80, heightCm: null, parts: null, destination: "Baustelle Nord",
+  });
+
+  const bad = parsePalletMeta({ weight: "schwer", length: "0", parts: "2,5" });
+  assert.equal(bad.errors.length, 3);
+});
+
+test("mergeMeta, formatMeta und Aufgabenbeschreibung", () => {
+  const meta = mergeMeta(
+    { weightKg: 400, lengthCm: 120, widthCm: 80, heightCm: 100, parts: null, destination: "Lager Süd" },
+    { weightKg: 250.5, lengthCm: null }
+  );
+  assert.equal(meta.weightKg, 250.5);
+  assert.equal(meta.lengthCm, 120);
+
+  const f = formatMeta(meta);
+  assert.equal(f.summary, "250,5 kg · 120 × 80 × 100 cm");
+  assert.equal(formatMeta({ ...meta, parts: 1 }).summary, "250,5 kg · 120 × 80 × 100 cm · 1 Teil");
+  assert.equal(formatMeta({ ...meta, weightKg: 1250.5, parts: 5 }, translator("pl")).summary, "1250,5 kg · 120 × 80 × 100 cm · 5 części");
+  assert.equal(formatMeta({ ...meta, weightKg: 1250.5, parts: 24 }, translator("en")).summary, "1,250.5 kg · 120 × 80 × 100 cm · 24 parts");
+  assert.equal(palletTaskDescription(meta), "**Gewicht:** 250,5 kg\n**Maße (L × B × H):** 120 × 80 × 100 cm\n**Ziel:** Lager Süd");
+  assert.equal(palletTaskDescription(mergeMeta()), "");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeProject, normalizeDrawing, toTitleCase } from "../normalize.js";
+import { signTaskId } from "../signing.js";
+
+test("normalizeProject: 4 Buchstaben + 4 Ziffern, optionales K", () => {
+  assert.equal(normalizeProject("befr0124"), "BEFR0124");
+  assert.equal(normalizeProject("BE-FR 0124"), "BEFR0124");
+  assert.equal(normalizeProject("befr0124k"), "BEFR0124K");
+  assert.equal(normalizeProject("ab12"), "ABXX1200");
+  assert.equal(normalizeProject(""), "");
+});
+
+test("toTitleCase", () => {
+  assert.equal(toTitleCase("tür vorne rechts"), "Tür Vorne Rechts");
+  assert.equal(toTitleCase("  TÜR   links "), "Tür Links");
+});
+
+test("normalizeDrawing: BL-Codes zweistellig, Freitext in Title Case", () => {
+  assert.equal(normalizeDrawing("bl 7 tür"), "BL07, Tür");
+  assert.equal(normalizeDrawing("BL22"), "BL22");
+  assert.equal(normalizeDrawing("bl123"), "BL23");
+  assert.equal(normalizeDrawing("rahmen bl1 bl 2"), "Rahmen, BL01, BL02");
+  assert.equal(normalizeDrawing("blech vorne"), "Blech Vorne");
+  assert.equal(normalizeDrawing("bl7, tür; bl8"), "BL07, Tür, BL08");
+  assert.equal(normalizeDrawing(""), "");
+});
+
+test("normalizeDrawing ist idempotent (bereits normalisierte Eingaben bleiben gleich)", () => {
+  for (const raw of ["bl 7 tür", "rahmen bl1 bl 2", "BL22", "tür vorne"]) {
+    const once = normalizeDrawing(raw);
+    assert.equal(normalizeDrawing(once), once);
+  }
+});
+
+test("signTaskId: stabil und abhängig vom Secret", () => {
+  const a = signTaskId("123", "s1");
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.equal(signTaskId(123, "s1"), a);
+  assert.notEqual(signTaskId("123", "s2"), a);
+  assert.notEqual(signTaskId("124", "s1"), a);
+});
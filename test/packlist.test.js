@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { parseCsv, parsePackingList, applyMapping, DEFAULT_MAPPING } from "../packlist/parse.js";
+
+test("parseCsv: Trennzeichen erkennen, Anführungszeichen, leere Zeilen", () => {
+  assert.deepEqual(parseCsv('a;b\n"x;1";"sagt ""hi"""\n\n'), [["a", "b"], ["x;1", 'sagt "hi"']]);
+  assert.deepEqual(parseCsv("a,b\r\n1,2"), [["a", "b"], ["1", "2"]]);
+  assert.deepEqual(parseCsv("a\tb\n1\t2"), [["a", "b"], ["1", "2"]]);
+});
+
+test("parsePackingList: CSV in Windows-1252 mit Umlauten", async () => {
+  const csv = Buffer.from("Projekt;Zeichnung;Anzahl Paletten;Packer\nbefr0124;bl 7 t\xfcr;3;mm\n", "latin1");
+  const table = await parsePackingList(csv, "export.csv");
+  assert.deepEqual(table.headers, ["Projekt", "Zeichnung", "Anzahl Paletten", "Packer"]);
+  assert.equal(table.records[0].values.Zeichnung, "bl 7 tür");
+  assert.equal(table.records[0].rowNumber, 2);
+});
+
+test("parsePackingList: XLSX", async () => {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Packliste");
+  ws.addRow(["Projekt", "Zeichnung", "Anzahl Paletten"]);
+  ws.addRow(["BEFR0124", "BL22", 2]);
+  const buffer = Buffer.from(await wb.xlsx.writeBuffer());
+
+  const table = await parsePackingList(buffer, "export.xlsx");
+  assert.deepEqual(table.records[0].values, { Projekt: "BEFR0124", Zeichnung: "BL22", "Anzahl Paletten": "2" });
+});
+
+test("applyMapping: normalisiert und meldet Fehler je Zeile", () => {
+  const { rows, missingColumns } = applyMapping({
+    headers: ["projekt", "Zeichnung", "Anzahl Paletten"],
+    records: [
+      { rowNumber: 2, values: { projekt: "befr0124", Zeichnung: "bl 7 tür", "Anzahl Paletten": "3" } },
+      { rowNumber: 3, values: { projekt: "", Zeichnung: "BL1", "Anzahl Paletten": "x" } },
+    ],
+  }, DEFAULT_MAPPING);
+
+  assert.deepEqual(missingColumns, []);
+  assert.equal(rows[0].project, "BEFR0124");
+  assert.equal(rows[0].drawing, "BL07, Tür");
+  assert.equal(rows[0].count, 3);
+  assert.deepEqual(rows[0].errors, []);
+  assert.deepEqual(rows[1].errors, ["Projekt fehlt", "Anzahl muss 1–50 sein"]);
+});
+
+test("applyMapping: fehlende Pflichtspalten", () => {
+  const { missingColumns } = applyMapping({ headers: ["Projekt"], records: [] }, DEFAULT_MAPPING);
+  assert.deepEqual(missingColumns, ["Zeichnung", "Anzahl Paletten"]);
+});
@@ -0,0 +1,94 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  signTaskId,
+  signScanToken,
+  verifyScanToken,
+  parseSigningKeys,
+  signDriverBadge,
+  signBadgeToken,
+  verifyBadgeToken,
+} from "../signing.js";
+
+const env = { ...process.env };
+afterEach(() => {
+  for (const k of ["SIGNING_SECRET", "SIGNING_KEYS", "SIGNING_ACCEPT_UNVERSIONED"]) {
+    if (env[k] === undefined) delete process.env[k];
+    else process.env[k] = env[k];
+  }
+});
+
+test("verifyScanToken: alte Labels ohne Schlüssel-ID bleiben gültig", () => {
+  process.env.SIGNING_SECRET = "alt";
+  delete process.env.SIGNING_KEYS;
+  assert.deepEqual(signScanToken("42"), { sig: signTaskId("42", "alt") });
+  assert.equal(verifyScanToken("42", { sig: signTaskId("42", "alt") }).ok, true);
+  assert.equal(verifyScanToken("43", { sig: signTaskId("42", "alt") }).reason, "invalid");
+  assert.equal(verifyScanToken("42", {}).reason, "invalid");
+
+  process.env.SIGNING_ACCEPT_UNVERSIONED = "false";
+  assert.equal(verifyScanToken("42", { sig: signTaskId("42", "alt") }).reason, "invalid");
+});
+
+test("verifyScanToken: Schlüsselwechsel – neuer Schlüssel signiert, alter gilt weiter", () => {
+  process.env.SIGNING_SECRET = "alt";
+  process.env.SIGNING_KEYS = "k1:eins";
+  const old = signScanToken("42");
+  assert.equal(old.k, "k1");
+
+  process.env.SIGNING_KEYS = "k2:zwei,k1:eins";
+  const fresh = signScanToken("42");
+  assert.equal(fresh.k, "k2");
+  assert.equal(verifyScanToken("42", old).ok, true);
+  assert.equal(verifyScanToken("42", fresh).ok, true);
+  assert.equal(verifyScanToken("42", { ...fresh, k: "k1" }).reason, "invalid");
+
+  process.env.SIGNING_KEYS = "k2:zwei";
+  assert.equal(verifyScanToken("42", old).reason, "invalid");
+});
+
+test("verifyScanToken: Ablauf ist mitsigniert", () => {
+  process.env.SIGNING_SECRET = "alt";
+  process.env.SIGNING_KEYS = "k1:eins";
+  const token = signScanToken("42", { expiresAt: "2030-01-01T00:00:00Z" });
+  assert.equal(token.e, String(Date.parse("2030-01-01T00:00:00Z") / 1000));
+  assert.equal(verifyScanToken("42", token, Date.parse("2029-12-31T23:00:00Z")).ok, true);
+  assert.equal(verifyScanToken("42", token, Date.parse("2030-01-01T00:00:01Z")).reason, "expired");
+  assert.equal(verifyScanToken("42", { ...token, e: "9999999999" }).reason, "invalid");
+  assert.equal(verifyScanToken("42", { k: token.k, sig: token.sig }).reason, "invalid");
+});
+
+test("Fahrerausweis: gleiche Schlüssel-Versionen wie die QR-Links", () => {
+  process.env.SIGNING_SECRET = "alt";
+  delete process.env.SIGNING_KEYS;
+  const legacy = { sig: signDriverBadge(7, 1, "alt") };
+  assert.deepEqual(signBadgeToken(7, 1), legacy);
+  assert.equal(verifyBadgeToken(7, 1, legacy), true);
+  assert.equal(verifyBadgeToken(7, 2, legacy), false);
+
+  process.env.SIGNING_KEYS = "k1:eins";
+  const old = signBadgeToken(7, 1);
+  assert.equal(old.k, "k1");
+  assert.equal(verifyBadgeToken(7, 1, old), true);
+  assert.equal(verifyBadgeToken(7, 1, legacy), true);
+
+  process.env.SIGNING_KEYS = "k2:zwei,k1:eins";
+  const fresh = signBadgeToken(7, 1);
+  assert.equal(fresh.k, "k2");
+  assert.equal(verifyBadgeToken(7, 1, old), true);
+  assert.equal(verifyBadgeToken(7, 1, { ...fresh, k: "k1" }), false);
+
+  // Alter Schlüssel entfernt bzw. unversionierte Links abgeschaltet
+  process.env.SIGNING_KEYS = "k2:zwei";
+  assert.equal(verifyBadgeToken(7, 1, old), false);
+  process.env.SIGNING_ACCEPT_UNVERSIONED = "false";
+  assert.equal(verifyBadgeToken(7, 1, legacy), false);
+  assert.equal(verifyBadgeToken(7, 1, fresh), true);
+  assert.equal(verifyBadgeToken(7, 1, {}), false);
+});
+
+test("parseSigningKeys: Format prüfen", () => {
+  assert.deepEqual(parseSigningKeys(" a:x , b:y:z "), [{ id: "a", secret: "x" }, { id: "b", secret: "y:z" }]);
+  assert.deepEqual(parseSigningKeys(undefined), []);
+  assert.throws(() => parseSigningKeys("ohne-secret"), /id:secret/);
+});
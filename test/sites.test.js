@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSites, listSites, siteForPallet, invalidateSiteCache } from "../sites/index.js";
+
+const env = { PROJECT_ID: "proj-1", BASE_URL: "http://lager.test", LOGO_PATH: "/srv/logo.png" };
+
+test("parseSites: ohne SITES ein Standort aus PROJECT_ID, BASE_URL und LOGO_PATH", () => {
+  assert.deepEqual(parseSites("", env), [{
+    id: "default",
+    name: "Standard",
+    projectId: "proj-1",
+    baseUrl: "http://lager.test",
+    logoPath: "/srv/logo.png",
+    layout: null,
+    printer: null,
+  }]);
+
+  const [h1, h2] = parseSites(JSON.stringify([
+    { id: "halle1", projectId: 2203 },
+    { id: "halle2", name: "Halle 2", projectId: "p2", baseUrl: "http://h2.test", layout: "a6", printer: "zebra" },
+  ]), env);
+  assert.equal(h1.name, "halle1");
+  assert.equal(h1.projectId, "2203");
+  assert.equal(h1.baseUrl, "http://lager.test");
+  assert.equal(h2.logoPath, "/srv/logo.png");
+  assert.deepEqual([h2.baseUrl, h2.layout, h2.printer], ["http://h2.test", "a6", "zebra"]);
+});
+
+test("parseSites: ungültige Angaben nennen den Eintrag", () => {
+  assert.throws(() => parseSites("{", env), /kein gültiges JSON/);
+  assert.throws(() => parseSites("[]", env), /mindestens einem Standort/);
+  assert.throws(() => parseSites('[{"id":"Halle 1","projectId":"p"}]', env), /Eintrag 1/);
+  assert.throws(() => parseSites('[{"id":"h1","projectId":"p"},{"id":"h1","projectId":"q"}]', env), /"h1" ist doppelt/);
+  assert.throws(() => parseSites('[{"id":"h1"}]', env), /"h1" braucht eine projectId/);
+});
+
+test("siteForPallet: Auftrag vor Todoist-Projekt vor Standard", () => {
+  const previous = process.env.SITES;
+  process.env.SITES = JSON.stringify([{ id: "h1", projectId: "p1" }, { id: "h2", projectId: "p2" }]);
+  invalidateSiteCache();
+  try {
+    assert.equal(siteForPallet({ project_id: "p2" }, { siteId: "h1" }).id, "h1");
+    assert.equal(siteForPallet({ project_id: "p2" }, { siteId: "entfernt" }).id, "h2");
+    assert.equal(siteForPallet({ project_id: "p2" }, null).id, "h2");
+    assert.equal(siteForPallet({ project_id: "inbox" }, null).id, "h1");
+
+    // SITES wird einmal gelesen – Änderungen erst nach invalidateSiteCache()
+    assert.equal(listSites(), listSites());
+    process.env.SITES = JSON.stringify([{ id: "h3", projectId: "p3" }]);
+    assert.equal(listSites()[0].id, "h1");
+    invalidateSiteCache();
+    assert.equal(listSites()[0].id, "h3");
+  } finally {
+    if (previous === undefined) delete process.env.SITES;
+    else process.env.SITES = previous;
+    invalidateSiteCache();
+  }
+});
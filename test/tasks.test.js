@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeTodoist } from "./helpers/fakeTodoist.js";
+import { createTodoistBackend, retryAfterMs } from "../tasks/todoistBackend.js";
+import { withTaskCache } from "../tasks/cache.js";
+
+function addTasks(todoist, n, projectId = "proj-1") {
+  for (let i = 0; i < n; i++) {
+    const id = projectId === "proj-1" ? `t${i}` : `${projectId}-${i}`;
+    todoist.tasks.set(id, { id, content: `Palette ${i}`, labels: ["PAGE0001"], priority: 1, project_id: projectId, checked: false });
+  }
+}
+
+test("Todoist: listTasks folgt next_cursor über alle Seiten", async () => {
+  const todoist = await startFakeTodoist();
+  try {
+    addTasks(todoist, 450);
+    addTasks(todoist, 5, "anderes");
+    const backend = createTodoistBackend({ token: todoist.token, baseURL: todoist.url });
+    const tasks = await backend.listTasks({ projectId: "proj-1" });
+    assert.equal(tasks.length, 450);
+    assert.equal(new Set(tasks.map((t) => t.id)).size, 450);
+    assert.equal(todoist.requests.filter((r) => r === "GET /tasks").length, 3);
+  } finally {
+    await todoist.close();
+  }
+});
+
+test("Todoist: 429 mit Retry-After wird abgewartet und wiederholt", async () => {
+  const todoist = await startFakeTodoist();
+  try {
+    addTasks(todoist, 1);
+    const backend = createTodoistBackend({ token: todoist.token, baseURL: todoist.url, retryBaseMs: 5 });
+
+    todoist.rateLimitNextRequests(2, { retryAfterSeconds: 0 });
+    assert.equal((await backend.getTask("t0")).id, "t0");
+
+    // ohne Retry-After: exponentieller Backoff, nach maxRetries aufgeben
+    todoist.rateLimitNextRequests(5);
+    await assert.rejects(backend.getTask("t0"), (e) => e.response?.status === 429);
+    assert.equal(todoist.requests.length, 3 + 4);
+
+    // Wartezeit zu lang → sofort 429, auch für folgende Aufrufe
+    todoist.rateLimitNextRequests(1, { retryAfterSeconds: 60 });
+    await assert.rejects(backend.closeTask("t0"), (e) => e.response?.status === 429);
+    const before = todoist.requests.length;
+    await assert.rejects(backend.getTask("t0"), /Rate-Limit/);
+    assert.equal(todoist.requests.length, before);
+  } finally {
+    await todoist.close();
+  }
+});
+
+test("retryAfterMs: Sekunden, HTTP-Datum und error_extra", () => {
+  const now = Date.parse("2025-03-04T12:00:00Z");
+  assert.equal(retryAfterMs({ headers: { "retry-after": "7" } }, now), 7000);
+  assert.equal(retryAfterMs({ headers: { "retry-after": "Tue, 04 Mar 2025 12:00:30 GMT" } }, now), 30000);
+  assert.equal(retryAfterMs({ headers: {}, data: { error_extra: { retry_after: 3 } } }, now), 3000);
+  assert.equal(retryAfterMs({ headers: {} }, now), null);
+});
+
+test("Task-Cache: TTL, gemeinsame Abfrage, eigene Schreibzugriffe", async () => {
+  let time = 0;
+  let calls = 0;
+  const tasks = [{ id: "1", project_id: "p" }, { id: "2", project_id: "p" }];
+  const backend = {
+    async listTasks() {
+      calls++;
+      await new Promise((resolve) => setImmediate(resolve));
+      return tasks.map((t) => ({ ...t }));
+    },
+    async createTask({ projectId }) {
+      return { id: "3", project_id: projectId };
+    },
+    async closeTask() {},
+    async reopenTask() {},
+  };
+  const cached = withTaskCache(backend, { ttlMs: 30_000, now: () => time });
+  const ids = async () => (await cached.listTasks({ projectId: "p" })).map((t) => t.id);
+
+  // gleichzeitige Abfragen → ein Request
+  await Promise.all([ids(), ids(), ids()]);
+  assert.equal(calls, 1);
+
+  await cached.closeTask("1");
+  await cached.createTask({ projectId: "p" });
+  assert.deepEqual(await ids(), ["2", "3"]);
+  assert.equal(calls, 1);
+
+  time += 30_001;
+  assert.deepEqual(await ids(), ["1", "2"]);
+  assert.equal(calls, 2);
+
+  await cached.reopenTask("1");
+  await ids();
+  cached.invalidate("p");
+  await ids();
+  assert.equal(calls, 4);
+});
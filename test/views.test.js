@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { html, raw, escapeHtml } from "../views/html.js";
+import { page } from "../views/layout.js";
+import { alreadyBookedBox, bookedBox, errorList } from "../views/partials.js";
+
+test("html: Werte escaped, verschachtelte Templates und Arrays bleiben HTML", () => {
+  const name = `<img src=x onerror="alert('x')">`;
+  const out = String(html`<p title="${name}">${name}</p>`);
+  assert.equal(out, "<p title=\"&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;\">&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;</p>");
+
+  const items = ["a<b", "c&d"];
+  assert.equal(String(html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>`), "<ul><li>a&lt;b</li><li>c&amp;d</li></ul>");
+  assert.equal(String(html`${null}${undefined}${false}${0}${raw("<br>")}`), "0<br>");
+  assert.equal(escapeHtml(`"&'`), "&quot;&amp;&#39;");
+});
+
+test("page: gemeinsamer Rahmen mit escaptem Titel, Optionen als Klassen", () => {
+  const doc = page("<Titel>", html`<h1>Hallo</h1>`, { kind: "mobile", tone: "error", width: 420, refresh: 30 });
+  assert.match(doc, /^<!doctype html>/);
+  assert.match(doc, /<title>&lt;Titel&gt;<\/title>/);
+  assert.match(doc, /<meta http-equiv="refresh" content="30" \/>/);
+  assert.match(doc, /<body class="mobile">/);
+  assert.match(doc, /<div class="box tone-error" style="max-width:420px"><h1>Hallo<\/h1><\/div>/);
+  assert.equal((doc.match(/<style>/g) || []).length, 1);
+
+  // Body als einfacher String wird nicht als HTML übernommen
+  assert.match(page("x", "<b>roh</b>"), /&lt;b&gt;roh&lt;\/b&gt;/);
+});
+
+test("Partials: bereits ausgebucht, ausgebucht, Fehlerliste", () => {
+  const already = String(alreadyBookedBox({ taskId: "a/b<c>", completedAt: "2025-03-04T12:00:00Z" }));
+  assert.match(already, /Palette bereits ausgebucht/);
+  assert.match(already, /<b>04\.03\.25, 13:00:00<\/b>/);
+  assert.doesNotMatch(already, /admin\/undo/);
+  const withUndo = String(alreadyBookedBox({ taskId: "a/b<c>", completedAt: "2025-03-04T12:00:00Z", canUndo: true }));
+  assert.match(withUndo, /href="\/admin\/undo\/a%2Fb%3Cc%3E"/);
+
+  assert.match(String(bookedBox({ synced: false })), /automatisch nachgetragen/);
+  assert.match(String(bookedBox({ synced: true, text: "<i>" })), /<p>&lt;i&gt;<\/p>/);
+  assert.equal(errorList([]), "");
+  assert.equal(String(errorList(["<x>"])), "<ul class=\"error\"><li>&lt;x&gt;</li></ul>");
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { startTestApp } from "./helpers/testApp.js";
+import { replayTodoistWebhook } from "../webhooks/replay.js";
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestApp();
+});
+
+after(async () => {
+  await ctx?.close();
+});
+
+// Aufgezeichnete Payloads aus test/fixtures/todoist-webhooks
+const fixture = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`./fixtures/todoist-webhooks/${name}.json`, import.meta.url), "utf8"));
+
+const replay = (name, taskId, opts = {}) =>
+  replayTodoistWebhook(`${ctx.url}/webhooks/todoist`, fixture(name), { taskId, projectId: "proj-1", ...opts });
+
+async function palletTask(project) {
+  await fetch(`${ctx.url}/make-labels`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Authorization: ctx.auth },
+    body: new URLSearchParams({ project, drawing: "BL07", count: "1" }).toString(),
+  });
+  return [...ctx.todoist.tasks.values()].find((t) => t.labels.includes(project));
+}
+
+async function journal(taskId) {
+  const res = await fetch(`${ctx.url}/api/scan-events?taskId=${taskId}`, { headers: { Authorization: ctx.auth } });
+  return (await res.json()).events;
+}
+
+const completedAt = async (taskId) =>
+  (await ctx.pool.query("select completed_at from ausbuch_log where task_id = $1", [taskId])).rows[0]?.completed_at || null;
+
+test("Webhook: ohne gültige Signatur abgelehnt", async () => {
+  const task = await palletTask("HOOK0001");
+  const res = await replay("item-completed", task.id, { secret: "falsch" });
+  assert.equal(res.status, 403);
+  assert.equal(await completedAt(task.id), null);
+});
+
+test("Webhook: in Todoist erledigt und wieder geöffnet → ausbuch_log folgt", async () => {
+  const task = await palletTask("HOOK0002");
+
+  const done = await replay("item-completed", task.id, { deliveryId: "d-1" });
+  assert.deepEqual(await done.json(), { ok: true, action: "completed" });
+  assert.ok(await completedAt(task.id));
+
+  // Todoist wiederholt die Zustellung → nur einmal verarbeitet
+  assert.equal((await (await replay("item-completed", task.id, { deliveryId: "d-1" })).json()).action, "duplicate");
+  assert.equal((await (await replay("item-completed", task.id)).json()).action, "unchanged");
+
+  const reopened = await replay("item-uncompleted", task.id);
+  assert.equal((await reopened.json()).action, "reopened");
+  assert.equal(await completedAt(task.id), null);
+
+  const events = await journal(task.id);
+  assert.deepEqual(
+    events.filter((e) => e.type.startsWith("todoist_")).map((e) => e.type),
+    ["todoist_reopened", "todoist_completed"]
+  );
+  assert.equal(events[0].actor, "Vera Schmidt");
+  assert.equal(events[0].device, "Todoist-Webhook");
+});
+
+test("Webhook: Änderungen und Löschen ziehen die AV-Ladeliste nach", async () => {
+  const task = await palletTask("BEFR1240");
+  const created = await (await fetch(`${ctx.url}/api/av/create`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: ctx.auth },
+    body: JSON.stringify({ label: "BEFR1240" }),
+  })).json();
+  const items = async () => (await (await fetch(`${ctx.url}/api/av/list/${created.id}`)).json()).items;
+
+  assert.equal((await (await replay("item-updated", task.id)).json()).action, "updated");
+  const [item] = await items();
+  assert.equal(item.content, "BEFR1240 – BL07, Tür links – Palette 1/2");
+  assert.equal(item.priority, 4);
+
+  assert.equal((await (await replay("item-relabeled", task.id)).json()).action, "updated");
+  assert.equal((await items()).length, 0);
+  const [relabeled] = await journal(task.id);
+  assert.deepEqual(relabeled.details.previousLabels, ["BEFR1240"]);
+
+  assert.equal((await (await replay("item-deleted", task.id)).json()).action, "deleted");
+  assert.equal((await journal(task.id))[0].type, "todoist_deleted");
+});
+
+test("Webhook: Aufgaben anderer Projekte werden ignoriert", async () => {
+  const task = await palletTask("HOOK0003");
+  const res = await replay("item-completed", task.id, { projectId: "anderes-projekt" });
+  assert.equal((await res.json()).action, "ignored");
+  assert.equal(await completedAt(task.id), null);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILTIN_LAYOUTS } from "../labels/layout.js";
+import { labelToZpl, renderLabelsZpl, zplField } from "../print/zpl.js";
+
+const standard = BUILTIN_LAYOUTS.find((l) => l.id === "standard-100x150");
+const label = (fraction) => ({
+  values: { project: "BEFR0124", drawing: "BL07, Tür", fraction, footer: "Erstellt: 01.01.26, 10:00:00 · mm" },
+  scanUrl: "http://lager.test/scan/123?sig=abc",
+});
+
+test("labelToZpl: Etikettengröße, Balken, Texte und QR-Code", () => {
+  const zpl = labelToZpl(standard, label("1/3"), { dpmm: 8 });
+
+  assert.match(zpl, /^\^XA\n\^CI28\n\^PW800\n\^LL1200\n/);
+  assert.match(zpl, /\^FO16,16\^GB768,200,4\^FS/); // Projekt-Balken 96 x 25 mm
+  assert.match(zpl, /\^FB736,1,0,C,0\^FH\^FDBEFR0124\^FS/);
+  assert.match(zpl, /\^FDBL07, Tür\^FS/);
+  assert.match(zpl, /\^FD1\/3\^FS/);
+  assert.match(zpl, /\^BQN,2,\d+\^FDMA,http:\/\/lager\.test\/scan\/123\?sig=abc\^FS/);
+  assert.match(zpl, /\^FDErstellt: 01\.01\.26, 10:00:00 · mm\^FS/);
+  assert.match(zpl, /\^XZ$/);
+});
+
+test("renderLabelsZpl: ein Etikett je Label, Steuerzeichen maskiert", () => {
+  const zpl = renderLabelsZpl(standard, [label("1/2"), label("2/2")], { dpmm: 12 });
+  assert.equal(zpl.match(/\^XA/g).length, 2);
+  assert.match(zpl, /\^PW1200/);
+  assert.equal(zplField("A^B~C_D"), "A_5EB_7EC_5FD");
+});
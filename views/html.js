@@ -0,0 +1,51 @@
+// src/views/html.js
+
+/*
+ * Templates mit automatischem Escaping:
+ *   html`<p>${name}</p>`      – eingesetzte Werte werden escaped
+ *   html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>` – verschachtelte Templates/Arrays bleiben HTML
+ *   raw(text)                 – bewusst ungeprüftes HTML (nur für eigene Konstanten, z. B. Scripts/CSS)
+ * null, undefined und false ergeben nichts – praktisch für `${cond && html`…`}`.
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+export function raw(value) {
+  return value instanceof SafeHtml ? value : new SafeHtml(String(value ?? ""));
+}
+
+export function isSafeHtml(value) {
+  return value instanceof SafeHtml;
+}
+
+function render(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join("");
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    out += render(values[i]) + strings[i + 1];
+  }
+  return new SafeHtml(out);
+}
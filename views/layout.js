@@ -0,0 +1,53 @@
+// src/views/layout.js
+import fs from "fs";
+import { html, raw } from "./html.js";
+
+// Einmal beim Start lesen – alle Seiten teilen sich dieses Stylesheet
+const STYLES = fs.readFileSync(new URL("./styles.css", import.meta.url), "utf8");
+
+/**
+ * Vollständiges HTML-Dokument im gemeinsamen Rahmen (String für res.send).
+ *   kind:      "admin" (Büro) | "mobile" (Scan/Fahrer, groß und zentriert) | "print" (nur Basis, z. B. Ausweis)
+ *   width:     max. Breite des Kastens in px (Standard aus styles.css)
+ *   tone:      "error" → roter Rahmen (mobile)
+ *   align:     "left" → Inhalt linksbündig (mobile ist sonst zentriert)
+ *   refresh:   Sekunden bis zum automatischen Neuladen
+ *   bodyClass: Seiten-Klasse für seitenspezifische Regeln in styles.css
+ *   narrow:    schmaler Kasten (admin, z. B. Login)
+ *   box:       false → Inhalt ohne Kasten (Seite bringt eigenen Aufbau mit)
+ *   head:      zusätzliches html`` im <head> (z. B. Scripts)
+ *   lang:      Sprache der Seite (req.locale, siehe i18n/)
+ */
+export function page(title, body, {
+  kind = "admin",
+  width = null,
+  tone = null,
+  align = null,
+  refresh = null,
+  bodyClass = null,
+  narrow = false,
+  box = true,
+  head = null,
+  lang = "de",
+} = {}) {
+  const boxClass = ["box", narrow && "narrow", tone && `tone-${tone}`, align && `align-${align}`]
+    .filter(Boolean).join(" ");
+  const content = !box
+    ? body
+    : html`<div class="${boxClass}"${width ? html` style="max-width:${width}px"` : ""}>${body}</div>`;
+
+  return `<!doctype html>\n${html`<html lang="${lang}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  ${refresh ? html`<meta http-equiv="refresh" content="${refresh}" />` : ""}
+  <title>${title}</title>
+  <style>${raw(STYLES)}</style>
+  ${head}
+</head>
+<body class="${[kind, bodyClass].filter(Boolean).join(" ")}">
+  ${content}
+</body>
+</html>
+`}`;
+}
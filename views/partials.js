@@ -0,0 +1,79 @@
+// src/views/partials.js
+import { html } from "./html.js";
+import { LOCALES, translator } from "../i18n/index.js";
+
+/*
+ * Wiederkehrende Bausteine der Seiten. Alle liefern html`` (escaped) und
+ * werden direkt in andere Templates eingesetzt.
+ */
+
+// Datum + Uhrzeit in Werkszeit, z. B. "04.03.25, 13:00:00" (timeStyle "short" ohne Sekunden).
+// locale: Intl-Sprache der Seite (t.intl), die Zeitzone bleibt die des Werks.
+export function formatDateTime(value, { timeStyle = "medium", locale = "de-DE" } = {}) {
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: "short",
+    timeStyle,
+    timeZone: "Europe/Berlin",
+  }).format(new Date(value));
+}
+
+export function closeButton(t = translator()) {
+  return html`<button type="button" onclick="window.close()">${t("common.close")}</button>`;
+}
+
+// Sprachwahl: gleiche Seite mit ?lang=… (Scan-Parameter bleiben erhalten)
+export function languageSwitch(req) {
+  const links = Object.entries(LOCALES).map(([code, { name }]) => {
+    if (code === req.locale) return html`<b>${code.toUpperCase()}</b>`;
+    const params = new URLSearchParams(Object.entries(req.query).filter(([, v]) => typeof v === "string"));
+    params.set("lang", code);
+    return html`<a href="?${params}" hreflang="${code}" title="${name}">${code.toUpperCase()}</a>`;
+  });
+  return html`<nav class="lang" aria-label="${req.t("common.language")}">${links}</nav>`;
+}
+
+// Fehlerliste über Formularen (nichts, wenn leer)
+export function errorList(errors = []) {
+  return errors.length ? html`<ul class="error">${errors.map((e) => html`<li>${e}</li>`)}</ul>` : "";
+}
+
+// Kasten "Palette bereits ausgebucht" (Scan-Seite, zweiter Scan);
+// Storno-Link nur für Schichtleitung/Admin (canUndo), Fahrer und Scanner sehen ihn nicht
+export function alreadyBookedBox({ taskId, completedAt, canUndo = false }, t = translator()) {
+  return html`
+    <div class="notice warn">
+      <h1 class="title">${t("already.title")}</h1>
+      <p>${t.html("already.text", { date: formatDateTime(completedAt, { locale: t.intl }) })}</p>
+    </div>
+    ${closeButton(t)}
+    ${canUndo && html`
+      <p class="small" style="margin-top:14px;">
+        <a href="/admin/undo/${encodeURIComponent(taskId)}">${t("already.undo")}</a> ${t("already.undoHint")}
+      </p>
+    `}
+  `;
+}
+
+// Kasten "Ware erfolgreich ausgebucht"; synced=false → Hinweis auf den Nachtrag in Todoist
+export function bookedBox({ synced = true, text = null } = {}, t = translator()) {
+  return html`
+    <div class="notice ok">
+      <h1 class="title">${t("booked.title")}</h1>
+      ${synced
+        ? text && html`<p>${text}</p>`
+        : html`<p>${t("booked.pending")}</p>`}
+    </div>
+  `;
+}
+
+// Kasten für Fehler, nach denen nicht verladen werden darf
+export function notLoadedBox(title, text, extra = "", t = translator()) {
+  return html`
+    <div class="notice error">
+      <h1 class="title">${title}</h1>
+      <p>${text}</p>
+      <p>${t.html("notLoaded.text")}</p>
+      ${extra}
+    </div>
+  `;
+}
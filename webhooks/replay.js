@@ -0,0 +1,63 @@
+// src/webhooks/replay.js
+//
+// Aufgezeichnete Todoist-Webhooks lokal erneut einspielen:
+//   node webhooks/replay.js test/fixtures/todoist-webhooks/item-completed.json [taskId]
+// Signiert mit TODOIST_CLIENT_SECRET aus der .env; Ziel: WEBHOOK_URL oder http://localhost:PORT/webhooks/todoist.
+// Mit taskId (und dem Projekt des ersten Standorts, siehe sites/index.js) lässt sich dieselbe Aufzeichnung auf eine echte Palette anwenden.
+import "dotenv/config";
+import crypto from "crypto";
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import { signTodoistPayload } from "./todoist.js";
+import { defaultSite } from "../sites/index.js";
+
+/**
+ * Payload (Objekt) signiert an den Webhook schicken. Gibt die fetch-Response zurück.
+ * taskId/projectId überschreiben event_data (und old_item) der Aufzeichnung.
+ */
+export async function replayTodoistWebhook(url, payload, {
+  secret = process.env.TODOIST_CLIENT_SECRET,
+  taskId = null,
+  projectId = null,
+  deliveryId = crypto.randomUUID(),
+} = {}) {
+  const override = (item) => item && {
+    ...item,
+    ...(taskId ? { id: String(taskId), v2_id: String(taskId) } : {}),
+    ...(projectId ? { project_id: String(projectId) } : {}),
+  };
+  const body = JSON.stringify({
+    ...payload,
+    event_data: override(payload.event_data),
+    ...(payload.event_data_extra?.old_item
+      ? { event_data_extra: { ...payload.event_data_extra, old_item: override(payload.event_data_extra.old_item) } }
+      : {}),
+  });
+
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "Todoist-Webhooks",
+      "X-Todoist-Hmac-SHA256": signTodoistPayload(body, secret),
+      "X-Todoist-Delivery-ID": deliveryId,
+    },
+    body,
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [file, taskId] = process.argv.slice(2);
+  if (!file || !process.env.TODOIST_CLIENT_SECRET) {
+    console.error("Aufruf: node webhooks/replay.js <payload.json> [taskId] (TODOIST_CLIENT_SECRET in der .env setzen)");
+    process.exit(1);
+  }
+  const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks/todoist`;
+  const payload = JSON.parse(await fs.readFile(file, "utf8"));
+  const res = await replayTodoistWebhook(url, payload, {
+    taskId,
+    projectId: taskId ? defaultSite().projectId : null,
+  });
+  console.log(`${res.status} ${await res.text()}`);
+  process.exitCode = res.ok ? 0 : 1;
+}
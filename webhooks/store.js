@@ -0,0 +1,34 @@
+// src/webhooks/store.js
+import { pool } from "../db.js";
+
+// Todoist wiederholt Zustellungen – so lange merken wir uns die Delivery-IDs
+const KEEP_DAYS = 7;
+
+/**
+ * Zustellung für die Verarbeitung reservieren.
+ * false = schon verarbeitet (Todoist hat dieselbe Delivery-ID erneut geschickt).
+ */
+export async function claimWebhookDelivery(deliveryId, { eventName, taskId = null }) {
+  const res = await pool.query(
+    `insert into todoist_webhook_deliveries (delivery_id, event_name, task_id)
+     values ($1, $2, $3)
+     on conflict (delivery_id) do nothing`,
+    [String(deliveryId), eventName, taskId === null ? null : String(taskId)]
+  );
+  return res.rowCount === 1;
+}
+
+/**
+ * Reservierung zurücknehmen, wenn die Verarbeitung fehlschlug (Todoist versucht es dann erneut).
+ */
+export async function releaseWebhookDelivery(deliveryId) {
+  await pool.query("delete from todoist_webhook_deliveries where delivery_id = $1", [String(deliveryId)]);
+}
+
+export async function deleteOldWebhookDeliveries() {
+  const res = await pool.query(
+    "delete from todoist_webhook_deliveries where received_at < now() - make_interval(days => $1)",
+    [KEEP_DAYS]
+  );
+  return res.rowCount;
+}
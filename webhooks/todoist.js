@@ -0,0 +1,121 @@
+// src/webhooks/todoist.js
+import crypto from "crypto";
+import { safeEqual } from "../signing.js";
+import { setCompleted, clearCompleted } from "../ausbuchLogStore.js";
+import { cancelOpenOutbox } from "../outbox/store.js";
+import { recordScanEvent } from "../journal/store.js";
+import { syncAvListItems, removeAvListItems } from "../av/store.js";
+import { invalidateTaskCache } from "../tasks/index.js";
+import { listSites } from "../sites/index.js";
+
+/*
+ * Todoist-Webhooks: Änderungen direkt in der Todoist-App (erledigt, wieder geöffnet,
+ * umbenannt/umgelabelt, gelöscht) in ausbuch_log, Outbox und Ladelisten nachziehen.
+ * Signatur: X-Todoist-Hmac-SHA256 = base64(HMAC-SHA256(Rohdaten, TODOIST_CLIENT_SECRET)).
+ * Eigene Änderungen (Ausbuchen, Storno) kommen ebenfalls zurück – sie sind lokal
+ * schon erledigt und ändern nichts mehr.
+ */
+
+export const HANDLED_EVENTS = ["item:completed", "item:uncompleted", "item:updated", "item:deleted"];
+
+export function signTodoistPayload(rawBody, secret = process.env.TODOIST_CLIENT_SECRET) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("base64");
+}
+
+export function verifyTodoistSignature(rawBody, signature, secret = process.env.TODOIST_CLIENT_SECRET) {
+  if (!secret || !rawBody || !signature) return false;
+  return safeEqual(signature, signTodoistPayload(rawBody, secret));
+}
+
+const sameLabels = (a = [], b = []) => [...a].sort().join("\n") === [...b].sort().join("\n");
+
+// Fehler beim Protokollieren dürfen den Abgleich nicht blockieren
+async function logTodoistEvent(type, item, initiator, details = {}) {
+  try {
+    await recordScanEvent({
+      taskId: item.id,
+      type,
+      label: item.labels?.[0] || null,
+      actor: initiator?.full_name || initiator?.email || "Todoist",
+      device: "Todoist-Webhook",
+      details: { content: item.content, ...details },
+    });
+  } catch (e) {
+    console.error("Scan-Journal Fehler:", e.message);
+  }
+}
+
+/**
+ * Ein Webhook-Ereignis verarbeiten (payload = JSON-Body von Todoist).
+ * Gibt { action } zurück: completed | reopened | updated | deleted | unchanged | ignored.
+ */
+export async function handleTodoistEvent(payload, { projectIds = listSites().map((s) => s.projectId) } = {}) {
+  const event = payload?.event_name;
+  const item = payload?.event_data;
+  if (!HANDLED_EVENTS.includes(event) || !item?.id) return { action: "ignored" };
+
+  const taskId = String(item.id);
+  const initiator = payload.initiator;
+
+  // Gecachte Task-Liste des Projekts ist damit veraltet. Beim Verschieben nennt Todoist
+  // das alte Projekt nicht → bei Änderungen alle Standort-Listen verwerfen.
+  const inSite = projectIds.map(String).includes(String(item.project_id));
+  if (event === "item:updated") invalidateTaskCache();
+  else if (inSite) invalidateTaskCache(item.project_id);
+
+  if (!inSite) {
+    // In ein Projekt ohne Standort verschoben → keine Palette mehr, aus Ladelisten nehmen
+    if (event !== "item:updated") return { action: "ignored" };
+    const removed = await removeAvListItems(taskId);
+    if (removed === 0) return { action: "ignored" };
+    await logTodoistEvent("todoist_updated", item, initiator, { movedToProject: String(item.project_id), avItemsRemoved: removed });
+    return { action: "updated" };
+  }
+
+  if (event === "item:completed") {
+    // Ein wartender Todoist-Close ist damit erledigt
+    await cancelOpenOutbox(taskId, "close");
+    if (!(await setCompleted(taskId))) return { action: "unchanged" };
+    await logTodoistEvent("todoist_completed", item, initiator);
+    return { action: "completed" };
+  }
+
+  if (event === "item:uncompleted") {
+    await cancelOpenOutbox(taskId, "close");
+    const previous = await clearCompleted(taskId);
+    if (!previous) return { action: "unchanged" };
+    await logTodoistEvent("todoist_reopened", item, initiator, {
+      previousCompletedAt: new Date(previous).toISOString(),
+    });
+    return { action: "reopened" };
+  }
+
+  if (event === "item:deleted") {
+    // Close auf eine gelöschte Aufgabe würde nur noch scheitern; die Ausbuchung selbst bleibt stehen
+    await cancelOpenOutbox(taskId, "close");
+    const removed = await removeAvListItems(taskId);
+    await logTodoistEvent("todoist_deleted", item, initiator, { avItemsRemoved: removed });
+    return { action: "deleted" };
+  }
+
+  // item:updated – Titel, Labels oder Priorität geändert?
+  const old = payload.event_data_extra?.old_item;
+  const labels = item.labels || [];
+  const { updated, removed } = await syncAvListItems(taskId, {
+    content: item.content,
+    priority: item.priority,
+    labels,
+  });
+  const changed = updated + removed > 0
+    || (old && (old.content !== item.content || !sameLabels(old.labels, labels) || old.priority !== item.priority));
+  if (!changed) return { action: "unchanged" };
+
+  await logTodoistEvent("todoist_updated", item, initiator, {
+    labels,
+    ...(old && old.content !== item.content ? { previousContent: old.content } : {}),
+    ...(old && !sameLabels(old.labels, labels) ? { previousLabels: old.labels || [] } : {}),
+    avItemsUpdated: updated,
+    avItemsRemoved: removed,
+  });
+  return { action: "updated" };
+}
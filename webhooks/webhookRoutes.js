@@ -0,0 +1,43 @@
+// src/webhooks/webhookRoutes.js
+import express from "express";
+import { verifyTodoistSignature, handleTodoistEvent } from "./todoist.js";
+import { claimWebhookDelivery, releaseWebhookDelivery } from "./store.js";
+
+const router = express.Router();
+
+// Öffentlich (Todoist kennt keinen Login) – geschützt über die HMAC-Signatur.
+// req.rawBody setzt express.json() in app.js, die Signatur gilt für die Rohdaten.
+router.post("/webhooks/todoist", async (req, res) => {
+  if (!process.env.TODOIST_CLIENT_SECRET) {
+    return res.status(503).json({ error: "Webhook nicht eingerichtet (TODOIST_CLIENT_SECRET fehlt)." });
+  }
+  if (!verifyTodoistSignature(req.rawBody, req.get("x-todoist-hmac-sha256"))) {
+    return res.status(403).json({ error: "Ungültige Signatur." });
+  }
+
+  const payload = req.body || {};
+  const deliveryId = req.get("x-todoist-delivery-id");
+  try {
+    if (deliveryId && !(await claimWebhookDelivery(deliveryId, {
+      eventName: String(payload.event_name || ""),
+      taskId: payload.event_data?.id ?? null,
+    }))) {
+      return res.json({ ok: true, action: "duplicate" });
+    }
+  } catch (e) {
+    console.error("Todoist-Webhook Fehler:", e.message);
+    return res.status(500).json({ error: "Webhook konnte nicht verarbeitet werden." });
+  }
+
+  try {
+    const result = await handleTodoistEvent(payload);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    // Reservierung freigeben, damit die Wiederholung von Todoist verarbeitet wird
+    if (deliveryId) await releaseWebhookDelivery(deliveryId).catch(() => {});
+    console.error("Todoist-Webhook Fehler:", e?.response?.data || e.message);
+    res.status(500).json({ error: "Webhook konnte nicht verarbeitet werden." });
+  }
+});
+
+export default router;